@@ -1,9 +1,21 @@
 // Check if there is a newer version and load that using a new random url to avoid cache hits
 //   Versions should be YYYY.MM.DD.HH.mm like 2025.01.25.10.05
+//   When the app is served by the service worker the running version is the one it precached; a newer one
+//   is installed next to it and the user is asked to switch with showUpdateNotification. The worker is
+//   registered as service-worker.js?v=<version from version.html>, so version.html is the only place the
+//   version is set and a new version always installs a new worker, even if service-worker.js did not change.
 const version = 'f'
 let myVersion = '0'
 async function checkVersion(){
     myVersion = localStorage.getItem('version') || '0';
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (registration?.active) {
+        const installedVersion = await getServiceWorkerVersion(registration.active);
+        if (installedVersion) {
+            myVersion = installedVersion;
+            localStorage.setItem('version', installedVersion);
+        }
+    }
     let newVersion;
     try {
         const response = await fetch(`version.html?${getCorrectedTimestamp()}`);
@@ -11,7 +23,6 @@ async function checkVersion(){
         newVersion = await response.text();
     } catch (error) {
         console.error('Version check failed:', error);
-        alert('Version check failed. Your Internet connection may be down.')
         // Only trigger offline UI if it's a network error
         if (!navigator.onLine || error instanceof TypeError) {
             isOnline = false;
@@ -24,17 +35,43 @@ async function checkVersion(){
 //console.log('myVersion < newVersion then reload', myVersion, newVersion)
 console.log(parseInt(myVersion.replace(/\D/g, '')), parseInt(newVersion.replace(/\D/g, '')))
     if (parseInt(myVersion.replace(/\D/g, '')) != parseInt(newVersion.replace(/\D/g, ''))) {
-        if (parseInt(myVersion.replace(/\D/g, '')) > 0){
-            alert('Updating to new version: ' + newVersion + ' ' + version)
+        if (registration?.active) {
+            // the new service worker precaches the new version; the update notification is shown once it is installed
+            console.log('New version available:', newVersion);
+            watchServiceWorkerUpdate(registration);
+            if (registration.waiting) {
+                showUpdateNotification(registration);
+            } else {
+                navigator.serviceWorker.register(serviceWorkerUrl(newVersion), { scope: './', type: 'module', updateViaCache: 'none' })
+                    .catch(error => console.warn('Service worker update failed:', error));
+            }
+            return;
         }
         localStorage.setItem('version', newVersion); // Save new version
-        forceReload(['./', 'index.html','styles.css','app.js','lib.js', 'network.js', 'service-worker.js', 'offline.html'])
+        forceReload(['./', 'index.html','styles.css','app.js','lib.js', 'payment-uri.js', 'payment-requests.js', 'release.js', 'network.js', 'networks.js', 'service-worker.js', 'offline.html'])
         const newUrl = window.location.href
 //console.log('reloading', newUrl)
         window.location.replace(newUrl);
     }
 }
 
+function serviceWorkerUrl(appVersion) {
+    return `./service-worker.js?v=${encodeURIComponent(appVersion.trim())}`
+}
+
+// Ask the service worker which version of the app it has cached
+function getServiceWorkerVersion(worker) {
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => resolve(null), 1000);  // workers from before this was added don't answer
+        channel.port1.onmessage = (event) => {
+            clearTimeout(timer);
+            resolve(event.data?.version || null);
+        };
+        worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+    });
+}
+
 // Usage examples:
 /*
 // These will all work:
@@ -110,6 +147,11 @@ async function lockToPortrait() {
 // https://github.com/paulmillr/noble-post-quantum/releases
 import { ml_kem1024, randomBytes } from './external/noble-post-quantum.js';
 
+// https://github.com/paulmillr/scure-bip39
+// https://github.com/paulmillr/scure-bip39/blob/main/src/wordlists/english.ts
+//   only the English wordlist is used; the phrase functions are below in Recovery phrase
+import { wordlist as bip39Wordlist } from './external/bip39-english.js';
+
 // https://github.com/paulmillr/noble-secp256k1
 // https://github.com/paulmillr/noble-secp256k1/raw/refs/heads/main/index.js
 import * as secp from './external/noble-secp256k1.js'; 
@@ -139,9 +181,19 @@ import { normalizeUsername, generateIdenticon, formatTime,
     isValidEthereumAddress, 
     normalizeAddress, longAddress, utf82bin, bin2utf8, hex2big, bigxnum2big,
     big2str, base642bin, bin2base64, hex2bin, bin2hex, linkifyUrls, escapeHtml, 
-    debounce, truncateMessage
+    debounce, truncateMessage, generateIdenticonSvg, formatFileSize, deriveKey
 } from './lib.js';
 
+// IndexedDB storage for the account data and messages
+import { STORES, saveData, getData, getMessages, updateMessages, deleteAccount } from './db.js';
+
+// The format of payment links and QR codes
+import { parsePaymentUri, serializePaymentUri, signedPaymentFields } from './payment-uri.js';
+import { findPaidRequest } from './payment-requests.js';
+
+// The signed release manifest and signature checks
+import { releaseSigners, releaseFiles, integrityHash, recoverSigner, isSignedRelease } from './release.js';
+
 const myHashKey = hex2bin('69fa4195670576c0160d660c3be36556ff8d504725be8a59b5a96509e0c994bc')
 const weiDigits = 18; 
 const wei = 10n**BigInt(weiDigits)
@@ -149,6 +201,7 @@ const pollIntervalNormal = 30000 // in millisconds
 const pollIntervalChatting = 5000  // in millseconds
 //network.monitor.url = "http://test.liberdus.com:3000"    // URL of the monitor server
 //network.explorer.url = "http://test.liberdus.com:6001"   // URL of the chain explorer
+applyNetworkProfile()   // use the network picked on the welcome screen instead of the one in network.js
 
 
 let myData = null
@@ -204,8 +257,7 @@ async function checkUsernameAvailability(username, address) {
     }
     
     // Online flow - existing implementation
-    const randomGateway = getGatewayForRequest();
-    if (!randomGateway) {
+    if (!getGatewayForRequest()) {
         console.error('No gateway available for username check');
         return 'error';
     }
@@ -213,8 +265,8 @@ async function checkUsernameAvailability(username, address) {
     const usernameBytes = utf82bin(normalizeUsername(username))
     const usernameHash = blake.blake2bHex(usernameBytes, myHashKey, 32)
     try {
-        const response = await fetch(`${randomGateway.protocol}://${randomGateway.host}:${randomGateway.port}/address/${usernameHash}`);
-        const data = await response.json();
+        // through queryNetwork so paranoid mode checks who owns the username with several gateways
+        const data = await queryNetwork(`/address/${usernameHash}`);
         if (data && data.address){
             if (address && normalizeAddress(data.address) === normalizeAddress(address)) {
                 return 'mine';
@@ -239,6 +291,47 @@ function getAvailableUsernames() {
     return Object.keys(netidAccounts.usernames);
 }
 
+`
+Network profiles
+    networks.js has the networks that can be picked on the welcome screen; the network from network.js is
+    the default. The netid of the picked network is saved in localStorage 'network' and the global network
+    object is changed to that profile when app.js is loaded, so everything that reads network works as
+    before. The accounts list is already by netid and myData.network.gateways is per account, so each
+    network has its own accounts and gateways. Picking another network reloads the page so the websocket
+    and everything else start with it.
+`
+function getNetworkProfiles() {
+    const profiles = typeof networks !== 'undefined' ? [...networks] : []
+    const builtIn = applyNetworkProfile.builtIn || network
+    if (!profiles.some(profile => profile.netid === builtIn.netid)) { profiles.unshift(builtIn) }
+    return profiles
+}
+
+function applyNetworkProfile() {
+    applyNetworkProfile.builtIn = parse(stringify(network))
+    const netid = localStorage.getItem('network')
+    const profile = getNetworkProfiles().find(profile => profile.netid === netid)
+    if (!profile || profile.netid === network.netid) { return }
+    for (const key of Object.keys(network)) { delete network[key] }
+    Object.assign(network, parse(stringify(profile)))
+}
+
+// The network picker on the welcome screen; only shown if there is more than one network
+function setupNetworkSelect() {
+    const select = document.getElementById('networkSelect')
+    const profiles = getNetworkProfiles()
+    if (profiles.length < 2) { return }
+    select.innerHTML = profiles.map(profile =>
+        `<option value="${profile.netid}">${escapeHtml(profile.name)}</option>`).join('')
+    select.value = network.netid
+    select.style.display = ''
+    select.addEventListener('change', () => {
+        localStorage.setItem('network', select.value)
+        handleSignOut.exit = true   // nothing to save; don't ask to leave the page
+        window.location.reload()
+    })
+}
+
 // This is for the sign in button on the welcome page
 function openSignInModal() {
     // Get existing accounts
@@ -402,6 +495,57 @@ function closeCreateAccountModal() {
     document.getElementById('createAccountModal').classList.remove('active');
 }
 
+`
+Recovery phrase
+    Accounts created without a private key are made from a BIP-39 recovery phrase of 24 words (256 bits of
+    entropy and an 8 bit SHA-256 checksum). The phrase is turned into a 64 byte seed the same way BIP-39
+    does (PBKDF2-HMAC-SHA512 with the salt "mnemonic" and 2048 iterations) and both keys are derived from
+    the seed, so the phrase is all that is needed to get the account back:
+        secret = hashToPrivateKey(blake2b('liberdus secp256k1' + seed))
+        pqSeed = blake2b('liberdus ml-kem' + seed)
+`
+const mnemonicEntropyBytes = 32
+
+function bytesToBits(bytes) {
+    return Array.from(bytes, byte => byte.toString(2).padStart(8, '0')).join('')
+}
+
+async function mnemonicChecksum(entropy) {
+    const hash = new Uint8Array(await window.crypto.subtle.digest('SHA-256', entropy))
+    return bytesToBits(hash).slice(0, entropy.length * 8 / 32)
+}
+
+async function generateMnemonic() {
+    const entropy = randomBytes(mnemonicEntropyBytes)
+    const bits = bytesToBits(entropy) + await mnemonicChecksum(entropy)
+    return bits.match(/.{11}/g).map(index => bip39Wordlist[parseInt(index, 2)]).join(' ')
+}
+
+// Returns the phrase with single spaces and lowercase words, or null if it is not a valid phrase
+async function normalizeMnemonic(phrase) {
+    const words = phrase.normalize('NFKD').trim().toLowerCase().split(/\s+/)
+    if (words.length !== mnemonicEntropyBytes * 3 / 4) { return null }
+    const indexes = words.map(word => bip39Wordlist.indexOf(word))
+    if (indexes.includes(-1)) { return null }
+    const bits = indexes.map(index => index.toString(2).padStart(11, '0')).join('')
+    const entropyBits = bits.slice(0, mnemonicEntropyBytes * 8)
+    const entropy = new Uint8Array(entropyBits.match(/.{8}/g).map(byte => parseInt(byte, 2)))
+    if (await mnemonicChecksum(entropy) !== bits.slice(entropyBits.length)) { return null }
+    return words.join(' ')
+}
+
+async function mnemonicToKeys(mnemonic) {
+    const key = await window.crypto.subtle.importKey('raw', utf82bin(mnemonic), 'PBKDF2', false, ['deriveBits'])
+    const seed = new Uint8Array(await window.crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt: utf82bin('mnemonic'), iterations: 2048, hash: 'SHA-512' }, key, 512
+    ))
+    const derive = (label) => blake.blake2b(new Uint8Array([...utf82bin(label), ...seed]), null, 64)
+    return {
+        secret: bin2hex(secp.etc.hashToPrivateKey(derive('liberdus secp256k1'))),
+        pqSeed: bin2hex(derive('liberdus ml-kem')),
+    }
+}
+
 async function handleCreateAccount(event) {
     showToast('Creating account...', 3000);
 
@@ -426,7 +570,7 @@ async function handleCreateAccount(event) {
     // Get private key from input or generate new one
     const providedPrivateKey = document.getElementById('newPrivateKey').value;
     const privateKeyError = document.getElementById('newPrivateKeyError');
-    let privateKey, privateKeyHex;
+    let privateKey, privateKeyHex, mnemonic, mnemonicKeys;
     
     if (providedPrivateKey) {
         // Validate and normalize private key
@@ -442,8 +586,11 @@ async function handleCreateAccount(event) {
         privateKeyHex = validation.key;
         privateKeyError.style.display = 'none';
     } else {
-        privateKey = secp.utils.randomPrivateKey();
-        privateKeyHex = bin2hex(privateKey);
+        // Both keys come from a new recovery phrase that the user writes down before the account is registered
+        mnemonic = await generateMnemonic();
+        mnemonicKeys = await mnemonicToKeys(mnemonic);
+        privateKey = hex2bin(mnemonicKeys.secret);
+        privateKeyHex = mnemonicKeys.secret;
         privateKeyError.style.display = 'none'; // Ensure hidden if generated
     }
 
@@ -485,7 +632,7 @@ async function handleCreateAccount(event) {
     // Generate uncompressed public key
     const publicKey = secp.getPublicKey(privateKey, false);
     const publicKeyHex = bin2hex(publicKey);
-    const pqSeed = bin2hex(randomBytes(64));
+    const pqSeed = mnemonicKeys ? mnemonicKeys.pqSeed : bin2hex(randomBytes(64));
     
     // Generate address from public key
     const address = keccak256(publicKey.slice(1)).slice(-20);
@@ -519,6 +666,11 @@ async function handleCreateAccount(event) {
         }
     }
     
+    if (mnemonic && !(await recoveryPhraseModal.confirm(mnemonic))) {
+        submitButton.disabled = false;
+        return;
+    }
+
     // Create new account entry
     myAccount = {
         netid,
@@ -554,10 +706,11 @@ async function handleCreateAccount(event) {
     existingAccounts.netids[netid].usernames[username] = {address: myAccount.keys.address};
     localStorage.setItem('accounts', stringify(existingAccounts));
     
-    // Store the account data in localStorage
-    localStorage.setItem(`${username}_${netid}`, stringify(myData));
+    // Store the account data in localStorage; encrypted if the passcode was entered to recreate the account
+    saveState();
 
-    /* requestNotificationPermission(); */
+    requestNotificationPermission();
+    registerPaymentLinkHandler();
 
     // enable submit button
     submitButton.disabled = false;
@@ -567,6 +720,10 @@ async function handleCreateAccount(event) {
     document.getElementById('welcomeScreen').style.display = 'none';
     getChats.lastCall = getCorrectedTimestamp() // since we just created the account don't check for chat messages
     switchView('chats'); // Default view
+    if (!saveState.key) { passcodeModal.open('set') }
+    startAutoLock();
+    if (openChatFromNotification.pending) { openChatFromNotification(openChatFromNotification.pending) }
+    if (openPaymentLink.pending) { openPaymentLink(openPaymentLink.pending) }
 }
 
 // This is for the sign in button after selecting an account
@@ -589,9 +746,24 @@ async function handleSignIn(event) {
         return;
     }
 
+    // The saved data is encrypted with the passcode of the account
+    let saved;
+    try {
+        saved = await getStoredAccount(`${username}_${netid}`);
+    } catch (error) {
+        console.error('Could not read the account data', error);
+        showToast('Could not read the account data from this browser', 3000, 'error');
+        return;
+    }
+    let stored = saved?.data ?? null;
+    if (isEncryptedState(stored)) {
+        stored = await passcodeModal.unlock(username, stored);
+        if (stored === null) { return }
+    }
+
     // Check if the button text is 'Recreate'
     if (submitButton.textContent === 'Recreate') {
-        const myData = parse(localStorage.getItem(`${username}_${netid}`));
+        const myData = parse(stored);
         const privateKey = myData.account.keys.secret;
         const newUsernameInput = document.getElementById('newUsername');
         newUsernameInput.value = username;
@@ -604,16 +776,41 @@ async function handleSignIn(event) {
         return;
     }
 
-    myData = parse(localStorage.getItem(`${username}_${netid}`));
-    if (!myData) { console.log('Account data not found'); return }
-    myAccount = myData.account;
+    const data = parse(stored);
+    if (!data) { console.log('Account data not found'); return }
+    await openAccount(saved, data);
 
-    /* requestNotificationPermission(); */
+    requestNotificationPermission();
+    registerPaymentLinkHandler();
 
     // Close modal and proceed to app
     closeSignInModal();
     document.getElementById('welcomeScreen').style.display = 'none';
     await switchView('chats'); // Default view
+    processOutbox();    // retry messages that were not confirmed before the app was closed
+    startGatewayDiscovery();
+    // Accounts saved before the passcode was added are encrypted once the user sets one
+    if (!saveState.key) { passcodeModal.open('set') }
+    startAutoLock();
+    if (openChatFromNotification.pending) { openChatFromNotification(openChatFromNotification.pending) }
+    if (openPaymentLink.pending) { openPaymentLink(openPaymentLink.pending) }
+}
+
+// Make the saved account data the signed in account and load the newest messages of each conversation
+async function openAccount(saved, data) {
+    myData = data;
+    myAccount = myData.account;
+    if (!myData.outbox) { myData.outbox = [] }   // accounts created before the outbox was added
+    if (!myData.groups) { myData.groups = {} }
+    if (typeof myData.settings.toll !== 'bigint') {   // toll used to be saved as a number of LIB
+        myData.settings.toll = bigxnum2big(wei, String(myData.settings.toll ?? 1))
+    }
+    // Only the newest messages are loaded; an account from localStorage has all of them and is moved to IndexedDB
+    if (saved.legacy) {
+        await migrateLocalStorage(accountStorageId())
+    } else {
+        for (const [address] of getConversations()) { await loadMessages(address) }
+    }
 }
 
 function newDataRecord(myAccount){
@@ -638,6 +835,8 @@ function newDataRecord(myAccount){
         },
         contacts: {},
         chats: [],
+        groups: {},             // group chats by group id
+        outbox: [],             // chat messages not yet confirmed on the network
         wallet: {
             networth: 0.0,
             timestamp: 0,           // last balance update timestamp
@@ -668,7 +867,11 @@ function newDataRecord(myAccount){
         },
         settings: {
             encrypt: true,
-            toll: 1
+            toll: wei,              // in wei; what others pay to message us
+            forwardSecrecy: false,  // use ratchet sessions with contacts whose client supports them; see Forward secret sessions
+            autoLock: defaultAutoLock,  // minutes without input before the app locks; 0 never locks
+            sync: false,            // send contact names and settings to our other devices; each sync pays a tx fee
+            paranoid: false         // compare balances, keys and username lookups from several gateways
         }
     }
     
@@ -705,6 +908,20 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     document.getElementById('versionDisplay').textContent = myVersion + ' '+version;
     document.getElementById('networkNameDisplay').textContent = network.name;
+    setupNetworkSelect();
+
+    // The service worker opens the app with ?chat=<address> when a notification is clicked
+    const notificationChat = new URLSearchParams(window.location.search).get('chat');
+    if (notificationChat) {
+        openChatFromNotification.pending = notificationChat;
+        history.replaceState(null, '', window.location.pathname);
+    }
+    // and the browser opens it with ?pay=<link> when a web+liberdus: link is clicked
+    const paymentLink = new URLSearchParams(window.location.search).get('pay');
+    if (paymentLink) {
+        openPaymentLink.pending = paymentLink;
+        history.replaceState(null, '', window.location.pathname);
+    }
 
     // Add unload handler to save myData
     window.addEventListener('unload', handleUnload)
@@ -767,6 +984,27 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Account Form Modal
     myProfileModal.load()
 
+    // Verify Contact Modal
+    verifyContactModal.load()
+
+    // Toll Modal
+    tollModal.load()
+
+    // Group Modal
+    groupModal.load()
+
+    // Passcode Modal
+    passcodeModal.load()
+
+    // Privacy Modal
+    privacyModal.load()
+
+    // Recovery Phrase Modal
+    recoveryPhraseModal.load()
+    switchAccountModal.load()
+    resyncModal.load()
+    paymentRequestModal.load()
+
     document.getElementById('openExplorer').addEventListener('click', () => {
         window.open('./explorer', '_blank');
     });
@@ -819,6 +1057,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.getElementById('openReceiveModal').addEventListener('click', openReceiveModal);
     document.getElementById('closeReceiveModal').addEventListener('click', closeReceiveModal);
     document.getElementById('copyAddress').addEventListener('click', copyAddress);
+    document.getElementById('copyPaymentLink').addEventListener('click', copyPaymentLink);
     
     document.getElementById('openHistoryModal').addEventListener('click', openHistoryModal);
     document.getElementById('closeHistoryModal').addEventListener('click', closeHistoryModal);
@@ -836,11 +1075,29 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     document.getElementById('handleSignOut').addEventListener('click', handleSignOut);
     document.getElementById('closeChatModal').addEventListener('click', closeChatModal);
+    document.querySelector('#chatModal .messages-container').addEventListener('scroll', handleMessagesScroll);
     document.getElementById('closeContactInfoModal').addEventListener('click', () => contactInfoModal.close());
     document.getElementById('handleSendMessage').addEventListener('click', handleSendMessage);
+    document.getElementById('acceptKeyChange').addEventListener('click', acceptKeyChange);
     
     // Add message click-to-copy handler
     document.querySelector('.messages-list')?.addEventListener('click', handleClickToCopy);
+    // Add resend/discard handler for failed messages
+    document.querySelector('.messages-list')?.addEventListener('click', handleMessageAction);
+    // Add attachment handlers
+    document.querySelector('.messages-list')?.addEventListener('click', handleAttachmentClick);
+    // Reply, react, edit and delete from the message menu
+    document.querySelector('.messages-list')?.addEventListener('contextmenu', openMessageMenu);
+    // iOS Safari does not send contextmenu for a long press
+    document.querySelector('.messages-list')?.addEventListener('touchstart', handleMessageTouchStart, { passive: true });
+    document.querySelector('.messages-list')?.addEventListener('touchmove', handleMessageTouchMove, { passive: true });
+    document.querySelector('.messages-list')?.addEventListener('touchend', handleMessageTouchEnd);
+    document.querySelector('.messages-list')?.addEventListener('touchcancel', handleMessageTouchEnd);
+    document.getElementById('messageMenu').addEventListener('click', handleMessageMenuClick);
+    document.getElementById('cancelCompose').addEventListener('click', cancelMessageCompose);
+    document.addEventListener('click', (e) => { if (!e.target.closest('#messageMenu')) closeMessageMenu() });
+    document.getElementById('attachFileButton').addEventListener('click', () => document.getElementById('attachFileInput').click());
+    document.getElementById('attachFileInput').addEventListener('change', handleAttachFile);
     
     // Add refresh balance button handler
     document.getElementById('refreshBalance').addEventListener('click', async () => {
@@ -1081,13 +1338,269 @@ function handleVisibilityChange(e) {
 }
 
 
+// Returns a promise that resolves to true if everything was saved; saves are done one after another
 function saveState(){
     console.log('in saveState')
     if (myData && myAccount && myAccount.username && myAccount.netid) {
         console.log('saving state')
-        localStorage.setItem(`${myAccount.username}_${myAccount.netid}`, stringify(myData));
+        const account = accountStorageId()
+        // messages are saved as separate records by saveMessages
+        const strip = (conversations) => Object.fromEntries(
+            Object.entries(conversations || {}).map(([address, { messages, ...rest }]) => [address, { ...rest, messages: [] }])
+        )
+        const data = stringify({ ...myData, contacts: strip(myData.contacts), groups: strip(myData.groups) })
+        const record = { id: account, data: encodeStoredData(data) }
+        collectSyncChanges()
+        const writes = saveMessages(account)
+        saveAccountSummary()
+        saveState.queue = saveState.queue.then(async () => {
+            try {
+                for (const write of writes) { await write() }
+                await saveData(STORES.ACCOUNTS, record)
+                return true
+            } catch (error) {
+                console.error('could not save state', error)
+                return false
+            }
+        })
+    }
+    return saveState.queue
+}
+// Keep the unread count and chat timestamp in the accounts list so they can be shown without the passcode
+function saveAccountSummary() {
+    const accounts = parse(localStorage.getItem('accounts') || '{"netids":{}}')
+    const entry = accounts.netids[myAccount.netid]?.usernames?.[myAccount.username]
+    if (!entry) { return }  // the account is being removed
+    const unread = getConversations().reduce((total, [, conversation]) => total + (conversation.unread || 0), 0)
+    if (entry.unread === unread && entry.chatTimestamp === (myAccount.chatTimestamp || 0)) { return }
+    entry.unread = unread
+    entry.chatTimestamp = myAccount.chatTimestamp || 0
+    localStorage.setItem('accounts', stringify(accounts))
+}
+
+saveState.key = null    // derived from the passcode when signing in; saved as plain JSON until the passcode is set
+saveState.salt = null
+saveState.queue = Promise.resolve(true)
+
+`
+Storage
+    The account data and messages are saved in IndexedDB using db.js. The account record is myData without
+    the messages of the contacts and groups; every message is a record of its own keyed by the account,
+    the conversation (contact address or group id), the timestamp and seq, which tells apart messages with
+    the same timestamp. saveMessages.saved[address] has the key and text of every record of the
+    conversation as last loaded or saved, so only messages that are new or changed are encrypted and
+    written, and only the records of messages that were removed are deleted.
+    Only the newest messagePageSize messages of a conversation are loaded when signing in; older ones are
+    loaded when scrolling up in the chat modal. loadMessages.since[address] is the timestamp of the oldest
+    loaded message, or -Infinity when all of them are loaded.
+    Records are encrypted with the passcode key like the account record.
+    Older versions saved everything in one localStorage entry; it is moved to IndexedDB when signing in.
+`
+const messagePageSize = 50
+
+function accountStorageId(account = myAccount) {
+    return `${account.username}_${account.netid}`
+}
+
+function encodeStoredData(data) {
+    return saveState.key ? encryptState(data) : data
+}
+
+function decodeStoredData(data) {
+    return isEncryptedState(data) ? decryptChacha(saveState.key, JSON.parse(data).content) : data
+}
+
+// The messages of each contact and group by address
+function getConversations() {
+    return [...Object.entries(myData.contacts), ...Object.entries(myData.groups || {})]
+}
+
+// Returns the writes needed for conversations that changed; the records are made now so later changes don't mix in
+function saveMessages(account) {
+    const writes = []
+    for (const [address, conversation] of getConversations()) {
+        const messages = conversation.messages || []
+        const saved = saveMessages.saved[address] || new Map()
+        const current = new Map()
+        const records = []
+        messageRecordKeys(messages).forEach(([timestamp, seq], i) => {
+            const key = `${timestamp}/${seq}`
+            const jstr = stringify(messages[i])
+            current.set(key, jstr)
+            if (saved.get(key) !== jstr) {
+                records.push({ account, address, timestamp, seq, data: encodeStoredData(jstr) })
+            }
+        })
+        const deletes = [...saved.keys()].filter(key => !current.has(key)).map(key => key.split('/').map(Number))
+        if (records.length === 0 && deletes.length === 0) { continue }
+        writes.push(async () => {
+            await updateMessages(account, address, records, deletes)
+            saveMessages.saved[address] = current
+        })
+    }
+    return writes
+}
+saveMessages.saved = {}     // address -> Map of `${timestamp}/${seq}` -> message text as last saved or loaded
+
+// The [timestamp, seq] key of the record of each message; messages are newest first and seq counts up from
+//   the oldest message with the same timestamp, so it doesn't change when newer messages are added
+function messageRecordKeys(messages) {
+    const seqs = {}
+    const keys = new Array(messages.length)
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const timestamp = messages[i].timestamp
+        seqs[timestamp] = (seqs[timestamp] ?? -1) + 1
+        keys[i] = [timestamp, seqs[timestamp]]
+    }
+    return keys
+}
+
+// Load the next page of older messages of the conversation; returns the number loaded
+async function loadMessages(address) {
+    const conversation = myData.contacts[address] || myData.groups[address]
+    if (!conversation || loadMessages.since[address] === -Infinity) { return 0 }
+    const before = loadMessages.since[address] ?? Infinity
+    const records = await getMessages(accountStorageId(), address, before, messagePageSize)
+    if (!saveMessages.saved[address]) { saveMessages.saved[address] = new Map() }
+    const messages = []
+    for (const record of records) {
+        const data = decodeStoredData(record.data)
+        if (data === null) { continue }
+        // the key it was saved with, which is replaced on the next save if the message gets a different one
+        saveMessages.saved[address].set(`${record.timestamp}/${record.seq}`, data)
+        messages.push(parse(data))
+    }
+    if (!conversation.messages) { conversation.messages = [] }
+    conversation.messages.push(...messages)     // all of them are older than the ones already loaded
+    loadMessages.since[address] = records.length < messagePageSize ? -Infinity : records.at(-1).timestamp
+    return messages.length
+}
+loadMessages.since = {}
+
+async function loadAllMessages() {
+    for (const [address] of getConversations()) {
+        while (loadMessages.since[address] !== -Infinity) {
+            await loadMessages(address)
+        }
+    }
+}
+
+// Get the saved data of the account; an entry in localStorage from an older version takes precedence
+async function getStoredAccount(id) {
+    const legacy = localStorage.getItem(id)
+    if (legacy !== null) { return { data: legacy, legacy: true } }
+    const record = await getData(STORES.ACCOUNTS, id)
+    return record ? { data: record.data, legacy: false } : null
+}
+
+// Save myData in place of what was saved for the account before; all its messages have to be in myData
+async function replaceStoredAccount(id) {
+    try {
+        await deleteAccount(id)
+    } catch (error) {
+        console.error('could not clear the saved account', error)
+        return false
+    }
+    for (const [address] of getConversations()) { loadMessages.since[address] = -Infinity }
+    saveMessages.saved = {}
+    return saveState()
+}
+
+// Move the account from the localStorage entry to IndexedDB; all its messages are already in myData
+async function migrateLocalStorage(id) {
+    if (await replaceStoredAccount(id)) {
+        localStorage.removeItem(id)
+        console.log('moved account data from localStorage to IndexedDB')
+    }
+}
+
+// Load more messages when the user scrolls to the top of the chat modal
+async function handleMessagesScroll(e) {
+    const container = e.target
+    const address = appendChatModal.address
+    if (container.scrollTop > 100 || !address || handleMessagesScroll.loading) { return }
+    if (loadMessages.since[address] === -Infinity) { return }
+    handleMessagesScroll.loading = true
+    try {
+        if (await loadMessages(address) > 0 && appendChatModal.address === address) {
+            appendChatModal(false, true)
+        }
+    } finally {
+        handleMessagesScroll.loading = false
+    }
+}
+handleMessagesScroll.loading = false
+
+`
+Encrypted local storage
+    myData is saved encrypted with a key derived from the app passcode with PBKDF2 (deriveKey in lib.js).
+    Only the derived key is kept in memory while signed in; the passcode is never saved.
+        { encrypted: 'xchacha20poly1305', salt, content }   salt is base64; content is from encryptChacha
+    The encryption is done with encryptChacha so that the records are made synchronously when saveState is
+    called, even though writing them is not. Entries saved before the passcode was added are plain JSON; the user has to set a
+    passcode when signing in to one of them and it is saved encrypted from then on.
+    After myData.settings.autoLock minutes without any input the app signs out, so the passcode is
+    needed again to get the data back. Signing out clears myData, myAccount and the key from memory
+    before reloading, since the page is not reloaded when offline.
+`
+const defaultAutoLock = 5   // in minutes; 0 never locks
+const minPasscodeLength = 6
+
+function isEncryptedState(stored) {
+    return typeof stored === 'string' && stored.startsWith('{"encrypted":')
+}
+
+async function passcodeKey(passcode, salt) {
+    const key = await deriveKey(passcode, salt, 100000, true)
+    return new Uint8Array(await window.crypto.subtle.exportKey('raw', key))
+}
+
+// Use the passcode for saving from now on; a new salt is made when the passcode is set or changed
+async function setPasscode(passcode) {
+    const salt = randomBytes(16)
+    saveState.key = await passcodeKey(passcode, salt)
+    saveState.salt = salt
+}
+
+function encryptState(data) {
+    return JSON.stringify({
+        encrypted: 'xchacha20poly1305',
+        salt: bin2base64(saveState.salt),
+        content: encryptChacha(saveState.key, data),
+    })
+}
+
+// Returns the saved myData as a string and keeps the key for saving, or null if the passcode is wrong
+async function decryptState(stored, passcode) {
+    const { salt, content } = JSON.parse(stored)
+    const key = await passcodeKey(passcode, base642bin(salt))
+    const data = decryptChacha(key, content)
+    if (data === null) { return null }
+    saveState.key = key
+    saveState.salt = base642bin(salt)
+    return data
+}
+
+// Sign out after a period without input; checked on an interval since timers don't run while the app is hidden
+function startAutoLock() {
+    checkAutoLock.lastActivity = Date.now()
+    if (checkAutoLock.timer) { return }
+    for (const type of ['pointerdown', 'keydown', 'touchstart']) {
+        document.addEventListener(type, () => { checkAutoLock.lastActivity = Date.now() }, { passive: true })
+    }
+    checkAutoLock.timer = setInterval(checkAutoLock, 15000)
+}
+
+function checkAutoLock() {
+    if (!myData || !myAccount || !saveState.key) { return }
+    const minutes = myData.settings.autoLock ?? defaultAutoLock
+    if (minutes > 0 && Date.now() - checkAutoLock.lastActivity > minutes * 60 * 1000) {
+        console.log('locking after', minutes, 'minutes without input')
+        handleSignOut()
     }
 }
+checkAutoLock.timer = null
+checkAutoLock.lastActivity = 0
 
 function setupAddToHomeScreen(){
     // Add to home screen functionality
@@ -1308,6 +1821,27 @@ async function updateChatList() {
     
     const chatItems = await Promise.all(chats.map(async chat => {
         const identicon = await generateIdenticon(chat.address);
+        const group = myData.groups[chat.address];
+        if (group) {
+            const latest = group.messages[0];
+            if (!latest) { return '' }
+            const prefix = latest.notice ? '' : (latest.my ? 'You: ' : `${escapeHtml(groupMemberName(latest.from))}: `);
+            return `
+            <li class="chat-item group-chat-item">
+                <div class="chat-avatar">${identicon}</div>
+                <div class="chat-content">
+                    <div class="chat-header">
+                        <div class="chat-name">${escapeHtml(group.name)}</div>
+                        <div class="chat-time">${formatTime(latest.timestamp)} <span class="chat-time-chevron"></span></div>
+                    </div>
+                    <div class="chat-message">
+                        ${prefix}${truncateMessage(escapeHtml(latest.message || ''), 50)}
+                        ${group.unread ? `<span class="chat-unread">${group.unread}</span>` : ''}
+                    </div>
+                </div>
+            </li>
+        `;
+        }
         const contact = contacts[chat.address];
         if (!contact) return ''; // Safety check
 
@@ -1332,11 +1866,14 @@ async function updateChatList() {
                 if (latestActivity.message) { // Memo is stored in the 'message' field for transfers
                     previewHTML += ` <span class="memo-preview"> | ${truncateMessage(escapeHtml(latestActivity.message), 25)}</span>`;
                 }
+        } else if (latestActivity.paymentRequest) {
+            const request = latestActivity.paymentRequest;
+            previewHTML = `<span class="payment-preview">${latestActivity.my ? 'You requested' : 'Requested'} ${formatPaymentAmount(request.amount)} ${escapeHtml(request.symbol)}</span>`;
         } else {
-            // Latest item is a regular message
-            const messageText = escapeHtml(latestActivity.message);
+            // Latest item is a regular message; show the file name if it only has an attachment
+            const messageText = escapeHtml(latestActivity.message || latestActivity.attachments?.[0]?.name || '');
             // Add "You:" prefix for sent messages
-            const prefix = latestActivity.my ? 'You: ' : '';
+            const prefix = latestActivity.my ? (latestActivity.status === 'failed' ? '<span class="failed-preview">Failed:</span> ' : 'You: ') : '';
             previewHTML = `${prefix}${truncateMessage(messageText, 50)}`; // Truncate for preview
         }
 
@@ -1887,15 +2424,20 @@ function openChatModal(address) {
     const messagesList = modal.querySelector('.messages-list');
     const editButton = document.getElementById('chatEditButton');
     document.getElementById('newChatButton').classList.remove('visible');
-    const contact = myData.contacts[address]
+    const group = myData.groups[address]
+    const contact = myData.contacts[address] || group
     // Set user info
-    modalTitle.textContent = contact.name || contact.senderInfo?.name || contact.username || `${contact.address.slice(0,8)}...${contact.address.slice(-6)}`;
+    modalTitle.textContent = group ? group.name : (contact.name || contact.senderInfo?.name || contact.username || `${contact.address.slice(0,8)}...${contact.address.slice(-6)}`);
     
     // Add data attributes to store the username and address
     const sendMoneyButton = document.getElementById('chatSendMoneyButton');
     sendMoneyButton.dataset.username = contact.username || address;
+    // Payments and attachments are only for 1:1 chats
+    sendMoneyButton.style.display = group ? 'none' : '';
+    document.getElementById('chatRequestMoneyButton').style.display = group ? 'none' : '';
+    document.getElementById('attachFileButton').style.display = group || !network.blobStore?.url ? 'none' : '';
 
-    generateIdenticon(contact.address, 40).then(identicon => {
+    generateIdenticon(address, 40).then(identicon => {
         modalAvatar.innerHTML = identicon;
     });
 
@@ -1913,16 +2455,13 @@ function openChatModal(address) {
         const contact = myData.contacts[address];
         if (contact) {
             contactInfoModal.open(createDisplayInfo(contact));
+        } else if (myData.groups[address]) {
+            groupModal.open(myData.groups[address]);
         }
     };
 
     // Add click handler for edit button
-    editButton.onclick = () => {
-        const contact = myData.contacts[address];
-        if (contact) {
-            contactInfoModal.open(createDisplayInfo(contact));
-        }
-    };
+    editButton.onclick = userInfo.onclick;
 
     // Show modal
     modal.classList.add('active');
@@ -1938,6 +2477,12 @@ function openChatModal(address) {
     appendChatModal.address = address
     appendChatModal(false); // Call appendChatModal to render messages, ensure highlight=false
 
+    if (group) {
+        updateGroupChatInfo(group)
+    } else {
+        openContactChat(address)
+    }
+
     if (isOnline) {
         if (wsManager && !wsManager.isSubscribed()) {
             pollChatInterval(pollIntervalChatting) // poll for messages at a faster rate
@@ -1945,12 +2490,41 @@ function openChatModal(address) {
     }
 }
 
-function appendChatModal(highlightNewMessage = false) {
+// Tolls, read receipts and key checks of a 1:1 chat that was just opened
+function openContactChat(address) {
+    const modal = document.getElementById('chatModal');
+    const contact = myData.contacts[address];
+    updateChatTollInfo(address)
+
+    // Let the contact know we read their messages and check which of ours they read
+    sendReadReceipt(address)
+    updateContactRead(address)
+    clearInterval(updateContactRead.timer)
+    updateContactRead.timer = setInterval(() => updateContactRead(address), pollIntervalNormal)
+
+    // Show the warning if the keys of this contact changed; and check the network for a change
+    modal.querySelector('.chat-user-info').classList.toggle('verified', isContactVerified(contact))
+    updateKeyChangeWarning()
+    checkContactKeys(address)
+}
+
+// Show the members of the group, or that we were removed, above the message input
+function updateGroupChatInfo(group) {
+    const info = document.getElementById('chatTollInfo');
+    info.textContent = group.removed
+        ? 'You are no longer a member of this group'
+        : group.members.map(groupMemberName).join(', ');
+    updateKeyChangeWarning();   // hides the warning of the last 1:1 chat
+}
+
+// preserveScroll keeps the messages in view where they were, for when older messages were added at the top
+function appendChatModal(highlightNewMessage = false, preserveScroll = false) {
     const currentAddress = appendChatModal.address; // Use a local constant
     console.log('appendChatModal running for address:', currentAddress, 'Highlight:', highlightNewMessage);
     if (!currentAddress) { return; }
 
-    const contact = myData.contacts[currentAddress];
+    const group = myData.groups[currentAddress];
+    const contact = myData.contacts[currentAddress] || group;
     if (!contact || !contact.messages) {
             console.log('No contact or messages found for address:', appendChatModal.address);
             return;
@@ -1968,6 +2542,8 @@ function appendChatModal(highlightNewMessage = false) {
     console.log('appendChatModal: Identified newestReceivedItem data:', newestReceivedItem);
 
     // 2. Clear the entire list
+    const messageContainer = messagesList.parentElement;
+    const distanceFromBottom = messageContainer.scrollHeight - messageContainer.scrollTop;
     messagesList.innerHTML = '';
 
     // 3. Iterate backwards through messages (oldest to newest for rendering order)
@@ -2005,13 +2581,43 @@ function appendChatModal(highlightNewMessage = false) {
                     <div class="message-time">${timeString}</div>
                 </div>
             `;
+        } else if (item.paymentRequest) {
+            messageHTML = paymentRequestHTML(item, timestampAttribute, timeString);
+        } else if (item.notice) {
+            // --- Render Group Notice ---
+            messageHTML = `<div class="message-notice" ${timestampAttribute}>${escapeHtml(item.message)}</div>`;
         } else {
             // --- Render Chat Message ---
             const messageClass = item.my ? 'sent' : 'received'; // Use item.my directly
+            const failed = item.my && item.status === 'failed';
+            // Only messages sent since the outbox was added have a status; any sent message can be read
+            const read = item.my && !failed && item.status !== 'sending' && item.timestamp <= (contact.theirRead || 0);
+            const status = read ? 'read' : item.status;
+            const statusHTML = item.my && status ? `<span class="message-status ${status}" title="${escapeHtml(item.error || '')}">${messageStatusText[status] || ''}</span>` : '';
+            const actionsHTML = failed ? `
+                    <div class="message-actions">
+                        <button class="message-action" data-action="resend">Resend</button>
+                        <button class="message-action" data-action="discard">Discard</button>
+                    </div>` : '';
+            const attachmentsHTML = (item.attachments || []).map((attachment, index) => attachmentHTML(attachment, index)).join('');
+            let contentHTML = item.message ? `<div class="message-content" style="white-space: pre-wrap">${linkifyUrls(item.message)}</div>` : '';
+            if (group && !item.my) {
+                contentHTML = `<div class="message-sender">${escapeHtml(groupMemberName(item.from))}</div>${contentHTML}`;
+            }
+            if (item.deleted) {
+                contentHTML = `<div class="message-content deleted">This message was deleted</div>`;
+            } else if (item.retracted) {
+                contentHTML = `<div class="message-content deleted">${item.my ? 'You unsent a message' : 'This message was unsent'}</div>`;
+            }
+            const retractHTML = !group && canRetract(item, contact)
+                ? `<button class="message-action retract-countdown" data-action="retract" data-expires="${item.sent_timestamp + retractWindow}"></button>`
+                : '';
+            const idAttribute = item.txid ? `data-message-id="${item.txid}"` : '';
             messageHTML = `
-                <div class="message ${messageClass}" ${timestampAttribute}>
-                    <div class="message-content" style="white-space: pre-wrap">${linkifyUrls(item.message)}</div>
-                    <div class="message-time">${timeString}</div>
+                <div class="message ${messageClass}${failed ? ' failed' : ''}" ${timestampAttribute} ${idAttribute}>
+                    ${item.replyTo ? quotedMessageHTML(messages, item.replyTo) : ''}${attachmentsHTML}${contentHTML}
+                    <div class="message-time">${timeString}${item.edited && !item.deleted ? ' <span class="message-edited">edited</span>' : ''}${statusHTML}${retractHTML}</div>${actionsHTML}
+                    ${reactionsHTML(item.reactions)}
                 </div>
             `;
         }
@@ -2022,13 +2628,20 @@ function appendChatModal(highlightNewMessage = false) {
         // The newest received element will be found after the loop completes
     }
 
+    // Image attachments are downloaded and decrypted after the messages are shown
+    loadAttachmentThumbnails(messagesList, messages);
+    startRetractCountdowns();
+
+    if (preserveScroll) {
+        messageContainer.scrollTop = messageContainer.scrollHeight - distanceFromBottom;
+        return;
+    }
+
     // --- 5. Find the corresponding DOM element after rendering ---
     // This happens inside the setTimeout to ensure elements are in the DOM
 
     // 6. Delayed Scrolling & Highlighting Logic (after loop)
     setTimeout(() => {
-        const messageContainer = messagesList.parentElement; 
-
         // Find the DOM element for the actual newest received item using its timestamp
         // Only proceed if newestReceivedItem was found and highlightNewMessage is true
         if (newestReceivedItem && highlightNewMessage) {
@@ -2067,7 +2680,19 @@ function appendChatModal(highlightNewMessage = false) {
 }
 appendChatModal.address = null
 
+const messageStatusText = {
+    sending: 'Sending…',
+    sent: 'Sent',
+    confirmed: 'Delivered',
+    read: 'Read ✓✓',
+    failed: 'Failed',
+}
+
 function closeChatModal() {
+    cancelMessageCompose();
+    closeMessageMenu();
+    clearInterval(updateContactRead.timer);
+    updateContactRead.timer = null;
     document.getElementById('chatModal').classList.remove('active');
     if (document.getElementById('chatsScreen').classList.contains('active')) {
         updateChatList()
@@ -2173,7 +2798,6 @@ function createQRPaymentData() {
     const assetIndex = parseInt(assetSelect.value, 10) || 0;
     
     // Default asset info in case we can't find the selected asset
-    let assetId = "liberdus";
     let symbol = "LIB";
     
     // Try to get the selected asset
@@ -2181,7 +2805,6 @@ function createQRPaymentData() {
         if (myData && myData.wallet && myData.wallet.assets && myData.wallet.assets.length > 0) {
             const asset = myData.wallet.assets[assetIndex];
             if (asset) {
-                assetId = asset.id || "liberdus";
                 symbol = asset.symbol || "LIB";
                 console.log(`Selected asset: ${asset.name} (${symbol})`);
             } else {
@@ -2194,22 +2817,21 @@ function createQRPaymentData() {
         console.error("Error accessing asset data:", error);
     }
     
-    // Build payment data object
+    // Build payment data object; see payment-uri.js
     const paymentData = {
-        u: myAccount.username, // username
-        i: assetId, // assetId
-        s: symbol // symbol
+        to: myAccount.username,
+        asset: symbol,
     };
     
     // Add optional fields if they have values
     const amount = document.getElementById('receiveAmount').value.trim();
     if (amount) {
-        paymentData.a = amount;
+        paymentData.amount = amount;
     }
     
     const memo = document.getElementById('receiveMemo').value.trim(); 
     if (memo) {
-        paymentData.m = memo;
+        paymentData.memo = memo;
     }
     
     return paymentData;
@@ -2228,12 +2850,8 @@ function updateQRCode() {
         const paymentData = createQRPaymentData();
         console.log("Created payment data:", JSON.stringify(paymentData, null, 2));
         
-        // Convert to JSON and encode as base64
-        const jsonData = JSON.stringify(paymentData);
-        const base64Data = btoa(jsonData);
-        
-        // Create URI with liberdus:// prefix
-        const qrText = `liberdus://${base64Data}`;
+        // The QR code is a payment link, so a camera app can open it in the app too
+        const qrText = serializePaymentUri(paymentData);
         console.log("QR code text length:", qrText.length);
         console.log("QR code text (first 100 chars):", qrText.substring(0, 100) + (qrText.length > 100 ? "..." : ""));
 
@@ -2257,13 +2875,9 @@ function updateQRCode() {
         
         qrcodeContainer.innerHTML = ''; // Clear the container before adding fallback QR
 
-        // Fallback to basic username QR code in liberdus:// format
+        // Fallback to basic username QR code
         try {
-            // Use short key 'u' for username
-            const fallbackData = { u: myAccount.username }; 
-            const fallbackJsonData = JSON.stringify(fallbackData);
-            const fallbackBase64Data = btoa(fallbackJsonData);
-            const fallbackQrText = `liberdus://${fallbackBase64Data}`;
+            const fallbackQrText = serializePaymentUri({ to: myAccount.username });
 
             const gifBytes = qr.encodeQR(fallbackQrText, 'gif', { scale: 4 });
             // Convert the raw bytes to a base64 data URL
@@ -2348,6 +2962,10 @@ async function openSendModal() {
         }, 500);
         openSendModal.username = null
     }
+    if (openSendModal.request) {
+        document.getElementById('sendAmount').value = formatPaymentAmount(openSendModal.request.amount);
+        document.getElementById('sendMemo').value = openSendModal.request.memo;
+    }
     
 
     await updateWalletBalances(); // Refresh wallet balances first
@@ -2365,6 +2983,7 @@ async function openSendModal() {
 }
 
 openSendModal.username = null
+openSendModal.request = null    // the payment request being paid
 
 let sendModalCheckTimeout;
 function handleOpenSendModalInput(e){
@@ -2427,54 +3046,100 @@ function closeQRScanModal(){
     stopCamera()
 }
 
-function fillPaymentFromQR(data) {
+// Fill the send form from a payment link or payment QR code; see payment-uri.js
+async function fillPaymentFromQR(data) {
     console.log('Attempting to fill payment form from QR:', data);
 
-    // Explicitly check for the required prefix
-    if (!data || !data.startsWith('liberdus://')) {
-        console.error("Invalid payment QR code format. Missing 'liberdus://' prefix.", data);
-        showToast("Invalid payment QR code format.", 3000, "error");
-        // Optionally clear fields or leave them as they were
-        document.getElementById('sendToAddress').value = '';
-        document.getElementById('sendAmount').value = '';
-        document.getElementById('sendMemo').value = '';
-        return; // Stop processing if the format is wrong
-    }
-
     // Clear existing fields first
     document.getElementById('sendToAddress').value = '';
     document.getElementById('sendAmount').value = '';
     document.getElementById('sendMemo').value = '';
 
+    let payment;
     try {
-        // Remove the prefix and process the base64 data
-        const base64Data = data.substring('liberdus://'.length);
-        const jsonData = atob(base64Data);
-        const paymentData = JSON.parse(jsonData);
+        payment = parsePaymentUri(data);
+    } catch (error) {
+        console.error("Invalid payment QR code:", error, data);
+        showToast(error.message, 3000, "error");
+        return;
+    }
+    console.log("Read payment data:", JSON.stringify(payment, null, 2));
 
-        console.log("Read payment data:", JSON.stringify(paymentData, null, 2));
-        
-        if (paymentData.u) {
-            document.getElementById('sendToAddress').value = paymentData.u;
-        }
-        if (paymentData.a) {
-            document.getElementById('sendAmount').value = paymentData.a;
-        }
-        if (paymentData.m) {
-            document.getElementById('sendMemo').value = paymentData.m;
-        }
+    if (payment.expires && getCorrectedTimestamp() > payment.expires) {
+        showToast('This payment link has expired', 3000, 'error');
+        return;
+    }
+    const assetIndex = myData.wallet.assets.findIndex(asset => asset.symbol === payment.asset);
+    if (assetIndex === -1) {
+        showToast(`This payment link is for ${payment.asset}, which this wallet does not have`, 3000, 'error');
+        return;
+    }
+    if (payment.sig && !await verifyPaymentLink(payment)) {
+        showToast(`This payment link was not signed by ${payment.to}; do not pay it`, 5000, 'error');
+        return;
+    }
 
-        // Trigger username validation and amount validation
-        document.getElementById('sendToAddress').dispatchEvent(new Event('input'));
-        document.getElementById('sendAmount').dispatchEvent(new Event('input'));
+    document.getElementById('sendAsset').value = assetIndex;
+    document.getElementById('sendToAddress').value = payment.to;
+    document.getElementById('sendAmount').value = payment.amount;
+    document.getElementById('sendMemo').value = payment.memo;
 
+    // Trigger username validation and amount validation
+    document.getElementById('sendToAddress').dispatchEvent(new Event('input'));
+    document.getElementById('sendAmount').dispatchEvent(new Event('input'));
+    if (payment.sig) {
+        showToast(`Payment link signed by ${payment.to}`, 2000, 'success');
+    }
+}
+
+// A signed link has to be signed by the account it pays to
+async function verifyPaymentLink(payment) {
+    const signer = recoverSigner({ ...signedPaymentFields(payment), sign: { owner: payment.signer, sig: payment.sig } });
+    try {
+        if (!signer || normalizeAddress(payment.signer).toLowerCase() !== signer) { return false }
+        const address = await getUsernameAddress(payment.to);
+        return address?.toLowerCase() === signer;
     } catch (error) {
-        console.error("Error parsing payment QR data:", error, data);
-        showToast("Failed to parse payment QR data.", 3000, "error");
-        // Clear fields on error
-        document.getElementById('sendToAddress').value = '';
-        document.getElementById('sendAmount').value = '';
-        document.getElementById('sendMemo').value = '';
+        console.warn('could not check the payment link signer', error);
+        return false;
+    }
+}
+
+// Copy a payment link signed by this account, for web pages and invoices
+async function copyPaymentLink() {
+    try {
+        const payment = createQRPaymentData();
+        const fields = signedPaymentFields(payment);
+        await signObj(fields, myAccount.keys);
+        const link = serializePaymentUri({ ...payment, signer: fields.sign.owner, sig: fields.sign.sig });
+        await navigator.clipboard.writeText(link);
+        showToast('Payment link copied', 2000, 'success');
+    } catch (error) {
+        console.error('Could not copy the payment link:', error);
+        showToast('Could not create the payment link', 3000, 'error');
+    }
+}
+
+// Open the send modal for a web+liberdus: link the app was opened with; waits for the user to sign in if needed
+async function openPaymentLink(uri) {
+    if (!myData || !myAccount) {
+        openPaymentLink.pending = uri;
+        return;
+    }
+    openPaymentLink.pending = null;
+    await switchView('wallet');
+    await openSendModal();
+    await fillPaymentFromQR(uri);
+}
+openPaymentLink.pending = null
+
+// Let web+liberdus: links on web pages open the app; the installed app gets them from protocol_handlers in manifest.json
+function registerPaymentLinkHandler() {
+    if (isInstalledPWA || !navigator.registerProtocolHandler) { return }
+    try {
+        navigator.registerProtocolHandler('web+liberdus', `${window.location.origin}${window.location.pathname}?pay=%s`);
+    } catch (error) {
+        console.warn('Could not register the payment link handler:', error);
     }
 }
 
@@ -2497,6 +3162,7 @@ async function closeSendModal() {
     document.getElementById('sendModal').classList.remove('active');
     document.getElementById('sendForm').reset();
     openSendModal.username = null
+    openSendModal.request = null
 }
 
 function updateSendAddresses() {
@@ -2659,20 +3325,22 @@ async function handleSendAsset(event) {
 
     if (!myData.contacts[toAddress]) { createNewContact(toAddress, username) }
 
-    // Get recipient's public key from contacts
-    let recipientPubKey = myData.contacts[toAddress]?.public;
-    let pqRecPubKey = myData.contacts[toAddress]?.pqPublic
-    if (!recipientPubKey || !pqRecPubKey) {
-        const recipientInfo = await queryNetwork(`/account/${longAddress(toAddress)}`)
-        if (!recipientInfo?.account?.publicKey){
-            console.log(`no public key found for recipient ${toAddress}`)
-            return
-        }
-        recipientPubKey = recipientInfo.account.publicKey
-        myData.contacts[toAddress].public = recipientPubKey
-        pqRecPubKey = recipientInfo.account.pqPublicKey
-        myData.contacts[toAddress].pqPublic = pqRecPubKey
+    // Paying a request from the chat tells the requester which one, unless the amount was changed
+    const request = openSendModal.request;
+    const requestRef = request && request.address === toAddress && request.amount === amount ? request.ref : null;
+
+    // Get recipient's verified public keys
+    if (myData.contacts[toAddress].keyChange) {
+        alert('The keys of this contact have changed. Open the chat with this contact to review the change before sending.');
+        return;
+    }
+    const recipientKeys = await getContactKeys(toAddress)
+    if (!recipientKeys?.pqPublic) {
+        console.log(`no verified public key found for recipient ${toAddress}`)
+        return
     }
+    const recipientPubKey = recipientKeys.public
+    const pqRecPubKey = recipientKeys.pqPublic
 
     // Generate shared secret using ECDH and take first 32 bytes
     let dhkey = ecSharedKey(keys.secret, recipientPubKey)
@@ -2711,6 +3379,9 @@ async function handleSendAsset(event) {
         pqEncSharedKey: bin2base64(cipherText),
         sent_timestamp: getCorrectedTimestamp()
     };
+    if (requestRef) {
+        payload.envelope = encryptChacha(dhkey, stringify({ type: 'payment', ref: requestRef }));
+    }
 
     try {
 console.log('payload is', payload)
@@ -2765,6 +3436,7 @@ console.log('payload is', payload)
         // Insert the transfer message into the contact's message list, maintaining sort order
         insertSorted(myData.contacts[toAddress].messages, transferMessage, 'timestamp');
         // --------------------------------------------------------------
+        matchPaymentRequest(myData.contacts[toAddress], 'me', amount, requestRef, currentTime, response.txid);
 
         // --- Update myData.chats to reflect the new message ---
         const existingChatIndex = myData.chats.findIndex(chat => chat.address === toAddress);
@@ -2856,6 +3528,36 @@ class ContactInfoModalManager {
             document.getElementById('editContactModal').classList.remove('active');
         });
 
+        // Toll required from this contact
+        document.getElementById('contactInfoTollRequired').addEventListener('change', (e) => {
+            this.setTollRequired(Number(e.target.value));
+        });
+        document.getElementById('contactInfoBlockButton').addEventListener('click', () => {
+            const contact = myData.contacts[this.currentContactAddress];
+            if (!contact) return;
+            if (contact.tollRequired === 2) {
+                this.setTollRequired(0);
+            } else if (confirm('Block this contact? They will not be able to message you.')) {
+                this.setTollRequired(2);
+            }
+        });
+        document.getElementById('contactInfoReclaimButton').addEventListener('click', () => this.reclaimTolls());
+
+        // Read receipts for this contact
+        document.getElementById('contactInfoReadReceipts').addEventListener('change', (e) => {
+            const contact = myData.contacts[this.currentContactAddress];
+            if (!contact) return;
+            contact.readReceipts = e.target.value === 'on';
+            saveState();
+        });
+
+        // Verify button opens the safety number screen for this contact
+        document.getElementById('openVerifyContact').addEventListener('click', () => {
+            if (this.currentContactAddress) {
+                verifyContactModal.open(this.currentContactAddress);
+            }
+        });
+
         // Add chat button handler for contact info modal
         document.getElementById('contactInfoChatButton').addEventListener('click', () => {
             const addressToOpen = this.currentContactAddress;
@@ -2910,6 +3612,55 @@ class ContactInfoModalManager {
         });
     }
 
+    // Show the toll required from the contact and if they are blocked
+    updateTollStatus() {
+        const contact = myData.contacts[this.currentContactAddress];
+        const required = contact?.tollRequired ?? 1;
+        const select = document.getElementById('contactInfoTollRequired');
+        select.value = required === 0 ? '0' : '1';
+        select.disabled = required === 2;
+        document.getElementById('contactInfoBlockButton').textContent = required === 2 ? 'Unblock' : 'Block';
+        document.getElementById('contactInfoReadReceipts').value = contact?.readReceipts === false ? 'off' : 'on';
+    }
+
+    async setTollRequired(required) {
+        const address = this.currentContactAddress;
+        const contact = myData.contacts[address];
+        if (!contact) return;
+        const loadingToastId = showToast('Updating toll...', 0, 'loading');
+        const res = await postUpdateTollRequired(address, required, myAccount.keys);
+        hideToast(loadingToastId);
+        if (res?.result?.success) {
+            contact.tollRequired = required;
+            saveState();
+            const messages = ['Contact can message you without a toll', 'Contact must pay your toll', 'Contact blocked'];
+            showToast(messages[required], 2000, 'success');
+        } else {
+            showToast('Could not update toll: ' + (res?.result?.reason || 'network error'), 3000, 'error');
+        }
+        this.updateTollStatus();
+    }
+
+    async reclaimTolls() {
+        const address = this.currentContactAddress;
+        if (!address) return;
+        if (!confirm('Reclaim the tolls you paid for messages this contact did not read or reply to in a week?')) return;
+        const res = await postReclaimToll(address, myAccount.keys);
+        if (res?.result?.success) {
+            showToast('Unread tolls reclaimed', 2000, 'success');
+        } else {
+            showToast('Could not reclaim tolls: ' + (res?.result?.reason || 'network error'), 3000, 'error');
+        }
+    }
+
+    // Show if the safety number of the contact was verified
+    updateVerifiedStatus() {
+        const contact = myData.contacts[this.currentContactAddress];
+        const verified = isContactVerified(contact);
+        document.getElementById('contactInfoVerifiedBadge').style.display = verified ? 'block' : 'none';
+        document.getElementById('contactInfoVerified').textContent = verified ? 'Verified' : 'Not verified';
+    }
+
     // Set up chat button functionality
     setupChatButton(displayInfo) {
         const chatButton = document.getElementById('contactInfoChatButton');
@@ -2931,6 +3682,8 @@ class ContactInfoModalManager {
         if (contact) {
             this.updateFriendButton(contact.friend || false);
         }
+        this.updateVerifiedStatus();
+        this.updateTollStatus();
 
         this.modal.classList.add('active');
     }
@@ -3078,7 +3831,7 @@ function handleSaveEditContact() {
 // Create a singleton instance
 const contactInfoModal = new ContactInfoModalManager();
 
-function handleSignOut() {
+async function handleSignOut() {
 //    const shouldLeave = confirm('Do you want to leave this page?');
 //    if (shouldLeave == false) { return }
 
@@ -3088,8 +3841,23 @@ function handleSignOut() {
         wsManager = null;
     }
 
-    // Save myData to localStorage if it exists
-    saveState()
+    // Stop retrying queued messages; they are saved with myData and retried on next sign in
+    if (scheduleOutbox.timer) {
+        clearTimeout(scheduleOutbox.timer)
+        scheduleOutbox.timer = null
+    }
+    clearTimeout(sendSync.timer)    // pending sync changes are saved too
+    sendSync.timer = null
+    clearInterval(checkAutoLock.timer)
+    checkAutoLock.timer = null
+
+    // The service worker must not keep checking chats of a signed out account
+    navigator.serviceWorker?.ready.then(registration => {
+        registration.active?.postMessage({ type: 'stop_polling' })
+    })
+
+    // Save myData; the page is reloaded below, so wait until it is written
+    await saveState()
 /*
     if (myData && myAccount) {
         localStorage.setItem(`${myAccount.username}_${myAccount.netid}`, stringify(myData));
@@ -3118,10 +3886,14 @@ function handleSignOut() {
     
     handleSignOut.exit = true
 
+    // The page keeps running when offline, so the keys and data of the account must not stay in memory
+    clearSignedInAccount()
+
     // Add offline fallback
     if (!navigator.onLine) {
         // Just reset the UI state without clearing storage
         document.getElementById('welcomeScreen').classList.add('active');
+        handleSignOut.exit = false     // nothing is left to save
         return;
     }
 
@@ -3130,19 +3902,122 @@ function handleSignOut() {
 }
 handleSignOut.exit = false
 
-// Handle sending a message
-// The user has a chat modal open to a recipient and has typed a message anc clicked the Send button
-// The recipient account already exists in myData.contacts; it was created when the user submitted the New Chat form
-async function handleSendMessage() {
-    const sendButton = document.getElementById('handleSendMessage');
-    sendButton.disabled = true; // Disable the button
+`
+Account switching
+    The menu lists the accounts of this network with their unread counts. The data of the other accounts
+    can't be read without their passcode, so saveState keeps the unread count and chat timestamp of each
+    account in the accounts list in localStorage; the network is asked which of them got chats since.
+    Switching saves the signed in account, stops the websocket and the timers that use its data, unlocks
+    and loads the other account and subscribes to it, without reloading the page.
+`
+// The accounts of this network as saved in the accounts list
+function getAccountSummaries() {
+    const { netid } = network
+    const accounts = parse(localStorage.getItem('accounts') || '{"netids":{}}')
+    const usernames = accounts.netids[netid]?.usernames || {}
+    return Object.entries(usernames).map(([username, entry]) => ({ username, ...entry }))
+}
+
+async function switchAccount(username) {
+    if (username === myAccount.username) { return }
+    let saved
+    try {
+        saved = await getStoredAccount(`${username}_${network.netid}`)
+    } catch (error) {
+        console.error('Could not read the account data', error)
+        showToast('Could not read the account data from this browser', 3000, 'error')
+        return
+    }
+    let stored = saved?.data ?? null
+    if (!stored) {
+        showToast(`No data for ${username} in this browser`, 3000, 'error')
+        return
+    }
+    // Save with the key of this account before unlocking the other one replaces it
+    if (!await saveState()) {
+        showToast('Could not save the account data', 3000, 'error')
+        return
+    }
+    if (isEncryptedState(stored)) {
+        stored = await passcodeModal.unlock(username, stored)
+        if (stored === null) { return }    // still signed in to this account
+    } else {
+        saveState.key = null
+        saveState.salt = null
+    }
+    const data = parse(stored)
+    if (!data) {
+        // the key of the other account is in use now, so this one can't be saved anymore
+        handleSignOut.exit = true
+        window.location.reload()
+        return
+    }
+
+    stopAccount()
+    await openAccount(saved, data)
+    wsManager = new WSManager()
+    await switchView('chats')
+    processOutbox()
+    startGatewayDiscovery()
+    if (!saveState.key) { passcodeModal.open('set') }
+    startAutoLock()
+    showToast(`Signed in as ${username}`, 2000, 'success')
+}
+
+// Stop everything that uses the data of the signed in account; the state has to be saved before
+function stopAccount() {
+    if (appendChatModal.address) { closeChatModal() }
+    if (wsManager) {
+        wsManager.disconnect()
+        wsManager = null
+    }
+    clearTimeout(window.chatUpdateTimer)
+    window.chatUpdateTimer = null
+    clearTimeout(scheduleOutbox.timer)
+    scheduleOutbox.timer = null
+    clearTimeout(sendSync.timer)
+    sendSync.timer = null
+    for (const timer of Object.values(sendReadReceipt.timers)) { clearTimeout(timer) }
+    sendReadReceipt.timers = {}
+    sendReadReceipt.lastSent = {}
+    document.querySelectorAll('.modal.active').forEach(modal => modal.classList.remove('active'))
+    loadMessages.since = {}
+    saveMessages.saved = {}
+    getChats.lastCall = 0
+}
+
+// Forget the signed in account after its state was saved; the records being written were made already
+function clearSignedInAccount() {
+    stopAccount()
+    for (const url of Object.values(getAttachmentUrl.cache)) { URL.revokeObjectURL(url) }
+    getAttachmentUrl.cache = {}
+    for (const id of ['chatList', 'contactsList', 'assetsList', 'paymentRequestsList']) {
+        document.getElementById(id).innerHTML = ''
+    }
+    document.querySelector('#chatModal .messages-list').innerHTML = ''
+    myData = null
+    myAccount = null
+    saveState.key = null
+    saveState.salt = null
+    passcodeModal.stored = null
+}
+
+// Handle sending a message
+// The user has a chat modal open to a recipient and has typed a message anc clicked the Send button
+// The recipient account already exists in myData.contacts; it was created when the user submitted the New Chat form
+async function handleSendMessage() {
+    const sendButton = document.getElementById('handleSendMessage');
+    sendButton.disabled = true; // Disable the button
 
     try {
         const messageInput = document.querySelector('.message-input');
         messageInput.focus(); // Add focus back to keep keyboard open
         
         const message = messageInput.value.trim();
-        if (!message) return;
+        // attachments are uploaded by handleAttachFile before it calls this function
+        const attachments = handleSendMessage.attachments;
+        handleSendMessage.attachments = [];
+        if (!message && attachments.length === 0) return;
 
         const modal = document.getElementById('chatModal');
         //const modalTitle = modal.querySelector('.modal-title');
@@ -3163,6 +4038,20 @@ async function handleSendMessage() {
             return;
         }
 
+        // Group messages are sent to every member of the group
+        const group = myData.groups[currentAddress];
+        if (group) {
+            if (group.removed) {
+                showToast('You are no longer a member of this group', 2000, 'warning');
+                return;
+            }
+            messageInput.value = '';
+            messageInput.style.height = '44px'; // original height
+            cancelMessageCompose();
+            await sendGroupMessage(group, message);
+            return;
+        }
+
         // Get sender's keys from wallet
         const keys = myAccount.keys;
         if (!keys) {
@@ -3170,62 +4059,22 @@ async function handleSendMessage() {
             return;
         }
 
-        ///yyy
-        // Get recipient's public key from contacts
-        let recipientPubKey = myData.contacts[currentAddress]?.public;
-        let pqRecPubKey = myData.contacts[currentAddress]?.pqPublic;
-        if (!recipientPubKey || !pqRecPubKey) {
-            const recipientInfo = await queryNetwork(`/account/${longAddress(currentAddress)}`)
-            if (!recipientInfo?.account?.publicKey){
-                console.log(`no public key found for recipient ${currentAddress}`)
-                return
-            }
-            recipientPubKey = recipientInfo.account.publicKey
-            myData.contacts[currentAddress].public = recipientPubKey
-            pqRecPubKey = recipientInfo.account.pqPublicKey
-            myData.contacts[currentAddress].pqPublic = pqRecPubKey
-        }
-
-        // Generate shared secret using ECDH and take first 32 bytes
-        let dhkey = ecSharedKey(keys.secret, recipientPubKey)
-        const { cipherText, sharedSecret } = pqSharedKey(pqRecPubKey)
-        const combined = new Uint8Array(dhkey.length + sharedSecret.length)
-        combined.set(dhkey)
-        combined.set(sharedSecret, dhkey.length)
-        dhkey = blake.blake2b(combined, myHashKey, 32)
+        // Editing one of our messages sends an update instead of a new message
+        if (handleSendMessage.editing) {
+            const ref = handleSendMessage.editing;
+            cancelMessageCompose();
+            messageInput.value = '';
+            messageInput.style.height = '44px'; // original height
+            await sendMessageUpdate(currentAddress, { type: 'edit', ref, text: message });
+            return;
+        }
+        const envelope = handleSendMessage.replyTo ? { type: 'reply', ref: handleSendMessage.replyTo } : null;
 
-        // We purposely do not encrypt/decrypt using browser native crypto functions; all crypto functions must be readable
-        // Encrypt message using shared secret
-        const encMessage = encryptChacha(dhkey, message)
-
-        // Create message payload
-        const payload = {
-            message: encMessage,
-            encrypted: true,
-            encryptionMethod: 'xchacha20poly1305',
-            pqEncSharedKey: bin2base64(cipherText),
-            sent_timestamp: getCorrectedTimestamp()
-        };
+        const toll = await getTollToPay(currentAddress);
+        if (toll === null) return;
 
-        // Always include username, but only include other info if recipient is a friend
-        const contact = myData.contacts[currentAddress];
-        // Create basic sender info with just username
-        const senderInfo = {
-            username: myAccount.username
-        };
-        
-        // Add additional info only if recipient is a friend
-        if (contact && contact.friend) {
-            // Add more personal details for friends
-            senderInfo.name = myData.account.name;
-            senderInfo.email = myData.account.email;
-            senderInfo.phone = myData.account.phone;
-            senderInfo.linkedin = myData.account.linkedin;
-            senderInfo.x = myData.account.x;
-        }
-        
-        // Always encrypt and send senderInfo (which will contain at least the username)
-        payload.senderInfo = encryptChacha(dhkey, stringify(senderInfo));
+        const payload = await createChatPayload(currentAddress, message, { attachments, envelope });
+        if (!payload) return;
 
         // --- Optimistic UI Update ---
         // Create new message object for local display immediately
@@ -3234,8 +4083,10 @@ async function handleSendMessage() {
             timestamp: payload.sent_timestamp,
             sent_timestamp: payload.sent_timestamp,
             my: true,
-            //status: 'sending' // Add a temporary status
+            status: 'sending'
         };
+        if (attachments.length > 0) { newMessage.attachments = attachments }
+        if (envelope) { newMessage.replyTo = envelope.ref }
         insertSorted(chatsData.contacts[currentAddress].messages, newMessage, 'timestamp');
 
         // Update or add to chats list, maintaining chronological order
@@ -3255,6 +4106,7 @@ async function handleSendMessage() {
         // Clear input and reset height
         messageInput.value = '';
         messageInput.style.height = '44px'; // original height
+        cancelMessageCompose();
 
         // Update the chat modal UI immediately
         appendChatModal() // This should now display the 'sending' message
@@ -3263,38 +4115,11 @@ async function handleSendMessage() {
         messagesList.parentElement.scrollTop = messagesList.parentElement.scrollHeight;
         // --- End Optimistic UI Update ---
 
-        //console.log('payload is', payload)
-        // Send the message transaction using postChatMessage with default toll of 1
-        const response = await postChatMessage(currentAddress, payload, 1, keys);
-
-        // Find the message we just added optimistically
-/*         const optimisticallyAddedMessage = chatsData.contacts[currentAddress].messages.find(
-            msg => msg.sent_timestamp === newMessage.sent_timestamp && msg.my === true && msg.status === 'sending'
-        ); */
-        
-        //TODO: UI update to show sent message was sent or failed
-        // will have to delete message from the places we added it to
-        if (!response || !response.result || !response.result.success) {
-            console.log('message failed to send', response)
-/*              // Handle failure: Update message status
-            if (optimisticallyAddedMessage) {
-                optimisticallyAddedMessage.status = 'failed';
-                // Optionally add error reason: optimisticallyAddedMessage.error = response.result?.reason || 'Unknown error';
-            }
-            // Update the UI again to show the failure state
-            appendChatModal();
-            alert('Message failed to send: ' + (response.result?.reason || 'Unknown error'));
-            // Note: Button is re-enabled in finally block, which is correct.
-            return; // Stop further processing on failure */
-        }
-
-        // --- Update message status on successful send ---
-/*         if (optimisticallyAddedMessage) {
-            optimisticallyAddedMessage.status = 'sent'; // Or 'delivered' if you get confirmation
-            // Update the UI to reflect the 'sent' status if needed (e.g., remove 'sending' indicator)
-             appendChatModal(); // Refresh UI to potentially change message style based on 'sent' status
-        } */
-        // --- End Status Update ---
+        // Queue the message in the outbox and try to send it right away with the toll required by the recipient;
+        //   if the gateway cannot be reached the outbox keeps retrying it with backoff
+        const outboxItem = addToOutbox(currentAddress, payload, toll);
+        await deliverOutboxItem(outboxItem);
+        saveState();
     } catch (error) {
         console.error('Message error:', error);
         alert('Failed to send message. Please try again.');
@@ -3302,3133 +4127,6161 @@ async function handleSendMessage() {
         sendButton.disabled = false; // Re-enable the button
     }
 }
+handleSendMessage.attachments = []
+handleSendMessage.replyTo = null    // txid of the message being replied to
+handleSendMessage.editing = null    // txid of our message being edited
 
-async function handleClickToCopy(e) {
-    const messageEl = e.target.closest('.message');
-    if (!messageEl) return;
-
-    let textToCopy = null;
-    let contentType = 'Text'; // Default content type for toast
-
-    // Check if it's a payment message
-    if (messageEl.classList.contains('payment-info')) {
-        const paymentMemoEl = messageEl.querySelector('.payment-memo');
-        if (paymentMemoEl) {
-            textToCopy = paymentMemoEl.textContent;
-            contentType = 'Memo'; // Update type for toast
-        } else {
-             // No memo element found in this payment block
-             showToast('No memo to copy', 2000, 'info');
-             return;
-        }
-    } else {
-        // It's a regular chat message
-        const messageContentEl = messageEl.querySelector('.message-content');
-        if (messageContentEl) {
-            textToCopy = messageContentEl.textContent;
-            contentType = 'Message'; // Update type for toast
-        }
-         else {
-             // Should not happen for regular messages, but handle gracefully
-             showToast('No content to copy', 2000, 'info');
-             return;
-         }
+// Build the encrypted payload of a chat message to the contact; returns null if it can't be encrypted
+async function createChatPayload(currentAddress, message, { attachments = [], envelope = null } = {}) {
+    const keys = myAccount.keys;
+    // Get recipient's verified public keys; don't send if they changed until the user accepts the change
+    if (myData.contacts[currentAddress].keyChange) {
+        alert('The keys of this contact have changed. Review the warning above the messages before sending.');
+        return null;
     }
-
-    // Proceed with copying if text was found
-    if (textToCopy && textToCopy.trim()) {
-        try {
-            await navigator.clipboard.writeText(textToCopy.trim());
-            showToast(`${contentType} copied to clipboard`, 2000, 'success');
-        } catch (err) {
-            console.error('Failed to copy:', err);
-            showToast(`Failed to copy ${contentType.toLowerCase()}`, 2000, 'error');
-        }
-    } else if (contentType === 'Memo'){
-        // Explicitly handle the case where memo exists but is empty/whitespace
-        showToast('Memo is empty', 2000, 'info');
+    const recipientKeys = await getContactKeys(currentAddress)
+    if (!recipientKeys?.pqPublic) {
+        console.log(`no verified public key found for recipient ${currentAddress}`)
+        return null
     }
-     // No need for an else here, cases with no element are handled above
-}
+    const recipientPubKey = recipientKeys.public
+    const pqRecPubKey = recipientKeys.pqPublic
 
-// Update wallet view; refresh wallet
-async function updateWalletView() {
-    const walletData = myData.wallet
-    
+    const contact = myData.contacts[currentAddress];
 
+    // Generate shared secret using ECDH and take first 32 bytes
+    let dhkey = ecSharedKey(keys.secret, recipientPubKey)
+    const { cipherText, sharedSecret } = pqSharedKey(pqRecPubKey)
+    // Add the ephemeral ECDH secret if we have a forward secret session with the contact
+    const ratchet = myData.settings.forwardSecrecy === true ? ratchetEncrypt(contact) : null
+    const parts = ratchet?.ephemeralKey ? [dhkey, ratchet.ephemeralKey, sharedSecret] : [dhkey, sharedSecret]
+    const combined = new Uint8Array(parts.reduce((len, part) => len + part.length, 0))
+    parts.reduce((offset, part) => { combined.set(part, offset); return offset + part.length }, 0)
+    dhkey = blake.blake2b(combined, myHashKey, 32)
 
-    await updateWalletBalances()
+    // We purposely do not encrypt/decrypt using browser native crypto functions; all crypto functions must be readable
+    // Encrypt message using shared secret
+    const encMessage = encryptChacha(dhkey, message)
 
-    // Update total networth
-    document.getElementById('walletTotalBalance').textContent = (walletData.networth || 0).toFixed(2);
-    
-    // Update assets list
-    const assetsList = document.getElementById('assetsList');
+    // Create message payload
+    const payload = {
+        message: encMessage,
+        encrypted: true,
+        encryptionMethod: ratchet?.ephemeralKey ? 'xchacha20poly1305-ratchet' : 'xchacha20poly1305',
+        pqEncSharedKey: bin2base64(cipherText),
+        sent_timestamp: getCorrectedTimestamp()
+    };
+    if (ratchet) { Object.assign(payload, ratchet.fields) }
+
+    // Always include username, but only include other info if recipient is a friend
+    // Create basic sender info with just username
+    const senderInfo = {
+        username: myAccount.username
+    };
     
-    if (!Array.isArray(walletData.assets) || walletData.assets.length === 0) {
-        assetsList.innerHTML = `
-            <div class="empty-state">
-                <div style="font-size: 2rem; margin-bottom: 1rem"></div>
-                <div style="font-weight: bold; margin-bottom: 0.5rem">No Assets Yet</div>
-                <div>Your assets will appear here</div>
-            </div>`;
-        return;
+    // Add additional info only if recipient is a friend
+    if (contact && contact.friend) {
+        // Add more personal details for friends
+        senderInfo.name = myData.account.name;
+        senderInfo.email = myData.account.email;
+        senderInfo.phone = myData.account.phone;
+        senderInfo.linkedin = myData.account.linkedin;
+        senderInfo.x = myData.account.x;
     }
     
-    assetsList.innerHTML = walletData.assets.map(asset => {
-console.log('asset balance', asset, asset.balance)
-        return `
-            <div class="asset-item">
-                <div class="asset-logo"><img src="./media/liberdus_logo_50.png" class="asset-logo"></div>
-                <div class="asset-info">
-                    <div class="asset-name">${asset.name}</div>
-                    <div class="asset-symbol">$${asset.price} / ${asset.symbol}</div>
-                </div>
-                <div class="asset-balance">${(Number(asset.balance)/Number(wei)).toPrecision(4)}<br><span class="asset-symbol">$${asset.networth}</span></div>
-            </div>
-        `;
-    }).join('');
-}
+    // Always encrypt and send senderInfo (which will contain at least the username)
+    payload.senderInfo = encryptChacha(dhkey, stringify(senderInfo));
 
-async function updateAssetPricesIfNeeded() {
-    if (!myData || !myData.wallet || !myData.wallet.assets) {
-        console.error('No wallet data available to update asset prices');
-        return;
+    // The file keys are wrapped with the message key so only the recipient can open the files
+    if (attachments.length > 0) {
+        payload.attachments = encryptChacha(dhkey, stringify(attachments));
     }
 
-    const now = getCorrectedTimestamp();
-    const priceUpdateInterval = 10 * 60 * 1000; // 10 minutes in milliseconds
+    // Replies, reactions, edits and deletes; older clients ignore this and show the message text
+    if (envelope) {
+        payload.envelope = encryptChacha(dhkey, stringify(envelope));
+    }
+    return payload
+}
 
-    if (now - myData.wallet.priceTimestamp < priceUpdateInterval){ return }
+`
+Outbox of chat messages that have not been confirmed on the network yet
+    Each item in myData.outbox has the encrypted payload that was (or will be) sent so that
+    it can be injected again without having to encrypt the message again.
+        { address, sent_timestamp, payload, toll, tx, attempts, nextAttempt, txid, failed, reason }
+    The message tx is signed once, on the first attempt, and kept in item.tx; retries, also after a
+    restart, inject that same tx. A gateway may have taken it even though the response was lost, so
+    before sending it again the receipt of its txid is checked; the network has a tx only once, so the
+    message is never sent and the toll never paid twice. A tx the network rejected is dropped and a
+    new one is signed if the user resends the message.
+    The status of the message in contact.messages follows the outbox item:
+        sending   - not yet accepted by a gateway; network errors are retried with backoff
+        sent      - accepted by a gateway (item.txid is set); waiting for the receipt
+        confirmed - the receipt shows the tx was applied; the item is removed from the outbox
+        failed    - rejected by the network or out of retries; user can resend or discard
+    Items for group messages, reactions, edits and deletes are not shown as a message, so they are
+    removed from the outbox when they fail instead of waiting for the user.
+`
+const outboxRetryDelay = 5000               // in milliseconds; doubled after every failed attempt
+const outboxRetryDelayMax = 5 * 60 * 1000   // in milliseconds
+const outboxMaxAttempts = 10
+const outboxReceiptTimeout = 24 * 60 * 60 * 1000   // stop checking for a receipt after one day
+
+function addToOutbox(address, payload, toll) {
+    if (!myData.outbox) { myData.outbox = [] }
+    const item = {
+        address,
+        sent_timestamp: payload.sent_timestamp,
+        payload,
+        toll,
+        tx: null,
+        attempts: 0,
+        nextAttempt: 0,
+        txid: null,
+        failed: false,
+    }
+    myData.outbox.push(item)
+    return item
+}
+
+function removeFromOutbox(item) {
+    const index = myData.outbox.indexOf(item)
+    if (index !== -1) { myData.outbox.splice(index, 1) }
+}
+
+// Find the message in contact.messages that corresponds to the outbox item
+function findOutboxMessage(item) {
+    const contact = myData.contacts[item.address]
+    if (!contact || !contact.messages) { return null }
+    return contact.messages.find(msg => msg.my && msg.sent_timestamp === item.sent_timestamp && msg.amount === undefined)
+}
+
+// Update the status of the message shown for the outbox item and refresh the chat modal if it is open
+function setOutboxMessageStatus(item, status) {
+    const msg = findOutboxMessage(item)
+    if (!msg) {
+        // group messages, reactions, edits and deletes have no message of their own that could be resent or
+        // discarded, so they are dropped when they fail
+        if (status === 'failed') { removeFromOutbox(item) }
+        return
+    }
+    msg.status = status
+    if (item.txid) { msg.txid = item.txid }
+    if (status === 'failed' && item.reason) { msg.error = item.reason } else { delete msg.error }
+    const chatModalActive = document.getElementById('chatModal')?.classList.contains('active');
+    if (chatModalActive && appendChatModal.address === item.address) {
+        appendChatModal()
+    }
+}
 
-    for (let i = 0; i < myData.wallet.assets.length; i++) {
-        const asset = myData.wallet.assets[i];
-        const contractAddress = '0x' + asset.contract;
-        const apiUrl = `https://api.dexscreener.com/latest/dex/search?q=${contractAddress}`;
-        try {
-            const response = await fetch(apiUrl);
-            if (!response.ok) {
-                console.error(`API request failed for ${asset.symbol} with status ${response.status}`);
-                continue; // Skip to the next asset
-            }
-            const data = await response.json();
-            if (data.pairs && data.pairs.length > 0 && data.pairs[0].priceUsd) {
-                asset.price = parseFloat(data.pairs[0].priceUsd);
-//                asset.lastPriceUpdate = now;
-//                myData.wallet.assets[i] = asset; // Update the asset in the array
-                myData.wallet.priceTimestamp = now
-                console.log(`Updated price of ${asset.symbol} to ${asset.price}`);
-console.log(JSON.stringify(data,null,4))
+// Send an outbox item once; deliverOutboxItem.inFlight has the items that are being sent right now
+async function deliverOutboxItem(item) {
+    const delivery = sendOutboxItem(item)
+    deliverOutboxItem.inFlight.set(item, delivery)
+    try {
+        await delivery
+    } finally {
+        deliverOutboxItem.inFlight.delete(item)
+    }
+}
+deliverOutboxItem.inFlight = new Map()   // outbox item -> promise that resolves when the attempt is done
+
+async function sendOutboxItem(item) {
+    item.attempts += 1
+    let response
+    if (!item.tx) {
+        item.tx = await createChatMessageTx(item.address, item.payload, item.toll, myAccount.keys)
+        saveState()     // keep the tx before it is sent, so it is the one sent again after a restart
+        response = await injectSignedTx(item.tx, messageTxid(item.tx))
+    } else if (isOnline) {
+        const txid = messageTxid(item.tx)
+        const receipt = await queryNetwork(`/old_receipt/${txid}`)
+        // the network already has the tx from an attempt whose response was lost
+        response = receipt?.transaction ? { result: { success: true }, txid } : await injectSignedTx(item.tx, txid)
+    }
+    if (response && response.result && response.result.success) {
+        item.txid = response.txid
+        item.sentAt = getCorrectedTimestamp()
+        setOutboxMessageStatus(item, 'sent')
+    } else if (response && response.result) {
+        // The gateway rejected the tx; sending it again will not help until the user does something
+        console.log('message failed to send', response)
+        item.tx = null
+        item.failed = true
+        item.reason = response.result.reason || 'Unknown error'
+        setOutboxMessageStatus(item, 'failed')
+        showToast('Message failed to send: ' + item.reason, 3000, 'error');
+    } else if (item.attempts >= outboxMaxAttempts) {
+        console.log('message failed to send after', item.attempts, 'attempts')
+        item.failed = true
+        item.reason = 'Could not reach the network'
+        setOutboxMessageStatus(item, 'failed')
+        showToast('Message failed to send: ' + item.reason, 3000, 'error');
+    } else {
+        // Network or gateway error; try again later with exponential backoff
+        const delay = Math.min(outboxRetryDelayMax, outboxRetryDelay * Math.pow(2, item.attempts - 1))
+        item.nextAttempt = getCorrectedTimestamp() + delay
+        console.log(`message could not be sent; retry ${item.attempts}/${outboxMaxAttempts} in ${delay}ms`)
+    }
+    scheduleOutbox()
+}
+
+// Send messages that are due for a retry and check the receipts of the ones that were sent
+async function processOutbox() {
+    if (!myData || !myAccount || !myData.outbox || myData.outbox.length === 0) { return }
+    if (processOutbox.running) { return }
+    processOutbox.running = true
+    try {
+        const now = getCorrectedTimestamp()
+        for (const item of [...myData.outbox]) {
+            if (item.failed) { continue }
+            if (!item.txid) {
+                if (!isOnline || item.nextAttempt > now) { continue }
+                await deliverOutboxItem(item)
             } else {
-                console.warn(`No price data found for ${asset.symbol} from API`);
+                await checkOutboxReceipt(item)
             }
-        } catch (error) {
-            console.error(`Failed to update price for ${asset.symbol}`, error);
         }
+    } finally {
+        processOutbox.running = false
     }
+    scheduleOutbox()
 }
+processOutbox.running = false
 
-function openHistoryModal() {
-    // remove notification from wallet-action-button if it is active
-    if (document.getElementById('openHistoryModal').classList.contains('has-notification')) {
-        document.getElementById('openHistoryModal').classList.remove('has-notification');
+async function checkOutboxReceipt(item) {
+    const res = await queryNetwork(`/old_receipt/${item.txid}`)
+    if (res?.transaction?.success === true) {
+        removeFromOutbox(item)
+        setOutboxMessageStatus(item, 'confirmed')
+    } else if (res?.transaction?.success === false) {
+        item.tx = null
+        item.failed = true
+        item.reason = res.transaction.reason || 'Rejected by the network'
+        setOutboxMessageStatus(item, 'failed')
+    } else if (getCorrectedTimestamp() - (item.sentAt || item.sent_timestamp) > outboxReceiptTimeout) {
+        // No receipt available; leave the message as sent and stop tracking it
+        removeFromOutbox(item)
     }
+}
 
-    const modal = document.getElementById('historyModal');
-    modal.classList.add('active');
-    
-    // Get wallet data
-    const walletData = myData.wallet
-
-    const assetSelect = document.getElementById('historyAsset');
-    
-    // Check if we have any assets
-    if (!walletData.assets || walletData.assets.length === 0) {
-        assetSelect.innerHTML = '<option value="">No assets available</option>';
-        return
+function scheduleOutbox() {
+    if (scheduleOutbox.timer) {
+        clearTimeout(scheduleOutbox.timer)
+        scheduleOutbox.timer = null
     }
-    // Populate assets dropdown
-    assetSelect.innerHTML = walletData.assets.map((asset, index) =>
-        `<option value="${index}">${asset.name} (${asset.symbol})</option>`
-    ).join('');
-
-    // Update addresses for first asset
-    updateHistoryAddresses();
+    const pending = (myData?.outbox || []).filter(item => !item.failed)
+    if (pending.length === 0) { return }
+    const now = getCorrectedTimestamp()
+    // Messages waiting for a receipt are checked at the chatting poll rate
+    const nextAttempt = Math.min(...pending.map(item => item.txid ? now + pollIntervalChatting : item.nextAttempt))
+    scheduleOutbox.timer = setTimeout(processOutbox, Math.max(1000, nextAttempt - now))
+}
+scheduleOutbox.timer = null
+
+// Send a failed message again using the payload saved in the outbox
+async function resendOutboxMessage(address, sentTimestamp) {
+    const item = myData.outbox?.find(i => i.address === address && i.sent_timestamp === sentTimestamp)
+    if (!item) { return }
+    item.failed = false
+    item.reason = null
+    item.attempts = 0
+    item.nextAttempt = 0
+    item.txid = null
+    setOutboxMessageStatus(item, 'sending')
+    await deliverOutboxItem(item)
+    saveState()
 }
 
-function closeHistoryModal() {
-    document.getElementById('historyModal').classList.remove('active');
-    document.getElementById('openHistoryModal').classList.remove('has-notification');
-    document.getElementById('switchToWallet').classList.remove('has-notification');
+// Remove a failed message from the outbox and from the chat
+function discardOutboxMessage(address, sentTimestamp) {
+    const item = myData.outbox?.find(i => i.address === address && i.sent_timestamp === sentTimestamp)
+    if (item) { removeFromOutbox(item) }
+    const contact = myData.contacts[address]
+    if (contact) {
+        const index = contact.messages.findIndex(msg => msg.my && msg.sent_timestamp === sentTimestamp && msg.amount === undefined)
+        if (index !== -1) { contact.messages.splice(index, 1) }
+    }
+    if (appendChatModal.address === address) {
+        appendChatModal()
+    }
+    saveState()
 }
 
-function updateHistoryAddresses() {         // TODO get rid of this function after changing all refrences 
-    // Update transaction history
-    updateTransactionHistory();
+// Handle the Resend and Discard buttons shown on failed messages and the buttons of payment requests
+async function handleMessageAction(e) {
+    const button = e.target.closest('.message-action');
+    if (!button) return;
+    e.stopPropagation();
+    const messageEl = button.closest('.message');
+    const sentTimestamp = Number(messageEl?.dataset.messageTimestamp);
+    const address = appendChatModal.address;
+    if (!address || !sentTimestamp) return;
+    if (button.dataset.action === 'resend') {
+        await resendOutboxMessage(address, sentTimestamp);
+    } else if (button.dataset.action === 'discard') {
+        if (confirm('Discard this message?')) {
+            discardOutboxMessage(address, sentTimestamp);
+        }
+    } else if (button.dataset.action === 'retract') {
+        await retractMessage(address, sentTimestamp);
+    } else if (button.dataset.action === 'pay') {
+        payPaymentRequest(address, messageEl.dataset.messageId);
+    } else if (button.dataset.action === 'decline') {
+        await declinePaymentRequest(address, messageEl.dataset.messageId);
+    }
 }
 
-async function updateTransactionHistory() { 
-    await updateChatList();
+`
+Retracting messages
+    The sender can retract a message that was not read yet within retractWindow of sending it. The network
+    removes it from the chat, but the recipient may have downloaded it already; when their client sees the
+    retract tx it replaces the message with a note that it was unsent. This is not a guarantee that the
+    recipient did not see the message.
+`
+const retractWindow = 60 * 1000   // in milliseconds
 
-    const walletData = myData.wallet
+function canRetract(item, contact) {
+    return item.my && !item.retracted && !item.deleted && typeof item.amount !== 'bigint' &&
+        item.status !== 'failed' &&
+        getCorrectedTimestamp() - item.sent_timestamp < retractWindow &&
+        item.sent_timestamp > (contact.theirRead || 0)
+}
 
-    const assetIndex = document.getElementById('historyAsset').value;
-    const transactionList = document.getElementById('transactionList');
+function tombstoneMessage(item) {
+    item.retracted = true
+    item.message = ''
+    delete item.attachments
+    delete item.reactions
+    delete item.paymentRequest
+}
 
-    // Check if we have any assets
-    if (!walletData.assets || walletData.assets.length === 0) {
-        transactionList.innerHTML = `
-            <div class="empty-state">
-                <div style="font-size: 2rem; margin-bottom: 1rem"></div>
-                <div style="font-weight: bold; margin-bottom: 0.5rem">No Transactions</div>
-                <div>Your transaction history will appear here</div>
-            </div>`;
-        return;
+async function retractMessage(address, sentTimestamp) {
+    const contact = myData.contacts[address]
+    const item = contact?.messages.find(m => m.my && m.sent_timestamp === sentTimestamp && m.amount === undefined)
+    if (!item || !canRetract(item, contact)) {
+        showToast('This message can no longer be unsent', 2000, 'warning')
+        appendChatModal()
+        return
     }
+    if (!confirm('Unsend this message? The recipient may have already downloaded it.')) { return }
+    const outboxItem = myData.outbox?.find(i => i.address === address && i.sent_timestamp === sentTimestamp)
+    // a message that is being sent may still get to the network, so wait for it and retract the tx
+    if (!item.txid && deliverOutboxItem.inFlight.has(outboxItem)) {
+        await deliverOutboxItem.inFlight.get(outboxItem).catch(() => {})
+    }
+    // a message the network has not accepted yet only needs to be taken out of the outbox
+    if (!item.txid) {
+        discardOutboxMessage(address, sentTimestamp)
+        return
+    }
+    const res = await postRetractMessage(address, item.txid, myAccount.keys)
+    if (res?.result?.success) {
+        if (outboxItem) { removeFromOutbox(outboxItem) }
+        tombstoneMessage(item)
+        appendChatModal()
+        saveState()
+        showToast('Message unsent', 2000, 'success')
+    } else {
+        showToast('Could not unsend: ' + (res?.result?.reason || 'network error'), 3000, 'error')
+    }
+}
 
-    const asset = walletData.assets[assetIndex];
-    const contacts = myData.contacts
-
-    transactionList.innerHTML = walletData.history.map(tx => `
-        <div class="transaction-item" data-address="${tx.address}">
-            <div class="transaction-info">
-                <div class="transaction-type ${tx.sign === -1 ? 'send' : 'receive'}">
-                    ${tx.sign === -1 ? '↑ Sent' : '↓ Received'}
-                </div>
-                <div class="transaction-amount">
-                    ${tx.sign === -1 ? '-' : '+'} ${(Number(tx.amount)/Number(wei)).toPrecision(4)} ${asset.symbol}
-                </div>
-            </div>
-            <div class="transaction-details">
-                <div class="transaction-address">
-                    ${tx.sign === -1 ? 'To:' : 'From:'} ${contacts[tx.address]?.name || contacts[tx.address]?.senderInfo?.name || contacts[tx.address]?.username || `${contacts[tx.address]?.address.slice(0,8)}...${contacts[tx.address]?.address.slice(-6)}`}
-                </div>
-                <div class="transaction-time">${formatTime(tx.timestamp)}</div>
-            </div>
-            ${tx.memo ? `<div class="transaction-memo">${linkifyUrls(tx.memo)}</div>` : ''}
-        </div>
-    `).join('');
-
-    // Scroll the form container to top after rendering
-    requestAnimationFrame(() => {
-        const modal = document.getElementById('historyModal');
-        const formContainer = modal?.querySelector('.form-container'); // Find the form container within the modal
-        if (formContainer) {
-            formContainer.scrollTop = 0;
+// Count down the time left to unsend recent messages in the chat modal
+function startRetractCountdowns() {
+    if (startRetractCountdowns.timer) { return }
+    const update = () => {
+        const buttons = document.querySelectorAll('#chatModal .retract-countdown')
+        const now = getCorrectedTimestamp()
+        for (const button of buttons) {
+            const secondsLeft = Math.ceil((Number(button.dataset.expires) - now) / 1000)
+            if (secondsLeft > 0) {
+                button.textContent = `Unsend ${secondsLeft}s`
+            } else {
+                button.remove()
+            }
         }
-    });
+        if (buttons.length === 0) {
+            clearInterval(startRetractCountdowns.timer)
+            startRetractCountdowns.timer = null
+        }
+    }
+    update()
+    startRetractCountdowns.timer = setInterval(update, 1000)
 }
+startRetractCountdowns.timer = null
 
-// Handle clicks on transaction history items
-function handleHistoryItemClick(event) {
-    // Find the closest ancestor element with the class 'transaction-item'
-    const item = event.target.closest('.transaction-item');
+`
+Group chats
+    The network only has 1:1 chats, so a group message is sent as a separate chat message to every member.
+    Each group has a random key that the admin sends to the members in a group_key envelope; the envelope is
+    encrypted with the 1:1 message key like any other, so only the members get the group key. The text of a
+    group message is encrypted with the group key and tagged with the group id and the key version.
+        myData.groups[id] = { id, name, admin, members, keys: { version: key }, keyVersion, messages,
+                              timestamp, unread, removed }
+    Envelopes used by groups:
+        { type: 'group_key', group: { id, name, admin, members, keyVersion, key } }   from the admin
+        { type: 'group', groupId, keyVersion, body }   body is { message } encrypted with the group key
+        { type: 'group_remove', groupId }              from the admin; we are no longer a member
+        { type: 'group_leave', groupId }               to the admin from a member that left
+    Only the admin can change the members. Every change makes a new key which is only sent to the members
+    that remain, so a removed member cannot read messages sent after they were removed. Old keys are kept
+    to read messages that were sent before the change but arrive after it. The text of the 1:1 message
+    of a group message is only groupFallbackText, so the group text is never outside the group key.
+`
+const maxGroupPending = 200     // messages kept while waiting for the key they were sent with
+const groupFallbackText = 'Group message; update your app to read it'
 
-    if (item) {
-        // Get the address from the data-address attribute
-        const address = item.dataset.address;
-        if (address) {
-            // close contactInfoModal if it is open
-            if (document.getElementById('contactInfoModal').classList.contains('active')) {
-                document.getElementById('contactInfoModal').classList.remove('active');
-            }
+function isGroupId(id) {
+    return !!myData?.groups?.[id]
+}
 
-            // Close the history modal
-            closeHistoryModal();
-            // Open the chat modal for the corresponding address
-            openChatModal(address);
-        }
-    }
+function groupMemberName(address) {
+    if (address === myAccount.keys.address) { return 'You' }
+    const contact = myData.contacts[address]
+    return contact?.name || contact?.senderInfo?.name || contact?.username || `${address.slice(0,8)}...${address.slice(-6)}`
 }
 
-async function queryNetwork(url) {
-//console.log('query', url)
-    if (!await checkOnlineStatus()) {
-//TODO show user we are not online
-        console.warn("not online")
-        //alert('not online')
-        return null 
-    }
-    const randomGateway = getGatewayForRequest();
-    if (!randomGateway) {
-        console.error('No gateway available for network query');
-        return null;
-    }
-    
-    try {
-        const response = await fetch(`${randomGateway.protocol}://${randomGateway.host}:${randomGateway.port}${url}`);
-        console.log('query', `${randomGateway.protocol}://${randomGateway.host}:${randomGateway.port}${url}`)
-        const data = await response.json();
-        console.log('response', data)
-        return data
-    } catch (error) {
-        console.error(`Error fetching balance for address ${addr.address}:`, error);
-        return null
-    }
+// Look up the address of a username on the network; returns null if it is not found
+async function getUsernameAddress(username) {
+    const usernameHash = blake.blake2bHex(utf82bin(normalizeUsername(username)), myHashKey, 32)
+    const data = await queryNetwork(`/address/${usernameHash}`)
+    return data?.address ? normalizeAddress(data.address) : null
 }
 
-async function pollChatInterval(milliseconds) {
-    pollChats.nextPoll = milliseconds
-    pollChats()
+function updateGroupChat(group) {
+    const chatUpdate = { address: group.id, timestamp: group.messages[0]?.timestamp || group.timestamp }
+    const existingChatIndex = myData.chats.findIndex(chat => chat.address === group.id)
+    if (existingChatIndex !== -1) { myData.chats.splice(existingChatIndex, 1) }
+    insertSorted(myData.chats, chatUpdate, 'timestamp')
 }
 
-// Called every 30 seconds if we are online and not subscribed to WebSocket
-async function pollChats() {
-    
-    // Step 2: variable to check if we are subscribed to WebSocket
-    const isSubscribed = wsManager && wsManager.subscribed && wsManager.isSubscribed();
-    
-    // Step 3: Poll if we are not subscribed to WebSocket
-    if (!isSubscribed) {
-        // Skip if no valid account
-        if (!myAccount?.keys?.address) {
-            console.log('Poll skipped: No valid account');
-            return;
-        }
+// Add a line like "Alice joined" to the group messages
+function addGroupNotice(group, message, timestamp) {
+    insertSorted(group.messages, { message, timestamp, sent_timestamp: timestamp, my: false, notice: true }, 'timestamp')
+}
 
-        try {
-            const gotChats = await updateChatData();
-            if (gotChats > 0) {
-                await updateChatList();
-            }
+function inActiveGroupChat(groupId) {
+    return appendChatModal.address === groupId && document.getElementById('chatModal')?.classList.contains('active')
+}
 
-            if (document.getElementById('walletScreen')?.classList.contains('active')) {
-                await updateWalletView();
-            }
+// Send the envelope to each of the addresses as a 1:1 message; returns the number that could not be sent
+async function sendGroupEnvelope(addresses, envelope, fallbackText) {
+    let failed = 0
+    for (const address of addresses) {
+        if (address === myAccount.keys.address) { continue }
+        try {
+            if (!myData.contacts[address]) { createNewContact(address) }
+            const theirToll = await getTheirToll(address)
+            if (!theirToll || theirToll.required === 2) { failed += 1; continue }   // toll not known or this member blocked us
+            const toll = theirToll.required === 1 ? theirToll.toll : 0n
+            if (myData.contacts[address].keyChange) { failed += 1; continue }
+            const payload = await createChatPayload(address, fallbackText, { envelope })
+            if (!payload) { failed += 1; continue }
+            const outboxItem = addToOutbox(address, payload, toll)
+            await deliverOutboxItem(outboxItem)
+            if (outboxItem.failed) { failed += 1 }
         } catch (error) {
-            console.error('Chat polling error:', error);
+            console.error('group envelope not sent to', address, error)
+            failed += 1
         }
+    }
+    return failed
+}
 
-        scheduleNextPoll();
-    } else if (window.chatUpdateTimer) {
-        // Clear polling if WebSocket is subscribed
-        clearTimeout(window.chatUpdateTimer);
-        window.chatUpdateTimer = null;
-        console.log('Poll status: Stopped - WebSocket subscribed');
+function newGroupKey(group) {
+    group.keyVersion = (group.keyVersion || 0) + 1
+    group.keys[group.keyVersion] = bin2base64(randomBytes(32))
+}
+
+// Send the current key and members to all members; the admin calls this after every change
+async function distributeGroupKey(group) {
+    const envelope = {
+        type: 'group_key',
+        group: {
+            id: group.id,
+            name: group.name,
+            admin: group.admin,
+            members: group.members,
+            keyVersion: group.keyVersion,
+            key: group.keys[group.keyVersion],
+        }
+    }
+    const failed = await sendGroupEnvelope(group.members, envelope, `Added you to the group ${group.name}`)
+    if (failed > 0) {
+        showToast(`The group key could not be sent to ${failed} member${failed > 1 ? 's' : ''}`, 3000, 'warning')
     }
-    
-    const wsStatus = await checkWebSocketStatus();
-    // Step 4: Log final status
-    const pollStatus = {
-        wsStatus,
-        accountValid: Boolean(myAccount?.keys?.address),
-        subscriptionStatus: isSubscribed ? 'subscribed' : 'not subscribed',
-        pollingStatus: window.chatUpdateTimer ? 'polling' : 'not polling'
-    };
-    console.log('Poll Status:', JSON.stringify(pollStatus, null, 2));
 }
 
-// Helper function to check WebSocket status and log diagnostics if needed
-async function checkWebSocketStatus() {
-    if (!wsManager) return "not initialized";
-    
-    const status = wsManager.isConnected() ? "connected" : "disconnected";
-    
-    // Log diagnostic info if disconnected
-    if (status === "disconnected" && wsManager.connectionState === 'disconnected') {
-        const diagnosticInfo = {
-            browserState: {
-                isPrivateMode: !window.localStorage,
-                networkProtocol: window.location.protocol === 'https:' ? 'Secure (HTTPS)' : 'Insecure (HTTP)',
-                isOnline: navigator.onLine,
-                webSocketSupport: typeof WebSocket !== 'undefined'
-            },
-            websocketConfig: {
-                urlValid: network?.websocket?.url ? 
-                    (network.websocket.url.startsWith('ws://') || network.websocket.url.startsWith('wss://')) : 
-                    false,
-                url: network?.websocket?.url || 'Not configured'
-            }
-        };
-        console.log('WebSocket Diagnostic Information:', diagnosticInfo);
+async function createGroup(name, members) {
+    const myAddress = myAccount.keys.address
+    const group = {
+        id: bin2hex(randomBytes(32)),
+        name,
+        admin: myAddress,
+        members: [myAddress, ...members.filter(address => address !== myAddress)],
+        keys: {},
+        keyVersion: 0,
+        messages: [],
+        timestamp: getCorrectedTimestamp(),
+        unread: 0,
     }
-    
-    return status;
+    newGroupKey(group)
+    if (!myData.groups) { myData.groups = {} }
+    myData.groups[group.id] = group
+    addGroupNotice(group, 'You created the group', group.timestamp)
+    updateGroupChat(group)
+    saveState()
+    await distributeGroupKey(group)
+    saveState()
+    return group
 }
 
-// Helper function to schedule next poll
-function scheduleNextPoll() {
-    if (window.chatUpdateTimer) {
-        clearTimeout(window.chatUpdateTimer);
+async function addGroupMember(group, address) {
+    if (group.admin !== myAccount.keys.address || group.members.includes(address)) { return }
+    group.members.push(address)
+    newGroupKey(group)
+    addGroupNotice(group, `${groupMemberName(address)} was added`, getCorrectedTimestamp())
+    await distributeGroupKey(group)
+    saveState()
+}
+
+async function removeGroupMember(group, address) {
+    if (group.admin !== myAccount.keys.address || !group.members.includes(address) || address === group.admin) { return }
+    group.members = group.members.filter(member => member !== address)
+    newGroupKey(group)
+    addGroupNotice(group, `${groupMemberName(address)} was removed`, getCorrectedTimestamp())
+    await sendGroupEnvelope([address], { type: 'group_remove', groupId: group.id }, `Removed you from the group ${group.name}`)
+    await distributeGroupKey(group)
+    saveState()
+}
+
+// A member leaves by telling the admin; the admin removes everyone if they delete the group
+async function leaveGroup(group) {
+    if (!group.removed) {
+        if (group.admin === myAccount.keys.address) {
+            await sendGroupEnvelope(group.members, { type: 'group_remove', groupId: group.id }, `Deleted the group ${group.name}`)
+        } else {
+            await sendGroupEnvelope([group.admin], { type: 'group_leave', groupId: group.id }, `Left the group ${group.name}`)
+        }
     }
-    
-    const interval = pollChats.nextPoll || pollIntervalNormal;
-    const now = getCorrectedTimestamp();
-    console.log('Poll schedule:', JSON.stringify({
-        timestamp: now,
-        nextPollIn: `${interval}ms`,
-        reason: 'WebSocket not subscribed'
-    }, null, 2));
-    
-    window.chatUpdateTimer = setTimeout(pollChats, interval);
+    delete myData.groups[group.id]
+    myData.chats = myData.chats.filter(chat => chat.address !== group.id)
+    saveState()
 }
 
-async function getChats(keys, retry = 1) {  // needs to return the number of chats that need to be processed
-console.log(`getChats retry ${retry}`)
-//console.log('keys', keys)
-    if (! keys){ console.log('no keys in getChats'); return 0 }     // TODO don't require passing in keys
-    const now = getCorrectedTimestamp()
-    if (now - getChats.lastCall < 1000){ return 0 }
-    getChats.lastCall = now
-//console.log('address', keys)
-//console.log('mydata', myData)
-//console.log('contacts', myData.contacts[keys.address])
-//console.log('messages', myData.contacts[keys.address].messages)
-//console.log('last messages', myData.contacts[keys.address].messages.at(-1))
-//console.log('timestamp', myData.contacts[keys.address].messages.at(-1).timestamp)
-    const timestamp = myAccount.chatTimestamp || 0
-//    const timestamp = myData.contacts[keys.address]?.messages?.at(-1).timestamp || 0
+async function sendGroupMessage(group, message) {
+    const timestamp = getCorrectedTimestamp()
+    const body = encryptChacha(base642bin(group.keys[group.keyVersion]), stringify({ message }))
+    const envelope = { type: 'group', groupId: group.id, keyVersion: group.keyVersion, body }
+    insertSorted(group.messages, { message, timestamp, sent_timestamp: timestamp, my: true, from: myAccount.keys.address }, 'timestamp')
+    updateGroupChat(group)
+    appendChatModal()
+    const failed = await sendGroupEnvelope(group.members, envelope, groupFallbackText)
+    if (failed > 0) {
+        showToast(`Not delivered to ${failed} member${failed > 1 ? 's' : ''}`, 3000, 'warning')
+    }
+    saveState()
+}
 
-    const senders = await queryNetwork(`/account/${longAddress(keys.address)}/chats/${timestamp}`) // TODO get this working
-//    const senders = await queryNetwork(`/account/${longAddress(keys.address)}/chats/0`) // TODO stop using this
-    let chatCount = senders?.chats ? Object.keys(senders.chats).length : 0; // Handle null/undefined senders.chats
-    console.log('getChats senders', 
-        timestamp === undefined ? 'undefined' : JSON.stringify(timestamp),
-        chatCount === undefined ? 'undefined' : JSON.stringify(chatCount),
-        senders === undefined ? 'undefined' : JSON.stringify(senders))
-    if (senders && senders.chats && chatCount){     // TODO check if above is working
-        await processChats(senders.chats, keys)
-    } else {
-        if (retry > 0) {
-            const getChatsRetryLimit = 3;
-            if (retry <= getChatsRetryLimit) {
-                await new Promise(resolve => setTimeout(resolve, 1000*retry));
-                // call getChats recursively
-                chatCount = await getChats(keys, retry + 1);
-            } else {
-                console.error('Failed to get chats after', getChatsRetryLimit, 'retries');
+// Handle a group envelope received in a 1:1 message from the contact; returns true if the group changed
+function receiveGroupEnvelope(from, envelope, sentTimestamp) {
+    const myAddress = myAccount.keys.address
+    if (envelope.type === 'group_key') {
+        const info = envelope.group
+        if (!info?.id || !info.key || info.admin !== from || !Array.isArray(info.members)) { return false }
+        let group = myData.groups[info.id]
+        if (group && (group.admin !== from || info.keyVersion <= group.keyVersion)) { return false }
+        let members
+        try { members = info.members.map(normalizeAddress) } catch (error) { return false }
+        if (!members.includes(myAddress)) { return false }
+        if (!group) {
+            group = myData.groups[info.id] = { id: info.id, admin: from, members: [], keys: {}, keyVersion: 0, messages: [], timestamp: sentTimestamp, unread: 0 }
+            addGroupNotice(group, `${groupMemberName(from)} added you`, sentTimestamp)
+        } else {
+            for (const address of members.filter(address => !group.members.includes(address))) {
+                addGroupNotice(group, `${groupMemberName(address)} joined`, sentTimestamp)
+            }
+            for (const address of group.members.filter(address => !members.includes(address))) {
+                addGroupNotice(group, `${groupMemberName(address)} is no longer in the group`, sentTimestamp)
+            }
+        }
+        group.name = info.name || group.name || 'Group'
+        group.members = members
+        group.keys[info.keyVersion] = info.key
+        group.keyVersion = info.keyVersion
+        delete group.removed
+        updateGroupChat(group)
+        // messages that were waiting for this key
+        const pending = (myData.groupPending || []).filter(p => p.envelope.groupId === group.id && p.envelope.keyVersion <= group.keyVersion)
+        myData.groupPending = (myData.groupPending || []).filter(p => !pending.includes(p))
+        for (const p of pending) { receiveGroupEnvelope(p.from, p.envelope, p.sentTimestamp) }
+        return true
+    }
+
+    const group = myData.groups[envelope.groupId]
+    if (envelope.type === 'group') {
+        // a message can arrive before the key it was sent with; keep it until the key comes
+        if (!group?.keys[envelope.keyVersion]) {
+            if (!group || envelope.keyVersion > group.keyVersion) {
+                if (!myData.groupPending) { myData.groupPending = [] }
+                myData.groupPending.push({ from, envelope, sentTimestamp })
+                myData.groupPending = myData.groupPending.slice(-maxGroupPending)
+            }
+            return false
+        }
+        if (group.removed || !group.members.includes(from)) { return false }
+        const body = decryptChacha(base642bin(group.keys[envelope.keyVersion]), envelope.body)
+        if (!body) { return false }
+        if (group.messages.some(m => m.from === from && m.sent_timestamp === sentTimestamp)) { return false }
+        const { message } = parse(body)
+        insertSorted(group.messages, { message, timestamp: sentTimestamp, sent_timestamp: sentTimestamp, my: false, from }, 'timestamp')
+        updateGroupChat(group)
+        if (inActiveGroupChat(group.id)) {
+            appendChatModal(true)
+        } else {
+            group.unread = (group.unread || 0) + 1
+            playChatSound(true)
+            if (!document.getElementById('chatsScreen').classList.contains('active')) {
+                document.getElementById('switchToChats').classList.add('has-notification')
             }
         }
+        return true
     }
-    if (appendChatModal.address){   // clear the unread count of address for open chat modal
-        myData.contacts[appendChatModal.address].unread = 0 
+    if (!group) { return false }
+    if (envelope.type === 'group_remove') {
+        if (from !== group.admin || group.removed) { return false }
+        group.removed = true
+        addGroupNotice(group, 'You are no longer a member of this group', sentTimestamp)
+        updateGroupChat(group)
+        return true
     }
-    return chatCount
+    if (envelope.type === 'group_leave') {
+        // the admin rotates the key after the messages are processed
+        if (group.admin === myAddress && group.members.includes(from)) {
+            setTimeout(() => removeGroupMember(group, from), 0)
+        }
+        return false
+    }
+    return false
 }
-getChats.lastCall = 0
 
-// play sound if true or false parameter
-function playChatSound(shouldPlay) {
-    if (shouldPlay) {
-        const notificationAudio = document.getElementById('notificationSound');
-        if (notificationAudio) {
-            notificationAudio.play().catch(error => {
-                console.warn("Notification sound playback failed:", error);
-            });
-        }
+`
+Attachments
+    A file is encrypted with a new random key using encryptChacha and only the ciphertext is uploaded to the
+    blob store, so the store does not need to be trusted. The message payload carries what the recipient
+    needs to get the file back; it is encrypted with the message key like the message itself.
+        { url, hash, size, type, name, key }   hash is of the ciphertext; key is base64
+    Any object with upload(text) returning a URL and download(url) returning the text can be used as the
+    blob store. The default one uses the HTTP store at network.blobStore.url which must accept a POST to
+    /blob and return { url }; tools/blob-store.js is a stand-in for local testing. Networks without a
+    blob store don't show the attach button.
+    The URL comes from the sender, so fetching it tells the sender's server our IP address. Images on the
+    blob store of our network are loaded when the chat is shown; others only when the user taps them.
+`
+const maxAttachmentSize = 10 * 1024 * 1024   // in bytes
+
+const httpBlobStore = {
+    async upload(data) {
+        if (!network.blobStore?.url) { throw new Error('No blob store configured for this network') }
+        const response = await fetch(`${network.blobStore.url}/blob`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: data
+        });
+        if (!response.ok) { throw new Error(`Upload failed with status ${response.status}`) }
+        const { url } = await response.json();
+        return url;
+    },
+    async download(url) {
+        const response = await fetch(url);
+        if (!response.ok) { throw new Error(`Download failed with status ${response.status}`) }
+        return response.text();
+    }
+}
+let blobStore = httpBlobStore
+
+function attachmentHash(data) {
+    return blake.blake2bHex(utf82bin(data), myHashKey, 32)
+}
+
+// The user picked a file to send in the open chat
+async function handleAttachFile(event) {
+    const input = event.target;
+    const file = input.files[0];
+    input.value = '';  // so the same file can be picked again
+    if (!file) return;
+    if (file.size > maxAttachmentSize) {
+        showToast(`Files can be up to ${formatFileSize(maxAttachmentSize)}`, 3000, 'error');
+        return;
+    }
+    if (!isOnline) {
+        showToast('You need to be online to send a file', 3000, 'warning');
+        return;
+    }
+
+    const loadingToastId = showToast(`Uploading ${file.name}...`, 0, 'loading');
+    try {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const fileKey = randomBytes(32);
+        const encrypted = encryptChacha(fileKey, bin2base64(bytes));
+        const url = await blobStore.upload(encrypted);
+        handleSendMessage.attachments = [{
+            url,
+            hash: attachmentHash(encrypted),
+            size: file.size,
+            type: file.type || 'application/octet-stream',
+            name: file.name,
+            key: bin2base64(fileKey),
+        }];
+    } catch (error) {
+        console.error('Attachment upload failed:', error);
+        showToast('Could not upload the file', 3000, 'error');
+        return;
+    } finally {
+        hideToast(loadingToastId);
     }
+    // the text typed so far is sent with the file
+    await handleSendMessage();
 }
 
-function playTransferSound(shouldPlay) {
-    if (shouldPlay) {
-        const notificationAudio = document.getElementById('transferSound');
-        if (notificationAudio) {
-            notificationAudio.play().catch(error => {
-                console.warn("Notification sound playback failed:", error);
-            });
-        }
+// Download an attachment, check it is the file that was sent and decrypt it; returns a Blob
+async function fetchAttachment(attachment) {
+    const encrypted = await blobStore.download(attachment.url);
+    if (attachmentHash(encrypted) !== attachment.hash) {
+        throw new Error('Attachment hash does not match; the file was changed');
     }
+    const decrypted = decryptChacha(base642bin(attachment.key), encrypted);
+    if (decrypted == null) { throw new Error('Attachment could not be decrypted') }
+    return new Blob([base642bin(decrypted)], { type: attachment.type });
 }
 
-// Actually payments also appear in the chats, so we can add these to
-async function processChats(chats, keys) {
-    let newTimestamp = 0
-    const timestamp = myAccount.chatTimestamp || 0
-    const messageQueryTimestamp = Math.max(0, timestamp);
+// Object URLs of decrypted attachments by hash so they are not downloaded again
+async function getAttachmentUrl(attachment) {
+    if (!getAttachmentUrl.cache[attachment.hash]) {
+        const blob = await fetchAttachment(attachment);
+        getAttachmentUrl.cache[attachment.hash] = URL.createObjectURL(blob);
+    }
+    return getAttachmentUrl.cache[attachment.hash];
+}
+getAttachmentUrl.cache = {}
 
-    for (let sender in chats) {
-        // Fetch messages using the adjusted timestamp
-        const res = await queryNetwork(`/messages/${chats[sender]}/${messageQueryTimestamp}`)
-        console.log("processChats sender", sender, "fetching since", messageQueryTimestamp)
-        if (res && res.messages){  
-            const from = normalizeAddress(sender)
-            if (!myData.contacts[from]){ createNewContact(from) }
-            const contact = myData.contacts[from]
-//            contact.address = from        // not needed since createNewContact does this
-            let added = 0
-            let hasNewTransfer = false;
-            
-            // This check determines if we're currently chatting with the sender
-            // We ONLY want to avoid notifications if we're actively viewing this exact chat
-            const inActiveChatWithSender = appendChatModal.address === from && 
-                document.getElementById('chatModal')?.classList.contains('active'); // Added null check for safety
-            
-            for (let i in res.messages){
-                const tx = res.messages[i] // the messages are actually the whole tx
-//console.log('message tx is')
-//console.log(JSON.stringify(message, null, 4))
-                newTimestamp = tx.timestamp > newTimestamp ? tx.timestamp : newTimestamp
-                if (tx.type == 'message'){
-                    if (tx.from == longAddress(keys.address)){ continue }  // skip if the message is from us
-                    const payload = tx.xmessage  // changed to use .message
-                    if (payload.encrypted){ 
-                        let senderPublic = myData.contacts[from]?.public
-                        if (!senderPublic){
-                            const senderInfo = await queryNetwork(`/account/${longAddress(from)}`)
-                            // TODO for security, make sure hash of public key is same as from address; needs to be in other similar situations
-//console.log('senderInfo.account', senderInfo.account)
-                            if (!senderInfo?.account?.publicKey){
-                                console.log(`no public key found for sender ${sender}`)
-                                continue
-                            }
-                            senderPublic = senderInfo.account.publicKey
-                            if (myData.contacts[from]){
-                                myData.contacts[from].public = senderPublic
-                            }
-                        }
-                        payload.public = senderPublic
-                    }
-//console.log("payload", payload)
-                    decryptMessage(payload, keys)  // modifies the payload object
-                    if (payload.senderInfo){
-                        contact.senderInfo = JSON.parse(JSON.stringify(payload.senderInfo))  // make a copy
-                        delete payload.senderInfo
-                        if (! contact.username && contact.senderInfo.username){
-                            // TODO check the network to see if the username given with the message maps to the address of this contact
-                            contact.username = contact.senderInfo.username
-                        }
-                    }
-                    //  skip if this tx was processed before and is already in contact.messages;
-                    //    messages are the same if the messages[x].sent_timestamp is the same as the tx.timestamp, 
-                    //    and messages[x].my is false and messages[x].message == payload.message
-                    let alreadyExists = false;
-                    for (const existingMessage of contact.messages) {
-                        if (existingMessage.sent_timestamp === payload.sent_timestamp && existingMessage.message === payload.message && existingMessage.my === false) {
-                            alreadyExists = true;
-                            break;
-                        }
-                    }
-                    if (alreadyExists) {
-                        //console.log(`Skipping already existing message: ${payload.sent_timestamp}`);
-                        continue; // Skip to the next message
-                    }
+function attachmentHTML(attachment, index) {
+    const name = escapeHtml(attachment.name || 'file');
+    if (attachment.type?.startsWith('image/')) {
+        return `<div class="attachment image" data-attachment-index="${index}"><img class="attachment-thumb" alt="${name}"></div>`;
+    }
+    return `
+        <div class="attachment file" data-attachment-index="${index}">
+            <div class="attachment-name">${name}</div>
+            <div class="attachment-size">${formatFileSize(attachment.size)}</div>
+        </div>`;
+}
 
-//console.log('contact.message', contact.messages)
-                    payload.my = false
-                    payload.timestamp = payload.sent_timestamp
-                    insertSorted(contact.messages, payload, 'timestamp')
-                    // if we are not in the chatModal of who sent it, playChatSound
-                    if (!inActiveChatWithSender){
-                        playChatSound(true);
-                    }
-                    added += 1
-                } else if (tx.type == 'transfer'){
-//console.log('transfer tx is')
-//console.log(JSON.stringify(message, null, 4))
-                    if (tx.from == longAddress(keys.address)){ continue }  // skip if the message is from us
-                    const payload = tx.xmemo 
-                    if (payload.encrypted){ 
-                        let senderPublic = myData.contacts[from]?.public
-                        if (!senderPublic){
-                            const senderInfo = await queryNetwork(`/account/${longAddress(from)}`)
-                    //console.log('senderInfo.account', senderInfo.account)
-                            if (!senderInfo?.account?.publicKey){
-                                console.log(`no public key found for sender ${sender}`)
-                                continue
-                            }
-                            senderPublic = senderInfo.account.publicKey
-                            if (myData.contacts[from]){
-                                myData.contacts[from].public = senderPublic
-                            }
-                        }
-                        payload.public = senderPublic
-                    }
-                    //console.log("payload", payload)
-                    decryptMessage(payload, keys)  // modifies the payload object
-                    if (payload.senderInfo){
-                        contact.senderInfo = JSON.parse(JSON.stringify(payload.senderInfo))  // make a copy
-                        delete payload.senderInfo
-                        if (! contact.username && contact.senderInfo.username){
-                            // TODO check the network to see if the username given with the message maps to the address of this contact
-                            contact.username = contact.senderInfo.username
-                        }
-                    }
-                    // compute the transaction id (txid)
-                    delete tx.sign
-                    const jstr = stringify(tx)
-                    const jstrBytes = utf82bin(jstr)
-                    const txidHex = blake.blake2bHex(jstrBytes, myHashKey, 32)
+// True if the url is on the blob store of this network
+function isOwnBlobStoreUrl(url) {
+    try {
+        return !!network.blobStore?.url && new URL(url).origin === new URL(network.blobStore.url).origin;
+    } catch (error) {
+        return false;
+    }
+}
 
-                    // skip if this tx was processed before and is already in the history array;
-                    //    txs are the same if the history[x].txid is the same as txidHex
-                    const history = myData.wallet.history
-                    let alreadyInHistory = false;
-                    for (const historyTx of history) {
-                        if (historyTx.txid === txidHex) {
-                            alreadyInHistory = true;
-                            break;
-                        }
-                    }
-                    if (alreadyInHistory) {
-                        //console.log(`Skipping already existing transfer: ${txidHex}`);
-                        continue; // Skip to the next message
-                    }
-                    // add the transfer tx to the wallet history
-                    const newPayment = {
-                        txid: txidHex,
-                        amount: parse(stringify(tx.amount)),  // need to make a copy
-                        sign: 1,
-                        timestamp: payload.sent_timestamp,
-                        address: from,
-                        memo: payload.message
-                    };
-                    insertSorted(history, newPayment, 'timestamp');
-                    // TODO: redundant but keep for now
-                    //  sort history array based on timestamp field in descending order
-                    //history.sort((a, b) => b.timestamp - a.timestamp);
-                    
-                    // Mark that we have a new transfer for toast notification
-                    hasNewTransfer = true
+async function loadAttachmentThumbnails(messagesList, messages) {
+    for (const img of messagesList.querySelectorAll('.attachment-thumb')) {
+        const attachmentEl = img.closest('.attachment');
+        const attachment = findAttachment(attachmentEl, messages);
+        if (!attachment) continue;
+        if (!isOwnBlobStoreUrl(attachment.url)) {
+            attachmentEl.classList.add('tap-to-load');
+            continue;
+        }
+        await loadAttachmentThumbnail(img, attachment);
+    }
+}
 
-                    // --- Create and Insert Transfer Message into contact.messages ---
-                    const transferMessage = {
-                        timestamp: payload.sent_timestamp,
-                        sent_timestamp: payload.sent_timestamp,
-                        my: false, // Received transfer
-                        message: payload.message, // Use the memo as the message content
-                        amount: parse(stringify(tx.amount)), // Ensure amount is stored as BigInt
-                        symbol: 'LIB', // TODO: get the symbol from the asset
-                    };
-                    // Insert the transfer message into the contact's message list, maintaining sort order
-                    insertSorted(contact.messages, transferMessage, 'timestamp');
-                    // --------------------------------------------------------------
+async function loadAttachmentThumbnail(img, attachment) {
+    try {
+        img.src = await getAttachmentUrl(attachment);
+    } catch (error) {
+        console.error('Could not load image attachment:', error);
+        img.closest('.attachment').classList.add('unavailable');
+    }
+}
 
-                    added += 1
+// Find the attachment data for an .attachment element in the chat modal
+function findAttachment(attachmentEl, messages) {
+    const timestamp = Number(attachmentEl.closest('.message')?.dataset.messageTimestamp);
+    const message = messages.find(m => m.timestamp === timestamp);
+    return message?.attachments?.[Number(attachmentEl.dataset.attachmentIndex)];
+}
 
-                    const walletScreenActive = document.getElementById("walletScreen")?.classList.contains("active");
-                    const historyModalActive = document.getElementById("historyModal")?.classList.contains("active");
-                    // Update wallet view if it's active
-                    if (walletScreenActive) {
-                        updateWalletView();
-                    } 
-                    // update history modal if it's active
-                    if (historyModalActive) {
-                        updateTransactionHistory();
-                    }
-                    // Always play transfer sound for new transfers
-                    playTransferSound(true);
-                    // is chatModal of sender address is active
-                    if (inActiveChatWithSender){
-                        // add the transfer tx to the chatModal
-                        appendChatModal(true);
-                    }
-                }
-            }
-            // If messages were added to contact.messages, update myData.chats
-            if (added > 0) {
-                // Get the most recent message (index 0 because it's sorted descending)
-                const latestMessage = contact.messages[0];
-                
-                // Create chat object with only guaranteed fields
-                const chatUpdate = {
-                    address: from,
-                    timestamp: latestMessage.timestamp,
-                };
+// Open or save an attachment the user clicked on
+async function handleAttachmentClick(e) {
+    const attachmentEl = e.target.closest('.attachment');
+    if (!attachmentEl) return;
+    const contact = myData.contacts[appendChatModal.address];
+    const attachment = contact && findAttachment(attachmentEl, contact.messages);
+    if (!attachment) return;
+    // the first tap on an image from another server only shows it
+    if (attachmentEl.classList.contains('tap-to-load')) {
+        attachmentEl.classList.remove('tap-to-load');
+        await loadAttachmentThumbnail(attachmentEl.querySelector('.attachment-thumb'), attachment);
+        return;
+    }
+    const loadingToastId = showToast('Opening file...', 0, 'loading');
+    try {
+        const url = await getAttachmentUrl(attachment);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = attachment.name || 'file';
+        link.click();
+    } catch (error) {
+        console.error('Could not open attachment:', error);
+        showToast(error.message.includes('hash') ? 'This file was changed after it was sent and was not opened' : 'Could not open the file', 3000, 'error');
+    } finally {
+        hideToast(loadingToastId);
+    }
+}
 
-                // Update unread count ONLY if the chat modal for this sender is NOT active
-                if (!inActiveChatWithSender) {
-                    contact.unread = (contact.unread || 0) + added; // Ensure unread is initialized
-                } else {
-                    // If chat modal is active, explicitly call appendChatModal to update it
-                    // and trigger highlight/scroll for the new message.
-                    appendChatModal(true); // Pass true for highlightNewMessage flag
-                }
+`
+Typed messages
+    payload.envelope (encrypted) says what a message is for; messages without one are plain text.
+        { type: 'reply', ref }              message is the text of the reply
+        { type: 'reaction', ref, emoji }    an empty emoji removes the reaction
+        { type: 'edit', ref, text }
+        { type: 'delete', ref }
+        { type: 'payment_request', ... }    see Payment requests
+    ref is the id of the message it refers to, which is the txid of the message tx. For reactions, edits
+    and deletes the message text is only a fallback for clients that don't know about envelopes.
+`
+const reactionEmojis = ['👍', '❤️', '😂', '😮', '😢', '🙏']
+// Envelopes of messages that are shown in the chat; the others change a message we already have
+const messageEnvelopeTypes = ['reply', 'payment_request']
+
+// Keep what the envelope of a message shown in the chat says in the message
+function applyMessageEnvelope(payload, envelope) {
+    if (envelope?.type === 'reply') { payload.replyTo = envelope.ref }
+    if (envelope?.type === 'payment_request') { receivePaymentRequest(payload, envelope) }
+}
+
+// Same as the txid computed by signObj when the tx was sent
+function messageTxid(tx) {
+    const unsigned = parse(stringify(tx))
+    delete unsigned.sign
+    return blake.blake2bHex(utf82bin(stringify(unsigned)), myHashKey, 32)
+}
+
+// Text shown by clients that show every message as plain text
+function envelopeFallbackText(envelope, target) {
+    const quoted = target?.message ? ` "${truncateMessage(target.message, 30)}"` : ' a message'
+    switch (envelope.type) {
+        case 'reaction': return envelope.emoji ? `Reacted ${envelope.emoji} to${quoted}` : `Removed a reaction from${quoted}`
+        case 'edit': return `Edited: ${envelope.text}`
+        case 'delete': return 'Deleted a message'
+        case 'payment_request': return `Requested ${formatPaymentAmount(envelope.amount)} ${envelope.symbol}${envelope.memo ? `: ${envelope.memo}` : ''}`
+        case 'payment_decline': return `Declined the payment request${quoted}`
+        default: return ''
+    }
+}
+
+// Apply a reaction, edit or delete to the message it refers to; from is 'me' or the address of the contact
+function applyMessageUpdate(contact, envelope, from, timestamp) {
+    const target = contact.messages.find(m => m.txid === envelope.ref)
+    if (!target) { return false }
+    if (envelope.type === 'reaction') {
+        target.reactions = target.reactions || {}
+        if (envelope.emoji) { target.reactions[from] = envelope.emoji } else { delete target.reactions[from] }
+        return true
+    }
+    if (envelope.type === 'payment_decline') {
+        // only the one who was asked to pay can decline
+        const payer = target.my ? contact.address : 'me'
+        if (from !== payer || target.paymentRequest?.status !== 'pending') { return false }
+        target.paymentRequest.status = 'declined'
+        return true
+    }
+    // only the author can edit or delete a message; ignore updates older than the one we have
+    const author = target.my ? 'me' : contact.address
+    if (author !== from || timestamp <= (target.edited || 0) || target.deleted) { return false }
+    if (envelope.type === 'edit') {
+        target.message = envelope.text
+        target.edited = timestamp
+    } else if (envelope.type === 'delete') {
+        target.message = ''
+        target.deleted = true
+        target.edited = timestamp
+        delete target.attachments
+        delete target.reactions
+        delete target.paymentRequest
+    } else {
+        return false
+    }
+    return true
+}
 
-                // Remove existing chat for this contact if it exists
-                const existingChatIndex = myData.chats.findIndex(chat => chat.address === from);
-                if (existingChatIndex !== -1) {
-                    myData.chats.splice(existingChatIndex, 1);
-                }
+// Send a reaction, edit or delete for a message in the chat with the contact
+async function sendMessageUpdate(address, envelope) {
+    const contact = myData.contacts[address]
+    const target = contact.messages.find(m => m.txid === envelope.ref)
+    const toll = await getTollToPay(address)
+    if (toll === null) { return }
+    const payload = await createChatPayload(address, envelopeFallbackText(envelope, target), { envelope })
+    if (!payload) { return }
+    applyMessageUpdate(contact, envelope, 'me', payload.sent_timestamp)
+    appendChatModal()
+    const outboxItem = addToOutbox(address, payload, toll)
+    await deliverOutboxItem(outboxItem)
+    saveState()
+}
 
-                // Find insertion point to maintain timestamp order (newest first)
-                const insertIndex = myData.chats.findIndex(chat => chat.timestamp < chatUpdate.timestamp);
-                
-                if (insertIndex === -1) {
-                    // If no earlier timestamp found, append to end
-                    myData.chats.push(chatUpdate);
-                } else {
-                    // Insert at correct position to maintain order
-                    myData.chats.splice(insertIndex, 0, chatUpdate);
-                }
-                
-                // Show toast notification for new messages
-                // Only suppress notification if we're ACTIVELY viewing this chat and if not a transfer
-                if (!inActiveChatWithSender && !hasNewTransfer) {
-                    // Get name of sender
-                    const senderName = contact.name || contact.username || `${from.slice(0,8)}...`
-                    
-                    // Add notification indicator to Chats tab if we're not on it
-                    const chatsButton = document.getElementById('switchToChats');
-                    if (!document.getElementById('chatsScreen').classList.contains('active')) {
-                        chatsButton.classList.add('has-notification');
-                    }
-                    
-                }
-            }
-            
-            // Show transfer notification even if no messages were added
-            if (hasNewTransfer) {
-                // Add notification indicator to Wallet tab if we're not on it
-                const walletButton = document.getElementById('switchToWallet');
-                if (!document.getElementById('walletScreen').classList.contains('active')) {
-                    walletButton.classList.add('has-notification');
-                }
-                // Add notification to openHistoryModal wallet-action-button
-                const historyButton = document.getElementById('openHistoryModal');
-                historyButton.classList.add('has-notification');
+`
+Payment requests
+    A payment request is a message with the envelope
+        { type: 'payment_request', amount, symbol, memo, expires }
+    amount is in wei and expires is a timestamp, or 0 if the request does not expire. symbol must be LIB,
+    since the transfers that pay requests are only in LIB; a request for another asset, like from a newer
+    client, stays a plain message with its fallback text. The request is kept in
+    the message as message.paymentRequest with a status of pending, paid or declined; a pending request past
+    expires is shown as expired. The transfer that pays a request has { type: 'payment', ref } as the
+    envelope of its memo, where ref is the txid of the request; it only pays the request if it is for at
+    least the amount asked. A transfer without one, like from a client that does not know about requests,
+    pays the oldest pending request for the same amount (see payment-requests.js). The one who was
+    asked to pay can decline with { type: 'payment_decline', ref }; the one who asked can delete the message.
+`
+const paymentRequestExpiry = 7    // default, in days
+
+const paymentRequestStatusText = {
+    pending: 'Waiting for payment',
+    paid: 'Paid',
+    declined: 'Declined',
+    expired: 'Expired',
+}
+
+// Amount in wei as LIB without trailing zeros
+function formatPaymentAmount(amount) {
+    return big2str(amount, 18).replace(/\.?0+$/, '')
+}
+
+function paymentRequestStatus(request) {
+    if (request.status === 'pending' && request.expires && getCorrectedTimestamp() > request.expires) { return 'expired' }
+    return request.status
+}
+
+// Keep the request from a payment_request envelope in the message; an invalid request stays a plain message
+function receivePaymentRequest(payload, envelope) {
+    if (typeof envelope.amount !== 'bigint' || envelope.amount <= 0n) { return }
+    if (envelope.symbol !== 'LIB') { return }   // requests can only be paid in LIB
+    payload.message = typeof envelope.memo === 'string' ? envelope.memo : ''
+    payload.paymentRequest = {
+        amount: envelope.amount,
+        symbol: envelope.symbol,
+        expires: Number(envelope.expires) || 0,
+        status: 'pending',
+    }
+}
+
+// Ask the contact to pay amount (in wei); returns false if the request was not sent
+async function sendPaymentRequest(address, amount, memo, expires) {
+    const contact = myData.contacts[address]
+    const toll = await getTollToPay(address)
+    if (toll === null) { return false }
+    const envelope = { type: 'payment_request', amount, symbol: 'LIB', memo, expires }
+    const payload = await createChatPayload(address, envelopeFallbackText(envelope), { envelope })
+    if (!payload) { return false }
+    insertSorted(contact.messages, {
+        message: memo,
+        timestamp: payload.sent_timestamp,
+        sent_timestamp: payload.sent_timestamp,
+        my: true,
+        status: 'sending',
+        paymentRequest: { amount, symbol: 'LIB', expires, status: 'pending' },
+    }, 'timestamp')
+    const existingChatIndex = myData.chats.findIndex(chat => chat.address === address)
+    if (existingChatIndex !== -1) { myData.chats.splice(existingChatIndex, 1) }
+    insertSorted(myData.chats, { address, timestamp: payload.sent_timestamp }, 'timestamp')
+    appendChatModal()
+    const outboxItem = addToOutbox(address, payload, toll)
+    await deliverOutboxItem(outboxItem)
+    saveState()
+    return true
+}
+
+// Mark the request a transfer paid; payer is 'me' or the address of the contact and ref is null if the
+//   transfer did not say which request it pays. Returns true if a request was paid.
+function matchPaymentRequest(contact, payer, amount, ref, timestamp, txid) {
+    const request = findPaidRequest(contact.messages, payer, amount, ref, timestamp)
+    if (!request) { return false }
+    request.paymentRequest.status = 'paid'
+    request.paymentRequest.txid = txid
+    return true
+}
+
+// Open the send modal filled in with the request from the contact
+function payPaymentRequest(address, ref) {
+    const contact = myData.contacts[address]
+    const item = contact?.messages.find(m => !m.my && m.txid === ref && m.paymentRequest)
+    if (!item || paymentRequestStatus(item.paymentRequest) !== 'pending') { return }
+    openSendModal.username = contact.username || address
+    openSendModal.request = { address, ref, amount: item.paymentRequest.amount, memo: item.message }
+    openSendModal()
+}
+
+async function declinePaymentRequest(address, ref) {
+    if (!confirm('Decline this payment request?')) { return }
+    await sendMessageUpdate(address, { type: 'payment_decline', ref })
+}
+
+function paymentRequestHTML(item, attributes, timeString) {
+    const request = item.paymentRequest
+    const status = paymentRequestStatus(request)
+    const failed = item.my && item.status === 'failed'
+    const expiresText = status === 'pending' && request.expires
+        ? ` · until ${new Date(request.expires).toLocaleDateString([], { month: 'short', day: 'numeric' })}` : ''
+    let actionsHTML = ''
+    if (failed) {
+        actionsHTML = `
+                    <div class="message-actions">
+                        <button class="message-action" data-action="resend">Resend</button>
+                        <button class="message-action" data-action="discard">Discard</button>
+                    </div>`
+    } else if (!item.my && status === 'pending') {
+        actionsHTML = `
+                    <div class="message-actions">
+                        <button class="message-action" data-action="pay">Pay</button>
+                        <button class="message-action" data-action="decline">Decline</button>
+                    </div>`
+    }
+    const sendingHTML = item.my && ['sending', 'failed'].includes(item.status)
+        ? `<span class="message-status ${item.status}" title="${escapeHtml(item.error || '')}">${messageStatusText[item.status]}</span>` : ''
+    const idAttribute = item.txid ? `data-message-id="${item.txid}"` : ''
+    return `
+                <div class="message ${item.my ? 'sent' : 'received'} payment-info payment-request${failed ? ' failed' : ''}" ${attributes} ${idAttribute}>
+                    <div class="payment-request-label">${item.my ? 'You requested' : 'Requested from you'}</div>
+                    <div class="payment-header">
+                        <span class="payment-amount">${formatPaymentAmount(request.amount)} ${escapeHtml(request.symbol)}</span>
+                    </div>
+                    ${item.message ? `<div class="payment-memo">${linkifyUrls(item.message)}</div>` : ''}
+                    <div class="payment-request-status ${status}">${paymentRequestStatusText[status]}${expiresText}</div>
+                    <div class="message-time">${timeString}${sendingHTML}</div>${actionsHTML}
+                    ${reactionsHTML(item.reactions)}
+                </div>
+            `
+}
+
+// Open requests from and to contacts, shown in the wallet
+function updatePaymentRequestsList() {
+    const list = document.getElementById('paymentRequestsList')
+    const requests = []
+    for (const contact of Object.values(myData.contacts)) {
+        for (const item of contact.messages || []) {
+            if (item.paymentRequest && item.txid && paymentRequestStatus(item.paymentRequest) === 'pending') {
+                requests.push({ address: contact.address, item })
             }
         }
     }
+    requests.sort((a, b) => b.item.timestamp - a.item.timestamp)
+    document.getElementById('walletRequests').style.display = requests.length ? '' : 'none'
+    list.innerHTML = requests.map(({ address, item }) => `
+            <div class="payment-request-item" data-address="${address}" data-id="${item.txid}">
+                <div class="payment-request-info">
+                    <div class="payment-request-name">${item.my ? 'From' : 'To'} ${escapeHtml(groupMemberName(address))}</div>
+                    ${item.message ? `<div class="payment-request-memo">${escapeHtml(truncateMessage(item.message, 40))}</div>` : ''}
+                </div>
+                <div class="payment-request-amount">${formatPaymentAmount(item.paymentRequest.amount)} ${escapeHtml(item.paymentRequest.symbol)}</div>
+                ${item.my ? '' : '<button class="payment-request-pay">Pay</button>'}
+            </div>
+        `).join('')
+}
 
-    // Update the global timestamp AFTER processing all senders
-    if (newTimestamp > 0){
-        // Update the timestamp
-        myAccount.chatTimestamp = newTimestamp
-        console.log("Updated global chat timestamp to", newTimestamp);
+function handlePaymentRequestsListClick(e) {
+    const element = e.target.closest('.payment-request-item')
+    if (!element) { return }
+    if (e.target.closest('.payment-request-pay')) {
+        payPaymentRequest(element.dataset.address, element.dataset.id)
+    } else {
+        openChatModal(element.dataset.address)
     }
 }
 
-// We purposely do not encrypt/decrypt using browser native crypto functions; all crypto functions must be readable
-async function decryptMessage(payload, keys){
-    if (payload.encrypted) {
-        // Generate shared secret using ECDH
-        let dhkey = ecSharedKey(keys.secret, payload.public)
-        const { publicKey, secretKey } = ml_kem1024.keygen(hex2bin(keys.pqSeed))
-        const sharedSecret = pqSharedKey(secretKey, payload.pqEncSharedKey)
-        const combined = new Uint8Array(dhkey.length + sharedSecret.length)
-        combined.set(dhkey)
-        combined.set(sharedSecret, dhkey.length)
-        dhkey = blake.blake2b(combined, myHashKey, 32)
-    
+function quotedMessageHTML(messages, ref) {
+    const quoted = messages.find(m => m.txid === ref)
+    let text = 'Original message not available'
+    if (quoted) {
+        text = quoted.deleted || quoted.retracted ? 'This message was deleted' : (quoted.message || quoted.attachments?.[0]?.name || '')
+    }
+    const author = quoted ? (quoted.my ? 'You' : 'Them') : ''
+    return `<div class="message-quote" data-quote-id="${escapeHtml(ref)}">
+                ${author ? `<div class="message-quote-author">${author}</div>` : ''}
+                <div class="message-quote-text">${escapeHtml(truncateMessage(text, 80))}</div>
+            </div>`
+}
 
-        // Decrypt based on encryption method
-        if (payload.encryptionMethod === 'xchacha20poly1305') {
-            try {
-                if (payload.message){
-                    payload.message = decryptChacha(dhkey, payload.message);
-                    if (payload.message == null){ payload.message = 'Decryption failed.'}
-                }
-            } catch (error) {
-                console.error('xchacha20poly1305 decryption failed:', error);
-                payload.message = 'Decryption failed';
-            }
-            if (payload.senderInfo) {
-                try {
-                    payload.senderInfo = parse(decryptChacha(dhkey, payload.senderInfo));
-                } catch (error) {
-                    console.error('xchacha20poly1305 senderInfo decryption failed:', error);
-                    payload.senderInfo = {username:'decryption_failed'}
-                }
-            }
-        } else {
-            console.error('Unknown encryption method:', payload.encryptionMethod);
-            payload.message = 'Unsupported encryption';
-        }
-    }
-    delete payload.encrypted;
-    delete payload.encryptionMethod;
-    delete payload.public;
-    return payload;
+// Reaction chips with a count for each emoji; reactions is { 'me' or address: emoji }
+function reactionsHTML(reactions) {
+    if (!reactions || Object.keys(reactions).length === 0) { return '' }
+    const counts = {}
+    for (const emoji of Object.values(reactions)) { counts[emoji] = (counts[emoji] || 0) + 1 }
+    const chips = Object.entries(counts).map(([emoji, count]) =>
+        `<span class="reaction-chip${reactions.me === emoji ? ' mine' : ''}">${escapeHtml(emoji)}${count > 1 ? ` ${count}` : ''}</span>`
+    ).join('')
+    return `<div class="message-reactions">${chips}</div>`
 }
 
-`
-The main difference between a chat message and an asset transfer is
-    chat message pays a toll to the recipient as determined by recipient, but message length can be long
-    asset transfer pays an amount to the recipient as determined by sender, but message (memo) length is limited
-
-    How does toll work
-    When a new contact (chatId) is being established (sending a message or payment for the first time)
-    between two users the sender must include the toll of the recipient
-        * The chatId account toll fields are setup as:
-            toll.required.initialFromAddress = 1
-            toll.required.initialToAddress = 0
-        * This means that the sender who established the chatId will have to keep paying a toll and
-          the receipient can reply or send messages to the sender without paying a toll. 
-        * Either user can submit a tx to not require the other to pay a toll; setting required.otherUser to 0.
-        * Either user can submit a tx to require the other to pay a toll; the client should show the sender the required toll
-        * Either user can block message from the other; this sets the toll field of the blocked user to 2.
-        * Either user can unblock the other user if blocked; this sets the toll field of the unblocked user to 0
-        * If a payment is being sent and it includes a memo and the sender is required to pay a toll than the 
-          amount being sent must be at least the toll amount required by the recipient
-    The actual toll paid by a sender is first stored in the chatId account.
-        * 50% is paid to the recipient for reading the message and 50% is paid when they reply.
-            toll.payOnRead.initialFromAddress = amount
-            toll.payOnRead.initialToAddress
-            toll.payOnReply.initialFromAddress
-            toll.payOnReply.initialToAddress
-    A sender can reclaim the tolls for messages that were not read or replied to after one week
-        * The following fields are used to track the last read and reply time for each user
-            read.initialFromAddress = millisecond timestamp of when initialFromAddress read messages
-            read.initoalToAddress
-            replied.initialFromAddress
-            replied.initialToAddress
-        * Note that the receipient has to submit a tx specifying the read time; downloading the messages does not count as read
-        * When a user sends a message it sets both the read and replied timestamps for the user
-        * If the recipient reads or replies to a message after the sender has reclaimed the toll they do not get the toll
-    A sender can retract a message if it has not been read yet and it has been less than one minute since the message was sent
-        * However, this does not gaurantee that the recipient has not already downloaded the message and may read it later
-`
+// Long press or right click on a message that was sent shows the menu to reply, react, edit or delete
+function openMessageMenu(e) {
+    const messageEl = e.target.closest('.message[data-message-id]');
+    if (!messageEl || (messageEl.classList.contains('payment-info') && !messageEl.classList.contains('payment-request'))) return;
+    const contact = myData.contacts[appendChatModal.address];
+    const item = contact?.messages.find(m => m.txid === messageEl.dataset.messageId);
+    if (!item || item.deleted || item.retracted) return;
+    e.preventDefault();
 
-async function postChatMessage(to, payload, toll, keys) {
-    const toAddr = longAddress(to);
-    const fromAddr = longAddress(keys.address)
-    const tx = {
-        type: 'message',
-        from: fromAddr,
-        to: toAddr,
-        amount: BigInt(toll),       // not sure if this is used by the backend
-        chatId: blake.blake2bHex([fromAddr, toAddr].sort().join``, myHashKey, 32),
-        message: 'x',
-        xmessage: payload,
-        timestamp: getCorrectedTimestamp(),
-        network: '0000000000000000000000000000000000000000000000000000000000000000',
-        fee: BigInt(parameters.current.transactionFee || 1)           // This is not used by the backend
+    const menu = document.getElementById('messageMenu');
+    menu.dataset.messageId = item.txid;
+    menu.querySelector('.message-menu-reactions').innerHTML = reactionEmojis.map(emoji =>
+        `<button data-action="react" data-emoji="${emoji}" class="${item.reactions?.me === emoji ? 'selected' : ''}">${emoji}</button>`
+    ).join('');
+    menu.querySelector('[data-action="edit"]').style.display = item.my && !item.attachments && !item.paymentRequest ? '' : 'none';
+    menu.querySelector('[data-action="delete"]').style.display = item.my ? '' : 'none';
+
+    const rect = messageEl.getBoundingClientRect();
+    menu.style.display = 'block';
+    menu.style.top = `${Math.max(8, Math.min(rect.top, window.innerHeight - menu.offsetHeight - 8))}px`;
+    menu.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - menu.offsetWidth - 8))}px`;
+}
+
+const longPressDelay = 500     // in milliseconds
+const longPressMoveLimit = 10  // in pixels; moving more than this is a scroll
+
+function handleMessageTouchStart(e) {
+    clearTimeout(handleMessageTouchStart.timer);
+    handleMessageTouchStart.fired = false;
+    if (e.touches.length !== 1) return;
+    const { target, clientX, clientY } = e.touches[0];
+    handleMessageTouchStart.start = { x: clientX, y: clientY };
+    handleMessageTouchStart.timer = setTimeout(() => {
+        handleMessageTouchStart.fired = true;
+        openMessageMenu({ target, preventDefault() {} });
+    }, longPressDelay);
+}
+handleMessageTouchStart.timer = null
+handleMessageTouchStart.start = null
+handleMessageTouchStart.fired = false
+
+function handleMessageTouchMove(e) {
+    const start = handleMessageTouchStart.start;
+    const touch = e.touches[0];
+    if (start && Math.hypot(touch.clientX - start.x, touch.clientY - start.y) > longPressMoveLimit) {
+        clearTimeout(handleMessageTouchStart.timer);
+    }
+}
+
+function handleMessageTouchEnd(e) {
+    clearTimeout(handleMessageTouchStart.timer);
+    // the click that follows a long press would copy the message and close the menu
+    if (handleMessageTouchStart.fired && e.cancelable) { e.preventDefault() }
+    handleMessageTouchStart.fired = false;
+}
+
+function closeMessageMenu() {
+    const menu = document.getElementById('messageMenu');
+    if (menu) { menu.style.display = 'none' }
+}
+
+async function handleMessageMenuClick(e) {
+    const button = e.target.closest('button');
+    if (!button) return;
+    const menu = document.getElementById('messageMenu');
+    const ref = menu.dataset.messageId;
+    const address = appendChatModal.address;
+    closeMessageMenu();
+    const item = myData.contacts[address]?.messages.find(m => m.txid === ref);
+    if (!item) return;
+
+    switch (button.dataset.action) {
+        case 'react': {
+            // picking the same emoji again removes our reaction
+            const emoji = item.reactions?.me === button.dataset.emoji ? '' : button.dataset.emoji;
+            await sendMessageUpdate(address, { type: 'reaction', ref, emoji });
+            break;
+        }
+        case 'reply':
+            startMessageCompose('reply', item);
+            break;
+        case 'edit':
+            startMessageCompose('edit', item);
+            break;
+        case 'delete':
+            if (confirm('Delete this message for everyone?')) {
+                await sendMessageUpdate(address, { type: 'delete', ref });
+            }
+            break;
     }
-    const res = await injectTx(tx, keys)
-    return res        
 }
 
-async function postAssetTransfer(to, amount, memo, keys) {
-    const toAddr = longAddress(to)
-    const fromAddr = longAddress(keys.address)
-    const tx = {
-        type: 'transfer',
-        from: fromAddr,
-        to: toAddr,
-        amount: BigInt(amount),
-        chatId: blake.blake2bHex([fromAddr, toAddr].sort().join``, myHashKey, 32),
-// TODO backend is not allowing memo > 140 characters; by pass using xmemo; we might have to check the total tx size instead
-//        memo: stringify(memo),
-        xmemo: memo,
-        timestamp: getCorrectedTimestamp(),
-        network: '0000000000000000000000000000000000000000000000000000000000000000',
-        fee: BigInt(parameters.current.transactionFee || 1)           // This is not used by the backend
-    }
-    const res = await injectTx(tx, keys)
-    return res
+// Show what the next message will reply to or edit above the message input
+function startMessageCompose(mode, item) {
+    handleSendMessage.replyTo = mode === 'reply' ? item.txid : null;
+    handleSendMessage.editing = mode === 'edit' ? item.txid : null;
+    const label = mode === 'reply' ? 'Replying to' : 'Editing';
+    document.getElementById('composeContextText').textContent = `${label}: ${truncateMessage(item.message || item.attachments?.[0]?.name || '', 60)}`;
+    document.getElementById('composeContext').style.display = 'flex';
+    const messageInput = document.querySelector('.message-input');
+    if (mode === 'edit') { messageInput.value = item.message }
+    messageInput.focus();
 }
 
-// TODO - backend - when account is being registered, ensure that loserCase(alias)=alias and hash(alias)==aliasHash 
-async function postRegisterAlias(alias, keys){
-    const aliasBytes = utf82bin(alias)
-    const aliasHash = blake.blake2bHex(aliasBytes, myHashKey, 32)
-    const { publicKey, secretKey } = ml_kem1024.keygen(hex2bin(keys.pqSeed))
-    const pqPublicKey = bin2base64(publicKey)
-    const tx = {
-        type: 'register',
-        aliasHash: aliasHash,
-        from: longAddress(keys.address),
-        alias: alias,
-        publicKey: keys.public,
-        pqPublicKey: pqPublicKey,
-        timestamp: getCorrectedTimestamp()
-    }
-    const res = await injectTx(tx, keys)
-    return res
+function cancelMessageCompose() {
+    if (handleSendMessage.editing) { document.querySelector('.message-input').value = '' }
+    handleSendMessage.replyTo = null;
+    handleSendMessage.editing = null;
+    document.getElementById('composeContext').style.display = 'none';
 }
 
-async function injectTx(tx, keys){
-    if (!isOnline) {
-        return null 
-    }
-    const randomGateway = getGatewayForRequest();
-    if (!randomGateway) {
-        console.error('No gateway available for transaction injection');
-        return null;
+async function handleClickToCopy(e) {
+    if (e.target.closest('.message-action')) return;  // handled by handleMessageAction
+    if (e.target.closest('.attachment')) return;  // handled by handleAttachmentClick
+    const messageEl = e.target.closest('.message');
+    if (!messageEl) return;
+
+    let textToCopy = null;
+    let contentType = 'Text'; // Default content type for toast
+
+    // Check if it's a payment message
+    if (messageEl.classList.contains('payment-info')) {
+        const paymentMemoEl = messageEl.querySelector('.payment-memo');
+        if (paymentMemoEl) {
+            textToCopy = paymentMemoEl.textContent;
+            contentType = 'Memo'; // Update type for toast
+        } else {
+             // No memo element found in this payment block
+             showToast('No memo to copy', 2000, 'info');
+             return;
+        }
+    } else {
+        // It's a regular chat message
+        const messageContentEl = messageEl.querySelector('.message-content');
+        if (messageContentEl) {
+            textToCopy = messageContentEl.textContent;
+            contentType = 'Message'; // Update type for toast
+        }
+         else {
+             // Should not happen for regular messages, but handle gracefully
+             showToast('No content to copy', 2000, 'info');
+             return;
+         }
     }
-    
-    try {
-        const txid = await signObj(tx, keys)  // add the sign obj to tx
-        const options = {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: stringify({tx: stringify(tx)})
+
+    // Proceed with copying if text was found
+    if (textToCopy && textToCopy.trim()) {
+        try {
+            await navigator.clipboard.writeText(textToCopy.trim());
+            showToast(`${contentType} copied to clipboard`, 2000, 'success');
+        } catch (err) {
+            console.error('Failed to copy:', err);
+            showToast(`Failed to copy ${contentType.toLowerCase()}`, 2000, 'error');
         }
-        const response = await fetch(`${randomGateway.protocol}://${randomGateway.host}:${randomGateway.port}/inject`, options);
-        console.log("DEBUG: injectTx response", response);
-        const data = await response.json();     
-        data.txid = txid           
-        return data
-    } catch (error) {
-        console.error('Error injecting transaction:', error);
-        return null
+    } else if (contentType === 'Memo'){
+        // Explicitly handle the case where memo exists but is empty/whitespace
+        showToast('Memo is empty', 2000, 'info');
     }
+     // No need for an else here, cases with no element are handled above
 }
 
-/**
- * Sign a transaction object and return the transaction ID hash
- * @param {Object} tx - The transaction object to sign
- * @param {Object} keys - The keys object containing address and secret
- * @returns {Promise<string>} The transaction ID hash
- */
-async function signObj(tx, keys){
-    const jstr = stringify(tx)
-//console.log('tx stringify', jstr)
-    const jstrBytes = utf82bin(jstr)
-    const txidHex = blake.blake2bHex(jstrBytes, myHashKey, 32)
-    const txidHashHex = ethHashMessage(txidHex)     // Asked Thant why we are doing this; 
-                                                    //  why hash txid with ethHashMessage again before signing
-                                                    //  why not just sign the original txid
-                                                    // https://discord.com/channels/746426387606274199/1303158886089359431/1329097165137772574
+// Update wallet view; refresh wallet
+async function updateWalletView() {
+    const walletData = myData.wallet
+    
 
-    const sig = await secp.signAsync(hex2bin(txidHashHex), hex2bin(keys.secret))
-    const r = sig.r.toString(16).padStart(64, '0');
-    const s = sig.s.toString(16).padStart(64, '0');
-    // Convert recovery to hex and append (27 + recovery)
-    const v = (27 + sig.recovery).toString(16).padStart(2, '0');
-    // Concatenate everything with 0x prefix
-    const flatSignature = `0x${r}${s}${v}`;
-    tx.sign = {
-        owner: longAddress(keys.address),
-        sig: flatSignature
-    }
-    return txidHex
-}
 
-// Based on what ethers.js is doing in the following code
-// hashMessage() https://github.com/ethers-io/ethers.js/blob/22c081e1cd617b43d267fd4b29cd92ada5fc7e43/src.ts/hash/message.ts#L35
-// concat() https://github.com/ethers-io/ethers.js/blob/22c081e1cd617b43d267fd4b29cd92ada5fc7e43/src.ts/utils/data.ts#L116
-// MessagePrefix https://github.com/ethers-io/ethers.js/blob/22c081e1cd617b43d267fd4b29cd92ada5fc7e43/src.ts/constants/strings.ts#L16
-// keccak256 https://github.com/ethers-io/ethers.js/blob/22c081e1cd617b43d267fd4b29cd92ada5fc7e43/src.ts/crypto/keccak.ts#L44
-// input message can be string or binary; output is hex; binary means Uint8Array
-function ethHashMessage(message){
-    if (typeof(message) === "string") { message = utf82bin(message); }
-    const MessagePrefix = "\x19Ethereum Signed Message:\n"
-    const str = bin2hex(utf82bin(MessagePrefix)) + bin2hex(utf82bin(String(message.length))) + bin2hex(message)
-    return bin2hex(keccak256(hex2bin(str)))
-}
+    await updateWalletBalances()
 
-// key is binary, data is string, output is base64
-function encryptChacha(key, data) {
-    const nonce = window.crypto.getRandomValues(new Uint8Array(24))
-    const cipher = xchacha20poly1305(key, nonce);
-    const encrypted = cipher.encrypt(utf82bin(data));
+    // Update total networth
+    document.getElementById('walletTotalBalance').textContent = (walletData.networth || 0).toFixed(2);
+    updatePaymentRequestsList();
     
-    // Combine nonce + encrypted data (which includes authentication tag)
-    const combined = new Uint8Array(nonce.length + encrypted.length);
-    combined.set(nonce);
-    combined.set(encrypted, nonce.length);
+    // Update assets list
+    const assetsList = document.getElementById('assetsList');
     
-    return bin2base64(combined);
-}
-
-// key is binary, encrypted is base64, output is string
-function decryptChacha(key, encrypted) {
-    try {
-        // Convert from base64
-        const combined = base642bin(encrypted);
-        
-        // Extract nonce (first 24 bytes) and encrypted data
-        const nonce = combined.slice(0, 24);
-        const data = combined.slice(24);
-        
-        const cipher = xchacha20poly1305(key, nonce);
-        const decrypted = cipher.decrypt(data);
-        return bin2utf8(decrypted);
-    } catch (error) {
-        console.log('Decryption failed: message authentication failed or corrupted data', error);
-        return null
-    }
-}
-
-// Service Worker Registration and Management
-async function registerServiceWorker() {
-    if (!('serviceWorker' in navigator)) {
-        console.log('Service Worker not supported');
+    if (!Array.isArray(walletData.assets) || walletData.assets.length === 0) {
+        assetsList.innerHTML = `
+            <div class="empty-state">
+                <div style="font-size: 2rem; margin-bottom: 1rem"></div>
+                <div style="font-weight: bold; margin-bottom: 0.5rem">No Assets Yet</div>
+                <div>Your assets will appear here</div>
+            </div>`;
         return;
     }
+    
+    assetsList.innerHTML = walletData.assets.map(asset => {
+console.log('asset balance', asset, asset.balance)
+        return `
+            <div class="asset-item">
+                <div class="asset-logo"><img src="./media/liberdus_logo_50.png" class="asset-logo"></div>
+                <div class="asset-info">
+                    <div class="asset-name">${asset.name}</div>
+                    <div class="asset-symbol">$${asset.price} / ${asset.symbol}</div>
+                </div>
+                <div class="asset-balance">${(Number(asset.balance)/Number(wei)).toPrecision(4)}<br><span class="asset-symbol">$${asset.networth}</span></div>
+            </div>
+        `;
+    }).join('');
+}
 
-    try {
-        // Get the current service worker registration
-        const registration = await navigator.serviceWorker.getRegistration();
-        
-        // If there's an existing service worker
-        if (registration?.active) {
-            console.log('Service Worker already registered and active');
-            
-            // Set up message handling for the active worker
-            setupServiceWorkerMessaging(registration.active);
-            
-            // Check if there's a new version waiting
-            if (registration.waiting) {
-                // Notify user about new version
-                showUpdateNotification(registration);
-            }
-            
-            return registration;
-        }
-
-        // Explicitly unregister any existing registration
-        if (registration) {
-            await registration.unregister();
-        }
-
-        // Register new service worker
-        const newRegistration = await navigator.serviceWorker.register('./service-worker.js', {
-            scope: './',
-            updateViaCache: 'none' // Don't cache service worker file
-        });
-
-        console.log('Service Worker registered successfully:', newRegistration.scope);
+async function updateAssetPricesIfNeeded() {
+    if (!myData || !myData.wallet || !myData.wallet.assets) {
+        console.error('No wallet data available to update asset prices');
+        return;
+    }
 
-        // Set up new service worker handling
-        newRegistration.addEventListener('updatefound', () => {
-            const newWorker = newRegistration.installing;
-            
-            newWorker.addEventListener('statechange', () => {
-                if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
-                    // New service worker available
-                    showUpdateNotification(newRegistration);
-                }
-            });
-        });
+    const now = getCorrectedTimestamp();
+    const priceUpdateInterval = 10 * 60 * 1000; // 10 minutes in milliseconds
 
-        // Wait for the service worker to be ready
-        await navigator.serviceWorker.ready;
-        console.log('Service Worker ready');
+    if (now - myData.wallet.priceTimestamp < priceUpdateInterval){ return }
 
-        return newRegistration;
-    } catch (error) {
-        console.error('Service Worker registration failed:', error);
-        return null;
+    for (let i = 0; i < myData.wallet.assets.length; i++) {
+        const asset = myData.wallet.assets[i];
+        const contractAddress = '0x' + asset.contract;
+        const apiUrl = `https://api.dexscreener.com/latest/dex/search?q=${contractAddress}`;
+        try {
+            const response = await fetch(apiUrl);
+            if (!response.ok) {
+                console.error(`API request failed for ${asset.symbol} with status ${response.status}`);
+                continue; // Skip to the next asset
+            }
+            const data = await response.json();
+            if (data.pairs && data.pairs.length > 0 && data.pairs[0].priceUsd) {
+                asset.price = parseFloat(data.pairs[0].priceUsd);
+//                asset.lastPriceUpdate = now;
+//                myData.wallet.assets[i] = asset; // Update the asset in the array
+                myData.wallet.priceTimestamp = now
+                console.log(`Updated price of ${asset.symbol} to ${asset.price}`);
+console.log(JSON.stringify(data,null,4))
+            } else {
+                console.warn(`No price data found for ${asset.symbol} from API`);
+            }
+        } catch (error) {
+            console.error(`Failed to update price for ${asset.symbol}`, error);
+        }
     }
 }
 
-// Handle service worker messages
-function setupServiceWorkerMessaging() {
-    // Listen for messages from service worker
-    navigator.serviceWorker.addEventListener('message', (event) => {
-        const data = event.data;
-        
-        // Handle different message types
-        switch (data.type) {
-            case 'error':
-                console.error('Service Worker error:', data.error);
-                break;
-            case 'OFFLINE_MODE':
-                console.warn('Service worker detected offline mode:', data.url);
-                isOnline = false;
-                updateUIForConnectivity();
-                markConnectivityDependentElements();
-                break;
-            case 'CACHE_UPDATED':
-                console.log('Cache updated:', data.url);
-                break;
-            case 'CACHE_ERROR':
-                console.error('Cache error:', data.error);
-                break;
-            case 'OFFLINE_READY':
-                showToast('App ready for offline use');
-                break;
-            case 'NEW_CONTENT':
-                showUpdateNotification();
-                break;
-        }
-    });
-}
+function openHistoryModal() {
+    // remove notification from wallet-action-button if it is active
+    if (document.getElementById('openHistoryModal').classList.contains('has-notification')) {
+        document.getElementById('openHistoryModal').classList.remove('has-notification');
+    }
 
-// App state management
-function setupAppStateManagement() {
-    // Initialize app state
-    localStorage.setItem('appPaused', '0');
+    const modal = document.getElementById('historyModal');
+    modal.classList.add('active');
     
-    // Stop polling if service worker was already polling
-    if ('serviceWorker' in navigator) {
-        navigator.serviceWorker.ready.then(registration => {
-            registration.active?.postMessage({ type: 'stop_polling' });
-        });
-    }
+    // Get wallet data
+    const walletData = myData.wallet
 
-    // Handle visibility changes
-    document.addEventListener('visibilitychange', async () => {
-        if (!myData || !myAccount) return; // Only manage state if logged in
-        
-        if (document.hidden) {
-            // App is being hidden/closed
-            console.log('📱 App hidden - starting service worker polling');
-            const timestamp = getCorrectedTimestamp().toString();
-            localStorage.setItem('appPaused', timestamp);
-            
-            // Prepare account data for service worker
-            const accountData = {
-                address: myAccount.keys.address,
-                network: {
-                    gateways: myData.network.gateways,
-                    defaultGatewayIndex: myData.network.defaultGatewayIndex
-                }
-            };
-            
-            
-            // Start polling in service worker with timestamp and account data
-            const registration = await navigator.serviceWorker.ready;
-            registration.active?.postMessage({ 
-                type: 'start_polling',
-                timestamp,
-                account: accountData  
-            });
-        } else {
-            // App is becoming visible/open
-            console.log('📱 App visible - stopping service worker polling');
-            localStorage.setItem('appPaused', '0');
-            
-            // Stop polling in service worker
-            const registration = await navigator.serviceWorker.ready;
-            registration.active?.postMessage({ type: 'stop_polling' });
+    const assetSelect = document.getElementById('historyAsset');
+    
+    // Check if we have any assets
+    if (!walletData.assets || walletData.assets.length === 0) {
+        assetSelect.innerHTML = '<option value="">No assets available</option>';
+        return
+    }
+    // Populate assets dropdown
+    assetSelect.innerHTML = walletData.assets.map((asset, index) =>
+        `<option value="${index}">${asset.name} (${asset.symbol})</option>`
+    ).join('');
 
-            const gotChats = await updateChatData();
-            if (gotChats > 0) {
-                await updateChatList();
-            }
-        }
-    });
+    // Update addresses for first asset
+    updateHistoryAddresses();
 }
 
-function ecSharedKey(sec, pub){
-    return secp.getSharedSecret(
-        hex2bin(sec),
-        hex2bin(pub)
-    ).slice(1, 33);  // TODO - we were taking only first 32 bytes for chacha; now we can return the whole thing
+function closeHistoryModal() {
+    document.getElementById('historyModal').classList.remove('active');
+    document.getElementById('openHistoryModal').classList.remove('has-notification');
+    document.getElementById('switchToWallet').classList.remove('has-notification');
 }
 
-function pqSharedKey(recipientKey, encKey){  // inputs base64 or binary, outputs binary
-    if (typeof(recipientKey) == 'string'){ recipientKey = base642bin(recipientKey)}
-    if (encKey){
-        if (typeof(encKey) == 'string'){ encKey = base642bin(encKey)} 
-        return ml_kem1024.decapsulate(encKey, recipientKey);
-    }
-    return ml_kem1024.encapsulate(recipientKey);  // { cipherText, sharedSecret }
+function updateHistoryAddresses() {         // TODO get rid of this function after changing all refrences 
+    // Update transaction history
+    updateTransactionHistory();
 }
 
+async function updateTransactionHistory() { 
+    await updateChatList();
 
-/* function requestNotificationPermission() {
-    if ('Notification' in window && Notification.permission === 'default') {
-        Notification.requestPermission()
-            .then(permission => {
-                console.log('Notification permission result:', permission);
-                if (permission === 'granted') {
-                    console.log('Notification permission granted');
-                } else {
-                    console.log('Notification permission denied');
-                }
-            })
-            .catch(error => {
-                console.error('Error during notification permission request:', error);
-            });
+    const walletData = myData.wallet
+
+    const assetIndex = document.getElementById('historyAsset').value;
+    const transactionList = document.getElementById('transactionList');
+
+    // Check if we have any assets
+    if (!walletData.assets || walletData.assets.length === 0) {
+        transactionList.innerHTML = `
+            <div class="empty-state">
+                <div style="font-size: 2rem; margin-bottom: 1rem"></div>
+                <div style="font-weight: bold; margin-bottom: 0.5rem">No Transactions</div>
+                <div>Your transaction history will appear here</div>
+            </div>`;
+        return;
     }
-} */
 
-// Add these search-related functions
-function searchMessages(searchText) {
-    if (!searchText || !myData?.contacts) return [];
-    
-    const results = [];
-    const searchLower = searchText.toLowerCase();
-    
-    // Search through all contacts and their messages
-    Object.entries(myData.contacts).forEach(([address, contact]) => {
-        if (!contact.messages) return;
-        
-        contact.messages.forEach((message, index) => {
-            if (message.message.toLowerCase().includes(searchLower)) {
-                // Highlight matching text
-                const messageText = escapeHtml(message.message);
-                const highlightedText = messageText.replace(
-                    new RegExp(searchText, 'gi'),
-                    match => `<mark>${match}</mark>`
-                );
-                results.push({
-                    contactAddress: address,
-                    username: contact.username || address,
-                    messageId: index,
-                    message: message,  // Pass the entire message object
-                    timestamp: message.timestamp,
-                    preview: truncateMessage(highlightedText, 100),
-                    my: message.my  // Include the my property
-                });
-            }
-        });
-    });
-    
-    return results.sort((a, b) => b.timestamp - a.timestamp);
-}
+    const asset = walletData.assets[assetIndex];
+    const contacts = myData.contacts
 
-function displaySearchResults(results) {
-    const searchResults = document.getElementById('searchResults');
-    // Create a ul element to properly contain the list items
-    const resultsList = document.createElement('ul');
-    resultsList.className = 'chat-list';
-    
-    results.forEach(async result => {
-        const resultElement = document.createElement('li');
-        resultElement.className = 'chat-item search-result-item';
-        
-        // Generate identicon for the contact
-        const identicon = await generateIdenticon(result.contactAddress);
-        
-        // Format message preview with "You:" prefix if it's a sent message
-        // make this textContent?
-        const messagePreview = result.my ? `You: ${result.preview}` : `${result.preview}`;
-        
-        resultElement.innerHTML = `
-            <div class="chat-avatar">
-                ${identicon}
-            </div>
-            <div class="chat-content">
-                <div class="chat-header">
-                    <div class="chat-name">${result.username}</div>
-                    <div class="chat-time">${formatTime(result.timestamp)}</div>
+    transactionList.innerHTML = walletData.history.map(tx => `
+        <div class="transaction-item" data-address="${tx.address}">
+            <div class="transaction-info">
+                <div class="transaction-type ${tx.sign === -1 ? 'send' : 'receive'}">
+                    ${tx.sign === -1 ? '↑ Sent' : '↓ Received'}
                 </div>
-                <div class="chat-message">
-                    ${messagePreview}
+                <div class="transaction-amount">
+                    ${tx.sign === -1 ? '-' : '+'} ${(Number(tx.amount)/Number(wei)).toPrecision(4)} ${asset.symbol}
                 </div>
             </div>
-        `;
-
-        resultElement.addEventListener('click', (event) => { 
-            event.stopImmediatePropagation(); // Stop all other listeners and bubbling immediately
-            // clear search input and clear results
-            document.getElementById('messageSearch').value = '';
-            document.getElementById('searchResults').innerHTML = '';
-            handleSearchResultClick(result);
-        });
+            <div class="transaction-details">
+                <div class="transaction-address">
+                    ${tx.sign === -1 ? 'To:' : 'From:'} ${contacts[tx.address]?.name || contacts[tx.address]?.senderInfo?.name || contacts[tx.address]?.username || `${contacts[tx.address]?.address.slice(0,8)}...${contacts[tx.address]?.address.slice(-6)}`}
+                </div>
+                <div class="transaction-time">${formatTime(tx.timestamp)}</div>
+            </div>
+            ${tx.memo ? `<div class="transaction-memo">${linkifyUrls(tx.memo)}</div>` : ''}
+        </div>
+    `).join('');
 
-        resultsList.appendChild(resultElement);
+    // Scroll the form container to top after rendering
+    requestAnimationFrame(() => {
+        const modal = document.getElementById('historyModal');
+        const formContainer = modal?.querySelector('.form-container'); // Find the form container within the modal
+        if (formContainer) {
+            formContainer.scrollTop = 0;
+        }
     });
-
-    // Clear and append the new list
-    searchResults.innerHTML = '';
-    searchResults.appendChild(resultsList);
 }
 
-function displayEmptyState(containerId, message = "No results found") {
-    const resultsContainer = document.getElementById(containerId);
-    resultsContainer.innerHTML = `
-        <div class="empty-state">
-            <div class="empty-state-message">${message}</div>
-        </div>
-    `;
-}
+// Handle clicks on transaction history items
+function handleHistoryItemClick(event) {
+    // Find the closest ancestor element with the class 'transaction-item'
+    const item = event.target.closest('.transaction-item');
 
-function handleSearchResultClick(result) {
-    try {
-        // Close search modal
-        document.getElementById('searchModal').classList.remove('active');
-        
-        // Switch to chats view if not already there
-        switchView('chats');
-        
-        // Open the chat with this contact
-        openChatModal(result.contactAddress);
-        
-        // Scroll to and highlight the message
-        setTimeout(() => {
-            const messageSelector = `[data-message-id="${result.messageId}"]`;
-            const messageElement = document.querySelector(messageSelector);
-            if (messageElement) {
-                messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                messageElement.classList.add('highlighted');
-                setTimeout(() => messageElement.classList.remove('highlighted'), 2000);
-            } else {
-                console.error('Message element not found for selector:', messageSelector);
-                // Could add a toast notification here
+    if (item) {
+        // Get the address from the data-address attribute
+        const address = item.dataset.address;
+        if (address) {
+            // close contactInfoModal if it is open
+            if (document.getElementById('contactInfoModal').classList.contains('active')) {
+                document.getElementById('contactInfoModal').classList.remove('active');
             }
-        }, 300);
-    } catch (error) {
-        console.error('Error handling search result:', error);
-        // Could add error notification here
+
+            // Close the history modal
+            closeHistoryModal();
+            // Open the chat modal for the corresponding address
+            openChatModal(address);
+        }
     }
 }
 
-function handleSearchInputClick(e) {
-    const messageSearch = document.getElementById('messageSearch');
-    const searchModal = document.getElementById('searchModal');
-    
-    searchModal.classList.add('active');
-    messageSearch.focus();
-}
+`
+Gateway health
+    Every request to a gateway is timed and its result kept in gatewayHealth by the URL of the gateway:
+        { latency, errors, successes, failures, openUntil, lastError }
+    latency is a moving average in milliseconds and errors is the number of failures in a row. After
+    gatewayMaxErrors failures in a row the circuit is open and the gateway is only tried after the others
+    until openUntil; the wait doubles with each failure after that, up to gatewayMaxCooldown. Once the wait
+    is over the gateway is tried again like a slow one, and the first success closes the circuit.
+    queryNetwork and injectTx send the request to the best gateway and try the next one if it can't be
+    reached, times out, returns a server error or something that is not JSON. An answer from the network,
+    even a failed tx, is not retried. The health is only kept in memory, so every gateway starts unknown.
+`
+const gatewayTimeout = 10 * 1000        // in milliseconds
+const gatewaySlowLatency = 2000         // in milliseconds
+const gatewayMaxErrors = 3
+const gatewayCooldown = 30 * 1000       // in milliseconds
+const gatewayMaxCooldown = 10 * 60 * 1000
+const gatewayMaxAttempts = 3            // gateways tried for one request
+const gatewayHealth = {}
 
-function handleMessageSearchInput(e) {
-    const searchResults = document.getElementById('searchResults');
+function gatewayUrl(gateway) {
+    return `${gateway.protocol}://${gateway.host}:${gateway.port}`
+}
 
-    // debounced search
-    const debouncedSearch = debounce((searchText) => {
-        const trimmedText = searchText.trim();
-        
-        if (!trimmedText) {
-            searchResults.innerHTML = '';
-            return;
-        }
+function getGatewayHealth(gateway) {
+    const url = gatewayUrl(gateway)
+    if (!gatewayHealth[url]) {
+        gatewayHealth[url] = { latency: 0, errors: 0, successes: 0, failures: 0, openUntil: 0, lastError: '' }
+    }
+    return gatewayHealth[url]
+}
 
-        const results = searchMessages(trimmedText);
-        if (results.length === 0) {
-            displayEmptyState('searchResults', "No messages found");
-        } else {
-            displaySearchResults(results);
-        }
-    }, (searchText) => searchText.length === 1 ? 600 : 300);
+function recordGatewaySuccess(gateway, latency) {
+    const health = getGatewayHealth(gateway)
+    health.latency = health.successes === 0 ? latency : Math.round(0.7 * health.latency + 0.3 * latency)
+    health.successes += 1
+    health.errors = 0
+    health.openUntil = 0
+}
 
-    
-        debouncedSearch(e.target.value);
-    
+function recordGatewayFailure(gateway, error) {
+    const health = getGatewayHealth(gateway)
+    health.failures += 1
+    health.errors += 1
+    health.lastError = error?.message || String(error)
+    if (health.errors >= gatewayMaxErrors) {
+        const cooldown = Math.min(gatewayMaxCooldown, gatewayCooldown * 2 ** (health.errors - gatewayMaxErrors))
+        health.openUntil = Date.now() + cooldown
+    }
 }
 
-// Contact search functions
-function searchContacts(searchText) {
-    if (!searchText || !myData?.contacts) return [];
+// 'unknown' if it was not used yet, 'healthy', 'slow' if it is slow or failed recently, or 'down' while the circuit is open
+function gatewayStatus(gateway) {
+    const health = gatewayHealth[gatewayUrl(gateway)]
+    if (!health || health.successes + health.failures === 0) { return 'unknown' }
+    if (health.openUntil > Date.now()) { return 'down' }
+    if (health.errors > 0 || health.latency > gatewaySlowLatency) { return 'slow' }
+    return 'healthy'
+}
 
-    const results = [];
-    const searchLower = searchText.toLowerCase();
+// Send the request to one gateway and keep track of how it went
+async function fetchGateway(gateway, path, options = {}) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), gatewayTimeout)
+    const started = Date.now()
+    try {
+        const response = await fetch(`${gatewayUrl(gateway)}${path}`, { ...options, signal: controller.signal })
+        if (response.status >= 500) { throw new Error(`gateway returned ${response.status}`) }
+        const data = await response.json()
+        recordGatewaySuccess(gateway, Date.now() - started)
+        return data
+    } catch (error) {
+        recordGatewayFailure(gateway, error)
+        console.warn(`gateway ${gatewayUrl(gateway)} failed for ${path}`, error)
+        throw error
+    } finally {
+        clearTimeout(timer)
+    }
+}
 
-    // Search through all contacts
-    Object.entries(myData.contacts).forEach(([address, contact]) => {
-        // Fields to search through
-        const searchFields = [
-            contact.username,
-            contact.name,
-            contact.email,
-            contact.phone,
-            contact.linkedin,
-            contact.x,
-        ].filter(Boolean); // Remove null/undefined values
+// Send the request to the gateways in turn until one answers; throws the last error if none did
+async function fetchFromGateways(path, options = {}) {
+    const gateways = getGatewaysForRequest().slice(0, gatewayMaxAttempts)
+    if (gateways.length === 0) { throw new Error('No gateway available') }
+    let lastError
+    for (const gateway of gateways) {
+        try {
+            return await fetchGateway(gateway, path, options)
+        } catch (error) {
+            lastError = error
+        }
+    }
+    throw lastError
+}
 
-        // Check if any field matches
-        const matches = searchFields.some((field) =>
-            field.toLowerCase().includes(searchLower)
-        );
+`
+Paranoid mode
+    Balances, public keys and who owns a username come from one gateway, which could lie about them. When
+    myData.settings.paranoid is on these reads are sent to paranoidGatewayCount gateways at the same time
+    and the fields that matter are compared (see getVerifiedFields). If the answers differ the user is
+    warned, the gateways that gave a different answer count as failed in the gateway health, and the
+    answer of the majority is used; without a majority the read returns null. If only one gateway is in
+    the list, or only one of them answers, its answer is used with a warning that it was not verified.
+`
+const paranoidGatewayCount = 3
+const paranoidWarningInterval = 60 * 1000   // in milliseconds; each warning is shown at most this often
 
-        if (matches) {
-            // Determine match type for sorting
-            const exactMatch = searchFields.some(
-                (field) => field.toLowerCase() === searchLower
-            );
-            const startsWithMatch = searchFields.some((field) =>
-                field.toLowerCase().startsWith(searchLower)
-            );
+// The part of the answer that has to be the same on every gateway, or null if the url is not a critical read
+//   user accounts are the long form of an address, which ends in 24 zeros; chat accounts are hashes and don't
+function getVerifiedFields(url) {
+    if (/^\/address\/[0-9a-f]{64}$/.test(url)) {
+        return data => data?.address ?? null
+    }
+    if (/^\/account\/[0-9a-f]{40}0{24}\/balance$/.test(url)) {
+        return data => data?.balance ?? null
+    }
+    if (/^\/account\/[0-9a-f]{40}0{24}$/.test(url)) {
+        return data => data?.account
+            ? { publicKey: data.account.publicKey ?? null, pqPublicKey: data.account.pqPublicKey ?? null, alias: data.account.alias ?? null }
+            : null
+    }
+    return null
+}
 
-            results.push({
-                ...contact,
-                address,
-                matchType: exactMatch ? 2 : startsWithMatch ? 1 : 0,
-            });
+async function queryNetworkVerified(url, pick) {
+    const gateways = getGatewaysForRequest().filter(gateway => gatewayStatus(gateway) !== 'down').slice(0, paranoidGatewayCount)
+    const results = await Promise.all(gateways.map(async gateway => {
+        try {
+            return { gateway, data: await fetchGateway(gateway, url) }
+        } catch (error) {
+            return null
         }
-    });
+    }))
+    const answers = results.filter(Boolean)
+    if (answers.length === 0) { return null }
+    if (answers.length === 1) {
+        warnGateways(url, 'Could not check this with a second gateway')
+        return answers[0].data
+    }
 
-    // Sort results by match type and then alphabetically by username
-    return results.sort((a, b) => {
-        if (a.matchType !== b.matchType) {
-            return b.matchType - a.matchType;
-        }
-        return (a.username || "").localeCompare(b.username || "");
-    });
+    const groups = {}
+    for (const answer of answers) {
+        const key = stringify(pick(answer.data))
+        if (!groups[key]) { groups[key] = [] }
+        groups[key].push(answer)
+    }
+    const [majority] = Object.values(groups).sort((a, b) => b.length - a.length)
+    if (majority.length === answers.length) { return majority[0].data }
+
+    console.warn('gateways disagree on', url, answers.map(({ gateway, data }) => [gatewayUrl(gateway), pick(data)]))
+    for (const answer of answers.filter(answer => !majority.includes(answer))) {
+        recordGatewayFailure(answer.gateway, new Error(`answer to ${url} differs from other gateways`))
+    }
+    if (majority.length * 2 > answers.length) {
+        warnGateways(url, 'Gateways gave different answers; using the answer of most of them')
+        return majority[0].data
+    }
+    warnGateways(url, 'Gateways gave different answers; check your gateway list')
+    return null
 }
 
-function displayContactResults(results, searchText) {
-    const resultsContainer = document.getElementById("contactSearchResults");
-    resultsContainer.innerHTML = "";
+function warnGateways(url, message) {
+    console.warn(message, url)
+    const now = Date.now()
+    if (now - (warnGateways.shown[message] || 0) < paranoidWarningInterval) { return }
+    warnGateways.shown[message] = now
+    showToast(message, 5000, 'warning')
+}
+warnGateways.shown = {}
 
-    results.forEach(async (contact) => {
-        const contactElement = document.createElement("div");
-        contactElement.className = "chat-item contact-item";
-        
-        // Generate identicon for the contact
-        const identicon = await generateIdenticon(contact.address);
-        
-        // Determine which field matched for display
-        const matchedField = [
-            { field: 'username', value: contact.username },
-            { field: 'name', value: contact.name },
-            { field: 'email', value: contact.email },
-            { field: 'phone', value: contact.phone },
-            { field: 'linkedin', value: contact.linkedin },
-            { field: 'x', value: contact.x }
-        ].find(f => f.value && f.value.toLowerCase().includes(searchText.toLowerCase()));
-
-        // Create match preview with label and highlighted matched value
-        const matchPreview = matchedField 
-            ? `${matchedField.field}: ${matchedField.value.replace(
-                new RegExp(searchText, 'gi'),
-                match => `<mark>${match}</mark>`
-              )}`
-            : '';
-        
-        contactElement.innerHTML = `
-            <div class="chat-avatar">
-                ${identicon}
-            </div>
-            <div class="chat-content">
-                <div class="chat-header">
-                    <span class="chat-name">${contact.username || "Unknown"}</span>
-                </div>
-                <div class="chat-message">
-                    <span class="match-label">${matchPreview}</span>
-                </div>
-            </div>
-        `;
-
-        // Add click handler to show contact info
-        contactElement.addEventListener("click", () => {
-            // clear search results and input contactSearchResults
-            document.getElementById("contactSearchResults").innerHTML = "";
-            document.getElementById("contactSearch").value = "";
-            // Create display info and open contact info modal
-            contactInfoModal.open(createDisplayInfo(contact));
-            // Close the search modal
-            document.getElementById("contactSearchModal").classList.remove("active");
-        });
-
-        resultsContainer.appendChild(contactElement);
-    });
+async function queryNetwork(url) {
+//console.log('query', url)
+    if (!await checkOnlineStatus()) {
+//TODO show user we are not online
+        console.warn("not online")
+        //alert('not online')
+        return null 
+    }
+    try {
+        console.log('query', url)
+        const pick = myData?.settings?.paranoid ? getVerifiedFields(url) : null;
+        const data = pick ? await queryNetworkVerified(url, pick) : await fetchFromGateways(url);
+        console.log('response', data)
+        return data
+    } catch (error) {
+        console.error(`Error querying ${url}:`, error);
+        return null
+    }
 }
 
-// Create a display info object from a contact object
-function createDisplayInfo(contact) {
-    return {
-        username: contact.senderInfo?.username || contact.username || contact.address.slice(0,8) + '...' + contact.address.slice(-6),
-        name: contact.name || contact.senderInfo?.name || 'Not provided',
-        email: contact.senderInfo?.email || 'Not provided',
-        phone: contact.senderInfo?.phone || 'Not provided',
-        linkedin: contact.senderInfo?.linkedin || 'Not provided',
-        x: contact.senderInfo?.x || 'Not provided',
-        address: contact.address
-    };
+async function pollChatInterval(milliseconds) {
+    pollChats.nextPoll = milliseconds
+    pollChats()
 }
 
-// Add this function before the ContactInfoModalManager class
-function showToast(message, duration = 2000, type = "default") {
-    const toastContainer = document.getElementById('toastContainer');
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
-    toast.textContent = message;
-    
-    // Generate a unique ID for this toast
-    const toastId = 'toast-' + getCorrectedTimestamp() + '-' + Math.floor(Math.random() * 1000);
-    toast.id = toastId;
-    
-    toastContainer.appendChild(toast);
-    
-    // Force reflow to enable transition
-    toast.offsetHeight;
-    
-    // Show with a slight delay to ensure rendering
-    setTimeout(() => {
-        toast.classList.add('show');
-        // Set hide timeout
-        if (duration > 0) {
-            setTimeout(() => {
-                hideToast(toastId);
-            }, duration);
-        }
-    }, 10);
+// Called every 30 seconds if we are online and not subscribed to WebSocket
+async function pollChats() {
     
-    return toastId;
-}
-
-// Function to hide a specific toast by ID
-function hideToast(toastId) {
-    const toast = document.getElementById(toastId);
-    if (!toast) return;
+    // Step 2: variable to check if we are subscribed to WebSocket
+    const isSubscribed = wsManager && wsManager.subscribed && wsManager.isSubscribed();
     
-    toast.classList.remove('show');
-    setTimeout(() => {
-        const toastContainer = document.getElementById('toastContainer');
-        if (toast.parentNode === toastContainer) {
-            toastContainer.removeChild(toast);
+    // Step 3: Poll if we are not subscribed to WebSocket
+    if (!isSubscribed) {
+        // Skip if no valid account
+        if (!myAccount?.keys?.address) {
+            console.log('Poll skipped: No valid account');
+            return;
         }
-    }, 300); // Match transition duration
-}
 
-// Show update notification to user
-function showUpdateNotification(registration) {
-    // Create update notification
-    const updateNotification = document.createElement('div');
-    updateNotification.className = 'update-notification';
-    updateNotification.innerHTML = `
-        <div class="update-message">
-            A new version is available
-            <button class="update-button">
-                Update Now
-            </button>
-        </div>
-    `;
-    
-    // Add click handler directly to the button
-    updateNotification.querySelector('.update-button').addEventListener('click', () => {
-        updateServiceWorker();
-    });
-    
-    document.body.appendChild(updateNotification);
-}
+        try {
+            const gotChats = await updateChatData();
+            if (gotChats > 0) {
+                await updateChatList();
+            }
 
-// Update the service worker
-async function updateServiceWorker() {
-    const registration = await navigator.serviceWorker.getRegistration();
-    if (!registration) return;
+            if (document.getElementById('walletScreen')?.classList.contains('active')) {
+                await updateWalletView();
+            }
+        } catch (error) {
+            console.error('Chat polling error:', error);
+        }
 
-    // If there's a waiting worker, activate it
-    if (registration.waiting) {
-        // Send message to service worker to skip waiting
-        registration.waiting.postMessage({ type: 'SKIP_WAITING' });
-        
-        // Reload once the new service worker takes over
-        navigator.serviceWorker.addEventListener('controllerchange', () => {
-            console.log('New service worker activated, reloading...');
-            window.location.reload();
-        });
+        scheduleNextPoll();
+    } else if (window.chatUpdateTimer) {
+        // Clear polling if WebSocket is subscribed
+        clearTimeout(window.chatUpdateTimer);
+        window.chatUpdateTimer = null;
+        console.log('Poll status: Stopped - WebSocket subscribed');
     }
+    
+    const wsStatus = await checkWebSocketStatus();
+    // Step 4: Log final status
+    const pollStatus = {
+        wsStatus,
+        accountValid: Boolean(myAccount?.keys?.address),
+        subscriptionStatus: isSubscribed ? 'subscribed' : 'not subscribed',
+        pollingStatus: window.chatUpdateTimer ? 'polling' : 'not polling'
+    };
+    console.log('Poll Status:', JSON.stringify(pollStatus, null, 2));
 }
 
-// Handle online/offline events
-async function handleConnectivityChange(event) {
-    const wasOffline = !isOnline;
-    isOnline = navigator.onLine;
+// Helper function to check WebSocket status and log diagnostics if needed
+async function checkWebSocketStatus() {
+    if (!wsManager) return "not initialized";
     
-    console.log(`Connectivity changed. Online: ${isOnline}`);
+    const status = wsManager.isConnected() ? "connected" : "disconnected";
     
-    if (isOnline && wasOffline) {
-        // We just came back online
-        updateUIForConnectivity();
-        showToast("You're back online!", 3000, "online");
-
-        // Verify username is still valid on the network
-        /* await verifyUsernameOnReconnect(); */
-        // Initialize WebSocket connection regardless of view
-        wsManager.initializeWebSocketManager();
-        // Force update data with reconnection handling
-        if (myAccount && myAccount.keys) {
-            try {
-                // Update chats with reconnection handling
-                const gotChats = await updateChatData();
-                if (gotChats > 0) {
-                    await updateChatList();
-                }
-                
-                // Update contacts with reconnection handling
-                await updateContactsList();
-                
-                // Update wallet with reconnection handling
-                await updateWalletView();
-
-            } catch (error) {
-                console.error('Failed to update data on reconnect:', error);
-                showToast("Some data couldn't be updated. Please refresh if you notice missing information.", 5000, "warning");
+    // Log diagnostic info if disconnected
+    if (status === "disconnected" && wsManager.connectionState === 'disconnected') {
+        const diagnosticInfo = {
+            browserState: {
+                isPrivateMode: !window.localStorage,
+                networkProtocol: window.location.protocol === 'https:' ? 'Secure (HTTPS)' : 'Insecure (HTTP)',
+                isOnline: navigator.onLine,
+                webSocketSupport: typeof WebSocket !== 'undefined'
+            },
+            websocketConfig: {
+                urlValid: network?.websocket?.url ? 
+                    (network.websocket.url.startsWith('ws://') || network.websocket.url.startsWith('wss://')) : 
+                    false,
+                url: network?.websocket?.url || 'Not configured'
             }
-        }
-    } else if (!isOnline) {
-        // We just went offline
-        updateUIForConnectivity();
-        showToast("You're offline. Some features are unavailable.", 3000, "offline");
+        };
+        console.log('WebSocket Diagnostic Information:', diagnosticInfo);
     }
+    
+    return status;
 }
 
-// Setup connectivity detection
-function setupConnectivityDetection() {
-    // Only setup offline detection if running as installed PWA
-    /* if (!checkIsInstalledPWA()) {
-        isOnline = true; // Always consider online in web mode
-        return;
-    } */
-
-    // Listen for browser online/offline events
-    window.addEventListener('online', handleConnectivityChange);
-    window.addEventListener('offline', handleConnectivityChange);
-
-    // Mark elements that depend on connectivity
-    markConnectivityDependentElements();
-
-    // Check initial status (don't trust the browser's initial state)
-    checkConnectivity();
-
-    // Periodically check connectivity (every 30 seconds)
-    setInterval(checkConnectivity, 30000);
+// Helper function to schedule next poll
+function scheduleNextPoll() {
+    if (window.chatUpdateTimer) {
+        clearTimeout(window.chatUpdateTimer);
+    }
+    
+    const interval = pollChats.nextPoll || pollIntervalNormal;
+    const now = getCorrectedTimestamp();
+    console.log('Poll schedule:', JSON.stringify({
+        timestamp: now,
+        nextPollIn: `${interval}ms`,
+        reason: 'WebSocket not subscribed'
+    }, null, 2));
+    
+    window.chatUpdateTimer = setTimeout(pollChats, interval);
 }
 
-// Mark elements that should be disabled when offline
-function markConnectivityDependentElements() {
-    // Elements that require network connectivity
-    const networkDependentElements = [
-        // Chat related
-        '#handleSendMessage',
-        '.message-input',
-        '#newChatButton',
-        '#chatSendMoneyButton',
-        
-        // Wallet related
-        '#openSendModal',
-        '#refreshBalance',
-        '#sendForm button[type="submit"]',
-        
-        // Contact related
-        '#chatRecipient',
-        '#chatAddFriendButton',
-        '#addFriendButton',
-        
-        // Profile related
-        '#accountForm button[type="submit"]',
-        '#createAccountForm button[type="submit"]',
-        '#importForm button[type="submit"]',
-        '#contactInfoSendButton',
-
-        // menu list buttons
-        '.menu-item[id="openAccountForm"]',
-        '.menu-item[id="openNetwork"]',
-        '.menu-item[id="openExplorer"]',
-        '.menu-item[id="openMonitor"]',
-        '.menu-item[id="openAbout"]',
-        '.menu-item[id="openRemoveAccount"]',
-        
-    ];
-
-    // Add data attribute to all network-dependent elements
-    networkDependentElements.forEach(selector => {
-        const elements = document.querySelectorAll(selector);
-        elements.forEach(element => {
-            element.setAttribute('data-requires-connection', 'true');
-            
-            // Add tooltip for disabled state
-            element.title = 'This feature requires an internet connection';
-            
-            // Add aria label for accessibility
-            element.setAttribute('aria-disabled', !isOnline);
-        });
-    });
-}
+async function getChats(keys, retry = 1) {  // needs to return the number of chats that need to be processed
+console.log(`getChats retry ${retry}`)
+//console.log('keys', keys)
+    if (! keys){ console.log('no keys in getChats'); return 0 }     // TODO don't require passing in keys
+    const now = getCorrectedTimestamp()
+    if (now - getChats.lastCall < 1000){ return 0 }
+    getChats.lastCall = now
+//console.log('address', keys)
+//console.log('mydata', myData)
+//console.log('contacts', myData.contacts[keys.address])
+//console.log('messages', myData.contacts[keys.address].messages)
+//console.log('last messages', myData.contacts[keys.address].messages.at(-1))
+//console.log('timestamp', myData.contacts[keys.address].messages.at(-1).timestamp)
+    const timestamp = myAccount.chatTimestamp || 0
+//    const timestamp = myData.contacts[keys.address]?.messages?.at(-1).timestamp || 0
 
-// Update UI elements based on connectivity status
-function updateUIForConnectivity() {
-    const networkDependentElements = document.querySelectorAll('[data-requires-connection]');
-    const offlineIndicator = document.getElementById('offlineIndicator');
-    
-    // Update offline indicator in header
-    if (offlineIndicator) {
-        if (!isOnline) {
-            offlineIndicator.style.opacity = '1';
-            offlineIndicator.style.visibility = 'visible';
-            offlineIndicator.style.width = 'auto';
-            offlineIndicator.style.padding = '4px 8px';
-            offlineIndicator.style.overflow = 'visible';
-        } else {
-            offlineIndicator.style.opacity = '0';
-            offlineIndicator.style.visibility = 'hidden';
-            offlineIndicator.style.width = '0';
-            offlineIndicator.style.padding = '0';
-            offlineIndicator.style.overflow = 'hidden';
-        }
-    }
-    
-    networkDependentElements.forEach(element => {
-        if (!isOnline) {
-            // Disable element
-            element.disabled = true;
-            element.classList.add('offline-disabled');
-            
-            // If it's a form, prevent submission
-            if (element.form) {
-                element.form.addEventListener('submit', preventOfflineSubmit);
-            }
-        } else {
-            // Enable element
-            element.disabled = false;
-            element.classList.remove('offline-disabled');
-            
-            // Remove form submit prevention
-            if (element.form) {
-                element.form.removeEventListener('submit', preventOfflineSubmit);
+    const senders = await queryNetwork(`/account/${longAddress(keys.address)}/chats/${timestamp}`) // TODO get this working
+    if (keys !== myAccount?.keys) { return 0 }  // switched to another account while waiting
+//    const senders = await queryNetwork(`/account/${longAddress(keys.address)}/chats/0`) // TODO stop using this
+    let chatCount = senders?.chats ? Object.keys(senders.chats).length : 0; // Handle null/undefined senders.chats
+    console.log('getChats senders', 
+        timestamp === undefined ? 'undefined' : JSON.stringify(timestamp),
+        chatCount === undefined ? 'undefined' : JSON.stringify(chatCount),
+        senders === undefined ? 'undefined' : JSON.stringify(senders))
+    if (senders && senders.chats && chatCount){     // TODO check if above is working
+        await processChats(senders.chats, keys)
+        if (keys !== myAccount?.keys) { return 0 }
+    } else {
+        if (retry > 0) {
+            const getChatsRetryLimit = 3;
+            if (retry <= getChatsRetryLimit) {
+                await new Promise(resolve => setTimeout(resolve, 1000*retry));
+                // call getChats recursively
+                chatCount = await getChats(keys, retry + 1);
+            } else {
+                console.error('Failed to get chats after', getChatsRetryLimit, 'retries');
             }
         }
-        
-        // Update aria-disabled state
-        element.setAttribute('aria-disabled', !isOnline);
-    });
-}
-
-// Prevent form submissions when offline
-function preventOfflineSubmit(event) {
-    if (!isOnline) {
-        event.preventDefault();
-        showToast('This action requires an internet connection', 3000, 'error');
     }
-}
-
-
-// Add global isOnline variable at the top with other globals
-let isOnline = true; // Will be updated by connectivity checks
-
-// Add checkConnectivity function before setupConnectivityDetection
-async function checkConnectivity() {
-    const wasOffline = !isOnline;
-    isOnline = await checkOnlineStatus();
-    
-    if (isOnline !== wasOffline) {
-        // Only trigger change handler if state actually changed
-        await handleConnectivityChange({ type: isOnline ? 'online' : 'offline' });
+    if (appendChatModal.address){   // clear the unread count of address for open chat modal
+        (myData.contacts[appendChatModal.address] || myData.groups[appendChatModal.address]).unread = 0 
     }
+    return chatCount
 }
+getChats.lastCall = 0
 
-// Verify username availability when coming back online
-/* async function verifyUsernameOnReconnect() {
-    // Only proceed if user is logged in
-    if (!myAccount || !myAccount.username) {
-        console.log('No active account to verify');
-        return;
-    }
-    
-    console.log('Verifying username on reconnect:', myAccount.username);
-    
-    // Check if the username is still valid on the network
-    const availability = await checkUsernameAvailability(myAccount.username, myAccount.keys.address);
-    
-    if (availability !== 'mine') {
-        console.log('Username verification failed on reconnect:', availability);
-        
-        // Show a notification to the user
-        showToast('Your account is no longer valid on the network. You will be signed out.', 5000, 'error');
-        
-        // Wait a moment for the user to see the toast
-        setTimeout(() => {
-            // Sign out the user
-            handleSignOut();
-        }, 5000);
-    } else {
-        console.log('Username verified successfully on reconnect');
+// play sound if true or false parameter
+function playChatSound(shouldPlay) {
+    if (shouldPlay && !resyncHistory.running) {
+        const notificationAudio = document.getElementById('notificationSound');
+        if (notificationAudio) {
+            notificationAudio.play().catch(error => {
+                console.warn("Notification sound playback failed:", error);
+            });
+        }
     }
-} */
-
-// Gateway Management Functions
+}
 
-// Function to initialize the gateway configuration
-// TODO: can remove this eventually since new account creation does this
-function initializeGatewayConfig() {
-    // Safety check for myData
-    if (!myData) {
-        console.error('Cannot initialize gateway config: myData is null');
-        return;
+function playTransferSound(shouldPlay) {
+    if (shouldPlay) {
+        const notificationAudio = document.getElementById('transferSound');
+        if (notificationAudio) {
+            notificationAudio.play().catch(error => {
+                console.warn("Notification sound playback failed:", error);
+            });
+        }
     }
+}
 
-    // Ensure network property exists
-    if (!myData.network) {
-        myData.network = {};
+// Actually payments also appear in the chats, so we can add these to
+// Decrypt the payload of a message or transfer from the contact and keep the sender info it came with;
+//   returns false if there is no verified public key for the sender
+async function openChatPayload(payload, from, contact, keys) {
+    if (payload.encrypted){ 
+        // the public key is checked against the from address and pinned in the contact
+        const senderKeys = await getContactKeys(from)
+        if (!senderKeys?.public){
+            console.log(`no verified public key found for sender ${from}`)
+            return false
+        }
+        payload.public = senderKeys.public
     }
-
-    // Ensure gateways array exists
-    if (!myData.network.gateways) {
-        myData.network.gateways = [];
+    await decryptMessage(payload, keys, contact)  // modifies the payload object
+    if (payload.senderInfo){
+        contact.senderInfo = JSON.parse(JSON.stringify(payload.senderInfo))  // make a copy
+        delete payload.senderInfo
+        if (! contact.username && contact.senderInfo.username){
+            // TODO check the network to see if the username given with the message maps to the address of this contact
+            contact.username = contact.senderInfo.username
+        }
     }
+    return true
+}
 
-    // Ensure defaultGatewayIndex property exists and set to -1 (random selection)
-    if (myData.network.defaultGatewayIndex === undefined) {
-        myData.network.defaultGatewayIndex = -1; // -1 means use random selection
-    }
+async function processChats(chats, keys) {
+    let newTimestamp = 0
+    const timestamp = myAccount.chatTimestamp || 0
+    const messageQueryTimestamp = Math.max(0, timestamp);
 
-    // If no gateways, initialize with system gateways
-    if (myData.network.gateways.length === 0) {
-        // Add system gateways from the global network object
-        if (network && network.gateways) {
-            network.gateways.forEach(gateway => {
-                myData.network.gateways.push({
-                    protocol: gateway.protocol,
-                    host: gateway.host,
-                    port: gateway.port,
-                    name: `${gateway.host} (System)`,
-                    isSystem: true,
-                    isDefault: false
-                });
-            });
+    for (let sender in chats) {
+        // Fetch messages using the adjusted timestamp
+        const res = await queryNetwork(`/messages/${chats[sender]}/${messageQueryTimestamp}`)
+        // a switch to another account while waiting must not add these to its data; checked after every await
+        if (keys !== myAccount?.keys) { return }
+        console.log("processChats sender", sender, "fetching since", messageQueryTimestamp)
+        if (res && res.messages){  
+            const from = normalizeAddress(sender)
+            if (from === keys.address){     // sync messages from our other devices
+                for (const tx of res.messages){
+                    newTimestamp = tx.timestamp > newTimestamp ? tx.timestamp : newTimestamp
+                    await receiveSyncTx(tx, keys)
+                    if (keys !== myAccount?.keys) { return }
+                }
+                continue
+            }
+            if (!myData.contacts[from]){ createNewContact(from) }
+            const contact = myData.contacts[from]
+//            contact.address = from        // not needed since createNewContact does this
+            let added = 0
+            let hasNewTransfer = false;
+            
+            // This check determines if we're currently chatting with the sender
+            // We ONLY want to avoid notifications if we're actively viewing this exact chat
+            const inActiveChatWithSender = appendChatModal.address === from && 
+                document.getElementById('chatModal')?.classList.contains('active'); // Added null check for safety
+            
+            for (let i in res.messages){
+                const tx = res.messages[i] // the messages are actually the whole tx
+//console.log('message tx is')
+//console.log(JSON.stringify(message, null, 4))
+                newTimestamp = tx.timestamp > newTimestamp ? tx.timestamp : newTimestamp
+                if (tx.type == 'message'){
+                    if (tx.from == longAddress(keys.address)){ continue }  // skip if the message is from us
+                    const payload = tx.xmessage  // changed to use .message
+                    // a session message can't be decrypted again after its key is deleted, so check for it before decrypting
+                    if (payload.encryptionMethod === 'xchacha20poly1305-ratchet' &&
+                        contact.messages.some(m => !m.my && m.sent_timestamp === payload.sent_timestamp)){ continue }
+                    // the id of a message is its txid; compute it before decryptMessage changes the payload
+                    const txid = messageTxid(tx)
+//console.log("payload", payload)
+                    const opened = await openChatPayload(payload, from, contact, keys)  // modifies the payload object
+                    if (keys !== myAccount?.keys) { return }
+                    if (!opened){ continue }
+                    //  skip if this tx was processed before and is already in contact.messages;
+                    //    messages are the same if the messages[x].sent_timestamp is the same as the tx.timestamp, 
+                    //    and messages[x].my is false and messages[x].message == payload.message
+                    let alreadyExists = false;
+                    for (const existingMessage of contact.messages) {
+                        if (existingMessage.sent_timestamp === payload.sent_timestamp && existingMessage.message === payload.message && existingMessage.my === false) {
+                            alreadyExists = true;
+                            break;
+                        }
+                    }
+                    if (alreadyExists || contact.messages.some(m => m.txid === txid)) {
+                        //console.log(`Skipping already existing message: ${payload.sent_timestamp}`);
+                        continue; // Skip to the next message
+                    }
+
+                    // Reactions, edits and deletes change a message we already have instead of adding one
+                    const envelope = payload.envelope
+                    delete payload.envelope
+                    // Group messages and membership changes go to the group instead of the chat with the sender
+                    if (envelope?.type?.startsWith('group')) {
+                        receiveGroupEnvelope(from, envelope, payload.sent_timestamp)
+                        continue
+                    }
+                    if (envelope && !messageEnvelopeTypes.includes(envelope.type)) {
+                        if (applyMessageUpdate(contact, envelope, from, payload.sent_timestamp) && inActiveChatWithSender) {
+                            appendChatModal()
+                        }
+                        continue
+                    }
+                    applyMessageEnvelope(payload, envelope)
+                    payload.txid = txid
+
+//console.log('contact.message', contact.messages)
+                    payload.my = false
+                    payload.timestamp = payload.sent_timestamp
+                    insertSorted(contact.messages, payload, 'timestamp')
+                    // if we are not in the chatModal of who sent it, playChatSound
+                    if (!inActiveChatWithSender){
+                        playChatSound(true);
+                    }
+                    added += 1
+                } else if (tx.type == 'retract_message'){
+                    if (tx.from == longAddress(keys.address)){ continue }  // we already updated our own message
+                    const retracted = contact.messages.find(m => !m.my && m.txid === tx.txid)
+                    if (retracted && !retracted.retracted){
+                        tombstoneMessage(retracted)
+                        if (inActiveChatWithSender){ appendChatModal() }
+                    }
+                } else if (tx.type == 'transfer'){
+//console.log('transfer tx is')
+//console.log(JSON.stringify(message, null, 4))
+                    if (tx.from == longAddress(keys.address)){ continue }  // skip if the message is from us
+                    const payload = tx.xmemo 
+                    // the same txid as resyncChatTx and the sender get; compute it before decryptMessage changes the payload
+                    const txidHex = messageTxid(tx)
+                    //console.log("payload", payload)
+                    const opened = await openChatPayload(payload, from, contact, keys)  // modifies the payload object
+                    if (keys !== myAccount?.keys) { return }
+                    if (!opened){ continue }
+                    const envelope = payload.envelope   // says which payment request the transfer pays
+                    delete payload.envelope
+
+                    // skip if this tx was processed before and is already in the history array;
+                    //    txs are the same if the history[x].txid is the same as txidHex
+                    const history = myData.wallet.history
+                    let alreadyInHistory = false;
+                    for (const historyTx of history) {
+                        if (historyTx.txid === txidHex) {
+                            alreadyInHistory = true;
+                            break;
+                        }
+                    }
+                    if (alreadyInHistory) {
+                        //console.log(`Skipping already existing transfer: ${txidHex}`);
+                        continue; // Skip to the next message
+                    }
+                    // add the transfer tx to the wallet history
+                    const newPayment = {
+                        txid: txidHex,
+                        amount: parse(stringify(tx.amount)),  // need to make a copy
+                        sign: 1,
+                        timestamp: payload.sent_timestamp,
+                        address: from,
+                        memo: payload.message
+                    };
+                    insertSorted(history, newPayment, 'timestamp');
+                    // TODO: redundant but keep for now
+                    //  sort history array based on timestamp field in descending order
+                    //history.sort((a, b) => b.timestamp - a.timestamp);
+                    
+                    // Mark that we have a new transfer for toast notification
+                    hasNewTransfer = true
+
+                    // --- Create and Insert Transfer Message into contact.messages ---
+                    const transferMessage = {
+                        timestamp: payload.sent_timestamp,
+                        sent_timestamp: payload.sent_timestamp,
+                        my: false, // Received transfer
+                        message: payload.message, // Use the memo as the message content
+                        amount: parse(stringify(tx.amount)), // Ensure amount is stored as BigInt
+                        symbol: 'LIB', // TODO: get the symbol from the asset
+                    };
+                    // Insert the transfer message into the contact's message list, maintaining sort order
+                    insertSorted(contact.messages, transferMessage, 'timestamp');
+                    // --------------------------------------------------------------
+                    matchPaymentRequest(contact, from, newPayment.amount, envelope?.type === 'payment' ? envelope.ref : null,
+                        payload.sent_timestamp, txidHex)
+
+                    added += 1
+
+                    const walletScreenActive = document.getElementById("walletScreen")?.classList.contains("active");
+                    const historyModalActive = document.getElementById("historyModal")?.classList.contains("active");
+                    // Update wallet view if it's active
+                    if (walletScreenActive) {
+                        updateWalletView();
+                    } 
+                    // update history modal if it's active
+                    if (historyModalActive) {
+                        updateTransactionHistory();
+                    }
+                    // Always play transfer sound for new transfers
+                    playTransferSound(true);
+                    // is chatModal of sender address is active
+                    if (inActiveChatWithSender){
+                        // add the transfer tx to the chatModal
+                        appendChatModal(true);
+                    }
+                }
+            }
+            // If messages were added to contact.messages, update myData.chats
+            if (added > 0) {
+                // Get the most recent message (index 0 because it's sorted descending)
+                const latestMessage = contact.messages[0];
+                
+                // Create chat object with only guaranteed fields
+                const chatUpdate = {
+                    address: from,
+                    timestamp: latestMessage.timestamp,
+                };
+
+                // Update unread count ONLY if the chat modal for this sender is NOT active
+                if (!inActiveChatWithSender) {
+                    contact.unread = (contact.unread || 0) + added; // Ensure unread is initialized
+                } else {
+                    // If chat modal is active, explicitly call appendChatModal to update it
+                    // and trigger highlight/scroll for the new message.
+                    appendChatModal(true); // Pass true for highlightNewMessage flag
+                    sendReadReceipt(from);
+                }
+
+                // Remove existing chat for this contact if it exists
+                const existingChatIndex = myData.chats.findIndex(chat => chat.address === from);
+                if (existingChatIndex !== -1) {
+                    myData.chats.splice(existingChatIndex, 1);
+                }
+
+                // Find insertion point to maintain timestamp order (newest first)
+                const insertIndex = myData.chats.findIndex(chat => chat.timestamp < chatUpdate.timestamp);
+                
+                if (insertIndex === -1) {
+                    // If no earlier timestamp found, append to end
+                    myData.chats.push(chatUpdate);
+                } else {
+                    // Insert at correct position to maintain order
+                    myData.chats.splice(insertIndex, 0, chatUpdate);
+                }
+                
+                // Show toast notification for new messages
+                // Only suppress notification if we're ACTIVELY viewing this chat and if not a transfer
+                if (!inActiveChatWithSender && !hasNewTransfer) {
+                    // Get name of sender
+                    const senderName = contact.name || contact.username || `${from.slice(0,8)}...`
+                    
+                    // Add notification indicator to Chats tab if we're not on it
+                    const chatsButton = document.getElementById('switchToChats');
+                    if (!document.getElementById('chatsScreen').classList.contains('active')) {
+                        chatsButton.classList.add('has-notification');
+                    }
+                    
+                }
+            }
+            
+            // Show transfer notification even if no messages were added
+            if (hasNewTransfer) {
+                // Add notification indicator to Wallet tab if we're not on it
+                const walletButton = document.getElementById('switchToWallet');
+                if (!document.getElementById('walletScreen').classList.contains('active')) {
+                    walletButton.classList.add('has-notification');
+                }
+                // Add notification to openHistoryModal wallet-action-button
+                const historyButton = document.getElementById('openHistoryModal');
+                historyButton.classList.add('has-notification');
+            }
+        }
+    }
+
+    // Update the global timestamp AFTER processing all senders
+    if (newTimestamp > 0){
+        // Update the timestamp
+        myAccount.chatTimestamp = newTimestamp
+        console.log("Updated global chat timestamp to", newTimestamp);
+    }
+}
+
+// We purposely do not encrypt/decrypt using browser native crypto functions; all crypto functions must be readable
+// contact is optional; it is needed to decrypt messages sent with a forward secret session
+async function decryptMessage(payload, keys, contact){
+    if (payload.encrypted) {
+        // Generate shared secret using ECDH
+        let dhkey = ecSharedKey(keys.secret, payload.public)
+        const { publicKey, secretKey } = ml_kem1024.keygen(hex2bin(keys.pqSeed))
+        const sharedSecret = pqSharedKey(secretKey, payload.pqEncSharedKey)
+        // The sender may be offering a ratchet key even if this message does not use the session yet
+        const ephemeralKey = contact ? ratchetDecrypt(contact, payload) : null
+        if (payload.encryptionMethod === 'xchacha20poly1305-ratchet' && !ephemeralKey) {
+            console.error('No session key for message; it may have expired');
+            payload.message = 'Decryption failed. The session key for this message is no longer available.';
+            delete payload.senderInfo;
+            payload.encryptionMethod = 'unavailable';
+        }
+        const parts = ephemeralKey ? [dhkey, ephemeralKey, sharedSecret] : [dhkey, sharedSecret]
+        const combined = new Uint8Array(parts.reduce((len, part) => len + part.length, 0))
+        parts.reduce((offset, part) => { combined.set(part, offset); return offset + part.length }, 0)
+        dhkey = blake.blake2b(combined, myHashKey, 32)
+    
+
+        // Decrypt based on encryption method
+        if (payload.encryptionMethod === 'unavailable') {
+            // message was already replaced above
+        } else if (payload.encryptionMethod === 'xchacha20poly1305' || payload.encryptionMethod === 'xchacha20poly1305-ratchet') {
+            try {
+                if (payload.message){
+                    payload.message = decryptChacha(dhkey, payload.message);
+                    if (payload.message == null){ payload.message = 'Decryption failed.'}
+                }
+            } catch (error) {
+                console.error('xchacha20poly1305 decryption failed:', error);
+                payload.message = 'Decryption failed';
+            }
+            if (payload.senderInfo) {
+                try {
+                    payload.senderInfo = parse(decryptChacha(dhkey, payload.senderInfo));
+                } catch (error) {
+                    console.error('xchacha20poly1305 senderInfo decryption failed:', error);
+                    payload.senderInfo = {username:'decryption_failed'}
+                }
+            }
+            if (payload.attachments) {
+                try {
+                    payload.attachments = parse(decryptChacha(dhkey, payload.attachments));
+                } catch (error) {
+                    console.error('xchacha20poly1305 attachments decryption failed:', error);
+                    delete payload.attachments;
+                }
+            }
+            if (payload.envelope) {
+                try {
+                    payload.envelope = parse(decryptChacha(dhkey, payload.envelope));
+                } catch (error) {
+                    // show the fallback text as a plain message
+                    console.error('xchacha20poly1305 envelope decryption failed:', error);
+                    delete payload.envelope;
+                }
+            }
+        } else {
+            console.error('Unknown encryption method:', payload.encryptionMethod);
+            payload.message = 'Unsupported encryption';
         }
     }
+    delete payload.encrypted;
+    delete payload.encryptionMethod;
+    delete payload.public;
+    delete payload.ratchetKey;
+    delete payload.ratchetTo;
+    return payload;
 }
 
-// Function to get the gateway to use for a request
-function getGatewayForRequest() {
-    //TODO: ask Omar if we should just let use edit network.js or keep current logic where when we sign in it uses network.js and when signed in we use myData.network.gateways
-    // Check if myData exists
-    if (!myData) {
-        // Fall back to global network if available
-        if (typeof network !== 'undefined' && network?.gateways?.length) {
-            return network.gateways[Math.floor(Math.random() * network.gateways.length)];
-        }
-        console.error('No myData or network available');
-        return null;
-    }
+`
+Forward secret sessions
+    With only the static keys, anyone who later gets the secp256k1 secret of either user can redo the ECDH
+    of every past message. So each client also keeps short lived ECDH key pairs per contact in contact.session
+    and sends the public part with every message as payload.ratchetKey. Once we have a ratchetKey from the
+    contact we add ECDH(our ephemeral secret, their ratchetKey) to the key derivation, send
+    encryptionMethod 'xchacha20poly1305-ratchet' and put their key in payload.ratchetTo so they know which
+    secret to use. When the contact uses our current key we make a new one for the next message we send.
+    Once the contact uses one of our keys the older ones can't be needed again and are deleted; keys that
+    were replaced but never used are deleted after ratchetKeyRetention. Clients that don't support
+    sessions ignore ratchetKey, never send one back and keep getting plain 'xchacha20poly1305' messages.
+        contact.session = { myKeys: [{secret, public, created}], theirKey, theirKeyTimestamp, rotate }
+    The session secrets only exist on the device that made them; they are left out of backups and are
+    not synced. So messages sent to us with a session can't be read on our other devices or after a
+    resync, which is why sessions are off unless myData.settings.forwardSecrecy is turned on.
+`
+const ratchetKeyRetention = 7 * 24 * 60 * 60 * 1000   // keep replaced secrets this long for messages still in transit
+const ratchetMaxKeys = 10
+
+function getSession(contact){
+    if (!contact.session){
+        contact.session = { myKeys: [], theirKey: null, theirKeyTimestamp: 0, rotate: false }
+    }
+    return contact.session
+}
+
+function newRatchetKey(session){
+    const secret = secp.utils.randomPrivateKey()
+    const key = {
+        secret: bin2hex(secret),
+        public: bin2hex(secp.getPublicKey(secret, false)),
+        created: getCorrectedTimestamp()
+    }
+    session.myKeys.push(key)
+    // delete secrets that were replaced long enough ago; a key is replaced when the next one is created
+    const now = getCorrectedTimestamp()
+    session.myKeys = session.myKeys.filter((k, i) =>
+        i === session.myKeys.length - 1 || now - session.myKeys[i + 1].created < ratchetKeyRetention
+    ).slice(-ratchetMaxKeys)
+    return key
+}
+
+// Returns the fields to add to the payload and the ephemeral ECDH secret (null until the contact sent us a ratchetKey)
+function ratchetEncrypt(contact){
+    const session = getSession(contact)
+    let myKey = session.myKeys[session.myKeys.length - 1]
+    if (!myKey || session.rotate){
+        myKey = newRatchetKey(session)
+        session.rotate = false
+    }
+    const fields = { ratchetKey: myKey.public }
+    if (!session.theirKey){ return { fields, ephemeralKey: null } }
+    fields.ratchetTo = session.theirKey
+    return { fields, ephemeralKey: ecSharedKey(myKey.secret, session.theirKey) }
+}
+
+// Updates the session from a received payload and returns the ephemeral ECDH secret if the message uses the session
+function ratchetDecrypt(contact, payload){
+    if (!payload.ratchetKey){ return null }
+    const session = getSession(contact)
+    if (payload.sent_timestamp > session.theirKeyTimestamp){
+        session.theirKey = payload.ratchetKey
+        session.theirKeyTimestamp = payload.sent_timestamp
+    }
+    if (payload.encryptionMethod !== 'xchacha20poly1305-ratchet' || !payload.ratchetTo){ return null }
+    const index = session.myKeys.findIndex(k => k.public === payload.ratchetTo)
+    if (index === -1){ return null }
+    const secret = session.myKeys[index].secret
+    // the contact has our current key, so the next message we send starts with a new one
+    if (index === session.myKeys.length - 1){ session.rotate = true }
+    // the contact only uses our newest key it has, so the keys before this one are used up
+    session.myKeys.splice(0, index)
+    return ecSharedKey(secret, payload.ratchetKey)
+}
+
+`
+History resync
+    processChats only gets the messages since myAccount.chatTimestamp, so a restored backup or a new device
+    only has what came after the backup was made. resyncHistory gets every tx of every chat account from
+    timestamp 0, in order across all chats so group keys come before the group messages sent with them, and
+    merges them like processChats does; what is already there is skipped using the same checks.
+    Not everything can be recovered from the network:
+      - messages we sent are encrypted to the recipient with a post-quantum shared secret only they can
+        decapsulate, so their text is only on the device that sent them; they are counted, not added
+      - messages sent with a forward secret session can't be decrypted once the session key is deleted,
+        which is always the case on a new device; they are counted, not added
+      - for transfers we sent only the amount and recipient are public; the memo is lost
+      - contact names and settings only come back if they were changed since multi device sync was added;
+        read state, drafts and group messages we sent are only kept locally
+    So the result only matches the original device for what others sent us without a session and for the
+    wallet amounts. Matching it exactly would need the sender to keep a copy of each message that it can
+    decrypt itself, which changes what is sent and is not done. The resync screen says this before it
+    starts and counts what could not be recovered when it is done.
+    New messages are not counted as unread and don't play a sound.
+`
+const resyncMaxPages = 1000    // per chat; stops a gateway that keeps returning the same page
+
+// Every tx of the chat account, oldest first; the gateway returns the txs after the given timestamp
+async function getAllChatTxs(chatId) {
+    const txs = []
+    const seen = new Set()
+    let since = 0
+    for (let page = 0; page < resyncMaxPages; page++) {
+        const res = await queryNetwork(`/messages/${chatId}/${since}`)
+        if (!res?.messages) {
+            if (page === 0) { throw new Error(`could not get the messages of chat ${chatId}`) }
+            break
+        }
+        const added = res.messages.filter(tx => {
+            const txid = messageTxid(tx)
+            if (seen.has(txid)) { return false }
+            seen.add(txid)
+            return true
+        })
+        if (added.length === 0) { break }
+        txs.push(...added)
+        since = Math.max(since, ...added.map(tx => tx.timestamp))
+    }
+    return txs
+}
+
+// Get the whole history from the network and merge it; onProgress(done, total) is called after each chat
+async function resyncHistory(onProgress = () => {}) {
+    const keys = myAccount.keys
+    const stats = { messages: 0, transfers: 0, sent: 0, unreadable: 0 }
+    const senders = await queryNetwork(`/account/${longAddress(keys.address)}/chats/0`)
+    if (!senders?.chats) { throw new Error('could not get the chats of this account') }
+    await loadAllMessages()     // so older messages that are only in IndexedDB are not added again
+
+    const chatIds = Object.values(senders.chats)
+    const txs = []
+    onProgress(0, chatIds.length)
+    for (let i = 0; i < chatIds.length; i++) {
+        txs.push(...await getAllChatTxs(chatIds[i]))
+        onProgress(i + 1, chatIds.length)
+    }
+    txs.sort((a, b) => a.timestamp - b.timestamp)
+
+    const unread = Object.fromEntries(getConversations().map(([address, conversation]) => [address, conversation.unread || 0]))
+    resyncHistory.running = true
+    try {
+        for (const tx of txs) {
+            await resyncChatTx(tx, keys, stats)
+            if (tx.timestamp > (myAccount.chatTimestamp || 0)) { myAccount.chatTimestamp = tx.timestamp }
+        }
+    } finally {
+        resyncHistory.running = false
+        for (const [address, conversation] of getConversations()) { conversation.unread = unread[address] || 0 }
+    }
+
+    // the chat list shows the newest message of each conversation
+    for (const [address, contact] of Object.entries(myData.contacts)) {
+        if (!contact.messages.length) { continue }
+        const existing = myData.chats.findIndex(chat => chat.address === address)
+        if (existing !== -1) { myData.chats.splice(existing, 1) }
+        insertSorted(myData.chats, { address, timestamp: contact.messages[0].timestamp }, 'timestamp')
+    }
+    saveState()
+    return stats
+}
+resyncHistory.running = false
+
+// Merge one tx of a chat account the way processChats does; only what is not already there is added
+async function resyncChatTx(tx, keys, stats) {
+    const mine = tx.from === longAddress(keys.address)
+    const from = normalizeAddress(mine ? tx.to : tx.from)
+    if (from === keys.address) {
+        await receiveSyncTx(tx, keys)
+        return
+    }
+    if (!myData.contacts[from]) { createNewContact(from) }
+    const contact = myData.contacts[from]
+    const txid = messageTxid(tx)
+
+    if (tx.type === 'message') {
+        const payload = tx.xmessage
+        if (mine) {
+            if (!contact.messages.some(m => m.my && m.sent_timestamp === payload.sent_timestamp)) { stats.sent += 1 }
+            return
+        }
+        if (contact.messages.some(m => !m.my && (m.txid === txid || m.sent_timestamp === payload.sent_timestamp))) { return }
+        if (payload.encryptionMethod === 'xchacha20poly1305-ratchet' &&
+            !contact.session?.myKeys.some(k => k.public === payload.ratchetTo)) {
+            stats.unreadable += 1
+            return
+        }
+        if (!await openChatPayload(payload, from, contact, keys)) { return }
+        const envelope = payload.envelope
+        delete payload.envelope
+        if (envelope?.type?.startsWith('group')) {
+            receiveGroupEnvelope(from, envelope, payload.sent_timestamp)
+            return
+        }
+        if (envelope && !messageEnvelopeTypes.includes(envelope.type)) {
+            applyMessageUpdate(contact, envelope, from, payload.sent_timestamp)
+            return
+        }
+        applyMessageEnvelope(payload, envelope)
+        payload.txid = txid
+        payload.my = false
+        payload.timestamp = payload.sent_timestamp
+        insertSorted(contact.messages, payload, 'timestamp')
+        stats.messages += 1
+    } else if (tx.type === 'retract_message') {
+        const retracted = contact.messages.find(m => m.my === mine && m.txid === tx.txid)
+        if (retracted && !retracted.retracted) { tombstoneMessage(retracted) }
+    } else if (tx.type === 'transfer') {
+        const history = myData.wallet.history
+        const payload = tx.xmemo
+        const sentTimestamp = payload.sent_timestamp || tx.timestamp
+        // older versions saved received transfers under another txid, so they are also matched by time and sender
+        if (history.some(h => h.txid === txid ||
+            (h.address === from && h.timestamp === sentTimestamp && h.sign === (mine ? -1 : 1)))) { return }
+        let memo = ''
+        let ref = null  // our own transfers can't be decrypted, so they are matched to requests by amount
+        if (!mine) {
+            if (!await openChatPayload(payload, from, contact, keys)) { return }
+            memo = payload.message
+            if (payload.envelope?.type === 'payment') { ref = payload.envelope.ref }
+        }
+        insertSorted(history, {
+            txid,
+            amount: parse(stringify(tx.amount)),  // need to make a copy
+            sign: mine ? -1 : 1,
+            timestamp: sentTimestamp,
+            address: from,
+            memo
+        }, 'timestamp')
+        if (!contact.messages.some(m => m.my === mine && m.amount !== undefined && m.sent_timestamp === sentTimestamp)) {
+            insertSorted(contact.messages, {
+                timestamp: sentTimestamp,
+                sent_timestamp: sentTimestamp,
+                my: mine,
+                message: memo,
+                amount: parse(stringify(tx.amount)),
+                symbol: 'LIB', // TODO: get the symbol from the asset
+            }, 'timestamp')
+        }
+        matchPaymentRequest(contact, mine ? 'me' : from, parse(stringify(tx.amount)), ref, sentTimestamp, txid)
+        stats.transfers += 1
+    }
+}
+
+`
+Multi device sync
+    Contact names, friend flags and read receipt choices, the gateway list and some settings are only kept
+    in myData, so changes to them are sent to the other devices of the account as a message to ourselves.
+    It is encrypted with the same ECDH and ml-kem scheme as chat messages, but to our own public keys:
+        envelope { type: 'sync', fields: { <path>: { value, time } } }
+    saveState calls collectSyncChanges, which compares the synced fields with myData.sync.values and gives
+    every changed field the current time; they are sent syncDelay later so a burst of edits is one message.
+    A received field is used if its time is newer than ours, so the last writer wins per field. Our own
+    sync messages come back to us too but have the same time, so they change nothing. Fields that exist
+    when sync starts, and fields that only get their default value, start with time 0 so a new device
+    doesn't overwrite the other devices with what it had.
+        myData.sync = { values: { <path>: jstr }, times: { <path>: time }, pending: [<path>] }
+    Paths are 'settings/<key>', 'network' and 'contacts/<address>/<key>'. The network field has the
+    gateways without the discovered ones and the url of the default gateway, since its index can differ
+    between devices.
+    Every sync message is a tx that pays the transaction fee, so sync is off until the user turns on
+    myData.settings.sync on the Privacy screen. Changes are still collected while it is off and are sent
+    when it is turned on.
+`
+const syncDelay = 10 * 1000     // in milliseconds
+const syncedSettings = ['encrypt', 'forwardSecrecy', 'autoLock', 'paranoid']
+const syncedContactFields = ['name', 'friend', 'readReceipts']
+
+// The synced fields of myData by path; fields that are not set are null
+function getSyncFields() {
+    const fields = {}
+    for (const key of syncedSettings) { fields[`settings/${key}`] = myData.settings[key] ?? null }
+    const defaultGateway = myData.network.gateways[myData.network.defaultGatewayIndex]
+    fields.network = {
+        gateways: myData.network.gateways.filter(gateway => !gateway.isDiscovered),
+        defaultGateway: defaultGateway ? gatewayUrl(defaultGateway) : null,
+    }
+    for (const [address, contact] of Object.entries(myData.contacts)) {
+        for (const key of syncedContactFields) { fields[`contacts/${address}/${key}`] = contact[key] ?? null }
+    }
+    return fields
+}
+
+// Returns false if the path is not one we sync
+function setSyncField(path, value) {
+    const [kind, name, key] = path.split('/')
+    if (kind === 'settings' && syncedSettings.includes(name)) {
+        if (value === null) { delete myData.settings[name] } else { myData.settings[name] = value }
+    } else if (kind === 'network' && Array.isArray(value?.gateways)) {
+        // the gateways discovered by this device are kept; the default is by url since the lists differ
+        myData.network.gateways = [...value.gateways, ...myData.network.gateways.filter(gateway => gateway.isDiscovered)]
+        myData.network.defaultGatewayIndex = myData.network.gateways.findIndex(gateway => gatewayUrl(gateway) === value.defaultGateway)
+    } else if (kind === 'contacts' && syncedContactFields.includes(key)) {
+        let address
+        try { address = normalizeAddress(name) } catch (error) { return false }
+        if (!myData.contacts[address]) { createNewContact(address) }
+        if (value === null) { delete myData.contacts[address][key] } else { myData.contacts[address][key] = value }
+    } else {
+        return false
+    }
+    return true
+}
+
+function collectSyncChanges() {
+    const fields = getSyncFields()
+    if (!myData.sync) {
+        myData.sync = { values: {}, times: {}, pending: [] }
+        for (const [path, value] of Object.entries(fields)) {
+            myData.sync.values[path] = stringify(value)
+            myData.sync.times[path] = 0
+        }
+        return
+    }
+    const sync = myData.sync
+    const now = getCorrectedTimestamp()
+    for (const [path, value] of Object.entries(fields)) {
+        const jstr = stringify(value)
+        if (sync.values[path] === jstr) { continue }
+        const isNew = !(path in sync.values)
+        sync.values[path] = jstr
+        if (isNew && value === null) {   // a new contact without a name; nothing to send
+            sync.times[path] = 0
+            continue
+        }
+        sync.times[path] = now
+        if (!sync.pending.includes(path)) { sync.pending.push(path) }
+    }
+    if (sync.pending.length > 0 && !sendSync.timer && myData.settings.sync === true) {
+        sendSync.timer = setTimeout(sendSync, syncDelay)
+    }
+}
+
+// Encrypt to our own keys like createChatPayload does to the keys of a contact
+function createSyncPayload(envelope) {
+    const keys = myAccount.keys
+    const { publicKey } = ml_kem1024.keygen(hex2bin(keys.pqSeed))
+    const { cipherText, sharedSecret } = pqSharedKey(publicKey)
+    const dhkey = blake.blake2b(new Uint8Array([...ecSharedKey(keys.secret, keys.public), ...sharedSecret]), myHashKey, 32)
+    return {
+        message: encryptChacha(dhkey, 'Sync'),
+        envelope: encryptChacha(dhkey, stringify(envelope)),
+        encrypted: true,
+        encryptionMethod: 'xchacha20poly1305',
+        pqEncSharedKey: bin2base64(cipherText),
+        sent_timestamp: getCorrectedTimestamp()
+    }
+}
+
+async function sendSync() {
+    sendSync.timer = null
+    const sync = myData?.sync
+    if (!sync?.pending.length || myData.settings.sync !== true) { return }
+    if (!isOnline) {
+        sendSync.timer = setTimeout(sendSync, syncDelay * 6)
+        return
+    }
+    const paths = sync.pending.filter(path => path in sync.values)
+    const fields = Object.fromEntries(paths.map(path => [path, { value: parse(sync.values[path]), time: sync.times[path] }]))
+    const res = await postChatMessage(myAccount.keys.address, createSyncPayload({ type: 'sync', fields }), 0n, myAccount.keys)
+    if (res?.result?.success) {
+        sync.pending = sync.pending.filter(path => !paths.includes(path))
+        saveState()
+    } else {
+        console.log('sync not sent; retrying later', res)
+        sendSync.timer = setTimeout(sendSync, syncDelay * 6)
+    }
+}
+sendSync.timer = null
+
+// Apply a sync message from one of our devices; returns true if anything changed
+async function receiveSyncTx(tx, keys) {
+    if (tx.type !== 'message' || tx.from !== longAddress(keys.address)) { return false }
+    if (myData.settings.sync !== true) { return false }
+    const payload = tx.xmessage
+    payload.public = keys.public
+    await decryptMessage(payload, keys, null)
+    const envelope = payload.envelope
+    if (envelope?.type !== 'sync' || !envelope.fields) { return false }
+    collectSyncChanges()    // local changes not collected yet get their time before comparing
+    const sync = myData.sync
+    let changed = false
+    for (const [path, field] of Object.entries(envelope.fields)) {
+        if (!(field?.time > (sync.times[path] ?? 0))) { continue }
+        if (!setSyncField(path, field.value)) { continue }
+        sync.values[path] = stringify(field.value)
+        sync.times[path] = field.time
+        sync.pending = sync.pending.filter(p => p !== path)
+        changed = true
+    }
+    if (changed) {
+        if (document.getElementById('chatsScreen')?.classList.contains('active')) { updateChatList() }
+        if (document.getElementById('contactsScreen')?.classList.contains('active')) { updateContactsList() }
+        saveState()
+    }
+    return changed
+}
+
+`
+The main difference between a chat message and an asset transfer is
+    chat message pays a toll to the recipient as determined by recipient, but message length can be long
+    asset transfer pays an amount to the recipient as determined by sender, but message (memo) length is limited
+
+    How does toll work
+    When a new contact (chatId) is being established (sending a message or payment for the first time)
+    between two users the sender must include the toll of the recipient
+        * The chatId account toll fields are setup as:
+            toll.required.initialFromAddress = 1
+            toll.required.initialToAddress = 0
+        * This means that the sender who established the chatId will have to keep paying a toll and
+          the receipient can reply or send messages to the sender without paying a toll. 
+        * Either user can submit a tx to not require the other to pay a toll; setting required.otherUser to 0.
+        * Either user can submit a tx to require the other to pay a toll; the client should show the sender the required toll
+        * Either user can block message from the other; this sets the toll field of the blocked user to 2.
+        * Either user can unblock the other user if blocked; this sets the toll field of the unblocked user to 0
+        * If a payment is being sent and it includes a memo and the sender is required to pay a toll than the 
+          amount being sent must be at least the toll amount required by the recipient
+    The actual toll paid by a sender is first stored in the chatId account.
+        * 50% is paid to the recipient for reading the message and 50% is paid when they reply.
+            toll.payOnRead.initialFromAddress = amount
+            toll.payOnRead.initialToAddress
+            toll.payOnReply.initialFromAddress
+            toll.payOnReply.initialToAddress
+    A sender can reclaim the tolls for messages that were not read or replied to after one week
+        * The following fields are used to track the last read and reply time for each user
+            read.initialFromAddress = millisecond timestamp of when initialFromAddress read messages
+            read.initialToAddress
+        * The chat account has the addresses of the two users in initialFromAddress and initialToAddress
+            replied.initialFromAddress
+            replied.initialToAddress
+        * Note that the receipient has to submit a tx specifying the read time; downloading the messages does not count as read
+        * When a user sends a message it sets both the read and replied timestamps for the user
+        * If the recipient reads or replies to a message after the sender has reclaimed the toll they do not get the toll
+    A sender can retract a message if it has not been read yet and it has been less than one minute since the message was sent
+        * However, this does not gaurantee that the recipient has not already downloaded the message and may read it later
+`
+
+async function postChatMessage(to, payload, toll, keys) {
+    const tx = await createChatMessageTx(to, payload, toll, keys)
+    return await injectSignedTx(tx, messageTxid(tx))
+}
+
+// The signed message tx; outbox items keep it so that a retry sends the same tx
+async function createChatMessageTx(to, payload, toll, keys) {
+    const toAddr = longAddress(to);
+    const fromAddr = longAddress(keys.address)
+    const tx = {
+        type: 'message',
+        from: fromAddr,
+        to: toAddr,
+        amount: BigInt(toll),       // not sure if this is used by the backend
+        chatId: blake.blake2bHex([fromAddr, toAddr].sort().join``, myHashKey, 32),
+        message: 'x',
+        xmessage: payload,
+        timestamp: getCorrectedTimestamp(),
+        network: '0000000000000000000000000000000000000000000000000000000000000000',
+        fee: BigInt(parameters.current.transactionFee || 1)           // This is not used by the backend
+    }
+    await signObj(tx, keys)
+    return tx
+}
+
+async function postAssetTransfer(to, amount, memo, keys) {
+    const toAddr = longAddress(to)
+    const fromAddr = longAddress(keys.address)
+    const tx = {
+        type: 'transfer',
+        from: fromAddr,
+        to: toAddr,
+        amount: BigInt(amount),
+        chatId: blake.blake2bHex([fromAddr, toAddr].sort().join``, myHashKey, 32),
+// TODO backend is not allowing memo > 140 characters; by pass using xmemo; we might have to check the total tx size instead
+//        memo: stringify(memo),
+        xmemo: memo,
+        timestamp: getCorrectedTimestamp(),
+        network: '0000000000000000000000000000000000000000000000000000000000000000',
+        fee: BigInt(parameters.current.transactionFee || 1)           // This is not used by the backend
+    }
+    const res = await injectTx(tx, keys)
+    return res
+}
+
+// Tell the network when we read the messages of the chat; this releases the read half of the toll
+async function postReadReceipt(to, readTime, keys) {
+    const toAddr = longAddress(to)
+    const fromAddr = longAddress(keys.address)
+    const tx = {
+        type: 'read',
+        from: fromAddr,
+        to: toAddr,
+        chatId: blake.blake2bHex([fromAddr, toAddr].sort().join``, myHashKey, 32),
+        readTime: readTime,
+        timestamp: getCorrectedTimestamp()
+    }
+    const res = await injectTx(tx, keys)
+    return res
+}
+
+// Retract a message we sent; txid is the id of the message tx
+async function postRetractMessage(to, txid, keys) {
+    const toAddr = longAddress(to)
+    const fromAddr = longAddress(keys.address)
+    const tx = {
+        type: 'retract_message',
+        from: fromAddr,
+        to: toAddr,
+        chatId: blake.blake2bHex([fromAddr, toAddr].sort().join``, myHashKey, 32),
+        txid: txid,
+        timestamp: getCorrectedTimestamp()
+    }
+    const res = await injectTx(tx, keys)
+    return res
+}
+
+// Set the toll others have to pay to message us; toll is in wei
+async function postSetToll(toll, keys) {
+    const tx = {
+        type: 'toll',
+        from: longAddress(keys.address),
+        toll: BigInt(toll),
+        timestamp: getCorrectedTimestamp()
+    }
+    const res = await injectTx(tx, keys)
+    return res
+}
+
+// Set if the other user of the chat has to pay our toll; required is 0 (no toll), 1 (toll) or 2 (blocked)
+async function postUpdateTollRequired(to, required, keys) {
+    const toAddr = longAddress(to)
+    const fromAddr = longAddress(keys.address)
+    const tx = {
+        type: 'update_toll_required',
+        from: fromAddr,
+        to: toAddr,
+        chatId: blake.blake2bHex([fromAddr, toAddr].sort().join``, myHashKey, 32),
+        required: required,
+        timestamp: getCorrectedTimestamp()
+    }
+    const res = await injectTx(tx, keys)
+    return res
+}
+
+// Get back the tolls we paid for messages the recipient did not read or reply to in a week
+async function postReclaimToll(to, keys) {
+    const toAddr = longAddress(to)
+    const fromAddr = longAddress(keys.address)
+    const tx = {
+        type: 'reclaim_toll',
+        from: fromAddr,
+        to: toAddr,
+        chatId: blake.blake2bHex([fromAddr, toAddr].sort().join``, myHashKey, 32),
+        timestamp: getCorrectedTimestamp()
+    }
+    const res = await injectTx(tx, keys)
+    return res
+}
+
+`
+Toll settings in the client
+    myData.settings.toll is our toll in wei.
+    contact.tollRequired is what we require from the contact: 0 = no toll, 1 = pay our toll, 2 = blocked
+    contact.theirToll caches what the contact requires from us: { toll, required, timestamp }
+`
+const tollCacheTime = 60 * 1000   // in milliseconds
+
+// Get the toll the contact requires from us; uses the cached value if it is recent
+async function getTheirToll(address, refresh = false) {
+    const contact = myData.contacts[address]
+    if (!refresh && contact?.theirToll && getCorrectedTimestamp() - contact.theirToll.timestamp < tollCacheTime) {
+        return contact.theirToll
+    }
+    const res = await queryNetwork(`/account/${longAddress(address)}/${longAddress(myAccount.keys.address)}/toll`)
+    if (!res || res.toll === undefined) { return contact?.theirToll || null }
+    const theirToll = {
+        toll: res.toll?.value !== undefined ? hex2big(res.toll.value) : BigInt(res.toll),  // bigints are sent as {dataType, value}
+        required: res.required ?? 1,
+        timestamp: getCorrectedTimestamp()
+    }
+    if (contact) { contact.theirToll = theirToll }
+    return theirToll
+}
+
+// Returns the toll to send with a message in wei, or null if the contact has blocked us or the toll is not known
+async function getTollToPay(address) {
+    const theirToll = await getTheirToll(address)
+    if (!theirToll) {
+        showToast('Could not get the toll of this contact; try again when the network can be reached', 3000, 'error');
+        return null
+    }
+    if (theirToll.required === 2) {
+        alert('This contact has blocked messages from you.');
+        return null
+    }
+    return theirToll.required === 1 ? theirToll.toll : 0n
+}
+
+`
+Read receipts
+    When a chat is opened, or new messages arrive while it is open, we send one read tx with the time of the
+    newest message we got from the contact. Receipts are sent at most once per readReceiptInterval per contact.
+    contact.readReceipts is false if the user turned them off for the contact; contact.readSent is the last
+    readTime we sent. contact.theirRead is when the contact last read our messages, from the chat account.
+`
+const readReceiptInterval = 30 * 1000   // in milliseconds
+
+function sendReadReceipt(address) {
+    const contact = myData.contacts[address]
+    if (!contact || contact.readReceipts === false) { return }
+    const newestReceived = contact.messages.find(m => !m.my)
+    if (!newestReceived || newestReceived.timestamp <= (contact.readSent || 0)) { return }
+    if (sendReadReceipt.timers[address]) { return }  // already waiting to send one
+
+    const wait = Math.max(0, (sendReadReceipt.lastSent[address] || 0) + readReceiptInterval - Date.now())
+    sendReadReceipt.timers[address] = setTimeout(async () => {
+        delete sendReadReceipt.timers[address]
+        // use the newest message at the time of sending so one tx covers all messages that came in while waiting
+        const readTime = contact.messages.find(m => !m.my)?.timestamp || 0
+        if (readTime <= (contact.readSent || 0)) { return }
+        sendReadReceipt.lastSent[address] = Date.now()
+        const res = await postReadReceipt(address, readTime, myAccount.keys)
+        if (res?.result?.success) {
+            contact.readSent = readTime
+            saveState()
+        } else {
+            console.log('read receipt not sent', res)
+        }
+    }, wait)
+}
+sendReadReceipt.timers = {}
+sendReadReceipt.lastSent = {}
+
+// Get when the contact last read our messages from the chat account
+async function updateContactRead(address) {
+    const contact = myData.contacts[address]
+    if (!contact) { return }
+    const myAddr = longAddress(myAccount.keys.address)
+    const theirAddr = longAddress(address)
+    const chatId = blake.blake2bHex([myAddr, theirAddr].sort().join``, myHashKey, 32)
+    const res = await queryNetwork(`/account/${chatId}`)
+    const account = res?.account
+    if (!account?.read || !account.initialFromAddress) { return }
+    // read.initialFromAddress is when the user who started the chat last read it and read.initialToAddress
+    // when the other one did (see the notes above postChatMessage)
+    let theyStarted
+    try { theyStarted = normalizeAddress(account.initialFromAddress) === normalizeAddress(theirAddr) } catch (error) { return }
+    const theirRead = Number(theyStarted ? account.read.initialFromAddress : account.read.initialToAddress)
+    if (theirRead && theirRead > (contact.theirRead || 0)) {
+        contact.theirRead = theirRead
+        if (appendChatModal.address === address) { appendChatModal() }
+    }
+}
+updateContactRead.timer = null
+
+// Show the toll we pay to message the contact above the message input in the chat modal
+async function updateChatTollInfo(address) {
+    const tollInfo = document.getElementById('chatTollInfo')
+    tollInfo.textContent = ''
+    const theirToll = await getTheirToll(address)
+    if (!theirToll || appendChatModal.address !== address) { return }
+    if (theirToll.required === 2) {
+        tollInfo.textContent = 'This contact has blocked messages from you'
+    } else if (theirToll.required === 1 && theirToll.toll > 0n) {
+        tollInfo.textContent = `Toll: ${big2str(theirToll.toll, weiDigits).slice(0, 6)} LIB per message`
+    } else {
+        tollInfo.textContent = 'No toll to message this contact'
+    }
+}
+
+// TODO - backend - when account is being registered, ensure that loserCase(alias)=alias and hash(alias)==aliasHash 
+async function postRegisterAlias(alias, keys){
+    const aliasBytes = utf82bin(alias)
+    const aliasHash = blake.blake2bHex(aliasBytes, myHashKey, 32)
+    const { publicKey, secretKey } = ml_kem1024.keygen(hex2bin(keys.pqSeed))
+    const pqPublicKey = bin2base64(publicKey)
+    const tx = {
+        type: 'register',
+        aliasHash: aliasHash,
+        from: longAddress(keys.address),
+        alias: alias,
+        publicKey: keys.public,
+        pqPublicKey: pqPublicKey,
+        timestamp: getCorrectedTimestamp()
+    }
+    const res = await injectTx(tx, keys)
+    return res
+}
+
+async function injectTx(tx, keys){
+    if (!isOnline) {
+        return null 
+    }
+    const txid = await signObj(tx, keys)  // add the sign obj to tx
+    return await injectSignedTx(tx, txid)
+}
+
+// Send a tx that is already signed; txid is what signObj returned for it
+async function injectSignedTx(tx, txid){
+    if (!isOnline) {
+        return null 
+    }
+    try {
+        const options = {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: stringify({tx: stringify(tx)})
+        }
+        // the same signed tx is sent to the next gateway if one fails; the network has it only once by txid
+        const data = await fetchFromGateways('/inject', options);
+        console.log("DEBUG: injectTx response", data);
+        data.txid = txid           
+        return data
+    } catch (error) {
+        console.error('Error injecting transaction:', error);
+        return null
+    }
+}
+
+/**
+ * Sign a transaction object and return the transaction ID hash
+ * @param {Object} tx - The transaction object to sign
+ * @param {Object} keys - The keys object containing address and secret
+ * @returns {Promise<string>} The transaction ID hash
+ */
+async function signObj(tx, keys){
+    const jstr = stringify(tx)
+//console.log('tx stringify', jstr)
+    const jstrBytes = utf82bin(jstr)
+    const txidHex = blake.blake2bHex(jstrBytes, myHashKey, 32)
+    const txidHashHex = ethHashMessage(txidHex)     // Asked Thant why we are doing this; 
+                                                    //  why hash txid with ethHashMessage again before signing
+                                                    //  why not just sign the original txid
+                                                    // https://discord.com/channels/746426387606274199/1303158886089359431/1329097165137772574
+
+    const sig = await secp.signAsync(hex2bin(txidHashHex), hex2bin(keys.secret))
+    const r = sig.r.toString(16).padStart(64, '0');
+    const s = sig.s.toString(16).padStart(64, '0');
+    // Convert recovery to hex and append (27 + recovery)
+    const v = (27 + sig.recovery).toString(16).padStart(2, '0');
+    // Concatenate everything with 0x prefix
+    const flatSignature = `0x${r}${s}${v}`;
+    tx.sign = {
+        owner: longAddress(keys.address),
+        sig: flatSignature
+    }
+    return txidHex
+}
+
+// Based on what ethers.js is doing in the following code
+// hashMessage() https://github.com/ethers-io/ethers.js/blob/22c081e1cd617b43d267fd4b29cd92ada5fc7e43/src.ts/hash/message.ts#L35
+// concat() https://github.com/ethers-io/ethers.js/blob/22c081e1cd617b43d267fd4b29cd92ada5fc7e43/src.ts/utils/data.ts#L116
+// MessagePrefix https://github.com/ethers-io/ethers.js/blob/22c081e1cd617b43d267fd4b29cd92ada5fc7e43/src.ts/constants/strings.ts#L16
+// keccak256 https://github.com/ethers-io/ethers.js/blob/22c081e1cd617b43d267fd4b29cd92ada5fc7e43/src.ts/crypto/keccak.ts#L44
+// input message can be string or binary; output is hex; binary means Uint8Array
+function ethHashMessage(message){
+    if (typeof(message) === "string") { message = utf82bin(message); }
+    const MessagePrefix = "\x19Ethereum Signed Message:\n"
+    const str = bin2hex(utf82bin(MessagePrefix)) + bin2hex(utf82bin(String(message.length))) + bin2hex(message)
+    return bin2hex(keccak256(hex2bin(str)))
+}
+
+// key is binary, data is string, output is base64
+function encryptChacha(key, data) {
+    const nonce = window.crypto.getRandomValues(new Uint8Array(24))
+    const cipher = xchacha20poly1305(key, nonce);
+    const encrypted = cipher.encrypt(utf82bin(data));
+    
+    // Combine nonce + encrypted data (which includes authentication tag)
+    const combined = new Uint8Array(nonce.length + encrypted.length);
+    combined.set(nonce);
+    combined.set(encrypted, nonce.length);
+    
+    return bin2base64(combined);
+}
+
+// key is binary, encrypted is base64, output is string
+function decryptChacha(key, encrypted) {
+    try {
+        // Convert from base64
+        const combined = base642bin(encrypted);
+        
+        // Extract nonce (first 24 bytes) and encrypted data
+        const nonce = combined.slice(0, 24);
+        const data = combined.slice(24);
+        
+        const cipher = xchacha20poly1305(key, nonce);
+        const decrypted = cipher.decrypt(data);
+        return bin2utf8(decrypted);
+    } catch (error) {
+        console.log('Decryption failed: message authentication failed or corrupted data', error);
+        return null
+    }
+}
+
+// Service Worker Registration and Management
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        console.log('Service Worker not supported');
+        return;
+    }
+
+    try {
+        // Get the current service worker registration
+        const registration = await navigator.serviceWorker.getRegistration();
+        
+        // If there's an existing service worker
+        if (registration?.active) {
+            console.log('Service Worker already registered and active');
+            
+            // Set up message handling for the active worker
+            setupServiceWorkerMessaging(registration.active);
+            watchServiceWorkerUpdate(registration);
+            
+            // Check if there's a new version waiting
+            if (registration.waiting) {
+                // Notify user about new version
+                showUpdateNotification(registration);
+            }
+            
+            return registration;
+        }
+
+        // Explicitly unregister any existing registration
+        if (registration) {
+            await registration.unregister();
+        }
+
+        // Register new service worker
+        const newRegistration = await navigator.serviceWorker.register(serviceWorkerUrl(myVersion), {
+            scope: './',
+            type: 'module', // it imports release.js
+            updateViaCache: 'none' // Don't cache service worker file
+        });
+
+        console.log('Service Worker registered successfully:', newRegistration.scope);
+
+        // Set up new service worker handling
+        watchServiceWorkerUpdate(newRegistration);
+
+        // Wait for the service worker to be ready
+        await navigator.serviceWorker.ready;
+        console.log('Service Worker ready');
+
+        return newRegistration;
+    } catch (error) {
+        console.error('Service Worker registration failed:', error);
+        return null;
+    }
+}
+
+// Offer the update once a new service worker has installed, i.e. precached the new version
+function watchServiceWorkerUpdate(registration) {
+    if (watchServiceWorkerUpdate.registrations.has(registration)) { return }
+    watchServiceWorkerUpdate.registrations.add(registration);
+    registration.addEventListener('updatefound', () => {
+        const newWorker = registration.installing;
+        
+        newWorker.addEventListener('statechange', () => {
+            if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+                // New service worker available
+                showUpdateNotification(registration);
+            } else if (newWorker.state === 'redundant' && !registration.waiting && !registration.installing && navigator.serviceWorker.controller) {
+                // the new version could not be installed, so checkVersion would wait for it forever
+                loadWithoutServiceWorker(registration);
+            }
+        });
+    });
+}
+watchServiceWorkerUpdate.registrations = new Set()
+
+// Load the new version from the network when its service worker failed to install; the old worker would keep
+//   serving the old files. The page is not controlled after the reload, so this can't repeat in a loop.
+async function loadWithoutServiceWorker(registration) {
+    console.warn('The service worker for the new version did not install; loading it from the network');
+    await registration.unregister();
+    await forceReload(['./', 'index.html','styles.css','app.js','lib.js', 'payment-uri.js', 'payment-requests.js', 'release.js', 'network.js', 'networks.js', 'service-worker.js', 'offline.html'])
+        .catch(error => console.warn('Force reload failed:', error));
+    window.location.replace(window.location.href);
+}
+
+// Handle service worker messages
+function setupServiceWorkerMessaging() {
+    // Listen for messages from service worker
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        const data = event.data;
+        
+        // Handle different message types
+        switch (data.type) {
+            case 'error':
+                console.error('Service Worker error:', data.error);
+                break;
+            case 'OFFLINE_MODE':
+                console.warn('Service worker detected offline mode:', data.url);
+                isOnline = false;
+                updateUIForConnectivity();
+                markConnectivityDependentElements();
+                break;
+            case 'CACHE_UPDATED':
+                console.log('Cache updated:', data.url);
+                break;
+            case 'CACHE_ERROR':
+                console.error('Cache error:', data.error);
+                break;
+            case 'OFFLINE_READY':
+                showToast('App ready for offline use');
+                break;
+            case 'NEW_CONTENT':
+                showUpdateNotification();
+                break;
+            case 'OPEN_CHAT':
+                openChatFromNotification(data.address);
+                break;
+        }
+    });
+}
+
+// App state management
+function setupAppStateManagement() {
+    // Initialize app state
+    localStorage.setItem('appPaused', '0');
+    
+    // Stop polling if service worker was already polling
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.ready.then(registration => {
+            registration.active?.postMessage({ type: 'stop_polling' });
+        });
+    }
+
+    // Handle visibility changes
+    document.addEventListener('visibilitychange', async () => {
+        if (!myData || !myAccount) return; // Only manage state if logged in
+        
+        if (document.hidden) {
+            // App is being hidden/closed
+            console.log('📱 App hidden - starting service worker polling');
+            const timestamp = getCorrectedTimestamp().toString();
+            localStorage.setItem('appPaused', timestamp);
+            
+            // Prepare account data for service worker
+            const accountData = {
+                address: myAccount.keys.address,
+                network: {
+                    gateways: myData.network.gateways,
+                    defaultGatewayIndex: myData.network.defaultGatewayIndex
+                }
+            };
+            
+            
+            // Start polling in service worker with timestamp and account data
+            const registration = await navigator.serviceWorker.ready;
+            registration.active?.postMessage({ 
+                type: 'start_polling',
+                timestamp,
+                account: accountData  
+            });
+        } else {
+            // App is becoming visible/open
+            console.log('📱 App visible - stopping service worker polling');
+            localStorage.setItem('appPaused', '0');
+            
+            // Stop polling in service worker
+            const registration = await navigator.serviceWorker.ready;
+            registration.active?.postMessage({ type: 'stop_polling' });
+
+            const gotChats = await updateChatData();
+            if (gotChats > 0) {
+                await updateChatList();
+            }
+        }
+    });
+}
+
+function ecSharedKey(sec, pub){
+    return secp.getSharedSecret(
+        hex2bin(sec),
+        hex2bin(pub)
+    ).slice(1, 33);  // TODO - we were taking only first 32 bytes for chacha; now we can return the whole thing
+}
+
+`
+Contact key verification
+    A gateway could return any public key for an address and read every message we encrypt to it.
+    The secp256k1 public key must hash to the address of the contact, so we check that before using it.
+    The pqPublicKey is not tied to the address, so the keys are pinned in the contact the first time
+    we get them (trust on first use). If the network later returns different keys we keep the pinned
+    keys, record the new ones in contact.keyChange and warn the user until they accept the change.
+`
+// Returns the 20 byte address as hex for a compressed or uncompressed public key given as hex
+function publicKeyToAddress(publicKey){
+    const uncompressed = secp.ProjectivePoint.fromHex(publicKey).toRawBytes(false)
+    return bin2hex(keccak256(uncompressed.slice(1)).slice(-20))
+}
+
+function isPublicKeyForAddress(publicKey, address){
+    try {
+        return publicKeyToAddress(publicKey) === normalizeAddress(address)
+    } catch (error) {
+        return false  // not a valid point or address
+    }
+}
+
+// Get the keys of an account from the network; returns null if the public key does not match the address
+async function fetchContactKeys(address){
+    const info = await queryNetwork(`/account/${longAddress(address)}`)
+    if (!info?.account?.publicKey){ return null }
+    if (!isPublicKeyForAddress(info.account.publicKey, address)){
+        console.error(`public key from gateway does not match address ${address}`, info.account.publicKey)
+        showToast('Security warning: the network returned a public key that does not belong to this account. It was not used.', 0, 'error')
+        return null
+    }
+    return { public: info.account.publicKey, pqPublic: info.account.pqPublicKey }
+}
+
+// Pin the keys in the contact if it has none; returns false if they differ from the pinned keys
+function pinContactKeys(contact, keys){
+    // keys saved before verification was added are only trusted if they match the address
+    const pinnedPublic = contact.keysPinned || isPublicKeyForAddress(contact.public || '', contact.address) ? contact.public : null
+    const changed = (pinnedPublic && pinnedPublic !== keys.public) ||
+        (contact.keysPinned && contact.pqPublic && keys.pqPublic && contact.pqPublic !== keys.pqPublic)
+    if (changed){
+        if (contact.keyChange?.public !== keys.public || contact.keyChange?.pqPublic !== keys.pqPublic){
+            contact.keyChange = { public: keys.public, pqPublic: keys.pqPublic, timestamp: getCorrectedTimestamp() }
+            delete contact.verified   // the safety number was for the old keys
+            const name = contact.name || contact.username || contact.address
+            showToast(`Security warning: the keys of ${name} have changed`, 0, 'warning')
+            saveState()
+        }
+        return false
+    }
+    contact.public = keys.public
+    if (keys.pqPublic){ contact.pqPublic = keys.pqPublic }
+    if (!contact.keysPinned){ contact.keysPinned = getCorrectedTimestamp() }
+    return true
+}
+
+// Get the verified keys for an address; uses the pinned keys of the contact if there are any
+async function getContactKeys(address){
+    const contact = myData.contacts[address]
+    if (contact?.keysPinned && contact.public && contact.pqPublic){
+        return { public: contact.public, pqPublic: contact.pqPublic }
+    }
+    const keys = await fetchContactKeys(address)
+    if (!keys){ return null }
+    if (!contact){ return keys }
+    if (!pinContactKeys(contact, keys)){
+        return contact.keysPinned ? { public: contact.public, pqPublic: contact.pqPublic } : null
+    }
+    return keys
+}
+
+// Compare the pinned keys of a contact with what the network has now
+async function checkContactKeys(address){
+    const contact = myData.contacts[address]
+    if (!contact || !isOnline){ return }
+    const keys = await fetchContactKeys(address)
+    if (keys){ pinContactKeys(contact, keys) }
+    if (appendChatModal.address === address){ updateKeyChangeWarning() }
+}
+
+// Show or hide the key change warning in the chat modal
+function updateKeyChangeWarning(){
+    const warning = document.getElementById('keyChangeWarning')
+    const contact = myData.contacts[appendChatModal.address]
+    warning.style.display = contact?.keyChange ? 'flex' : 'none'
+    document.querySelector('#chatModal .chat-user-info').classList.toggle('verified', isContactVerified(contact))
+}
+
+// The user has checked with the contact that the new keys are theirs
+function acceptKeyChange(){
+    const contact = myData.contacts[appendChatModal.address]
+    if (!contact?.keyChange){ return }
+    if (!confirm('Only accept the new keys if you have confirmed with this contact that they changed them. Accept the new keys?')){ return }
+    contact.public = contact.keyChange.public
+    contact.pqPublic = contact.keyChange.pqPublic
+    contact.keysPinned = getCorrectedTimestamp()
+    delete contact.keyChange
+    delete contact.verified   // needs to be verified again with the new keys
+    saveState()
+    updateKeyChangeWarning()
+    showToast('New keys accepted', 2000, 'success')
+}
+
+`
+Safety numbers
+    Each side of a conversation gets 30 digits from a hash of its address, secp256k1 public key and
+    ML-KEM-1024 public key. The two halves are sorted so both contacts see the same 60 digits.
+    If the numbers match on both phones then neither of the keys was replaced by a gateway.
+`
+function safetyNumberHalf(address, publicKey, pqPublicKey){
+    const addressBytes = hex2bin(normalizeAddress(address))
+    const publicBytes = secp.ProjectivePoint.fromHex(publicKey).toRawBytes(false)
+    const pqBytes = typeof pqPublicKey === 'string' ? base642bin(pqPublicKey) : pqPublicKey
+    const data = new Uint8Array(addressBytes.length + publicBytes.length + pqBytes.length)
+    data.set(addressBytes)
+    data.set(publicBytes, addressBytes.length)
+    data.set(pqBytes, addressBytes.length + publicBytes.length)
+    const hash = blake.blake2b(data, myHashKey, 32)
+    // 6 groups of 5 digits; each group from 5 bytes of the hash
+    let digits = ''
+    for (let i = 0; i < 30; i += 5){
+        let n = 0n
+        for (const b of hash.slice(i, i + 5)){ n = (n << 8n) | BigInt(b) }
+        digits += (n % 100000n).toString().padStart(5, '0')
+    }
+    return digits
+}
+
+// Returns the 60 digit safety number for the contact or null if we don't have their verified keys
+async function getSafetyNumber(address){
+    const theirKeys = await getContactKeys(address)
+    if (!theirKeys?.public || !theirKeys?.pqPublic || myData.contacts[address]?.keyChange){ return null }
+    const keys = myAccount.keys
+    if (!getSafetyNumber.myHalf || getSafetyNumber.myAddress !== keys.address){
+        const { publicKey } = ml_kem1024.keygen(hex2bin(keys.pqSeed))
+        getSafetyNumber.myHalf = safetyNumberHalf(keys.address, keys.public, publicKey)
+        getSafetyNumber.myAddress = keys.address
+    }
+    const theirHalf = safetyNumberHalf(address, theirKeys.public, theirKeys.pqPublic)
+    return [getSafetyNumber.myHalf, theirHalf].sort().join('')
+}
+getSafetyNumber.myHalf = null
+getSafetyNumber.myAddress = null
+
+// A contact is verified if the user confirmed the safety number for the keys we are using now
+function isContactVerified(contact){
+    return !!(contact?.verified && !contact.keyChange)
+}
+
+function pqSharedKey(recipientKey, encKey){  // inputs base64 or binary, outputs binary
+    if (typeof(recipientKey) == 'string'){ recipientKey = base642bin(recipientKey)}
+    if (encKey){
+        if (typeof(encKey) == 'string'){ encKey = base642bin(encKey)} 
+        return ml_kem1024.decapsulate(encKey, recipientKey);
+    }
+    return ml_kem1024.encapsulate(recipientKey);  // { cipherText, sharedSecret }
+}
+
+
+function requestNotificationPermission() {
+    if (!('Notification' in window)) { return }
+    if (Notification.permission === 'granted') {
+        registerPeriodicChatCheck();
+        return;
+    }
+    if (Notification.permission === 'default') {
+        Notification.requestPermission()
+            .then(permission => {
+                console.log('Notification permission result:', permission);
+                if (permission === 'granted') {
+                    console.log('Notification permission granted');
+                    registerPeriodicChatCheck();
+                } else {
+                    console.log('Notification permission denied');
+                }
+            })
+            .catch(error => {
+                console.error('Error during notification permission request:', error);
+            });
+    }
+}
+
+// Let the service worker check for new chats while the app is closed; only some browsers support it
+async function registerPeriodicChatCheck() {
+    if (!('serviceWorker' in navigator)) { return }
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (!registration.periodicSync) { return }
+        const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (status.state !== 'granted') { return }
+        await registration.periodicSync.register('check-chats', { minInterval: 15 * 60 * 1000 });
+    } catch (error) {
+        console.warn('Could not register the periodic chat check:', error);
+    }
+}
+
+// Open the chat a notification was about; waits for the user to sign in if needed
+async function openChatFromNotification(address) {
+    if (!myData || !myAccount) {
+        openChatFromNotification.pending = address;
+        return;
+    }
+    openChatFromNotification.pending = null;
+    await updateChatData();
+    if (!myData.contacts[address] && !myData.groups?.[address]) { return }
+    if (appendChatModal.address) { closeChatModal() }
+    await switchView('chats');
+    openChatModal(address);
+}
+openChatFromNotification.pending = null
+
+// Add these search-related functions
+function searchMessages(searchText) {
+    if (!searchText || !myData?.contacts) return [];
+    
+    const results = [];
+    const searchLower = searchText.toLowerCase();
+    
+    // Search through all contacts and their messages
+    Object.entries(myData.contacts).forEach(([address, contact]) => {
+        if (!contact.messages) return;
+        
+        contact.messages.forEach((message, index) => {
+            if (message.message.toLowerCase().includes(searchLower)) {
+                // Highlight matching text
+                const messageText = escapeHtml(message.message);
+                const highlightedText = messageText.replace(
+                    new RegExp(searchText, 'gi'),
+                    match => `<mark>${match}</mark>`
+                );
+                results.push({
+                    contactAddress: address,
+                    username: contact.username || address,
+                    messageId: index,
+                    message: message,  // Pass the entire message object
+                    timestamp: message.timestamp,
+                    preview: truncateMessage(highlightedText, 100),
+                    my: message.my  // Include the my property
+                });
+            }
+        });
+    });
+    
+    return results.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+function displaySearchResults(results) {
+    const searchResults = document.getElementById('searchResults');
+    // Create a ul element to properly contain the list items
+    const resultsList = document.createElement('ul');
+    resultsList.className = 'chat-list';
+    
+    results.forEach(async result => {
+        const resultElement = document.createElement('li');
+        resultElement.className = 'chat-item search-result-item';
+        
+        // Generate identicon for the contact
+        const identicon = await generateIdenticon(result.contactAddress);
+        
+        // Format message preview with "You:" prefix if it's a sent message
+        // make this textContent?
+        const messagePreview = result.my ? `You: ${result.preview}` : `${result.preview}`;
+        
+        resultElement.innerHTML = `
+            <div class="chat-avatar">
+                ${identicon}
+            </div>
+            <div class="chat-content">
+                <div class="chat-header">
+                    <div class="chat-name">${result.username}</div>
+                    <div class="chat-time">${formatTime(result.timestamp)}</div>
+                </div>
+                <div class="chat-message">
+                    ${messagePreview}
+                </div>
+            </div>
+        `;
+
+        resultElement.addEventListener('click', (event) => { 
+            event.stopImmediatePropagation(); // Stop all other listeners and bubbling immediately
+            // clear search input and clear results
+            document.getElementById('messageSearch').value = '';
+            document.getElementById('searchResults').innerHTML = '';
+            handleSearchResultClick(result);
+        });
+
+        resultsList.appendChild(resultElement);
+    });
+
+    // Clear and append the new list
+    searchResults.innerHTML = '';
+    searchResults.appendChild(resultsList);
+}
+
+function displayEmptyState(containerId, message = "No results found") {
+    const resultsContainer = document.getElementById(containerId);
+    resultsContainer.innerHTML = `
+        <div class="empty-state">
+            <div class="empty-state-message">${message}</div>
+        </div>
+    `;
+}
+
+function handleSearchResultClick(result) {
+    try {
+        // Close search modal
+        document.getElementById('searchModal').classList.remove('active');
+        
+        // Switch to chats view if not already there
+        switchView('chats');
+        
+        // Open the chat with this contact
+        openChatModal(result.contactAddress);
+        
+        // Scroll to and highlight the message
+        setTimeout(() => {
+            const messageSelector = `[data-message-id="${result.messageId}"]`;
+            const messageElement = document.querySelector(messageSelector);
+            if (messageElement) {
+                messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                messageElement.classList.add('highlighted');
+                setTimeout(() => messageElement.classList.remove('highlighted'), 2000);
+            } else {
+                console.error('Message element not found for selector:', messageSelector);
+                // Could add a toast notification here
+            }
+        }, 300);
+    } catch (error) {
+        console.error('Error handling search result:', error);
+        // Could add error notification here
+    }
+}
+
+function handleSearchInputClick(e) {
+    const messageSearch = document.getElementById('messageSearch');
+    const searchModal = document.getElementById('searchModal');
+    
+    searchModal.classList.add('active');
+    messageSearch.focus();
+}
+
+function handleMessageSearchInput(e) {
+    const searchResults = document.getElementById('searchResults');
+
+    // debounced search
+    const debouncedSearch = debounce((searchText) => {
+        const trimmedText = searchText.trim();
+        
+        if (!trimmedText) {
+            searchResults.innerHTML = '';
+            return;
+        }
+
+        const results = searchMessages(trimmedText);
+        if (results.length === 0) {
+            displayEmptyState('searchResults', "No messages found");
+        } else {
+            displaySearchResults(results);
+        }
+    }, (searchText) => searchText.length === 1 ? 600 : 300);
+
+    
+        debouncedSearch(e.target.value);
+    
+}
+
+// Contact search functions
+function searchContacts(searchText) {
+    if (!searchText || !myData?.contacts) return [];
+
+    const results = [];
+    const searchLower = searchText.toLowerCase();
+
+    // Search through all contacts
+    Object.entries(myData.contacts).forEach(([address, contact]) => {
+        // Fields to search through
+        const searchFields = [
+            contact.username,
+            contact.name,
+            contact.email,
+            contact.phone,
+            contact.linkedin,
+            contact.x,
+        ].filter(Boolean); // Remove null/undefined values
+
+        // Check if any field matches
+        const matches = searchFields.some((field) =>
+            field.toLowerCase().includes(searchLower)
+        );
+
+        if (matches) {
+            // Determine match type for sorting
+            const exactMatch = searchFields.some(
+                (field) => field.toLowerCase() === searchLower
+            );
+            const startsWithMatch = searchFields.some((field) =>
+                field.toLowerCase().startsWith(searchLower)
+            );
+
+            results.push({
+                ...contact,
+                address,
+                matchType: exactMatch ? 2 : startsWithMatch ? 1 : 0,
+            });
+        }
+    });
+
+    // Sort results by match type and then alphabetically by username
+    return results.sort((a, b) => {
+        if (a.matchType !== b.matchType) {
+            return b.matchType - a.matchType;
+        }
+        return (a.username || "").localeCompare(b.username || "");
+    });
+}
+
+function displayContactResults(results, searchText) {
+    const resultsContainer = document.getElementById("contactSearchResults");
+    resultsContainer.innerHTML = "";
+
+    results.forEach(async (contact) => {
+        const contactElement = document.createElement("div");
+        contactElement.className = "chat-item contact-item";
+        
+        // Generate identicon for the contact
+        const identicon = await generateIdenticon(contact.address);
+        
+        // Determine which field matched for display
+        const matchedField = [
+            { field: 'username', value: contact.username },
+            { field: 'name', value: contact.name },
+            { field: 'email', value: contact.email },
+            { field: 'phone', value: contact.phone },
+            { field: 'linkedin', value: contact.linkedin },
+            { field: 'x', value: contact.x }
+        ].find(f => f.value && f.value.toLowerCase().includes(searchText.toLowerCase()));
+
+        // Create match preview with label and highlighted matched value
+        const matchPreview = matchedField 
+            ? `${matchedField.field}: ${matchedField.value.replace(
+                new RegExp(searchText, 'gi'),
+                match => `<mark>${match}</mark>`
+              )}`
+            : '';
+        
+        contactElement.innerHTML = `
+            <div class="chat-avatar">
+                ${identicon}
+            </div>
+            <div class="chat-content">
+                <div class="chat-header">
+                    <span class="chat-name">${contact.username || "Unknown"}</span>
+                </div>
+                <div class="chat-message">
+                    <span class="match-label">${matchPreview}</span>
+                </div>
+            </div>
+        `;
+
+        // Add click handler to show contact info
+        contactElement.addEventListener("click", () => {
+            // clear search results and input contactSearchResults
+            document.getElementById("contactSearchResults").innerHTML = "";
+            document.getElementById("contactSearch").value = "";
+            // Create display info and open contact info modal
+            contactInfoModal.open(createDisplayInfo(contact));
+            // Close the search modal
+            document.getElementById("contactSearchModal").classList.remove("active");
+        });
+
+        resultsContainer.appendChild(contactElement);
+    });
+}
+
+// Create a display info object from a contact object
+function createDisplayInfo(contact) {
+    return {
+        username: contact.senderInfo?.username || contact.username || contact.address.slice(0,8) + '...' + contact.address.slice(-6),
+        name: contact.name || contact.senderInfo?.name || 'Not provided',
+        email: contact.senderInfo?.email || 'Not provided',
+        phone: contact.senderInfo?.phone || 'Not provided',
+        linkedin: contact.senderInfo?.linkedin || 'Not provided',
+        x: contact.senderInfo?.x || 'Not provided',
+        address: contact.address
+    };
+}
+
+// Add this function before the ContactInfoModalManager class
+function showToast(message, duration = 2000, type = "default") {
+    const toastContainer = document.getElementById('toastContainer');
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.textContent = message;
+    
+    // Generate a unique ID for this toast
+    const toastId = 'toast-' + getCorrectedTimestamp() + '-' + Math.floor(Math.random() * 1000);
+    toast.id = toastId;
+    
+    toastContainer.appendChild(toast);
+    
+    // Force reflow to enable transition
+    toast.offsetHeight;
+    
+    // Show with a slight delay to ensure rendering
+    setTimeout(() => {
+        toast.classList.add('show');
+        // Set hide timeout
+        if (duration > 0) {
+            setTimeout(() => {
+                hideToast(toastId);
+            }, duration);
+        }
+    }, 10);
+    
+    return toastId;
+}
+
+// Function to hide a specific toast by ID
+function hideToast(toastId) {
+    const toast = document.getElementById(toastId);
+    if (!toast) return;
+    
+    toast.classList.remove('show');
+    setTimeout(() => {
+        const toastContainer = document.getElementById('toastContainer');
+        if (toast.parentNode === toastContainer) {
+            toastContainer.removeChild(toast);
+        }
+    }, 300); // Match transition duration
+}
+
+// Show update notification to user
+function showUpdateNotification(registration) {
+    if (document.querySelector('.update-notification')) { return }
+    // Create update notification
+    const updateNotification = document.createElement('div');
+    updateNotification.className = 'update-notification';
+    updateNotification.innerHTML = `
+        <div class="update-message">
+            A new version is available
+            <button class="update-button">
+                Update Now
+            </button>
+        </div>
+    `;
+    
+    // Add click handler directly to the button
+    updateNotification.querySelector('.update-button').addEventListener('click', () => {
+        updateServiceWorker();
+    });
+    
+    document.body.appendChild(updateNotification);
+}
+
+// Update the service worker
+async function updateServiceWorker() {
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (!registration) return;
+
+    // If there's a waiting worker, activate it
+    if (registration.waiting) {
+        // Send message to service worker to skip waiting
+        registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+        
+        // Reload once the new service worker takes over
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            console.log('New service worker activated, reloading...');
+            window.location.reload();
+        });
+    }
+}
+
+// Handle online/offline events
+async function handleConnectivityChange(event) {
+    const wasOffline = !isOnline;
+    isOnline = navigator.onLine;
+    
+    console.log(`Connectivity changed. Online: ${isOnline}`);
+    
+    if (isOnline && wasOffline) {
+        // We just came back online
+        updateUIForConnectivity();
+        showToast("You're back online!", 3000, "online");
+
+        // Verify username is still valid on the network
+        /* await verifyUsernameOnReconnect(); */
+        // Initialize WebSocket connection regardless of view
+        wsManager.initializeWebSocketManager();
+        // Force update data with reconnection handling
+        if (myAccount && myAccount.keys) {
+            try {
+                // Update chats with reconnection handling
+                const gotChats = await updateChatData();
+                if (gotChats > 0) {
+                    await updateChatList();
+                }
+                
+                // Update contacts with reconnection handling
+                await updateContactsList();
+                
+                // Update wallet with reconnection handling
+                await updateWalletView();
+
+                // Send any messages that were queued while offline
+                await processOutbox();
+
+            } catch (error) {
+                console.error('Failed to update data on reconnect:', error);
+                showToast("Some data couldn't be updated. Please refresh if you notice missing information.", 5000, "warning");
+            }
+        }
+    } else if (!isOnline) {
+        // We just went offline
+        updateUIForConnectivity();
+        showToast("You're offline. Some features are unavailable.", 3000, "offline");
+    }
+}
+
+// Setup connectivity detection
+function setupConnectivityDetection() {
+    // Only setup offline detection if running as installed PWA
+    /* if (!checkIsInstalledPWA()) {
+        isOnline = true; // Always consider online in web mode
+        return;
+    } */
+
+    // Listen for browser online/offline events
+    window.addEventListener('online', handleConnectivityChange);
+    window.addEventListener('offline', handleConnectivityChange);
+
+    // Mark elements that depend on connectivity
+    markConnectivityDependentElements();
+
+    // Check initial status (don't trust the browser's initial state)
+    checkConnectivity();
+
+    // Periodically check connectivity (every 30 seconds)
+    setInterval(checkConnectivity, 30000);
+}
+
+// Mark elements that should be disabled when offline
+function markConnectivityDependentElements() {
+    // Elements that require network connectivity
+    const networkDependentElements = [
+        // Chat related
+        '#handleSendMessage',
+        '.message-input',
+        '#newChatButton',
+        '#chatSendMoneyButton',
+        '#chatRequestMoneyButton',
+        
+        // Wallet related
+        '#openSendModal',
+        '#refreshBalance',
+        '#sendForm button[type="submit"]',
+        
+        // Contact related
+        '#chatRecipient',
+        '#chatAddFriendButton',
+        '#addFriendButton',
+        
+        // Profile related
+        '#accountForm button[type="submit"]',
+        '#createAccountForm button[type="submit"]',
+        '#importForm button[type="submit"]',
+        '#contactInfoSendButton',
+
+        // menu list buttons
+        '.menu-item[id="openAccountForm"]',
+        '.menu-item[id="openNetwork"]',
+        '.menu-item[id="openExplorer"]',
+        '.menu-item[id="openMonitor"]',
+        '.menu-item[id="openAbout"]',
+        '.menu-item[id="openRemoveAccount"]',
+        
+    ];
+
+    // Add data attribute to all network-dependent elements
+    networkDependentElements.forEach(selector => {
+        const elements = document.querySelectorAll(selector);
+        elements.forEach(element => {
+            element.setAttribute('data-requires-connection', 'true');
+            
+            // Add tooltip for disabled state
+            element.title = 'This feature requires an internet connection';
+            
+            // Add aria label for accessibility
+            element.setAttribute('aria-disabled', !isOnline);
+        });
+    });
+}
+
+// Update UI elements based on connectivity status
+function updateUIForConnectivity() {
+    const networkDependentElements = document.querySelectorAll('[data-requires-connection]');
+    const offlineIndicator = document.getElementById('offlineIndicator');
+    
+    // Update offline indicator in header
+    if (offlineIndicator) {
+        if (!isOnline) {
+            offlineIndicator.style.opacity = '1';
+            offlineIndicator.style.visibility = 'visible';
+            offlineIndicator.style.width = 'auto';
+            offlineIndicator.style.padding = '4px 8px';
+            offlineIndicator.style.overflow = 'visible';
+        } else {
+            offlineIndicator.style.opacity = '0';
+            offlineIndicator.style.visibility = 'hidden';
+            offlineIndicator.style.width = '0';
+            offlineIndicator.style.padding = '0';
+            offlineIndicator.style.overflow = 'hidden';
+        }
+    }
+    
+    networkDependentElements.forEach(element => {
+        if (!isOnline) {
+            // Disable element
+            element.disabled = true;
+            element.classList.add('offline-disabled');
+            
+            // If it's a form, prevent submission
+            if (element.form) {
+                element.form.addEventListener('submit', preventOfflineSubmit);
+            }
+        } else {
+            // Enable element
+            element.disabled = false;
+            element.classList.remove('offline-disabled');
+            
+            // Remove form submit prevention
+            if (element.form) {
+                element.form.removeEventListener('submit', preventOfflineSubmit);
+            }
+        }
+        
+        // Update aria-disabled state
+        element.setAttribute('aria-disabled', !isOnline);
+    });
+}
+
+// Prevent form submissions when offline
+function preventOfflineSubmit(event) {
+    if (!isOnline) {
+        event.preventDefault();
+        showToast('This action requires an internet connection', 3000, 'error');
+    }
+}
+
+
+// Add global isOnline variable at the top with other globals
+let isOnline = true; // Will be updated by connectivity checks
+
+// Add checkConnectivity function before setupConnectivityDetection
+async function checkConnectivity() {
+    const wasOffline = !isOnline;
+    isOnline = await checkOnlineStatus();
+    
+    if (isOnline !== wasOffline) {
+        // Only trigger change handler if state actually changed
+        await handleConnectivityChange({ type: isOnline ? 'online' : 'offline' });
+    }
+}
+
+// Verify username availability when coming back online
+/* async function verifyUsernameOnReconnect() {
+    // Only proceed if user is logged in
+    if (!myAccount || !myAccount.username) {
+        console.log('No active account to verify');
+        return;
+    }
+    
+    console.log('Verifying username on reconnect:', myAccount.username);
+    
+    // Check if the username is still valid on the network
+    const availability = await checkUsernameAvailability(myAccount.username, myAccount.keys.address);
+    
+    if (availability !== 'mine') {
+        console.log('Username verification failed on reconnect:', availability);
+        
+        // Show a notification to the user
+        showToast('Your account is no longer valid on the network. You will be signed out.', 5000, 'error');
+        
+        // Wait a moment for the user to see the toast
+        setTimeout(() => {
+            // Sign out the user
+            handleSignOut();
+        }, 5000);
+    } else {
+        console.log('Username verified successfully on reconnect');
+    }
+} */
+
+// Gateway Management Functions
+
+// Function to initialize the gateway configuration
+// TODO: can remove this eventually since new account creation does this
+function initializeGatewayConfig() {
+    // Safety check for myData
+    if (!myData) {
+        console.error('Cannot initialize gateway config: myData is null');
+        return;
+    }
+
+    // Ensure network property exists
+    if (!myData.network) {
+        myData.network = {};
+    }
+
+    // Ensure gateways array exists
+    if (!myData.network.gateways) {
+        myData.network.gateways = [];
+    }
+
+    // Ensure defaultGatewayIndex property exists and set to -1 (random selection)
+    if (myData.network.defaultGatewayIndex === undefined) {
+        myData.network.defaultGatewayIndex = -1; // -1 means use random selection
+    }
+
+    // If no gateways, initialize with system gateways
+    if (myData.network.gateways.length === 0) {
+        // Add system gateways from the global network object
+        if (network && network.gateways) {
+            network.gateways.forEach(gateway => {
+                myData.network.gateways.push({
+                    protocol: gateway.protocol,
+                    host: gateway.host,
+                    port: gateway.port,
+                    name: `${gateway.host} (System)`,
+                    isSystem: true,
+                    isDefault: false
+                });
+            });
+        }
+    }
+}
+
+`
+Gateway discovery
+    network.js only lists a few gateways. If network.discovery has signers, the client also gets the list of
+    active gateways from network.discovery.url, or the gateways path of the monitor if it has no url:
+        { netid, timestamp, gateways: [{ protocol, host, port }], sign: { owner, sig } }
+    The list has to be signed like a tx (see signObj) by one of network.discovery.signers and be for our
+    netid. It is checked at sign in and every discoveryInterval after that. A new gateway is only added
+    after it answers a request, and is marked isDiscovered. Discovered gateways are dropped when they were
+    not in the list for discoveryExpiry or are down when the list is checked; gateways from network.js or
+    added by the user are never dropped. The last time each one was in the list is in
+    myData.network.discovered by url. Each device gets the list itself, so discovered gateways are not synced.
+    Discovery is off while network.discovery.signers is empty, which it is until the network publishes a
+    signed list and the addresses of its signers; nothing is fetched and the gateway list stays as it is.
+`
+const discoveryInterval = 60 * 60 * 1000           // in milliseconds
+const discoveryExpiry = 24 * 60 * 60 * 1000        // in milliseconds
+const discoveryMaxGateways = 20                     // so a bad list can't fill the gateway list
+const networkAccountPath = '/account/0000000000000000000000000000000000000000000000000000000000000000'
+
+function isValidGatewayEntry(entry) {
+    return ['http', 'https'].includes(entry?.protocol) &&
+        typeof entry.host === 'string' && /^[a-z0-9.-]+$/i.test(entry.host) &&
+        Number.isInteger(entry.port) && entry.port > 0 && entry.port < 65536
+}
+
+// Get the signed list of active gateways; throws if it can't be trusted
+async function fetchGatewayList() {
+    const url = network.discovery.url || `${network.monitor.url}/api/gateways`
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), gatewayTimeout)
+    let list
+    try {
+        const response = await fetch(url, { signal: controller.signal })
+        list = await response.json()
+    } finally {
+        clearTimeout(timer)
+    }
+    const signers = network.discovery.signers.map(address => normalizeAddress(address).toLowerCase())
+    const signer = recoverSigner(list)
+    if (!signer || !signers.includes(signer) || normalizeAddress(list.sign.owner).toLowerCase() !== signer) {
+        throw new Error('the gateway list is not signed by a known signer')
+    }
+    if (list.netid !== network.netid || !Array.isArray(list.gateways)) {
+        throw new Error('the gateway list is not for this network')
+    }
+    return list.gateways.filter(isValidGatewayEntry)
+}
+
+async function refreshGateways() {
+    if (!myData || !network.discovery?.signers?.length || !isOnline) { return }
+    initializeGatewayConfig()
+    let list
+    try {
+        list = await fetchGatewayList()
+    } catch (error) {
+        console.warn('could not get the gateway list', error)
+        return
+    }
+    const now = Date.now()
+    const gateways = myData.network.gateways
+    if (!myData.network.discovered) { myData.network.discovered = {} }
+    const discovered = myData.network.discovered
+    for (const entry of list) {
+        const url = gatewayUrl(entry)
+        discovered[url] = now
+        if (gateways.some(gateway => gatewayUrl(gateway) === url)) { continue }
+        if (gateways.filter(gateway => gateway.isDiscovered).length >= discoveryMaxGateways) { break }
+        try {
+            if (!(await fetchGateway(entry, networkAccountPath))?.account) { continue }
+        } catch (error) {
+            continue    // fetchGateway logs it
+        }
+        gateways.push({
+            protocol: entry.protocol,
+            host: entry.host,
+            port: entry.port,
+            name: `${entry.host} (Discovered)`,
+            isSystem: false,
+            isDefault: false,
+            isDiscovered: true,
+        })
+    }
+    for (let index = gateways.length - 1; index >= 0; index--) {
+        const gateway = gateways[index]
+        if (!gateway.isDiscovered) { continue }
+        const url = gatewayUrl(gateway)
+        if (now - (discovered[url] || 0) > discoveryExpiry || gatewayStatus(gateway) === 'down') {
+            removeGatewayAt(index)
+            delete discovered[url]
+        }
+    }
+    myData.network.discoveryTimestamp = now
+    saveState()
+}
+
+// Check the gateway list at sign in and then every discoveryInterval; keeps running when switching accounts
+function startGatewayDiscovery() {
+    const check = () => {
+        if (Date.now() - (myData?.network?.discoveryTimestamp || 0) >= discoveryInterval) { refreshGateways() }
+    }
+    check()
+    if (!startGatewayDiscovery.timer) {
+        startGatewayDiscovery.timer = setInterval(check, 5 * 60 * 1000)
+    }
+}
+startGatewayDiscovery.timer = null
+
+// Remove the gateway and keep the default pointing at the same one, or random selection if it was the default
+function removeGatewayAt(index) {
+    if (myData.network.defaultGatewayIndex === index) {
+        myData.network.defaultGatewayIndex = -1;
+    } else if (myData.network.defaultGatewayIndex > index) {
+        // Adjust default gateway index if needed
+        myData.network.defaultGatewayIndex--;
+    }
+    myData.network.gateways.splice(index, 1);
+}
+
+// Function to get the gateway to use for a request
+function getGatewayForRequest() {
+    return getGatewaysForRequest()[0] || null;
+}
+
+// The gateways to try for a request, best first: the default gateway unless it is down, then the others
+//   by health; gateways with the same health are in random order to spread the load
+function getGatewaysForRequest() {
+    //TODO: ask Omar if we should just let use edit network.js or keep current logic where when we sign in it uses network.js and when signed in we use myData.network.gateways
+    let gateways;
+    let defaultGateway = null;
+    // Check if myData exists
+    if (!myData) {
+        // Fall back to global network if available
+        if (typeof network === 'undefined' || !network?.gateways?.length) {
+            console.error('No myData or network available');
+            return [];
+        }
+        gateways = network.gateways;
+    } else {
+        // Initialize if needed
+        initializeGatewayConfig();
+        gateways = myData.network.gateways;
+        const index = myData.network.defaultGatewayIndex;
+        if (index >= 0 && index < gateways.length) {
+            defaultGateway = gateways[index];
+        }
+    }
+
+    const rank = { healthy: 0, unknown: 0, slow: 1, down: 2 };
+    const ordered = gateways
+        .map(gateway => ({ gateway, order: rank[gatewayStatus(gateway)] + Math.random() }))
+        .sort((a, b) => a.order - b.order)
+        .map(({ gateway }) => gateway);
+    if (defaultGateway && gatewayStatus(defaultGateway) !== 'down') {
+        ordered.splice(ordered.indexOf(defaultGateway), 1);
+        ordered.unshift(defaultGateway);
+    }
+    return ordered;
+}
+
+async function startCamera() {
+    const video = document.getElementById('video');
+    const canvasElement = document.getElementById('canvas');
+    try {
+        // First check if camera API is supported
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new Error('Camera API is not supported in this browser');
+        }
+
+        // Stop any existing stream
+        if (startCamera.stream) {
+            stopCamera();
+        }
+        
+        // Hide previous results
+//        resultContainer.classList.add('hidden');
+        
+//        statusMessage.textContent = 'Accessing camera...';
+        // Request camera access with specific error handling
+        try {
+            startCamera.stream = await navigator.mediaDevices.getUserMedia({
+                video: { 
+                    facingMode: 'environment', // Use back camera
+                    width: { ideal: 1280 },
+                    height: { ideal: 720 }
+                },
+                audio: false
+            });
+        } catch (mediaError) {
+            // Handle specific getUserMedia errors
+            switch (mediaError.name) {
+                case 'NotAllowedError':
+                    throw new Error('Camera access was denied. Please check your browser settings and grant permission to use the camera.');
+                case 'NotFoundError':
+                    throw new Error('No camera device was found on your system.');
+                case 'NotReadableError':
+                    throw new Error('Camera is already in use by another application or encountered a hardware error.');
+                case 'SecurityError':
+                    throw new Error('Camera access was blocked by your browser\'s security policy.');
+                case 'AbortError':
+                    throw new Error('Camera access was cancelled.');
+                default:
+                    throw new Error(`Camera error: ${mediaError.message}`);
+            }
+        }
+        
+        // Connect the camera stream to the video element
+        video.srcObject = startCamera.stream;
+        video.setAttribute('playsinline', true); // required for iOS Safari
+        
+        // When video is ready to play
+        video.onloadedmetadata = function() {
+            video.play();
+            
+            // Enable scanning and update button
+            startCamera.scanning = true;
+//            toggleButton.textContent = 'Stop Camera';
+            
+            // Start scanning for QR codes
+            // Use interval instead of requestAnimationFrame for better control over scan frequency
+            startCamera.scanInterval = setInterval(readQRCode, 100); // scan every 100ms (10 times per second)
+            
+//            statusMessage.textContent = 'Camera active. Point at a QR code.';
+        };
+
+        // Add error handler for video element
+        video.onerror = function(error) {
+            console.error('Video element error:', error);
+            stopCamera();
+            throw new Error('Failed to start video stream');
+        };
+
+    } catch (error) {
+        console.error('Error accessing camera:', error);
+        stopCamera(); // Ensure we clean up any partial setup
+        
+        // Show user-friendly error message
+        showToast(error.message || 'Failed to access camera. Please check your permissions and try again.', 5000, 'error');
+        
+        // Re-throw the error if you need to handle it further up
+        throw error;
+    }
+}
+
+// changed to use qr.js library instead of jsQR.js 
+function readQRCode(){
+    const video = document.getElementById('video');
+    const canvasElement = document.getElementById('canvas');
+    const canvas = canvasElement.getContext('2d');
+
+    if (startCamera.scanning && video.readyState === video.HAVE_ENOUGH_DATA) {
+        // Set canvas size to match video dimensions
+        canvasElement.height = video.videoHeight;
+        canvasElement.width = video.videoWidth;
+
+        // Draw video frame onto canvas
+        canvas.drawImage(video, 0, 0, canvasElement.width, canvasElement.height);
+
+        // Get image data for QR processing
+        const imageData = canvas.getImageData(0, 0, canvasElement.width, canvasElement.height);
+
+        try {
+            // Process image with qr.js library
+            // qr.decodeQR expects an object { data, height, width }
+            const decodedText = qr.decodeQR({
+                data: imageData.data,
+                width: imageData.width,
+                height: imageData.height
+            });
+
+            // If QR code found and decoded
+            if (decodedText) {
+                console.log("QR Code detected:", decodedText);
+                handleSuccessfulScan(decodedText);
+            }
+        } catch (error) {
+            // qr.decodeQR throws error if not found or on error
+            //console.log('QR scanning error or not found:', error); // Optional: Log if needed
+        }
+    }
+}
+
+
+// Handle successful scan
+function handleSuccessfulScan(data) {
+    const scanHighlight = document.getElementById('scan-highlight');
+    // Stop scanning
+    if (startCamera.scanInterval) {
+        clearInterval(startCamera.scanInterval);
+        startCamera.scanInterval = null;
+    }
+    
+    startCamera.scanning = false;
+    
+    // Stop the camera
+    stopCamera();
+    
+/*
+    // Show highlight effect
+    scanHighlight.classList.add('active');
+    setTimeout(() => {
+        scanHighlight.classList.remove('active');
+    }, 500);
+*/
+
+    // Display the result
+//    qrResult.textContent = data;
+//    resultContainer.classList.remove('hidden');
+    console.log("Raw QR Data Scanned:", data) 
+    if (openQRScanModal.fill){
+        // Call the assigned fill function (e.g., fillPaymentFromQR or fillStakeAddressFromQR)
+        openQRScanModal.fill(data) 
+    }
+
+    closeQRScanModal()
+
+    // Update status
+//    statusMessage.textContent = 'QR code detected! Camera stopped.';
+}
+
+// Stop camera
+function stopCamera() {
+    const video = document.getElementById('video');
+    if (startCamera.scanInterval) {
+        clearInterval(startCamera.scanInterval);
+        startCamera.scanInterval = null;
+    }
+    
+    if (startCamera.stream) {
+        startCamera.stream.getTracks().forEach(track => track.stop());
+        startCamera.stream = null;
+        video.srcObject = null;
+        startCamera.scanning = false;
+//        toggleButton.textContent = 'Start Camera';
+//        statusMessage.textContent = 'Camera stopped.';
+    }
+}
+
+// Changed to use qr.js library instead of jsQR.js 
+async function handleQRFileSelect(event, fillFunction) { // Added fillFunction parameter
+    const file = event.target.files[0];
+    if (!file) {
+        return; // No file selected
+    }
+
+    const reader = new FileReader();
+
+    reader.onload = function(e) {
+        const img = new Image();
+        img.onload = async function() {
+            const canvas = document.createElement('canvas');
+            const context = canvas.getContext('2d');
+            if (!context) {
+                console.error('Could not get 2d context from canvas');
+                showToast('Error processing image', 3000, 'error');
+                event.target.value = ''; // Reset file input
+                return;
+            }
+            canvas.width = img.width;
+            canvas.height = img.height;
+            context.drawImage(img, 0, 0, img.width, img.height);
+            const imageData = context.getImageData(0, 0, img.width, img.height);
+
+            try {
+                // Use qr.js library for decoding
+                const decodedData = qr.decodeQR({
+                    data: imageData.data,
+                    width: imageData.width,
+                    height: imageData.height,
+                });
+
+                if (decodedData) {
+                    // handleSuccessfulScan(decodedData); // Original call
+                    if (typeof fillFunction === 'function') {
+                        fillFunction(decodedData); // Call the provided fill function
+                    } else {
+                        console.error('No valid fill function provided for QR file select');
+                        // Fallback or default behavior if needed, e.g., show generic error
+                        showToast('Internal error handling QR data', 3000, 'error'); 
+                    }
+                } else {
+                    // qr.decodeQR might throw an error instead of returning null/undefined
+                    // This else block might not be reached if errors are always thrown
+                    console.error('No QR code found in image (qr.js)');
+                    showToast('No QR code found in image', 3000, 'error');
+                    // Clear the form fields in case of failure to find QR code
+                    document.getElementById('sendForm')?.reset();
+                    document.getElementById('sendToAddressError').textContent = '';
+                    document.getElementById('balanceWarning').textContent = '';
+                }
+            } catch (error) {
+                console.error('Error processing QR code image with qr.js:', error);
+                // Assume error means no QR code found or decoding failed
+                showToast('Could not read QR code from image', 3000, 'error');
+                // Clear the form fields in case of error
+                 document.getElementById('sendForm')?.reset();
+                 document.getElementById('sendToAddressError').textContent = '';
+                 document.getElementById('balanceWarning').textContent = '';
+            } finally {
+                 event.target.value = ''; // Reset the file input value regardless of outcome
+            }
+        };
+        img.onerror = function() {
+            console.error('Error loading image');
+            showToast('Error loading image file', 3000, 'error');
+             event.target.value = ''; // Reset the file input value
+            // Clear the form fields in case of image loading error
+            document.getElementById('sendForm')?.reset();
+            document.getElementById('sendToAddressError').textContent = '';
+            document.getElementById('balanceWarning').textContent = '';
+        };
+        img.src = e.target.result;
+    };
+
+    reader.onerror = function() {
+        console.error('Error reading file');
+        showToast('Error reading file', 3000, 'error');
+        event.target.value = ''; // Reset the file input value
+    };
+
+    reader.readAsDataURL(file);
+}
+
+
+// WebSocket Manager Class
+/**
+ * WebSocket Manager Class
+ * Handles WebSocket connections, reconnection logic, and message processing for chat events.
+ * Maintains connection state and provides methods for subscribing to and processing chat notifications.
+ */
+class WSManager {
+  /**
+   * Initialize the WebSocket Manager with default configuration
+   */
+  constructor() {
+    this.ws = null;
+    this.reconnectAttempts = 0;
+    this.maxReconnectAttempts = 5;
+    this.connectionState = 'disconnected';
+    this.subscribed = false;
+  }
+
+  /**
+   * Connect to WebSocket server
+   */
+  connect() {
+    updateWebSocketIndicator();
+    // Check if ws is not null and readyState is either CONNECTING or OPEN
+    if (this.ws && (this.ws.readyState === WebSocket.CONNECTING || this.ws.readyState === WebSocket.OPEN)) {
+      console.log('WebSocket connection already established');
+      return;
+    }
+
+    // Check if WebSockets are supported before attempting to connect
+    if (!this.checkWebSocketSupport()) {
+      console.error('WebSockets not supported, falling back to polling');
+      this.connectionState = 'disconnected';
+      return;
+    }
+
+    this.connectionState = 'connecting';
+    console.log('WebSocket Connection:', JSON.stringify({
+        url: network.websocket.url,
+        protocol: window.location.protocol,
+        userAgent: navigator.userAgent
+    }, null, 2));
+    
+    try {
+      console.log('Creating new WebSocket instance');
+      this.ws = new WebSocket(network.websocket.url);
+      this.setupEventHandlers();
+    } catch (error) {
+      console.error('WebSocket connection creation error:', error);
+      this.handleConnectionFailure();
+    }
+  }
+
+  /**
+   * Set up WebSocket event handlers
+   */
+  setupEventHandlers() {
+    if (!this.ws) {
+      console.error('Cannot setup event handlers: WebSocket is null');
+      return;
+    }
+
+    // console.log('Setting up WebSocket event handlers');
+
+    this.ws.onopen = () => {
+      updateWebSocketIndicator();
+      console.log('WebSocket connection established');
+      this.connectionState = 'connected';
+      this.reconnectAttempts = 0;
+      
+      // Auto-subscribe if account is available
+      if (myAccount && myAccount.keys && myAccount.keys.address) {
+        console.log('Auto-subscribing to WebSocket events');
+        this.subscribe();
+      } else {
+        console.warn('Cannot auto-subscribe: No account information available');
+      }
+    };
+
+    this.ws.onclose = (event) => {
+      updateWebSocketIndicator();
+      console.log('WebSocket connection closed', event.code, event.reason);
+      this.connectionState = 'disconnected';
+      this.subscribed = false;
+      
+      if (event.code !== 1000) {
+        // Not a normal closure, try to reconnect
+        console.log('Abnormal closure, attempting to reconnect');
+        this.handleConnectionFailure();
+      }
+    };
+
+    this.ws.onmessage = async (event) => {
+      updateWebSocketIndicator();
+      try {
+        console.log('WebSocket message received:', event.data);
+        const data = JSON.parse(event.data);
+        
+        // Check if this is a subscription response
+        if (data.result !== undefined) {
+            if (data.result === true) {
+              console.log('Server confirmed subscription successful');
+              this.subscribed = true;
+            } else if (data.error) {
+              console.error('Server rejected subscription:', data.error);
+              this.subscribed = false;
+            }
+          } else if (data.account_id && data.timestamp) {
+            console.log('Received new chat notification in ws');
+            const gotChats = await updateChatData();
+            console.log('gotChats inside of ws.onmessage', gotChats);
+            if (gotChats > 0) {
+                console.log('inside of ws.onmessage, gotChats > 0, updating chat list');
+                await updateChatList();
+            }
+          } else {
+            // Handle any other unexpected message formats
+            console.warn('Received unrecognized websocket message format:', data);
+          }
+      } catch (error) {
+        console.error('Error processing WebSocket message:', error);
+      }
+    };
+
+    // Add error event handler before setupEventHandlers
+    this.ws.onerror = (error) => {
+        updateWebSocketIndicator();
+        console.error('WebSocket error occurred:', error);
+        console.log('WebSocket readyState at error:', this.ws ? this.ws.readyState : 'ws is null');
+        this.handleConnectionFailure();
+    };
+  }
+
+  /**
+   * Subscribe to chat events for the current account
+   */
+  subscribe() {
+    updateWebSocketIndicator();
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      console.error('Cannot subscribe: WebSocket not connected');
+      return false;
+    }
+    
+    if (!myAccount || !myAccount.keys || !myAccount.keys.address) {
+      console.error('Cannot subscribe: No account information');
+      return false;
+    }
+    
+    try {
+      console.log('Subscribing to chat events for address:', myAccount.keys.address);
+      
+      // Create subscription message directly with the required format
+      const subscribeMessage = {
+        method: "ChatEvent",
+        params: ["subscribe", longAddress(myAccount.keys.address)]
+      };
+      
+      console.log('Sending subscription message:', JSON.stringify(subscribeMessage));
+      this.ws.send(JSON.stringify(subscribeMessage));
+      console.log('Subscription message sent');
+      return true;
+    } catch (error) {
+      console.error('Error subscribing to chat events:', error);
+      this.subscribed = false;
+      return false;
+    }
+  }
+
+  /**
+   * Unsubscribe from chat events
+   */
+  unsubscribe() {
+    updateWebSocketIndicator();
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      console.warn('Cannot unsubscribe: WebSocket not connected');
+      return;
+    }
+    
+    if (!this.subscribed) {
+      console.log('Not subscribed, no need to unsubscribe');
+      return;
+    }
+    
+    try {
+      console.log('Unsubscribing from chat events');
+      
+      const unsubscribeMessage = {
+        method: "ChatEvent",
+        params: ["unsubscribe", longAddress(myAccount.keys.address)]
+      };
+      
+      this.ws.send(JSON.stringify(unsubscribeMessage));
+      this.subscribed = false;
+      console.log('Attempted to unsubscribe');
+    } catch (error) {
+      console.error('Error unsubscribing from chat events:', error);
+    }
+  }
+
+  /**
+   * Disconnect from WebSocket server
+   */
+  disconnect() {
+    updateWebSocketIndicator();
+    console.log('Disconnecting WebSocket');
+    if (this.subscribed) {
+      this.unsubscribe();
+    }
+    
+    if (this.ws) {
+      try {
+        if (this.ws.readyState === WebSocket.OPEN) {
+          this.ws.close(1000, 'Normal closure');
+        }
+        this.ws = null;
+        this.connectionState = 'disconnected';
+        console.log('WebSocket disconnected successfully');
+      } catch (error) {
+        console.error('Error disconnecting WebSocket:', error);
+      }
+    }
+  }
+
+  /**
+   * Handle connection failures with exponential backoff retry logic
+   */
+  handleConnectionFailure() {
+    updateWebSocketIndicator();
+    const diagnosticInfo = {
+      connectionState: this.connectionState,
+      browser: {
+        userAgent: navigator.userAgent,
+        protocol: window.location.protocol
+      },
+      reconnection: {
+        attempts: this.reconnectAttempts,
+        maxAttempts: this.maxReconnectAttempts
+      }
+    };
+    
+    // Add Firefox-specific diagnostics
+    if (navigator.userAgent.includes('Firefox')) {
+      diagnosticInfo.firefox = {
+        securityPolicy: 'Different security policies for WebSockets',
+        mixedContent: 'Check if HTTPS site with WS instead of WSS',
+        websocketUrl: network.websocket.url,
+        pageProtocol: window.location.protocol
+      };
+    }
+    
+    console.error('WebSocket Connection Failure:', JSON.stringify(diagnosticInfo, null, 2));
+    
+    this.connectionState = 'disconnected';
+    
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      console.log('Reconnection Status: Maximum attempts reached, falling back to polling');
+      return;
+    }
+
+    this.reconnectAttempts++;
+    
+    // Exponential backoff
+    const delay = Math.min(30000, Math.pow(2, this.reconnectAttempts) * 1000 + Math.random() * 1000);
+    
+    const reconnectInfo = {
+      attempt: this.reconnectAttempts,
+      maxAttempts: this.maxReconnectAttempts,
+      delaySeconds: Math.round(delay / 1000)
+    };
+    console.log('Reconnection Schedule:', JSON.stringify(reconnectInfo, null, 2));
+    
+    setTimeout(() => {
+      console.log('Reconnecting to WebSocket');
+      this.connect();
+    }, delay);
+  }
+
+  /**
+   * Check if WebSocket is connected
+   */
+  isConnected() {
+    return !!(this.ws && this.ws.readyState === WebSocket.OPEN);
+  }
+
+  /**
+   * Check if WebSocket is subscribed
+   */
+  isSubscribed() {
+    return this.subscribed;
+  }
 
-    // Initialize if needed
-    initializeGatewayConfig();
+  /**
+   * Check if WebSockets are supported in the current browser
+   */
+  checkWebSocketSupport() {
+    const supportInfo = {
+      webSocketAvailable: typeof WebSocket !== 'undefined',
+      browser: {
+        userAgent: navigator.userAgent,
+        language: navigator.language
+      },
+      environment: {
+        protocol: window.location.protocol,
+        hostname: window.location.hostname,
+        isLocalhost: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+      }
+    };
 
-    // If we have a default gateway set, use it
-    if (
-        myData.network.defaultGatewayIndex >= 0 &&
-        myData.network.defaultGatewayIndex < myData.network.gateways.length
-    ) {
-        return myData.network.gateways[myData.network.defaultGatewayIndex];
+    // Add iOS standalone info
+    const isIOSStandalone = (/iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream) && 
+                            window.navigator.standalone === true;
+    if (isIOSStandalone) {
+      supportInfo.ios = {
+        mode: 'standalone_pwa',
+        restrictions: network.websocket.url.startsWith('wss://')
+      };
     }
 
-    // Otherwise use random selection
-    return myData.network.gateways[
-        Math.floor(Math.random() * myData.network.gateways.length)
-    ];
-}
-
-async function startCamera() {
-    const video = document.getElementById('video');
-    const canvasElement = document.getElementById('canvas');
-    try {
-        // First check if camera API is supported
-        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-            throw new Error('Camera API is not supported in this browser');
-        }
+    // Add Firefox-specific info
+    if (navigator.userAgent.includes('Firefox')) {
+      supportInfo.firefox = {
+        mixedContentBlocked: window.location.protocol === 'https:' && 
+                             network.websocket.url.startsWith('ws://'),
+        usingSecureWebSocket: network.websocket.url.startsWith('wss://'),
+        port: network.websocket.url.split(':')[2]?.split('/')[0] || 'default'
+      };
+    }
 
-        // Stop any existing stream
-        if (startCamera.stream) {
-            stopCamera();
-        }
-        
-        // Hide previous results
-//        resultContainer.classList.add('hidden');
-        
-//        statusMessage.textContent = 'Accessing camera...';
-        // Request camera access with specific error handling
-        try {
-            startCamera.stream = await navigator.mediaDevices.getUserMedia({
-                video: { 
-                    facingMode: 'environment', // Use back camera
-                    width: { ideal: 1280 },
-                    height: { ideal: 720 }
-                },
-                audio: false
-            });
-        } catch (mediaError) {
-            // Handle specific getUserMedia errors
-            switch (mediaError.name) {
-                case 'NotAllowedError':
-                    throw new Error('Camera access was denied. Please check your browser settings and grant permission to use the camera.');
-                case 'NotFoundError':
-                    throw new Error('No camera device was found on your system.');
-                case 'NotReadableError':
-                    throw new Error('Camera is already in use by another application or encountered a hardware error.');
-                case 'SecurityError':
-                    throw new Error('Camera access was blocked by your browser\'s security policy.');
-                case 'AbortError':
-                    throw new Error('Camera access was cancelled.');
-                default:
-                    throw new Error(`Camera error: ${mediaError.message}`);
-            }
-        }
-        
-        // Connect the camera stream to the video element
-        video.srcObject = startCamera.stream;
-        video.setAttribute('playsinline', true); // required for iOS Safari
-        
-        // When video is ready to play
-        video.onloadedmetadata = function() {
-            video.play();
-            
-            // Enable scanning and update button
-            startCamera.scanning = true;
-//            toggleButton.textContent = 'Stop Camera';
-            
-            // Start scanning for QR codes
-            // Use interval instead of requestAnimationFrame for better control over scan frequency
-            startCamera.scanInterval = setInterval(readQRCode, 100); // scan every 100ms (10 times per second)
-            
-//            statusMessage.textContent = 'Camera active. Point at a QR code.';
-        };
+    // Add WebSocket URL details
+    const wsUrl = new URL(network.websocket.url);
+    supportInfo.websocket = {
+      protocol: wsUrl.protocol,
+      hostname: wsUrl.hostname,
+      port: wsUrl.port || (wsUrl.protocol === 'wss:' ? '443' : '80'),
+      pathname: wsUrl.pathname,
+      requiresSecureContext: wsUrl.protocol === 'wss:' && 
+                            !supportInfo.environment.isLocalhost
+    };
 
-        // Add error handler for video element
-        video.onerror = function(error) {
-            console.error('Video element error:', error);
-            stopCamera();
-            throw new Error('Failed to start video stream');
-        };
+    console.log('WebSocket Support Analysis:', JSON.stringify(supportInfo, null, 2));
 
-    } catch (error) {
-        console.error('Error accessing camera:', error);
-        stopCamera(); // Ensure we clean up any partial setup
-        
-        // Show user-friendly error message
-        showToast(error.message || 'Failed to access camera. Please check your permissions and try again.', 5000, 'error');
-        
-        // Re-throw the error if you need to handle it further up
-        throw error;
+    // Return false for known unsupported conditions
+    if (!supportInfo.webSocketAvailable) {
+      console.error('WebSocket Support: Not available in browser');
+      return false;
     }
-}
 
-// changed to use qr.js library instead of jsQR.js 
-function readQRCode(){
-    const video = document.getElementById('video');
-    const canvasElement = document.getElementById('canvas');
-    const canvas = canvasElement.getContext('2d');
+    if (supportInfo.firefox?.mixedContentBlocked) {
+      console.error('WebSocket Support: Mixed content blocked in Firefox');
+      return false;
+    }
 
-    if (startCamera.scanning && video.readyState === video.HAVE_ENOUGH_DATA) {
-        // Set canvas size to match video dimensions
-        canvasElement.height = video.videoHeight;
-        canvasElement.width = video.videoWidth;
+    // Allow WSS connections on localhost even with HTTP protocol
+    if (supportInfo.websocket.requiresSecureContext && 
+        supportInfo.environment.protocol !== 'https:' &&
+        !supportInfo.environment.isLocalhost) {
+      console.error('WebSocket Support: Secure context required for WSS');
+      return false;
+    }
 
-        // Draw video frame onto canvas
-        canvas.drawImage(video, 0, 0, canvasElement.width, canvasElement.height);
+    return true;
+  }
 
-        // Get image data for QR processing
-        const imageData = canvas.getImageData(0, 0, canvasElement.width, canvasElement.height);
 
-        try {
-            // Process image with qr.js library
-            // qr.decodeQR expects an object { data, height, width }
-            const decodedText = qr.decodeQR({
-                data: imageData.data,
-                width: imageData.width,
-                height: imageData.height
-            });
+    // Initialize WebSocket manager if not already created
+    initializeWebSocketManager() {
 
-            // If QR code found and decoded
-            if (decodedText) {
-                console.log("QR Code detected:", decodedText);
-                handleSuccessfulScan(decodedText);
+        if (this.isConnected()) {
+            if(!this.isSubscribed()) {
+                console.log('WebSocket is already connected but not subscribed, subscribing');
+                this.subscribe();
+                return;
             }
-        } catch (error) {
-            // qr.decodeQR throws error if not found or on error
-            //console.log('QR scanning error or not found:', error); // Optional: Log if needed
+            console.log('WebSocket is already connected and subscribed');
+            return;
         }
-    }
-}
-
-
-// Handle successful scan
-function handleSuccessfulScan(data) {
-    const scanHighlight = document.getElementById('scan-highlight');
-    // Stop scanning
-    if (startCamera.scanInterval) {
-        clearInterval(startCamera.scanInterval);
-        startCamera.scanInterval = null;
-    }
-    
-    startCamera.scanning = false;
-    
-    // Stop the camera
-    stopCamera();
-    
-/*
-    // Show highlight effect
-    scanHighlight.classList.add('active');
-    setTimeout(() => {
-        scanHighlight.classList.remove('active');
-    }, 500);
-*/
 
-    // Display the result
-//    qrResult.textContent = data;
-//    resultContainer.classList.remove('hidden');
-    console.log("Raw QR Data Scanned:", data) 
-    if (openQRScanModal.fill){
-        // Call the assigned fill function (e.g., fillPaymentFromQR or fillStakeAddressFromQR)
-        openQRScanModal.fill(data) 
+        try {
+            const initInfo = {
+                status: 'starting',
+                config: {
+                    url: network.websocket.url,
+                },
+                account: {
+                    available: !!(myAccount?.keys?.address)
+                }
+            };
+            
+            console.log('WebSocket Manager Initialization:', JSON.stringify(initInfo, null, 2));
+            
+            initInfo.status = 'created';
+            
+            if (initInfo.account.available) {
+                this.connect();
+                initInfo.status = 'connecting';
+            }
+            console.log('WebSocket Manager Status:', JSON.stringify(initInfo, null, 2));
+            
+        } catch (error) {
+            console.error('WebSocket Manager Initialization Error:', JSON.stringify({
+                error: error.message,
+                stack: error.stack
+            }, null, 2));
+        }
     }
+}
 
-    closeQRScanModal()
+let wsManager = new WSManager()        // this is set to new WSManager() for convience
 
-    // Update status
-//    statusMessage.textContent = 'QR code detected! Camera stopped.';
-}
+// New functions for send confirmation flow
+function handleSendFormSubmit(event) {
+    event.preventDefault();
+    
+    // Get form values
+    const assetSelect = document.getElementById('sendAsset');
+    const assetSymbol = assetSelect.options[assetSelect.selectedIndex].text;
+    const recipient = document.getElementById('sendToAddress').value;
+    const amount = document.getElementById('sendAmount').value;
+    const memo = document.getElementById('sendMemo').value;
 
-// Stop camera
-function stopCamera() {
-    const video = document.getElementById('video');
-    if (startCamera.scanInterval) {
-        clearInterval(startCamera.scanInterval);
-        startCamera.scanInterval = null;
-    }
+    const confirmButton = document.getElementById('confirmSendButton');
+    const cancelButton = document.getElementById('cancelSendButton');
+
+    // Update confirmation modal with values
+    document.getElementById('confirmRecipient').textContent = recipient;
+    document.getElementById('confirmAmount').textContent = `${amount}`;
+    document.getElementById('confirmAsset').textContent = assetSymbol;
     
-    if (startCamera.stream) {
-        startCamera.stream.getTracks().forEach(track => track.stop());
-        startCamera.stream = null;
-        video.srcObject = null;
-        startCamera.scanning = false;
-//        toggleButton.textContent = 'Start Camera';
-//        statusMessage.textContent = 'Camera stopped.';
+    // Show/hide memo if present
+    const memoGroup = document.getElementById('confirmMemoGroup');
+    if (memo) {
+        document.getElementById('confirmMemo').textContent = memo;
+        memoGroup.style.display = 'block';
+    } else {
+        memoGroup.style.display = 'none';
     }
+
+    // Hide send modal and show confirmation modal
+    document.getElementById('sendModal').classList.remove('active');
+
+    confirmButton.disabled = false;
+    cancelButton.disabled = false;
+    document.getElementById('sendConfirmationModal').classList.add('active');
 }
 
-// Changed to use qr.js library instead of jsQR.js 
-async function handleQRFileSelect(event, fillFunction) { // Added fillFunction parameter
-    const file = event.target.files[0];
-    if (!file) {
-        return; // No file selected
+function closeSendConfirmationModal() {
+    document.getElementById('sendConfirmationModal').classList.remove('active');
+    document.getElementById('sendModal').classList.add('active');
+}
+
+/**
+ * Inserts an item into an array while maintaining descending order based on a timestamp field.
+ * Assumes the array is already sorted in descending order.
+ *
+ * @param {Array<Object>} array - The array to insert into (e.g., myData.chats, contact.messages, myData.wallet.history).
+ * @param {Object} item - The item to insert (e.g., chatUpdate, newMessage, newPayment).
+ * @param {string} [timestampField='timestamp'] - The name of the field containing the timestamp to sort by.
+ */
+function insertSorted(array, item, timestampField = 'timestamp') {
+    // Find the index where the new item should be inserted.
+    // We are looking for the first element with a timestamp LESS THAN the new item's timestamp.
+    // This is because the array is sorted descending (newest first).
+    const index = array.findIndex(
+      (existingItem) => existingItem[timestampField] < item[timestampField]
+    );
+  
+    if (index === -1) {
+      // If no such element is found, the new item is the oldest (or the array is empty),
+      // so add it to the end.
+      array.push(item);
+    } else {
+      // Otherwise, insert the new item at the found index.
+      array.splice(index, 0, item);
     }
+  }
 
-    const reader = new FileReader();
+/**
+ * Calculates the time difference between the client's local time and the network gateway's time.
+ * Fetches the timestamp from the '/timestamp' endpoint on a network gateway using queryNetwork,
+ * compares it to local time, and stores the difference in `timeSkew`.
+ * Includes a retry mechanism for transient network errors.
+ *
+ * @param {number} [retryCount=0] - The current retry attempt number.
+ */
+async function timeDifference(retryCount = 0) {
+    const maxRetries = 2; // Maximum number of retries
+    const retryDelay = 1000; // Delay between retries in milliseconds (1 second)
+    const timestampEndpoint = '/timestamp'; // Endpoint to query
 
-    reader.onload = function(e) {
-        const img = new Image();
-        img.onload = async function() {
-            const canvas = document.createElement('canvas');
-            const context = canvas.getContext('2d');
-            if (!context) {
-                console.error('Could not get 2d context from canvas');
-                showToast('Error processing image', 3000, 'error');
-                event.target.value = ''; // Reset file input
-                return;
-            }
-            canvas.width = img.width;
-            canvas.height = img.height;
-            context.drawImage(img, 0, 0, img.width, img.height);
-            const imageData = context.getImageData(0, 0, img.width, img.height);
+    try {
+        // Use queryNetwork to fetch the timestamp from a gateway
+        const data = await queryNetwork(timestampEndpoint);
 
-            try {
-                // Use qr.js library for decoding
-                const decodedData = qr.decodeQR({
-                    data: imageData.data,
-                    width: imageData.width,
-                    height: imageData.height,
-                });
+        // queryNetwork returns null on network errors or if offline
+        if (data === null) {
+            // Throw an error to trigger the retry logic
+            throw new Error(`queryNetwork returned null for ${timestampEndpoint}`);
+        }
 
-                if (decodedData) {
-                    // handleSuccessfulScan(decodedData); // Original call
-                    if (typeof fillFunction === 'function') {
-                        fillFunction(decodedData); // Call the provided fill function
-                    } else {
-                        console.error('No valid fill function provided for QR file select');
-                        // Fallback or default behavior if needed, e.g., show generic error
-                        showToast('Internal error handling QR data', 3000, 'error'); 
-                    }
-                } else {
-                    // qr.decodeQR might throw an error instead of returning null/undefined
-                    // This else block might not be reached if errors are always thrown
-                    console.error('No QR code found in image (qr.js)');
-                    showToast('No QR code found in image', 3000, 'error');
-                    // Clear the form fields in case of failure to find QR code
-                    document.getElementById('sendForm')?.reset();
-                    document.getElementById('sendToAddressError').textContent = '';
-                    document.getElementById('balanceWarning').textContent = '';
-                }
-            } catch (error) {
-                console.error('Error processing QR code image with qr.js:', error);
-                // Assume error means no QR code found or decoding failed
-                showToast('Could not read QR code from image', 3000, 'error');
-                // Clear the form fields in case of error
-                 document.getElementById('sendForm')?.reset();
-                 document.getElementById('sendToAddressError').textContent = '';
-                 document.getElementById('balanceWarning').textContent = '';
-            } finally {
-                 event.target.value = ''; // Reset the file input value regardless of outcome
-            }
-        };
-        img.onerror = function() {
-            console.error('Error loading image');
-            showToast('Error loading image file', 3000, 'error');
-             event.target.value = ''; // Reset the file input value
-            // Clear the form fields in case of image loading error
-            document.getElementById('sendForm')?.reset();
-            document.getElementById('sendToAddressError').textContent = '';
-            document.getElementById('balanceWarning').textContent = '';
-        };
-        img.src = e.target.result;
-    };
+        const clientTimeMs = Date.now(); // Get client time as close as possible to response processing
 
-    reader.onerror = function() {
-        console.error('Error reading file');
-        showToast('Error reading file', 3000, 'error');
-        event.target.value = ''; // Reset the file input value
-    };
+        // Extract server time directly from the 'timestamp' field
+        if (!data || typeof data.timestamp !== 'number' || isNaN(data.timestamp)) {
+            console.error('Error: Invalid or missing server timestamp received from gateway:', data);
+            // Don't retry on parsing errors, it's likely a data issue from the gateway
+            return;
+        }
 
-    reader.readAsDataURL(file);
-}
+        const serverTimeMs = data.timestamp;
 
+        const difference = serverTimeMs - clientTimeMs;
+        timeSkew = difference; // Store the calculated skew
+
+        // Optional: Update logging for verification
+        //console.log(`Gateway time (UTC ms): ${serverTimeMs} (${new Date(serverTimeMs).toISOString()})`);
+        //console.log(`Client time (local ms): ${clientTimeMs} (${new Date(clientTimeMs).toISOString()})`);
+        //console.log(`Time difference (Gateway - Client): ${difference} ms`);
+        const minutes = Math.floor(Math.abs(difference) / 60000);
+        const seconds = Math.floor((Math.abs(difference) % 60000) / 1000);
+        const milliseconds = Math.abs(difference) % 1000;
+        const sign = difference < 0 ? "-" : "+";
+        console.log(`Time difference: ${sign}${minutes}m ${seconds}s ${milliseconds}ms`);
+        console.log(`Successfully obtained time skew (${timeSkew}ms) from gateway endpoint ${timestampEndpoint} on attempt ${retryCount + 1}.`);
+
+    } catch (error) {
+        // Handle errors from queryNetwork (e.g., network issues, gateway unavailable)
+        console.warn(`Attempt ${retryCount + 1} failed to fetch time via queryNetwork(${timestampEndpoint}):`, error);
+
+        if (retryCount < maxRetries) {
+            console.log(`Retrying time fetch in ${retryDelay}ms... (Attempt ${retryCount + 2})`);
+            setTimeout(() => timeDifference(retryCount + 1), retryDelay);
+        } else {
+            console.error(`Failed to fetch time from gateway endpoint ${timestampEndpoint} after ${maxRetries + 1} attempts. Time skew might be inaccurate.`);
+            // Keep timeSkew at its default (0) or last known value if applicable
+        }
+    }
+}
 
-// WebSocket Manager Class
 /**
- * WebSocket Manager Class
- * Handles WebSocket connections, reconnection logic, and message processing for chat events.
- * Maintains connection state and provides methods for subscribing to and processing chat notifications.
+ * Returns the current timestamp adjusted by the calculated time skew.
+ * This provides a timestamp closer to the server's time.
+ * @returns {number} The corrected timestamp in milliseconds since the Unix Epoch.
  */
-class WSManager {
-  /**
-   * Initialize the WebSocket Manager with default configuration
-   */
-  constructor() {
-    this.ws = null;
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
-    this.connectionState = 'disconnected';
-    this.subscribed = false;
-  }
+function getCorrectedTimestamp() {
+    // Get the current client time
+    const clientNow = Date.now();
+    
+    // Add the stored skew (difference between server and client time)
+    // If server was ahead, timeSkew is positive, making the corrected time larger.
+    // If server was behind, timeSkew is negative, making the corrected time smaller.
+    const correctedTime = clientNow + timeSkew; 
+    
+    return correctedTime;
+}
 
-  /**
-   * Connect to WebSocket server
-   */
-  connect() {
-    updateWebSocketIndicator();
-    // Check if ws is not null and readyState is either CONNECTING or OPEN
-    if (this.ws && (this.ws.readyState === WebSocket.CONNECTING || this.ws.readyState === WebSocket.OPEN)) {
-      console.log('WebSocket connection already established');
-      return;
+function updateWebSocketIndicator() {
+    const indicator = document.getElementById('wsStatusIndicator');
+    if (!indicator) return;
+    if (!wsManager || !wsManager.isConnected()) {
+        indicator.textContent = 'Not Connected';
+        indicator.className = 'ws-status-indicator ws-red';
+    } else if (wsManager.isConnected() && !wsManager.isSubscribed()) {
+        indicator.textContent = 'Connected (No Sub)';
+        indicator.className = 'ws-status-indicator ws-yellow';
+    } else if (wsManager.isConnected() && wsManager.isSubscribed()) {
+        indicator.textContent = 'Connected';
+        indicator.className = 'ws-status-indicator ws-green';
     }
+}
 
-    // Check if WebSockets are supported before attempting to connect
-    if (!this.checkWebSocketSupport()) {
-      console.error('WebSockets not supported, falling back to polling');
-      this.connectionState = 'disconnected';
-      return;
+// Validator Modals
+async function openValidatorModal() {
+    // Get modal elements
+    const validatorModal = document.getElementById('validatorModal');
+    const loadingElement = document.getElementById('validator-loading');
+    const errorElement = document.getElementById('validator-error-message');
+    const detailsElement = document.getElementById('validator-details');
+    // Get elements needed for conditional logic early
+    const nomineeLabelElement = document.getElementById('validator-nominee-label');
+    const nomineeValueElement = document.getElementById('validator-nominee');
+    const userStakeLibItem = document.getElementById('validator-user-stake-lib-item');
+    const userStakeUsdItem = document.getElementById('validator-user-stake-usd-item');
+    const unstakeButton = document.getElementById('submitUnstake');
+
+    // Reset UI: Show loading, hide details and error, reset conditional elements
+    if (loadingElement) loadingElement.style.display = 'block';
+    if (detailsElement) detailsElement.style.display = 'none';
+    if (errorElement) {
+        errorElement.style.display = 'none';
+        errorElement.textContent = ''; // Clear previous errors
     }
+    // Reset conditional elements to default state (label text might change later)
+    if (nomineeLabelElement) nomineeLabelElement.textContent = 'Nominated Validator:'; // Default label
+    if (nomineeValueElement) nomineeValueElement.textContent = ''; // Clear value initially
+    // Ensure stake items are visible by default (using flex as defined in styles.css)
+    if (userStakeLibItem) userStakeLibItem.style.display = 'flex';
+    if (userStakeUsdItem) userStakeUsdItem.style.display = 'flex';
+    // Disable unstake button initially while loading/checking
+    if (unstakeButton) unstakeButton.disabled = true;
+
+
+    if (validatorModal) validatorModal.classList.add('active'); // Open modal immediately
+
+    let nominee = null;
 
-    this.connectionState = 'connecting';
-    console.log('WebSocket Connection:', JSON.stringify({
-        url: network.websocket.url,
-        protocol: window.location.protocol,
-        userAgent: navigator.userAgent
-    }, null, 2));
-    
     try {
-      console.log('Creating new WebSocket instance');
-      this.ws = new WebSocket(network.websocket.url);
-      this.setupEventHandlers();
-    } catch (error) {
-      console.error('WebSocket connection creation error:', error);
-      this.handleConnectionFailure();
-    }
-  }
+        // Fetch Data Concurrently
+        const userAddress = myData?.account?.keys?.address;
+        if (!userAddress) {
+            console.warn("User address not found in myData. Skipping user account fetch.");
+            // Decide how to handle this - maybe show an error or a specific state?
+            // For now, we'll proceed, but nominee/user stake will be unavailable.
+        }
+        const [userAccountData, networkAccountData, marketPriceData] = await Promise.all([
+            userAddress ? queryNetwork(`/account/${longAddress(userAddress)}`) : Promise.resolve(null), // Fetch User Data if available
+            queryNetwork(networkAccountPath), // Fetch Network Data
+            getMarketPrice() // Fetch Market Price
+        ]);
 
-  /**
-   * Set up WebSocket event handlers
-   */
-  setupEventHandlers() {
-    if (!this.ws) {
-      console.error('Cannot setup event handlers: WebSocket is null');
-      return;
-    }
+        // Extract Raw Data
+        // Use optional chaining extensively in case userAccountData is null
+        nominee = userAccountData?.account?.operatorAccountInfo?.nominee;
+        const userStakedBaseUnits = userAccountData?.account?.operatorAccountInfo?.stake?.value;
 
-    // console.log('Setting up WebSocket event handlers');
+        // Network data should generally be available, but check anyway
+        const stakeRequiredUsdBaseUnits = networkAccountData?.account?.current?.stakeRequiredUsd?.value;
+        const stabilityScaleMul = networkAccountData?.account?.current?.stabilityScaleMul;
+        const stabilityScaleDiv = networkAccountData?.account?.current?.stabilityScaleDiv;
 
-    this.ws.onopen = () => {
-      updateWebSocketIndicator();
-      console.log('WebSocket connection established');
-      this.connectionState = 'connected';
-      this.reconnectAttempts = 0;
-      
-      // Auto-subscribe if account is available
-      if (myAccount && myAccount.keys && myAccount.keys.address) {
-        console.log('Auto-subscribing to WebSocket events');
-        this.subscribe();
-      } else {
-        console.warn('Cannot auto-subscribe: No account information available');
-      }
-    };
+        // Extract market price (will be null if fetch failed or returned null)
+        const marketPrice = marketPriceData;
 
-    this.ws.onclose = (event) => {
-      updateWebSocketIndicator();
-      console.log('WebSocket connection closed', event.code, event.reason);
-      this.connectionState = 'disconnected';
-      this.subscribed = false;
-      
-      if (event.code !== 1000) {
-        // Not a normal closure, try to reconnect
-        console.log('Abnormal closure, attempting to reconnect');
-        this.handleConnectionFailure();
-      }
-    };
+        // Calculate Derived Values
+        let stabilityFactor = null;
+        if (stabilityScaleMul != null && stabilityScaleDiv != null && Number(stabilityScaleDiv) !== 0) {
+            stabilityFactor = Number(stabilityScaleMul) / Number(stabilityScaleDiv);
+        }
 
-    this.ws.onmessage = async (event) => {
-      updateWebSocketIndicator();
-      try {
-        console.log('WebSocket message received:', event.data);
-        const data = JSON.parse(event.data);
-        
-        // Check if this is a subscription response
-        if (data.result !== undefined) {
-            if (data.result === true) {
-              console.log('Server confirmed subscription successful');
-              this.subscribed = true;
-            } else if (data.error) {
-              console.error('Server rejected subscription:', data.error);
-              this.subscribed = false;
+        let stakeAmountLibBaseUnits = null;
+        if (stakeRequiredUsdBaseUnits != null && typeof stakeRequiredUsdBaseUnits === 'string' &&
+            stabilityScaleMul != null && typeof stabilityScaleMul === 'number' &&
+            stabilityScaleDiv != null && typeof stabilityScaleDiv === 'number' && stabilityScaleDiv !== 0)
+        {
+            try {
+                const requiredUsdBigInt = BigInt('0x' + stakeRequiredUsdBaseUnits);
+                const scaleMulBigInt = BigInt(stabilityScaleMul);
+                const scaleDivBigInt = BigInt(stabilityScaleDiv);
+                // Avoid division by zero if scaleMulBigInt is 0
+                if (scaleMulBigInt !== 0n) {
+                    stakeAmountLibBaseUnits = (requiredUsdBigInt * scaleDivBigInt) / scaleMulBigInt;
+                } else {
+                     console.warn("Stability scale multiplier is zero, cannot calculate LIB stake amount.");
+                }
+            } catch (e) {
+                console.error("Error calculating stakeAmountLibBaseUnits with BigInt:", e, {
+                    stakeRequiredUsdBaseUnits,
+                    stabilityScaleMul,
+                    stabilityScaleDiv
+                });
             }
-          } else if (data.account_id && data.timestamp) {
-            console.log('Received new chat notification in ws');
-            const gotChats = await updateChatData();
-            console.log('gotChats inside of ws.onmessage', gotChats);
-            if (gotChats > 0) {
-                console.log('inside of ws.onmessage, gotChats > 0, updating chat list');
-                await updateChatList();
+        }
+
+        let userStakedUsd = null;
+        // TODO: Calculate User Staked Amount (USD) using market price - Use stability factor if available?
+        // For now, using market price as implemented previously.
+        if (userStakedBaseUnits != null && marketPrice != null) {
+            try {
+                const userStakedLib = Number(BigInt('0x' + userStakedBaseUnits)) / 1e18;
+                userStakedUsd = userStakedLib * marketPrice;
+            } catch (e) {
+                console.error("Error calculating userStakedUsd:", e);
             }
-          } else {
-            // Handle any other unexpected message formats
-            console.warn('Received unrecognized websocket message format:', data);
-          }
-      } catch (error) {
-        console.error('Error processing WebSocket message:', error);
-      }
-    };
+        }
 
-    // Add error event handler before setupEventHandlers
-    this.ws.onerror = (error) => {
-        updateWebSocketIndicator();
-        console.error('WebSocket error occurred:', error);
-        console.log('WebSocket readyState at error:', this.ws ? this.ws.readyState : 'ws is null');
-        this.handleConnectionFailure();
-    };
-  }
+        let marketStakeUsdBaseUnits = null;
+        // Calculate Min Stake at Market (USD) using BigInt and market price
+        if (stakeAmountLibBaseUnits != null && marketPrice != null) {
+            try {
+                const stakeAmountLib = Number(stakeAmountLibBaseUnits) / 1e18;
+                const marketStakeUsd = stakeAmountLib * marketPrice;
+                // Approximate back to base units (assuming 18 decimals for USD base units)
+                marketStakeUsdBaseUnits = BigInt(Math.round(marketStakeUsd * 1e18));
+            } catch (e) {
+                console.error("Error calculating marketStakeUsdBaseUnits:", e);
+            }
+        }
+
+
+        // Format & Update UI
+        // Get references for network info elements
+        const networkStakeUsdValue = document.getElementById('validator-network-stake-usd');
+        const networkStakeLibValue = document.getElementById('validator-network-stake-lib');
+        const stabilityFactorValue = document.getElementById('validator-stability-factor');
+        const marketPriceValue = document.getElementById('validator-market-price');
+        const marketStakeUsdValue = document.getElementById('validator-market-stake-usd');
+
+        // set stakeForm dataset.minStake to big2str(stakeAmountLibBaseUnits, 18) for 
+        document.getElementById('stakeForm').dataset.minStake = big2str(stakeAmountLibBaseUnits, 18);
+
+        // Format Network Info unconditionally
+        const displayNetworkStakeUsd = stakeRequiredUsdBaseUnits ? '$' + big2str(BigInt('0x' + stakeRequiredUsdBaseUnits), 18).slice(0, 6) : 'N/A';
+        const displayNetworkStakeLib = stakeAmountLibBaseUnits ? big2str(stakeAmountLibBaseUnits, 18).slice(0, 7) : 'N/A';
+        const displayStabilityFactor = stabilityFactor ? stabilityFactor.toFixed(4) : 'N/A';
+        const displayMarketPrice = marketPrice ? '$' + marketPrice.toFixed(4) : 'N/A';
+        const displayMarketStakeUsd = marketStakeUsdBaseUnits ? '$' + big2str(marketStakeUsdBaseUnits, 18).slice(0, 6) : 'N/A';
+
+        if (networkStakeUsdValue) networkStakeUsdValue.textContent = displayNetworkStakeUsd;
+        if (networkStakeLibValue) networkStakeLibValue.textContent = displayNetworkStakeLib;
+        if (stabilityFactorValue) stabilityFactorValue.textContent = displayStabilityFactor;
+        if (marketPriceValue) marketPriceValue.textContent = displayMarketPrice;
+        if (marketStakeUsdValue) marketStakeUsdValue.textContent = displayMarketStakeUsd;
+
+        // Conditional Logic for Nominee and User Stake
+        if (!nominee) {
+            // Case: No Nominee
+            if (nomineeLabelElement) nomineeLabelElement.textContent = 'No Nominated Validator';
+            if (nomineeValueElement) nomineeValueElement.textContent = ''; // Ensure value is empty
+            if (userStakeLibItem) userStakeLibItem.style.display = 'none'; // Hide LIB stake item
+            if (userStakeUsdItem) userStakeUsdItem.style.display = 'none'; // Hide USD stake item
+        } else {
+            // Case: Nominee Exists
+            // Get references for user stake values
+             const userStakeLibValue = document.getElementById('validator-user-stake-lib');
+             const userStakeUsdValue = document.getElementById('validator-user-stake-usd');
+
+            // Format User Stake Values
+            const displayNominee = nominee; // Already checked it exists
+            const displayUserStakedLib = userStakedBaseUnits ? big2str(BigInt('0x' + userStakedBaseUnits), 18).slice(0, 6) : 'N/A';
+            const displayUserStakedUsd = userStakedUsd != null ? '$' + userStakedUsd.toFixed(4) : 'N/A';
+
+            if (nomineeLabelElement) nomineeLabelElement.textContent = 'Nominated Validator:'; // Ensure correct label
+            if (nomineeValueElement) nomineeValueElement.textContent = displayNominee;
+            if (userStakeLibValue) userStakeLibValue.textContent = displayUserStakedLib;
+            if (userStakeUsdValue) userStakeUsdValue.textContent = displayUserStakedUsd;
+            // Ensure items are visible (using flex as defined in CSS) - redundant due to reset, but safe
+            if (userStakeLibItem) userStakeLibItem.style.display = 'flex';
+            if (userStakeUsdItem) userStakeUsdItem.style.display = 'flex';
+        }
 
-  /**
-   * Subscribe to chat events for the current account
-   */
-  subscribe() {
-    updateWebSocketIndicator();
-    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-      console.error('Cannot subscribe: WebSocket not connected');
-      return false;
-    }
-    
-    if (!myAccount || !myAccount.keys || !myAccount.keys.address) {
-      console.error('Cannot subscribe: No account information');
-      return false;
+        // Show the details section now that it's populated correctly
+        if (detailsElement) detailsElement.style.display = 'block'; // Or 'flex' if it's a flex container
+
+    } catch (error) {
+        console.error("Error fetching validator details:", error);
+        // Display error in UI
+        if (errorElement) {
+            errorElement.textContent = 'Failed to load validator details. Please try again later.';
+            errorElement.style.display = 'block';
+        }
+        // Ensure details are hidden if an error occurs
+        if (detailsElement) detailsElement.style.display = 'none';
+        // Ensure unstake button remains disabled on error
+        if (unstakeButton) unstakeButton.disabled = true;
+    } finally {
+        // Hide loading indicator regardless of success or failure
+        if (loadingElement) loadingElement.style.display = 'none';
+        // Set final state of unstake button based on whether a nominee was found
+        if (unstakeButton) {
+             unstakeButton.disabled = !nominee;
+        }
     }
-    
+}
+
+function closeValidatorModal() {
+    document.getElementById('validatorModal').classList.remove('active');
+}
+
+// fetching market price by invoking `updateAssetPricesIfNeeded` and extracting from myData.assetPrices
+async function getMarketPrice() {
+
     try {
-      console.log('Subscribing to chat events for address:', myAccount.keys.address);
-      
-      // Create subscription message directly with the required format
-      const subscribeMessage = {
-        method: "ChatEvent",
-        params: ["subscribe", longAddress(myAccount.keys.address)]
-      };
-      
-      console.log('Sending subscription message:', JSON.stringify(subscribeMessage));
-      this.ws.send(JSON.stringify(subscribeMessage));
-      console.log('Subscription message sent');
-      return true;
+        // Ensure asset prices are potentially updated by the central function
+        await updateAssetPricesIfNeeded();
+
+        // Check if wallet data and assets exist after the update attempt
+        if (!myData?.wallet?.assets) {
+            console.warn("getMarketPrice: Wallet assets not available in myData.");
+            return null;
+        }
+
+        // Find the LIB asset in the myData structure
+        const libAsset = myData.wallet.assets.find(asset => asset.id === 'liberdus');
+
+        if (libAsset) {
+            // Check if the price exists and is a valid number on the found asset
+            if (typeof libAsset.price === 'number' && !isNaN(libAsset.price)) {
+                // console.log(`getMarketPrice: Retrieved LIB price from myData: ${libAsset.price}`); // Optional: For debugging
+                return libAsset.price;
+            } else {
+                // Price might be missing if the initial fetch failed or hasn't happened yet
+                console.warn(`getMarketPrice: LIB asset found in myData, but its price is missing or invalid (value: ${libAsset.price}).`);
+                return null;
+            }
+        } else {
+            console.warn("getMarketPrice: LIB asset not found in myData.wallet.assets.");
+            return null;
+        }
+
     } catch (error) {
-      console.error('Error subscribing to chat events:', error);
-      this.subscribed = false;
-      return false;
+        console.error("getMarketPrice: Error occurred while trying to get price from myData:", error);
+        return null; // Return null on any unexpected error during the process
     }
-  }
+}
 
-  /**
-   * Unsubscribe from chat events
-   */
-  unsubscribe() {
-    updateWebSocketIndicator();
-    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-      console.warn('Cannot unsubscribe: WebSocket not connected');
-      return;
+// Stake Modal
+function openStakeModal() {
+    document.getElementById('stakeModal').classList.add('active');
+
+    // Set the correct fill function for the staking context
+    openQRScanModal.fill = fillStakeAddressFromQR; 
+
+    // Display Available Balance
+    const balanceDisplay = document.getElementById('stakeAvailableBalanceDisplay');
+    const libAsset = myData.wallet.assets.find(asset => asset.symbol === 'LIB'); // Assuming LIB is index 0 or find by symbol
+    if (balanceDisplay && libAsset) {
+        // Use big2str for formatting, similar to updateBalanceDisplay but simpler for this context
+        const formattedBalance = big2str(BigInt(libAsset.balance), 18).slice(0, -12); // Show 6 decimal places
+        balanceDisplay.textContent = `Available: ${formattedBalance} ${libAsset.symbol}`;
+    } else if (balanceDisplay) {
+        balanceDisplay.textContent = 'Available: 0.000000 LIB'; // Default if no asset found
     }
-    
-    if (!this.subscribed) {
-      console.log('Not subscribed, no need to unsubscribe');
-      return;
+
+    // fill amount with with the min stake amount
+    const amountInput = document.getElementById('stakeAmount');
+    // get min stake amount from document.getElementById('stakeForm').dataset
+    const minStakeAmountValue = document.getElementById('stakeForm').dataset.minStake;
+    const minStakeAmount = minStakeAmountValue ? minStakeAmountValue : '0'; // Default to 0 if not found
+    if (amountInput && minStakeAmount) amountInput.value = minStakeAmount;
+
+    // Call initial validation
+    validateStakeInputs();
+}
+
+function closeStakeModal() {
+    document.getElementById('stakeModal').classList.remove('active');
+    // TODO: clear input fields
+}
+
+// Check if a validator node is active based on reward times
+async function checkValidatorActivity(validatorAddress) {
+    if (!validatorAddress) {
+        console.error("checkValidatorActivity: No validator address provided.");
+        return { isActive: false, error: "No address provided" }; // Cannot determine activity without address
     }
-    
     try {
-      console.log('Unsubscribing from chat events');
-      
-      const unsubscribeMessage = {
-        method: "ChatEvent",
-        params: ["unsubscribe", longAddress(myAccount.keys.address)]
-      };
-      
-      this.ws.send(JSON.stringify(unsubscribeMessage));
-      this.subscribed = false;
-      console.log('Attempted to unsubscribe');
+        const data = await queryNetwork(`/account/${validatorAddress}`);
+        if (data && data.account) {
+            const account = data.account;
+            // Active if reward has started (not 0) but hasn't ended (is 0)
+            const isActive = account.rewardStartTime && account.rewardStartTime !== 0 && (!account.rewardEndTime || account.rewardEndTime === 0);
+            return { isActive: isActive, error: null };
+        } else {
+            console.warn(`checkValidatorActivity: No account data found for validator ${validatorAddress}.`);
+             return { isActive: false, error: "Could not fetch validator data" };
+        }
     } catch (error) {
-      console.error('Error unsubscribing from chat events:', error);
+        console.error(`checkValidatorActivity: Error fetching data for validator ${validatorAddress}:`, error);
+        // Network error or other issue fetching data.
+        return { isActive: false, error: "Network error fetching validator status" };
     }
-  }
+}
 
-  /**
-   * Disconnect from WebSocket server
-   */
-  disconnect() {
-    updateWebSocketIndicator();
-    console.log('Disconnecting WebSocket');
-    if (this.subscribed) {
-      this.unsubscribe();
+// handle Unstake Click with transaction confirmation and submission
+async function confirmAndUnstakeCurrentUserNominee() {
+    // Attempt to read nominee from the DOM element populated by openValidatorModal
+    const nomineeElement = document.getElementById('validator-nominee');
+    const nominee = nomineeElement ? nomineeElement.textContent?.trim() : null;
+
+    // Check if we successfully retrieved a nominee address from the DOM
+    if (!nominee || nominee.length < 10) { // Add a basic sanity check for length
+        showToast('Could not find nominated validator.', 4000, 'error');
+        console.warn("confirmAndUnstakeCurrentUserNominee: Nominee not found or invalid in DOM element #validator-nominee.");
+        return;
     }
-    
-    if (this.ws) {
-      try {
-        if (this.ws.readyState === WebSocket.OPEN) {
-          this.ws.close(1000, 'Normal closure');
-        }
-        this.ws = null;
-        this.connectionState = 'disconnected';
-        console.log('WebSocket disconnected successfully');
-      } catch (error) {
-        console.error('Error disconnecting WebSocket:', error);
-      }
+
+    // Check if the validator is active
+    const activityCheck = await checkValidatorActivity(nominee);
+    if (activityCheck.isActive) {
+        showToast('Cannot unstake from an active validator.', 5000, 'error');
+        console.warn(`confirmAndUnstakeCurrentUserNominee: Validator ${nominee} is active.`);
+        return;
+    } else if (activityCheck.error) {
+        showToast(`Error checking validator status: ${activityCheck.error}`, 5000, 'error');
+        return;
     }
-  }
 
-  /**
-   * Handle connection failures with exponential backoff retry logic
-   */
-  handleConnectionFailure() {
-    updateWebSocketIndicator();
-    const diagnosticInfo = {
-      connectionState: this.connectionState,
-      browser: {
-        userAgent: navigator.userAgent,
-        protocol: window.location.protocol
-      },
-      reconnection: {
-        attempts: this.reconnectAttempts,
-        maxAttempts: this.maxReconnectAttempts
-      }
-    };
-    
-    // Add Firefox-specific diagnostics
-    if (navigator.userAgent.includes('Firefox')) {
-      diagnosticInfo.firefox = {
-        securityPolicy: 'Different security policies for WebSockets',
-        mixedContent: 'Check if HTTPS site with WS instead of WSS',
-        websocketUrl: network.websocket.url,
-        pageProtocol: window.location.protocol
-      };
+    // Confirmation dialog
+    const confirmationMessage = `Are you sure you want to unstake from validator: ${nominee}?`;
+    if (window.confirm(confirmationMessage)) {
+        //console.log(`User confirmed unstake from: ${nominee}`);
+        showToast('Submitting unstake transaction...', 10000, 'loading');
+        // Call the function to handle the actual transaction submission
+        await submitUnstakeTransaction(nominee);
     }
-    
-    console.error('WebSocket Connection Failure:', JSON.stringify(diagnosticInfo, null, 2));
-    
-    this.connectionState = 'disconnected';
-    
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      console.log('Reconnection Status: Maximum attempts reached, falling back to polling');
-      return;
+}
+
+async function submitUnstakeTransaction(nodeAddress) {
+    // disable the unstake button, back button, and submitStake button
+    const unstakeButton = document?.getElementById('submitUnstake');
+    const backButton = document?.getElementById('backButton');
+    const submitStakeButton = document?.getElementById('submitStake');
+    if (unstakeButton) unstakeButton.disabled = true;
+    if (backButton) backButton.disabled = true;
+    if (submitStakeButton) submitStakeButton.disabled = true;
+
+
+    try {
+        const response = await postUnstake(nodeAddress);
+        await new Promise(resolve => setTimeout(resolve, 10000));
+        // Check the response structure for success indicator.
+        if (response && response.result && response.result.success) {
+            // TODO: Update when transaction status check is implemented
+            closeValidatorModal();
+            openValidatorModal();
+        } else {
+            // Try to get a more specific reason for failure
+            const reason = response?.result?.reason || 'Unknown error from API.';
+            showToast(`Unstake failed: ${reason}`, 5000, 'error');
+            console.error('Unstake failed. API Response:', response);
+        }
+    } catch (error) {
+        console.error('Error submitting unstake transaction:', error);
+        // Provide a user-friendly error message
+        showToast('Unstake transaction failed. Network or server error.', 5000, 'error');
+    } finally {
+        if (unstakeButton) unstakeButton.disabled = false;
+        if (backButton) backButton.disabled = false;
+        if (submitStakeButton) submitStakeButton.disabled = false;
     }
+}
 
-    this.reconnectAttempts++;
-    
-    // Exponential backoff
-    const delay = Math.min(30000, Math.pow(2, this.reconnectAttempts) * 1000 + Math.random() * 1000);
-    
-    const reconnectInfo = {
-      attempt: this.reconnectAttempts,
-      maxAttempts: this.maxReconnectAttempts,
-      delaySeconds: Math.round(delay / 1000)
-    };
-    console.log('Reconnection Schedule:', JSON.stringify(reconnectInfo, null, 2));
-    
-    setTimeout(() => {
-      console.log('Reconnecting to WebSocket');
-      this.connect();
-    }, delay);
-  }
+// Stake Form
+async function handleStakeSubmit(event) {
+    event.preventDefault();
+    const stakeButton = document.getElementById('submitStake');
+    stakeButton.disabled = true;
 
-  /**
-   * Check if WebSocket is connected
-   */
-  isConnected() {
-    return !!(this.ws && this.ws.readyState === WebSocket.OPEN);
-  }
+    const nodeAddressInput = document.getElementById('stakeNodeAddress');
+    const amountInput = document.getElementById('stakeAmount');
 
-  /**
-   * Check if WebSocket is subscribed
-   */
-  isSubscribed() {
-    return this.subscribed;
-  }
+    const backButton = document.getElementById('backButton');
+    const submitStakeButton = document.getElementById('submitStake');
 
-  /**
-   * Check if WebSockets are supported in the current browser
-   */
-  checkWebSocketSupport() {
-    const supportInfo = {
-      webSocketAvailable: typeof WebSocket !== 'undefined',
-      browser: {
-        userAgent: navigator.userAgent,
-        language: navigator.language
-      },
-      environment: {
-        protocol: window.location.protocol,
-        hostname: window.location.hostname,
-        isLocalhost: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
-      }
-    };
+    const nodeAddress = nodeAddressInput.value.trim();
+    const amountStr = amountInput.value.trim();
 
-    // Add iOS standalone info
-    const isIOSStandalone = (/iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream) && 
-                            window.navigator.standalone === true;
-    if (isIOSStandalone) {
-      supportInfo.ios = {
-        mode: 'standalone_pwa',
-        restrictions: network.websocket.url.startsWith('wss://')
-      };
+    // Basic Validation // TODO: robust validation
+    if (!nodeAddress || !amountStr) {
+        showToast('Please fill in all fields.', 3000, 'error');
+        stakeButton.disabled = false;
+        return;
     }
 
-    // Add Firefox-specific info
-    if (navigator.userAgent.includes('Firefox')) {
-      supportInfo.firefox = {
-        mixedContentBlocked: window.location.protocol === 'https:' && 
-                             network.websocket.url.startsWith('ws://'),
-        usingSecureWebSocket: network.websocket.url.startsWith('wss://'),
-        port: network.websocket.url.split(':')[2]?.split('/')[0] || 'default'
-      };
+    // Validate address format (simple check for now) // TODO: robust validation
+/*     if (!nodeAddress.startsWith('0x') || nodeAddress.length !== 42) {
+        showToast('Invalid validator node address format.', 3000, 'error');
+        stakeButton.disabled = false;
+        return;
+    }
+ */
+    let amount_in_wei;
+    try {
+        amount_in_wei = bigxnum2big(wei, amountStr);
+        // TODO: Add balance check if necessary
+    } catch (error) {
+        showToast('Invalid amount entered.', 3000, 'error');
+        stakeButton.disabled = false;
+        return;
     }
 
-    // Add WebSocket URL details
-    const wsUrl = new URL(network.websocket.url);
-    supportInfo.websocket = {
-      protocol: wsUrl.protocol,
-      hostname: wsUrl.hostname,
-      port: wsUrl.port || (wsUrl.protocol === 'wss:' ? '443' : '80'),
-      pathname: wsUrl.pathname,
-      requiresSecureContext: wsUrl.protocol === 'wss:' && 
-                            !supportInfo.environment.isLocalhost
+    try {
+        showToast('Submitting stake transaction...', 10000, 'loading');
+
+        if (backButton) backButton.disabled = true;
+        if (submitStakeButton) submitStakeButton.disabled = true;
+
+        const response = await postStake(nodeAddress, amount_in_wei, myAccount.keys);
+        console.log("Stake Response:", response);
+        // wait 5 seconds before checking the response
+        await new Promise(resolve => setTimeout(resolve, 10000));
+
+        if (response && response.result && response.result.success) {
+            closeValidatorModal();
+            nodeAddressInput.value = ''; // Clear form
+            amountInput.value = '';
+            closeStakeModal();
+            openValidatorModal();
+        } else {
+            const reason = response?.result?.reason || 'Unknown error';
+            showToast(`Stake failed: ${reason}`, 5000, 'error');
+        }
+    } catch (error) {
+        console.error('Stake transaction error:', error);
+        showToast('Stake transaction failed. See console for details.', 5000, 'error');
+    } finally {
+        if (stakeButton) stakeButton.disabled = false;
+        if (backButton) backButton.disabled = false;
+        if (submitStakeButton) submitStakeButton.disabled = false;
+    }
+ }
+
+ async function postStake(nodeAddress, amount, keys) {
+    const stakeTx = {
+        type: "deposit_stake",
+        nominator: longAddress(myAccount.keys.address),
+        nominee: nodeAddress,
+        stake: amount,
+        timestamp: getCorrectedTimestamp(),
     };
 
-    console.log('WebSocket Support Analysis:', JSON.stringify(supportInfo, null, 2));
+    const response = await injectTx(stakeTx, keys);
+    return response;
+ }
 
-    // Return false for known unsupported conditions
-    if (!supportInfo.webSocketAvailable) {
-      console.error('WebSocket Support: Not available in browser');
-      return false;
+ async function postUnstake(nodeAddress) {
+    // TODO: need to query network for the correct nominator address
+    const unstakeTx = {
+        type: "withdraw_stake",
+        nominator: longAddress(myAccount?.keys?.address),
+        nominee: nodeAddress,
+        force: false,
+        timestamp: getCorrectedTimestamp(),
+    };
+    
+    const response = await injectTx(unstakeTx, myAccount.keys);
+    return response;
+ }
+ 
+ class RemoveAccountModal {
+    constructor(){
     }
 
-    if (supportInfo.firefox?.mixedContentBlocked) {
-      console.error('WebSocket Support: Mixed content blocked in Firefox');
-      return false;
+    load(){  // called when the DOM is loaded; can setup event handlers here
+        this.modal = document.getElementById('removeAccountModal')
+        document.getElementById('openRemoveAccount').addEventListener('click', () => this.open());
+        document.getElementById('closeRemoveAccountModal').addEventListener('click', () => this.close());
+        document.getElementById('confirmRemoveAccount').addEventListener('click', () => this.submit());
     }
 
-    // Allow WSS connections on localhost even with HTTP protocol
-    if (supportInfo.websocket.requiresSecureContext && 
-        supportInfo.environment.protocol !== 'https:' &&
-        !supportInfo.environment.isLocalhost) {
-      console.error('WebSocket Support: Secure context required for WSS');
-      return false;
+    signin(){ // called when user logs in
     }
 
-    return true;
-  }
+    open(){  // called when the modal needs to be opened
+        this.modal.classList.add('active')
+    }
 
+    close(){  // called when the modal needs to be closed
+        this.modal.classList.remove('active')
+    }
 
-    // Initialize WebSocket manager if not already created
-    initializeWebSocketManager() {
+    async submit(username = myAccount.username){  // called when the form is submitted
+        // Get network ID from network.js
+        const { netid } = network;
 
-        if (this.isConnected()) {
-            if(!this.isSubscribed()) {
-                console.log('WebSocket is already connected but not subscribed, subscribing');
-                this.subscribe();
-                return;
-            }
-            console.log('WebSocket is already connected and subscribed');
-            return;
-        }
+        // Get existing accounts
+        const existingAccounts = parse(localStorage.getItem('accounts') || '{"netids":{}}');
 
-        try {
-            const initInfo = {
-                status: 'starting',
-                config: {
-                    url: network.websocket.url,
-                },
-                account: {
-                    available: !!(myAccount?.keys?.address)
-                }
-            };
-            
-            console.log('WebSocket Manager Initialization:', JSON.stringify(initInfo, null, 2));
-            
-            initInfo.status = 'created';
-            
-            if (initInfo.account.available) {
-                this.connect();
-                initInfo.status = 'connecting';
-            }
-            console.log('WebSocket Manager Status:', JSON.stringify(initInfo, null, 2));
-            
+        // Remove the account from the accounts object
+        if (existingAccounts.netids[netid] && existingAccounts.netids[netid].usernames) {
+            delete existingAccounts.netids[netid].usernames[username];
+            localStorage.setItem('accounts', stringify(existingAccounts));
+        }
+        // Remove the account data from localStorage and IndexedDB
+        localStorage.removeItem(`${username}_${netid}`);
+        try {
+            await deleteAccount(`${username}_${netid}`);
         } catch (error) {
-            console.error('WebSocket Manager Initialization Error:', JSON.stringify({
-                error: error.message,
-                stack: error.stack
-            }, null, 2));
+            console.error('Could not remove the account data from IndexedDB', error);
         }
+
+        // Reload the page to redirect to welcome screen
+        myData = null       // need to delete this so that the reload does not save the data into localStore again
+        window.location.reload();
+    }
+
+    confirmSubmit(){
+        const usernameSelect = document.getElementById('username');
+        const username = usernameSelect.value;
+        if (!username) return;
+        const confirmed = confirm(`Are you sure you want to remove account "${username}"?`);
+        if (!confirmed) return;
+        this.submit(username)
+    }
+
+    signout(){  // called when user is logging out
     }
 }
+const removeAccountModal = new RemoveAccountModal()
 
-let wsManager = new WSManager()        // this is set to new WSManager() for convience
+class BackupAccountModal {
+    constructor() {
+    }
 
-// New functions for send confirmation flow
-function handleSendFormSubmit(event) {
-    event.preventDefault();
-    
-    // Get form values
-    const assetSelect = document.getElementById('sendAsset');
-    const assetSymbol = assetSelect.options[assetSelect.selectedIndex].text;
-    const recipient = document.getElementById('sendToAddress').value;
-    const amount = document.getElementById('sendAmount').value;
-    const memo = document.getElementById('sendMemo').value;
+    load() {  // called when the DOM is loaded; can setup event handlers here
+        this.modal = document.getElementById('exportModal');
+        document.getElementById('openExportForm').addEventListener('click', () => this.open());
+        document.getElementById('closeExportForm').addEventListener('click', () => this.close());
+        document.getElementById('exportForm').addEventListener('submit', (event) => this.handleSubmit(event));
+    }
 
-    const confirmButton = document.getElementById('confirmSendButton');
-    const cancelButton = document.getElementById('cancelSendButton');
+    open() {  // called when the modal needs to be opened
+        this.modal.classList.add('active');
+    }
 
-    // Update confirmation modal with values
-    document.getElementById('confirmRecipient').textContent = recipient;
-    document.getElementById('confirmAmount').textContent = `${amount}`;
-    document.getElementById('confirmAsset').textContent = assetSymbol;
-    
-    // Show/hide memo if present
-    const memoGroup = document.getElementById('confirmMemoGroup');
-    if (memo) {
-        document.getElementById('confirmMemo').textContent = memo;
-        memoGroup.style.display = 'block';
-    } else {
-        memoGroup.style.display = 'none';
+    close() {  // called when the modal needs to be closed
+        this.modal.classList.remove('active');
     }
 
-    // Hide send modal and show confirmation modal
-    document.getElementById('sendModal').classList.remove('active');
+    async handleSubmit(event) {
+        event.preventDefault();
 
-    confirmButton.disabled = false;
-    cancelButton.disabled = false;
-    document.getElementById('sendConfirmationModal').classList.add('active');
-}
+        const password = document.getElementById('exportPassword').value;
+        
+        try {
+            // The backup has all messages, not just the ones loaded so far
+            await loadAllMessages();
+            // forward secret session keys stay on this device
+            const contacts = {};
+            for (const [address, contact] of Object.entries(myData.contacts)) {
+                const { session, ...rest } = contact;
+                contacts[address] = rest;
+            }
+            const jsonData = stringify({ ...myData, contacts }, null, 2);
 
-function closeSendConfirmationModal() {
-    document.getElementById('sendConfirmationModal').classList.remove('active');
-    document.getElementById('sendModal').classList.add('active');
+            // Encrypt data if password is provided
+            const finalData = password ? 
+                await encryptData(jsonData, password) : 
+                jsonData;
+            
+            // Create and trigger download
+            const blob = new Blob([finalData], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${myAccount.username}-export-${new Date().toISOString().split('T')[0]}.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            
+            // Close export modal
+            this.close();
+        } catch (error) {
+            console.error('Encryption failed:', error);
+            alert('Failed to encrypt data. Please try again.');
+        }
+    }
 }
+const backupAccountModal = new BackupAccountModal()
 
-/**
- * Inserts an item into an array while maintaining descending order based on a timestamp field.
- * Assumes the array is already sorted in descending order.
- *
- * @param {Array<Object>} array - The array to insert into (e.g., myData.chats, contact.messages, myData.wallet.history).
- * @param {Object} item - The item to insert (e.g., chatUpdate, newMessage, newPayment).
- * @param {string} [timestampField='timestamp'] - The name of the field containing the timestamp to sort by.
- */
-function insertSorted(array, item, timestampField = 'timestamp') {
-    // Find the index where the new item should be inserted.
-    // We are looking for the first element with a timestamp LESS THAN the new item's timestamp.
-    // This is because the array is sorted descending (newest first).
-    const index = array.findIndex(
-      (existingItem) => existingItem[timestampField] < item[timestampField]
-    );
-  
-    if (index === -1) {
-      // If no such element is found, the new item is the oldest (or the array is empty),
-      // so add it to the end.
-      array.push(item);
-    } else {
-      // Otherwise, insert the new item at the found index.
-      array.splice(index, 0, item);
+class RestoreAccountModal {
+    constructor() {
     }
-  }
 
-/**
- * Calculates the time difference between the client's local time and the network gateway's time.
- * Fetches the timestamp from the '/timestamp' endpoint on a network gateway using queryNetwork,
- * compares it to local time, and stores the difference in `timeSkew`.
- * Includes a retry mechanism for transient network errors.
- *
- * @param {number} [retryCount=0] - The current retry attempt number.
- */
-async function timeDifference(retryCount = 0) {
-    const maxRetries = 2; // Maximum number of retries
-    const retryDelay = 1000; // Delay between retries in milliseconds (1 second)
-    const timestampEndpoint = '/timestamp'; // Endpoint to query
+    load() {  // called when the DOM is loaded; can setup event handlers here
+        this.modal = document.getElementById('importModal');
+        document.getElementById('importAccountButton').addEventListener('click', () => this.open());
+        document.getElementById('closeImportForm').addEventListener('click', () => this.close());
+        document.getElementById('importForm').addEventListener('submit', (event) => this.handleSubmit(event));
+        document.getElementById('restorePhraseForm').addEventListener('submit', (event) => this.handlePhraseSubmit(event));
+    }
 
-    try {
-        // Use queryNetwork to fetch the timestamp from a gateway
-        const data = await queryNetwork(timestampEndpoint);
+    open() {  // called when the modal needs to be opened
+        this.modal.classList.add('active');
+    }
 
-        // queryNetwork returns null on network errors or if offline
-        if (data === null) {
-            // Throw an error to trigger the retry logic
-            throw new Error(`queryNetwork returned null for ${timestampEndpoint}`);
-        }
+    close() {  // called when the modal needs to be closed
+        this.modal.classList.remove('active');
+    }
 
-        const clientTimeMs = Date.now(); // Get client time as close as possible to response processing
+    async handleSubmit(event) {
+        event.preventDefault();
+        const fileInput = document.getElementById('importFile');
+        const passwordInput = document.getElementById('importPassword');
+    
+        try {
+            // Read the file
+            const file = fileInput.files[0];
+            let fileContent = await file.text();
+            const isNotEncryptedData = fileContent.match('{')
+    
+            // Check if data is encrypted and decrypt if necessary
+            if (!isNotEncryptedData) {
+                if (!passwordInput.value.trim()) {
+                    showToast('Password required for encrypted data', 3000, 'error');
+                    return
+                }
+                fileContent = await decryptData(fileContent, passwordInput.value.trim());
+                if (fileContent == null){ throw "" }
+            }
+    
+            // We first parse to jsonData so that if the parse does not work we don't destroy myData
+            myData = parse(fileContent)
+            // also need to set myAccount
+            const acc = myData.account  // this could have other things which are not needed
+            myAccount = {
+                netid: acc.netid,
+                username: acc.username,
+                keys: {
+                    address: acc.keys.address,
+                    public: acc.keys.public,
+                    secret: acc.keys.secret,
+                    type: acc.keys.type
+                }
+            }
+            // Get existing accounts or create new structure
+            const existingAccounts = parse(localStorage.getItem('accounts') || '{"netids":{}}');
+            // Ensure netid exists
+            if (!existingAccounts.netids[myAccount.netid]) {
+                existingAccounts.netids[myAccount.netid] = { usernames: {} };
+            }
+            // Store updated accounts back in localStorage
+            existingAccounts.netids[myAccount.netid].usernames[myAccount.username] = {address: myAccount.keys.address};
+            localStorage.setItem('accounts', stringify(existingAccounts));
+    
+            // Save it like the app does; it is encrypted once the passcode is set when signing in
+            saveState.key = null;
+            saveState.salt = null;
+            localStorage.removeItem(`${myAccount.username}_${myAccount.netid}`);   // from an older version
+            if (!await replaceStoredAccount(accountStorageId())) {
+                throw new Error('Could not save the restored account in this browser');
+            }
+    
+            // Show success message using toast
+            showToast('Account restored successfully!', 2000, 'success');
+    
+            // Reset form and close modal after delay
+            setTimeout(() => {
+                this.close();
+                window.location.reload();  // need to go through Sign In to make sure imported account exists on network
+                fileInput.value = '';
+                passwordInput.value = '';
+            }, 2000);
+    
+        } catch (error) {
+            showToast(error.message || 'Import failed. Please check file and password.', 3000, 'error');
+        }
+    }
 
-        // Extract server time directly from the 'timestamp' field
-        if (!data || typeof data.timestamp !== 'number' || isNaN(data.timestamp)) {
-            console.error('Error: Invalid or missing server timestamp received from gateway:', data);
-            // Don't retry on parsing errors, it's likely a data issue from the gateway
+    // Rebuild the account from the recovery phrase; all messages are downloaded from the network when signing in
+    async handlePhraseSubmit(event) {
+        event.preventDefault();
+        const mnemonic = await normalizeMnemonic(document.getElementById('restorePhrase').value);
+        if (!mnemonic) {
+            showToast('Not a valid recovery phrase. Check the words and their order.', 3000, 'error');
             return;
         }
+        const submitButton = document.querySelector('#restorePhraseForm button[type="submit"]');
+        submitButton.disabled = true;
+        try {
+            const keys = await mnemonicToKeys(mnemonic);
+            const publicKey = secp.getPublicKey(hex2bin(keys.secret), false);
+            const address = bin2hex(keccak256(publicKey.slice(1)).slice(-20));
+            const accountInfo = await queryNetwork(`/account/${longAddress(address)}`);
+            const username = accountInfo?.account?.alias;
+            if (!username) {
+                showToast('No account was found on the network for this recovery phrase', 3000, 'error');
+                return;
+            }
 
-        const serverTimeMs = data.timestamp;
-
-        const difference = serverTimeMs - clientTimeMs;
-        timeSkew = difference; // Store the calculated skew
+            const { netid } = network;
+            const existingAccounts = parse(localStorage.getItem('accounts') || '{"netids":{}}');
+            if (existingAccounts.netids[netid]?.usernames?.[username] &&
+                !confirm(`${username} is already on this device. Replace it with the account from the recovery phrase?`)) {
+                return;
+            }
 
-        // Optional: Update logging for verification
-        //console.log(`Gateway time (UTC ms): ${serverTimeMs} (${new Date(serverTimeMs).toISOString()})`);
-        //console.log(`Client time (local ms): ${clientTimeMs} (${new Date(clientTimeMs).toISOString()})`);
-        //console.log(`Time difference (Gateway - Client): ${difference} ms`);
-        const minutes = Math.floor(Math.abs(difference) / 60000);
-        const seconds = Math.floor((Math.abs(difference) % 60000) / 1000);
-        const milliseconds = Math.abs(difference) % 1000;
-        const sign = difference < 0 ? "-" : "+";
-        console.log(`Time difference: ${sign}${minutes}m ${seconds}s ${milliseconds}ms`);
-        console.log(`Successfully obtained time skew (${timeSkew}ms) from gateway endpoint ${timestampEndpoint} on attempt ${retryCount + 1}.`);
+            // chatTimestamp of 0 gets all the messages again
+            myAccount = {
+                netid,
+                username,
+                chatTimestamp: 0,
+                keys: {
+                    address,
+                    public: bin2hex(publicKey),
+                    secret: keys.secret,
+                    type: 'secp256k1',
+                    pqSeed: keys.pqSeed,
+                }
+            };
+            myData = newDataRecord(myAccount);
+            localStorage.removeItem(accountStorageId());
+            await deleteAccount(accountStorageId());
+            if (!(await saveState())) {
+                throw new Error('could not save the account');
+            }
 
-    } catch (error) {
-        // Handle errors from queryNetwork (e.g., network issues, gateway unavailable)
-        console.warn(`Attempt ${retryCount + 1} failed to fetch time via queryNetwork(${timestampEndpoint}):`, error);
+            if (!existingAccounts.netids[netid]) {
+                existingAccounts.netids[netid] = { usernames: {} };
+            }
+            existingAccounts.netids[netid].usernames[username] = { address };
+            localStorage.setItem('accounts', stringify(existingAccounts));
 
-        if (retryCount < maxRetries) {
-            console.log(`Retrying time fetch in ${retryDelay}ms... (Attempt ${retryCount + 2})`);
-            setTimeout(() => timeDifference(retryCount + 1), retryDelay);
-        } else {
-            console.error(`Failed to fetch time from gateway endpoint ${timestampEndpoint} after ${maxRetries + 1} attempts. Time skew might be inaccurate.`);
-            // Keep timeSkew at its default (0) or last known value if applicable
+            showToast('Account restored successfully!', 2000, 'success');
+            setTimeout(() => {
+                this.close();
+                window.location.reload();  // sign in to download the messages
+            }, 2000);
+        } catch (error) {
+            console.error('Restore from recovery phrase failed:', error);
+            showToast('Could not restore the account. Please try again.', 3000, 'error');
+        } finally {
+            document.getElementById('restorePhrase').value = '';
+            submitButton.disabled = false;
         }
     }
 }
+const restoreAccountModal = new RestoreAccountModal()
 
-/**
- * Returns the current timestamp adjusted by the calculated time skew.
- * This provides a timestamp closer to the server's time.
- * @returns {number} The corrected timestamp in milliseconds since the Unix Epoch.
- */
-function getCorrectedTimestamp() {
-    // Get the current client time
-    const clientNow = Date.now();
-    
-    // Add the stored skew (difference between server and client time)
-    // If server was ahead, timeSkew is positive, making the corrected time larger.
-    // If server was behind, timeSkew is negative, making the corrected time smaller.
-    const correctedTime = clientNow + timeSkew; 
-    
-    return correctedTime;
-}
-
-function updateWebSocketIndicator() {
-    const indicator = document.getElementById('wsStatusIndicator');
-    if (!indicator) return;
-    if (!wsManager || !wsManager.isConnected()) {
-        indicator.textContent = 'Not Connected';
-        indicator.className = 'ws-status-indicator ws-red';
-    } else if (wsManager.isConnected() && !wsManager.isSubscribed()) {
-        indicator.textContent = 'Connected (No Sub)';
-        indicator.className = 'ws-status-indicator ws-yellow';
-    } else if (wsManager.isConnected() && wsManager.isSubscribed()) {
-        indicator.textContent = 'Connected';
-        indicator.className = 'ws-status-indicator ws-green';
+class GatewayModal {
+    constructor() {
     }
-}
 
-// Validator Modals
-async function openValidatorModal() {
-    // Get modal elements
-    const validatorModal = document.getElementById('validatorModal');
-    const loadingElement = document.getElementById('validator-loading');
-    const errorElement = document.getElementById('validator-error-message');
-    const detailsElement = document.getElementById('validator-details');
-    // Get elements needed for conditional logic early
-    const nomineeLabelElement = document.getElementById('validator-nominee-label');
-    const nomineeValueElement = document.getElementById('validator-nominee');
-    const userStakeLibItem = document.getElementById('validator-user-stake-lib-item');
-    const userStakeUsdItem = document.getElementById('validator-user-stake-usd-item');
-    const unstakeButton = document.getElementById('submitUnstake');
+    load() {
+        this.modal = document.getElementById('gatewayModal');
+        this.addEditModal = document.getElementById('addEditGatewayModal');
+        this.gatewayList = document.getElementById('gatewayList');
+        this.gatewayForm = document.getElementById('gatewayForm');
 
-    // Reset UI: Show loading, hide details and error, reset conditional elements
-    if (loadingElement) loadingElement.style.display = 'block';
-    if (detailsElement) detailsElement.style.display = 'none';
-    if (errorElement) {
-        errorElement.style.display = 'none';
-        errorElement.textContent = ''; // Clear previous errors
+        // Setup event listeners when DOM is loaded
+        document.getElementById('openNetwork').addEventListener('click', () => this.open());
+        document.getElementById('closeGatewayForm').addEventListener('click', () => this.close());
+        document.getElementById('addGatewayButton').addEventListener('click', () => this.openAddForm());
+        document.getElementById('closeAddEditGatewayForm').addEventListener('click', () => this.closeAddEditForm());
+        this.gatewayForm.addEventListener('submit', (e) => this.handleFormSubmit(e));
+        document.getElementById('gatewayParanoid').addEventListener('change', (e) => {
+            myData.settings.paranoid = e.target.value === 'on';
+            saveState();
+        });
     }
-    // Reset conditional elements to default state (label text might change later)
-    if (nomineeLabelElement) nomineeLabelElement.textContent = 'Nominated Validator:'; // Default label
-    if (nomineeValueElement) nomineeValueElement.textContent = ''; // Clear value initially
-    // Ensure stake items are visible by default (using flex as defined in styles.css)
-    if (userStakeLibItem) userStakeLibItem.style.display = 'flex';
-    if (userStakeUsdItem) userStakeUsdItem.style.display = 'flex';
-    // Disable unstake button initially while loading/checking
-    if (unstakeButton) unstakeButton.disabled = true;
-
-
-    if (validatorModal) validatorModal.classList.add('active'); // Open modal immediately
-
-    let nominee = null;
 
-    try {
-        // Fetch Data Concurrently
-        const userAddress = myData?.account?.keys?.address;
-        if (!userAddress) {
-            console.warn("User address not found in myData. Skipping user account fetch.");
-            // Decide how to handle this - maybe show an error or a specific state?
-            // For now, we'll proceed, but nominee/user stake will be unavailable.
-        }
-        const [userAccountData, networkAccountData, marketPriceData] = await Promise.all([
-            userAddress ? queryNetwork(`/account/${longAddress(userAddress)}`) : Promise.resolve(null), // Fetch User Data if available
-            queryNetwork('/account/0000000000000000000000000000000000000000000000000000000000000000'), // Fetch Network Data
-            getMarketPrice() // Fetch Market Price
-        ]);
+    open() {
+        // Initialize gateway configuration if needed
+        initializeGatewayConfig();
+        document.getElementById('gatewayParanoid').value = myData.settings.paranoid ? 'on' : 'off';
+        this.modal.classList.add('active');
+        this.updateList();
+    }
 
-        // Extract Raw Data
-        // Use optional chaining extensively in case userAccountData is null
-        nominee = userAccountData?.account?.operatorAccountInfo?.nominee;
-        const userStakedBaseUnits = userAccountData?.account?.operatorAccountInfo?.stake?.value;
+    close() {
+        this.modal.classList.remove('active');
+    }
 
-        // Network data should generally be available, but check anyway
-        const stakeRequiredUsdBaseUnits = networkAccountData?.account?.current?.stakeRequiredUsd?.value;
-        const stabilityScaleMul = networkAccountData?.account?.current?.stabilityScaleMul;
-        const stabilityScaleDiv = networkAccountData?.account?.current?.stabilityScaleDiv;
+    openAddForm() {
+        this.modal.classList.remove('active');
+        this.gatewayForm.reset();
+        document.getElementById('gatewayEditIndex').value = -1;
+        document.getElementById('addEditGatewayTitle').textContent = 'Add Gateway';
+        this.addEditModal.classList.add('active');
+    }
 
-        // Extract market price (will be null if fetch failed or returned null)
-        const marketPrice = marketPriceData;
+    closeAddEditForm() {
+        this.addEditModal.classList.remove('active');
+        this.modal.classList.add('active');
+        this.updateList();
+    }
 
-        // Calculate Derived Values
-        let stabilityFactor = null;
-        if (stabilityScaleMul != null && stabilityScaleDiv != null && Number(stabilityScaleDiv) !== 0) {
-            stabilityFactor = Number(stabilityScaleMul) / Number(stabilityScaleDiv);
-        }
+    updateList() {
+        // Clear existing list
+        this.gatewayList.innerHTML = '';
 
-        let stakeAmountLibBaseUnits = null;
-        if (stakeRequiredUsdBaseUnits != null && typeof stakeRequiredUsdBaseUnits === 'string' &&
-            stabilityScaleMul != null && typeof stabilityScaleMul === 'number' &&
-            stabilityScaleDiv != null && typeof stabilityScaleDiv === 'number' && stabilityScaleDiv !== 0)
-        {
-            try {
-                const requiredUsdBigInt = BigInt('0x' + stakeRequiredUsdBaseUnits);
-                const scaleMulBigInt = BigInt(stabilityScaleMul);
-                const scaleDivBigInt = BigInt(stabilityScaleDiv);
-                // Avoid division by zero if scaleMulBigInt is 0
-                if (scaleMulBigInt !== 0n) {
-                    stakeAmountLibBaseUnits = (requiredUsdBigInt * scaleDivBigInt) / scaleMulBigInt;
-                } else {
-                     console.warn("Stability scale multiplier is zero, cannot calculate LIB stake amount.");
-                }
-            } catch (e) {
-                console.error("Error calculating stakeAmountLibBaseUnits with BigInt:", e, {
-                    stakeRequiredUsdBaseUnits,
-                    stabilityScaleMul,
-                    stabilityScaleDiv
-                });
-            }
+        // If no gateways, show empty state
+        if (myData.network.gateways.length === 0) {
+            this.gatewayList.innerHTML = `
+                <div class="empty-state">
+                    <div style="font-weight: bold; margin-bottom: 0.5rem">No Gateways</div>
+                    <div>Add a gateway to get started</div>
+                </div>`;
+            return;
         }
 
-        let userStakedUsd = null;
-        // TODO: Calculate User Staked Amount (USD) using market price - Use stability factor if available?
-        // For now, using market price as implemented previously.
-        if (userStakedBaseUnits != null && marketPrice != null) {
-            try {
-                const userStakedLib = Number(BigInt('0x' + userStakedBaseUnits)) / 1e18;
-                userStakedUsd = userStakedLib * marketPrice;
-            } catch (e) {
-                console.error("Error calculating userStakedUsd:", e);
-            }
-        }
+        // Add "Use Random Selection" option
+        const randomOption = document.createElement('div');
+        randomOption.className = 'gateway-item random-option';
+        randomOption.innerHTML = `
+            <div class="gateway-info">
+                <div class="gateway-name">Random Selection</div>
+                <div class="gateway-url">Selects random gateway from list</div>
+            </div>
+            <div class="gateway-actions">
+                <label class="default-toggle">
+                    <input type="radio" name="defaultGateway" ${myData.network.defaultGatewayIndex === -1 ? 'checked' : ''}>
+                    <span>Default</span>
+                </label>
+            </div>
+        `;
 
-        let marketStakeUsdBaseUnits = null;
-        // Calculate Min Stake at Market (USD) using BigInt and market price
-        if (stakeAmountLibBaseUnits != null && marketPrice != null) {
-            try {
-                const stakeAmountLib = Number(stakeAmountLibBaseUnits) / 1e18;
-                const marketStakeUsd = stakeAmountLib * marketPrice;
-                // Approximate back to base units (assuming 18 decimals for USD base units)
-                marketStakeUsdBaseUnits = BigInt(Math.round(marketStakeUsd * 1e18));
-            } catch (e) {
-                console.error("Error calculating marketStakeUsdBaseUnits:", e);
+        const randomToggle = randomOption.querySelector('input[type="radio"]');
+        randomToggle.addEventListener('change', () => {
+            if (randomToggle.checked) {
+                this.setDefaultGateway(-1);
             }
-        }
-
-
-        // Format & Update UI
-        // Get references for network info elements
-        const networkStakeUsdValue = document.getElementById('validator-network-stake-usd');
-        const networkStakeLibValue = document.getElementById('validator-network-stake-lib');
-        const stabilityFactorValue = document.getElementById('validator-stability-factor');
-        const marketPriceValue = document.getElementById('validator-market-price');
-        const marketStakeUsdValue = document.getElementById('validator-market-stake-usd');
-
-        // set stakeForm dataset.minStake to big2str(stakeAmountLibBaseUnits, 18) for 
-        document.getElementById('stakeForm').dataset.minStake = big2str(stakeAmountLibBaseUnits, 18);
+        });
 
-        // Format Network Info unconditionally
-        const displayNetworkStakeUsd = stakeRequiredUsdBaseUnits ? '$' + big2str(BigInt('0x' + stakeRequiredUsdBaseUnits), 18).slice(0, 6) : 'N/A';
-        const displayNetworkStakeLib = stakeAmountLibBaseUnits ? big2str(stakeAmountLibBaseUnits, 18).slice(0, 7) : 'N/A';
-        const displayStabilityFactor = stabilityFactor ? stabilityFactor.toFixed(4) : 'N/A';
-        const displayMarketPrice = marketPrice ? '$' + marketPrice.toFixed(4) : 'N/A';
-        const displayMarketStakeUsd = marketStakeUsdBaseUnits ? '$' + big2str(marketStakeUsdBaseUnits, 18).slice(0, 6) : 'N/A';
+        this.gatewayList.appendChild(randomOption);
 
-        if (networkStakeUsdValue) networkStakeUsdValue.textContent = displayNetworkStakeUsd;
-        if (networkStakeLibValue) networkStakeLibValue.textContent = displayNetworkStakeLib;
-        if (stabilityFactorValue) stabilityFactorValue.textContent = displayStabilityFactor;
-        if (marketPriceValue) marketPriceValue.textContent = displayMarketPrice;
-        if (marketStakeUsdValue) marketStakeUsdValue.textContent = displayMarketStakeUsd;
+        // Add each gateway to the list
+        myData.network.gateways.forEach((gateway, index) => {
+            const isDefault = index === myData.network.defaultGatewayIndex;
+            const canRemove = !gateway.isSystem;
 
-        // Conditional Logic for Nominee and User Stake
-        if (!nominee) {
-            // Case: No Nominee
-            if (nomineeLabelElement) nomineeLabelElement.textContent = 'No Nominated Validator';
-            if (nomineeValueElement) nomineeValueElement.textContent = ''; // Ensure value is empty
-            if (userStakeLibItem) userStakeLibItem.style.display = 'none'; // Hide LIB stake item
-            if (userStakeUsdItem) userStakeUsdItem.style.display = 'none'; // Hide USD stake item
-        } else {
-            // Case: Nominee Exists
-            // Get references for user stake values
-             const userStakeLibValue = document.getElementById('validator-user-stake-lib');
-             const userStakeUsdValue = document.getElementById('validator-user-stake-usd');
+            const gatewayItem = document.createElement('div');
+            gatewayItem.className = 'gateway-item';
+            gatewayItem.innerHTML = `
+                <div class="gateway-info">
+                    <div class="gateway-name">${escapeHtml(gateway.name)}</div>
+                    <div class="gateway-url">${gateway.protocol}://${escapeHtml(gateway.host)}:${gateway.port}</div>
+                    ${gateway.isSystem ? '<span class="system-badge">System</span>' : ''}
+                    ${gateway.isDiscovered ? '<span class="system-badge">Discovered</span>' : ''}
+                    ${this.healthBadge(gateway)}
+                </div>
+                <div class="gateway-actions">
+                    <label class="default-toggle">
+                        <input type="radio" name="defaultGateway" ${isDefault ? 'checked' : ''}>
+                        <span>Default</span>
+                    </label>
+                    <button class="icon-button edit-button" title="Edit">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                            <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                            <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                        </svg>
+                    </button>
+                    ${canRemove ? `
+                        <button class="icon-button remove-button" title="Remove">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                <path d="M3 6h18"></path>
+                                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6"></path>
+                                <path d="M8 6V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                            </svg>
+                        </button>
+                    ` : ''}
+                </div>
+            `;
 
-            // Format User Stake Values
-            const displayNominee = nominee; // Already checked it exists
-            const displayUserStakedLib = userStakedBaseUnits ? big2str(BigInt('0x' + userStakedBaseUnits), 18).slice(0, 6) : 'N/A';
-            const displayUserStakedUsd = userStakedUsd != null ? '$' + userStakedUsd.toFixed(4) : 'N/A';
+            // Add event listeners
+            const defaultToggle = gatewayItem.querySelector('input[type="radio"]');
+            defaultToggle.addEventListener('change', () => {
+                if (defaultToggle.checked) {
+                    this.setDefaultGateway(index);
+                }
+            });
 
-            if (nomineeLabelElement) nomineeLabelElement.textContent = 'Nominated Validator:'; // Ensure correct label
-            if (nomineeValueElement) nomineeValueElement.textContent = displayNominee;
-            if (userStakeLibValue) userStakeLibValue.textContent = displayUserStakedLib;
-            if (userStakeUsdValue) userStakeUsdValue.textContent = displayUserStakedUsd;
-            // Ensure items are visible (using flex as defined in CSS) - redundant due to reset, but safe
-            if (userStakeLibItem) userStakeLibItem.style.display = 'flex';
-            if (userStakeUsdItem) userStakeUsdItem.style.display = 'flex';
-        }
+            const editButton = gatewayItem.querySelector('.edit-button');
+            editButton.addEventListener('click', () => {
+                this.openEditForm(index);
+            });
 
-        // Show the details section now that it's populated correctly
-        if (detailsElement) detailsElement.style.display = 'block'; // Or 'flex' if it's a flex container
+            if (canRemove) {
+                const removeButton = gatewayItem.querySelector('.remove-button');
+                removeButton.addEventListener('click', () => {
+                    this.confirmRemove(index);
+                });
+            }
 
-    } catch (error) {
-        console.error("Error fetching validator details:", error);
-        // Display error in UI
-        if (errorElement) {
-            errorElement.textContent = 'Failed to load validator details. Please try again later.';
-            errorElement.style.display = 'block';
-        }
-        // Ensure details are hidden if an error occurs
-        if (detailsElement) detailsElement.style.display = 'none';
-        // Ensure unstake button remains disabled on error
-        if (unstakeButton) unstakeButton.disabled = true;
-    } finally {
-        // Hide loading indicator regardless of success or failure
-        if (loadingElement) loadingElement.style.display = 'none';
-        // Set final state of unstake button based on whether a nominee was found
-        if (unstakeButton) {
-             unstakeButton.disabled = !nominee;
-        }
+            this.gatewayList.appendChild(gatewayItem);
+        });
     }
-}
 
-function closeValidatorModal() {
-    document.getElementById('validatorModal').classList.remove('active');
-}
+    // How the requests to the gateway went since the app was opened
+    healthBadge(gateway) {
+        const status = gatewayStatus(gateway);
+        const health = gatewayHealth[gatewayUrl(gateway)];
+        const labels = {
+            unknown: 'Not used yet',
+            healthy: `Healthy · ${health?.latency} ms`,
+            slow: health?.errors ? `${health.errors} failed` : `Slow · ${health?.latency} ms`,
+            down: 'Down',
+        };
+        const title = health?.lastError ? `Last error: ${escapeHtml(health.lastError).replace(/"/g, '&quot;')}` : '';
+        return `<span class="gateway-health ${status}" title="${title}">${labels[status]}</span>`;
+    }
 
-// fetching market price by invoking `updateAssetPricesIfNeeded` and extracting from myData.assetPrices
-async function getMarketPrice() {
+    openEditForm(index) {
+        this.modal.classList.remove('active');
+        const gateway = myData.network.gateways[index];
+        document.getElementById('gatewayName').value = gateway.name;
+        document.getElementById('gatewayProtocol').value = gateway.protocol;
+        document.getElementById('gatewayHost').value = gateway.host;
+        document.getElementById('gatewayPort').value = gateway.port;
+        document.getElementById('gatewayEditIndex').value = index;
+        document.getElementById('addEditGatewayTitle').textContent = 'Edit Gateway';
+        this.addEditModal.classList.add('active');
+    }
 
-    try {
-        // Ensure asset prices are potentially updated by the central function
-        await updateAssetPricesIfNeeded();
+    async handleFormSubmit(event) {
+        event.preventDefault();
 
-        // Check if wallet data and assets exist after the update attempt
-        if (!myData?.wallet?.assets) {
-            console.warn("getMarketPrice: Wallet assets not available in myData.");
-            return null;
-        }
+        const formData = {
+            protocol: document.getElementById('gatewayProtocol').value,
+            host: document.getElementById('gatewayHost').value,
+            port: parseInt(document.getElementById('gatewayPort').value),
+            name: document.getElementById('gatewayName').value
+        };
 
-        // Find the LIB asset in the myData structure
-        const libAsset = myData.wallet.assets.find(asset => asset.id === 'liberdus');
+        const editIndex = parseInt(document.getElementById('gatewayEditIndex').value);
 
-        if (libAsset) {
-            // Check if the price exists and is a valid number on the found asset
-            if (typeof libAsset.price === 'number' && !isNaN(libAsset.price)) {
-                // console.log(`getMarketPrice: Retrieved LIB price from myData: ${libAsset.price}`); // Optional: For debugging
-                return libAsset.price;
-            } else {
-                // Price might be missing if the initial fetch failed or hasn't happened yet
-                console.warn(`getMarketPrice: LIB asset found in myData, but its price is missing or invalid (value: ${libAsset.price}).`);
-                return null;
-            }
+        if (editIndex >= 0) {
+            this.updateGateway(editIndex, formData.protocol, formData.host, formData.port, formData.name);
         } else {
-            console.warn("getMarketPrice: LIB asset not found in myData.wallet.assets.");
-            return null;
+            this.addGateway(formData.protocol, formData.host, formData.port, formData.name);
         }
 
-    } catch (error) {
-        console.error("getMarketPrice: Error occurred while trying to get price from myData:", error);
-        return null; // Return null on any unexpected error during the process
+        this.closeAddEditForm();
     }
-}
-
-// Stake Modal
-function openStakeModal() {
-    document.getElementById('stakeModal').classList.add('active');
-
-    // Set the correct fill function for the staking context
-    openQRScanModal.fill = fillStakeAddressFromQR; 
 
-    // Display Available Balance
-    const balanceDisplay = document.getElementById('stakeAvailableBalanceDisplay');
-    const libAsset = myData.wallet.assets.find(asset => asset.symbol === 'LIB'); // Assuming LIB is index 0 or find by symbol
-    if (balanceDisplay && libAsset) {
-        // Use big2str for formatting, similar to updateBalanceDisplay but simpler for this context
-        const formattedBalance = big2str(BigInt(libAsset.balance), 18).slice(0, -12); // Show 6 decimal places
-        balanceDisplay.textContent = `Available: ${formattedBalance} ${libAsset.symbol}`;
-    } else if (balanceDisplay) {
-        balanceDisplay.textContent = 'Available: 0.000000 LIB'; // Default if no asset found
+    confirmRemove(index) {
+        if (confirm('Are you sure you want to remove this gateway?')) {
+            this.removeGateway(index);
+        }
     }
 
-    // fill amount with with the min stake amount
-    const amountInput = document.getElementById('stakeAmount');
-    // get min stake amount from document.getElementById('stakeForm').dataset
-    const minStakeAmountValue = document.getElementById('stakeForm').dataset.minStake;
-    const minStakeAmount = minStakeAmountValue ? minStakeAmountValue : '0'; // Default to 0 if not found
-    if (amountInput && minStakeAmount) amountInput.value = minStakeAmount;
+    addGateway(protocol, host, port, name) {
+        // Initialize if needed
+        initializeGatewayConfig();
 
-    // Call initial validation
-    validateStakeInputs();
-}
+        // Add the new gateway
+        myData.network.gateways.push({
+            protocol,
+            host,
+            port,
+            name,
+            isSystem: false,
+            isDefault: false
+        });
 
-function closeStakeModal() {
-    document.getElementById('stakeModal').classList.remove('active');
-    // TODO: clear input fields
-}
+        // Update the UI
+        this.updateList();
 
-// Check if a validator node is active based on reward times
-async function checkValidatorActivity(validatorAddress) {
-    if (!validatorAddress) {
-        console.error("checkValidatorActivity: No validator address provided.");
-        return { isActive: false, error: "No address provided" }; // Cannot determine activity without address
-    }
-    try {
-        const data = await queryNetwork(`/account/${validatorAddress}`);
-        if (data && data.account) {
-            const account = data.account;
-            // Active if reward has started (not 0) but hasn't ended (is 0)
-            const isActive = account.rewardStartTime && account.rewardStartTime !== 0 && (!account.rewardEndTime || account.rewardEndTime === 0);
-            return { isActive: isActive, error: null };
-        } else {
-            console.warn(`checkValidatorActivity: No account data found for validator ${validatorAddress}.`);
-             return { isActive: false, error: "Could not fetch validator data" };
-        }
-    } catch (error) {
-        console.error(`checkValidatorActivity: Error fetching data for validator ${validatorAddress}:`, error);
-        // Network error or other issue fetching data.
-        return { isActive: false, error: "Network error fetching validator status" };
+        // Show success message
+        showToast('Gateway added successfully');
     }
-}
 
-// handle Unstake Click with transaction confirmation and submission
-async function confirmAndUnstakeCurrentUserNominee() {
-    // Attempt to read nominee from the DOM element populated by openValidatorModal
-    const nomineeElement = document.getElementById('validator-nominee');
-    const nominee = nomineeElement ? nomineeElement.textContent?.trim() : null;
+    updateGateway(index, protocol, host, port, name) {
+        // Check if index is valid
+        if (index >= 0 && index < myData.network.gateways.length) {
+            const gateway = myData.network.gateways[index];
 
-    // Check if we successfully retrieved a nominee address from the DOM
-    if (!nominee || nominee.length < 10) { // Add a basic sanity check for length
-        showToast('Could not find nominated validator.', 4000, 'error');
-        console.warn("confirmAndUnstakeCurrentUserNominee: Nominee not found or invalid in DOM element #validator-nominee.");
-        return;
-    }
+            // Update gateway properties
+            gateway.protocol = protocol;
+            gateway.host = host;
+            gateway.port = port;
+            gateway.name = name;
 
-    // Check if the validator is active
-    const activityCheck = await checkValidatorActivity(nominee);
-    if (activityCheck.isActive) {
-        showToast('Cannot unstake from an active validator.', 5000, 'error');
-        console.warn(`confirmAndUnstakeCurrentUserNominee: Validator ${nominee} is active.`);
-        return;
-    } else if (activityCheck.error) {
-        showToast(`Error checking validator status: ${activityCheck.error}`, 5000, 'error');
-        return;
-    }
+            // Update the UI
+            this.updateList();
 
-    // Confirmation dialog
-    const confirmationMessage = `Are you sure you want to unstake from validator: ${nominee}?`;
-    if (window.confirm(confirmationMessage)) {
-        //console.log(`User confirmed unstake from: ${nominee}`);
-        showToast('Submitting unstake transaction...', 10000, 'loading');
-        // Call the function to handle the actual transaction submission
-        await submitUnstakeTransaction(nominee);
+            // Show success message
+            showToast('Gateway updated successfully');
+        }
     }
-}
 
-async function submitUnstakeTransaction(nodeAddress) {
-    // disable the unstake button, back button, and submitStake button
-    const unstakeButton = document?.getElementById('submitUnstake');
-    const backButton = document?.getElementById('backButton');
-    const submitStakeButton = document?.getElementById('submitStake');
-    if (unstakeButton) unstakeButton.disabled = true;
-    if (backButton) backButton.disabled = true;
-    if (submitStakeButton) submitStakeButton.disabled = true;
+    removeGateway(index) {
+        // Check if index is valid
+        if (index >= 0 && index < myData.network.gateways.length) {
+            const gateway = myData.network.gateways[index];
+
+            // Only allow removing non-system gateways
+            if (!gateway.isSystem) {
+                // Remove the gateway; resets to random selection if it was the default
+                removeGatewayAt(index);
 
+                // Update the UI
+                this.updateList();
 
-    try {
-        const response = await postUnstake(nodeAddress);
-        await new Promise(resolve => setTimeout(resolve, 10000));
-        // Check the response structure for success indicator.
-        if (response && response.result && response.result.success) {
-            // TODO: Update when transaction status check is implemented
-            closeValidatorModal();
-            openValidatorModal();
-        } else {
-            // Try to get a more specific reason for failure
-            const reason = response?.result?.reason || 'Unknown error from API.';
-            showToast(`Unstake failed: ${reason}`, 5000, 'error');
-            console.error('Unstake failed. API Response:', response);
+                // Show success message
+                showToast('Gateway removed successfully');
+            }
         }
-    } catch (error) {
-        console.error('Error submitting unstake transaction:', error);
-        // Provide a user-friendly error message
-        showToast('Unstake transaction failed. Network or server error.', 5000, 'error');
-    } finally {
-        if (unstakeButton) unstakeButton.disabled = false;
-        if (backButton) backButton.disabled = false;
-        if (submitStakeButton) submitStakeButton.disabled = false;
     }
-}
 
-// Stake Form
-async function handleStakeSubmit(event) {
-    event.preventDefault();
-    const stakeButton = document.getElementById('submitStake');
-    stakeButton.disabled = true;
+    setDefaultGateway(index) {
+        // Reset all gateways to non-default
+        myData.network.gateways.forEach(gateway => {
+            gateway.isDefault = false;
+        });
 
-    const nodeAddressInput = document.getElementById('stakeNodeAddress');
-    const amountInput = document.getElementById('stakeAmount');
+        // Set the new default gateway index
+        myData.network.defaultGatewayIndex = index;
 
-    const backButton = document.getElementById('backButton');
-    const submitStakeButton = document.getElementById('submitStake');
+        // If setting a specific gateway as default, mark it
+        if (index >= 0 && index < myData.network.gateways.length) {
+            myData.network.gateways[index].isDefault = true;
+        }
 
-    const nodeAddress = nodeAddressInput.value.trim();
-    const amountStr = amountInput.value.trim();
+        // Update the UI
+        this.updateList();
 
-    // Basic Validation // TODO: robust validation
-    if (!nodeAddress || !amountStr) {
-        showToast('Please fill in all fields.', 3000, 'error');
-        stakeButton.disabled = false;
-        return;
+        // Show success message
+        const message = index === -1 
+            ? 'Using random gateway selection for better reliability' 
+            : 'Default gateway set';
+        showToast(message);
     }
+}
+const gatewayModal = new GatewayModal()
 
-    // Validate address format (simple check for now) // TODO: robust validation
-/*     if (!nodeAddress.startsWith('0x') || nodeAddress.length !== 42) {
-        showToast('Invalid validator node address format.', 3000, 'error');
-        stakeButton.disabled = false;
-        return;
+`
+Release verification
+    Each release publishes release.json next to app.js with the integrity hash of every file the app is
+    made of, signed with one of the releaseSigners keys (see release.js; tools/sign-release.js makes it).
+    When there is a release.json the service worker only installs a version whose release.json is signed
+    by a release key and whose files match it, and caches release.json with them; otherwise the install
+    fails and the old version stays. The About page checks the same for the files the app is running.
+    Until the maintainers add their key to releaseSigners and publish a signed release.json, the service
+    worker caches the files without a check and the About page says the app is unverified.
+`
+// Check the files the app is running against the signed release manifest
+//   status is verified, modified (a file or the manifest does not match) or unverified (nothing to check against)
+async function verifyRelease() {
+    if (releaseSigners.length === 0) {
+        return { status: 'unverified', reason: 'This build has no release key', files: [] }
     }
- */
-    let amount_in_wei;
+    let release
     try {
-        amount_in_wei = bigxnum2big(wei, amountStr);
-        // TODO: Add balance check if necessary
+        const response = await fetch('release.json')
+        if (!response.ok) { throw new Error(`status ${response.status}`) }
+        release = await response.json()
     } catch (error) {
-        showToast('Invalid amount entered.', 3000, 'error');
-        stakeButton.disabled = false;
-        return;
+        console.warn('could not get release.json', error)
+        return { status: 'unverified', reason: 'No release manifest was found', files: [] }
     }
-
-    try {
-        showToast('Submitting stake transaction...', 10000, 'loading');
-
-        if (backButton) backButton.disabled = true;
-        if (submitStakeButton) submitStakeButton.disabled = true;
-
-        const response = await postStake(nodeAddress, amount_in_wei, myAccount.keys);
-        console.log("Stake Response:", response);
-        // wait 5 seconds before checking the response
-        await new Promise(resolve => setTimeout(resolve, 10000));
-
-        if (response && response.result && response.result.success) {
-            closeValidatorModal();
-            nodeAddressInput.value = ''; // Clear form
-            amountInput.value = '';
-            closeStakeModal();
-            openValidatorModal();
-        } else {
-            const reason = response?.result?.reason || 'Unknown error';
-            showToast(`Stake failed: ${reason}`, 5000, 'error');
+    if (!isSignedRelease(release)) {
+        return { status: 'modified', reason: 'The release manifest is not signed by a release key', files: [] }
+    }
+    // the service worker serves the cached copies, which are the files the app was loaded from
+    const files = await Promise.all(releaseFiles.map(async (file) => {
+        const expected = release.files?.[file]
+        try {
+            const response = await fetch(file)
+            if (!response.ok) { throw new Error(`status ${response.status}`) }
+            const hash = await integrityHash(await response.arrayBuffer())
+            return { file, ok: hash === expected }
+        } catch (error) {
+            console.warn('could not check', file, error)
+            return { file, ok: false }
         }
-    } catch (error) {
-        console.error('Stake transaction error:', error);
-        showToast('Stake transaction failed. See console for details.', 5000, 'error');
-    } finally {
-        if (stakeButton) stakeButton.disabled = false;
-        if (backButton) backButton.disabled = false;
-        if (submitStakeButton) submitStakeButton.disabled = false;
+    }))
+    if (files.some(file => !file.ok)) {
+        return { status: 'modified', reason: 'Some files do not match the release', version: release.version, files }
     }
- }
-
- async function postStake(nodeAddress, amount, keys) {
-    const stakeTx = {
-        type: "deposit_stake",
-        nominator: longAddress(myAccount.keys.address),
-        nominee: nodeAddress,
-        stake: amount,
-        timestamp: getCorrectedTimestamp(),
-    };
-
-    const response = await injectTx(stakeTx, keys);
-    return response;
- }
+    return { status: 'verified', reason: `Matches the signed release ${release.version}`, version: release.version, files }
+}
 
- async function postUnstake(nodeAddress) {
-    // TODO: need to query network for the correct nominator address
-    const unstakeTx = {
-        type: "withdraw_stake",
-        nominator: longAddress(myAccount?.keys?.address),
-        nominee: nodeAddress,
-        force: false,
-        timestamp: getCorrectedTimestamp(),
-    };
-    
-    const response = await injectTx(unstakeTx, myAccount.keys);
-    return response;
- }
- 
- class RemoveAccountModal {
-    constructor(){
+class AboutModal {
+    constructor() {
+        this.modal = document.getElementById('aboutModal');
     }
 
-    load(){  // called when the DOM is loaded; can setup event handlers here
-        this.modal = document.getElementById('removeAccountModal')
-        document.getElementById('openRemoveAccount').addEventListener('click', () => this.open());
-        document.getElementById('closeRemoveAccountModal').addEventListener('click', () => this.close());
-        document.getElementById('confirmRemoveAccount').addEventListener('click', () => this.submit());
+    load() {
+        // Set up event listeners
+        document.getElementById('openAbout').addEventListener('click', () => this.open());
+        document.getElementById('closeAboutModal').addEventListener('click', () => this.close());
+        this.releaseStatus = document.getElementById('releaseStatusAbout');
+        this.releaseFiles = document.getElementById('releaseFilesAbout');
+        
+        // Set version and network information once during initialization
+        document.getElementById('versionDisplayAbout').textContent = myVersion + ' ' + version;
+        document.getElementById('networkNameAbout').textContent = network.name;
+        document.getElementById('netIdAbout').textContent = network.netid;
     }
 
-    signin(){ // called when user logs in
+    open() {
+        // Show the modal
+        this.modal.classList.add('active');
+        this.showRelease();
     }
 
-    open(){  // called when the modal needs to be opened
-        this.modal.classList.add('active')
+    async showRelease() {
+        this.releaseStatus.className = 'release-status';
+        this.releaseStatus.textContent = 'Checking the app against the release...';
+        this.releaseFiles.innerHTML = '';
+        const result = await verifyRelease();
+        const labels = { verified: 'Verified', modified: 'Modified', unverified: 'Not verified' };
+        this.releaseStatus.classList.add(result.status);
+        this.releaseStatus.textContent = `${labels[result.status]}: ${result.reason}`;
+        this.releaseFiles.innerHTML = result.files.map(({ file, ok }) =>
+            `<div class="release-file ${ok ? 'verified' : 'modified'}">${ok ? '✓' : '✗'} ${escapeHtml(file)}</div>`
+        ).join('');
     }
 
-    close(){  // called when the modal needs to be closed
-        this.modal.classList.remove('active')
+    close() {
+        this.modal.classList.remove('active');
     }
+}
+const aboutModal = new AboutModal()
 
-    submit(username = myAccount.username){  // called when the form is submitted
-        // Get network ID from network.js
-        const { netid } = network;
+class MyProfileModal {
+    constructor() {
+    }
 
-        // Get existing accounts
-        const existingAccounts = parse(localStorage.getItem('accounts') || '{"netids":{}}');
+    load() {  // called when the DOM is loaded; can setup event handlers here
+        this.modal = document.getElementById('accountModal');
+        this.closeButton = document.getElementById('closeAccountForm');
+        document.getElementById('openAccountForm').addEventListener('click', () => this.open());
+        this.closeButton.addEventListener('click', () => this.close());
+        document.getElementById('accountForm').addEventListener('submit', (event) => this.handleSubmit(event));
+        this.submitButton = document.querySelector('#accountForm .update-button');
+    }
 
-        // Remove the account from the accounts object
-        if (existingAccounts.netids[netid] && existingAccounts.netids[netid].usernames) {
-            delete existingAccounts.netids[netid].usernames[username];
-            localStorage.setItem('accounts', stringify(existingAccounts));
+    open() {  // called when the modal needs to be opened
+        this.modal.classList.add('active');
+        if (myData && myData.account) {
+            document.getElementById('name').value = myData.account.name || '';
+            document.getElementById('email').value = myData.account.email || '';
+            document.getElementById('phone').value = myData.account.phone || '';
+            document.getElementById('linkedin').value = myData.account.linkedin || '';
+            document.getElementById('x').value = myData.account.x || '';
         }
-        // Remove the account data from localStorage
-        localStorage.removeItem(`${username}_${netid}`);
-
-        // Reload the page to redirect to welcome screen
-        myData = null       // need to delete this so that the reload does not save the data into localStore again
-        window.location.reload();
     }
 
-    confirmSubmit(){
-        const usernameSelect = document.getElementById('username');
-        const username = usernameSelect.value;
-        if (!username) return;
-        const confirmed = confirm(`Are you sure you want to remove account "${username}"?`);
-        if (!confirmed) return;
-        this.submit(username)
+    close() {  // called when the modal needs to be closed
+        this.modal.classList.remove('active');
     }
 
-    signout(){  // called when user is logging out
+    async handleSubmit(event) {
+        event.preventDefault();
+        const formData = {
+            name: document.getElementById('name').value,
+            email: document.getElementById('email').value,
+            phone: document.getElementById('phone').value,
+            linkedin: document.getElementById('linkedin').value,
+            x: document.getElementById('x').value
+        };
+
+        // TODO massage the inputs and check for correct formats; for now assume it is all good
+
+        // Save to myData.account
+        myData.account = { ...myData.account, ...formData };
+
+        showToast('Profile updated successfully', 2000, 'success');
+        // disable the close button and submit button
+        this.closeButton.disabled = true;
+        this.submitButton.disabled = true;
+
+        // Hide success message after 2 seconds
+        setTimeout(() => {
+            this.close();
+            // enable the close button and submit button
+            this.closeButton.disabled = false;
+            this.submitButton.disabled = false;
+        }, 2000);
     }
 }
-const removeAccountModal = new RemoveAccountModal()
+const myProfileModal = new MyProfileModal()
 
-class BackupAccountModal {
+class TollModal {
     constructor() {
     }
-
-    load() {  // called when the DOM is loaded; can setup event handlers here
-        this.modal = document.getElementById('exportModal');
-        document.getElementById('openExportForm').addEventListener('click', () => this.open());
-        document.getElementById('closeExportForm').addEventListener('click', () => this.close());
-        document.getElementById('exportForm').addEventListener('submit', (event) => this.handleSubmit(event));
+
+    load() {  // called when the DOM is loaded; can setup event handlers here
+        this.modal = document.getElementById('tollModal');
+        document.getElementById('openToll').addEventListener('click', () => this.open());
+        document.getElementById('closeTollModal').addEventListener('click', () => this.close());
+        document.getElementById('tollForm').addEventListener('submit', (event) => this.handleSubmit(event));
+        this.submitButton = document.querySelector('#tollForm .update-button');
     }
 
     open() {  // called when the modal needs to be opened
+        document.getElementById('tollAmount').value = big2str(myData.settings.toll, weiDigits).replace(/\.?0+$/, '');
         this.modal.classList.add('active');
     }
 
@@ -6438,481 +10291,674 @@ class BackupAccountModal {
 
     async handleSubmit(event) {
         event.preventDefault();
-
-        const password = document.getElementById('exportPassword').value;
-        const jsonData = stringify(myData, null, 2);
-        
-        try {
-            // Encrypt data if password is provided
-            const finalData = password ? 
-                await encryptData(jsonData, password) : 
-                jsonData;
-            
-            // Create and trigger download
-            const blob = new Blob([finalData], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `${myAccount.username}-export-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            
-            // Close export modal
+        const amount = document.getElementById('tollAmount').value.trim();
+        if (!/^\d*\.?\d+$/.test(amount)) {
+            showToast('Enter a valid toll amount', 2000, 'error');
+            return;
+        }
+        const toll = bigxnum2big(wei, amount);
+        this.submitButton.disabled = true;
+        const res = await postSetToll(toll, myAccount.keys);
+        this.submitButton.disabled = false;
+        if (res?.result?.success) {
+            myData.settings.toll = toll;
+            saveState();
+            showToast('Toll updated', 2000, 'success');
             this.close();
-        } catch (error) {
-            console.error('Encryption failed:', error);
-            alert('Failed to encrypt data. Please try again.');
+        } else {
+            showToast('Could not update toll: ' + (res?.result?.reason || 'network error'), 3000, 'error');
         }
     }
 }
-const backupAccountModal = new BackupAccountModal()
+const tollModal = new TollModal()
 
-class RestoreAccountModal {
+class VerifyContactModal {
     constructor() {
+        this.address = null;
+        this.safetyNumber = null;
     }
 
     load() {  // called when the DOM is loaded; can setup event handlers here
-        this.modal = document.getElementById('importModal');
-        document.getElementById('importAccountButton').addEventListener('click', () => this.open());
-        document.getElementById('closeImportForm').addEventListener('click', () => this.close());
-        document.getElementById('importForm').addEventListener('submit', (event) => this.handleSubmit(event));
+        this.modal = document.getElementById('verifyContactModal');
+        document.getElementById('closeVerifyContactModal').addEventListener('click', () => this.close());
+        document.getElementById('scanVerifyContact').addEventListener('click', () => this.scan());
+        document.getElementById('toggleContactVerified').addEventListener('click', () => this.toggleVerified());
     }
 
-    open() {  // called when the modal needs to be opened
+    async open(address) {  // called when the modal needs to be opened
+        this.address = address;
+        this.safetyNumber = await getSafetyNumber(address);
+        if (!this.safetyNumber) {
+            showToast('Could not get verified keys for this contact', 3000, 'error');
+            return;
+        }
+        const contact = myData.contacts[address];
+        document.getElementById('verifyContactName').textContent = contact.name || contact.username || address;
+
+        // The identicon of the safety number gives a quick visual comparison
+        const hash = blake.blake2bHex(utf82bin(this.safetyNumber), myHashKey, 32);
+        document.getElementById('verifyContactIdenticon').innerHTML = generateIdenticonSvg(hash, 64);
+
+        // Show the digits in groups of 5 like 12345 67890
+        const groups = this.safetyNumber.match(/.{5}/g);
+        document.getElementById('safetyNumber').innerHTML = groups.map(g => `<span>${g}</span>`).join('');
+
+        const gifBytes = qr.encodeQR(`liberdus-verify:${this.safetyNumber}`, 'gif', { scale: 4 });
+        const base64 = btoa(String.fromCharCode.apply(null, new Uint8Array(gifBytes)));
+        document.getElementById('verifyContactQR').innerHTML = `<img src="data:image/gif;base64,${base64}" width="200" height="200" alt="Safety number QR code">`;
+
+        this.updateButton();
         this.modal.classList.add('active');
     }
 
     close() {  // called when the modal needs to be closed
         this.modal.classList.remove('active');
+        this.address = null;
+        this.safetyNumber = null;
     }
 
-    async handleSubmit(event) {
-        event.preventDefault();
-        const fileInput = document.getElementById('importFile');
-        const passwordInput = document.getElementById('importPassword');
-    
-        try {
-            // Read the file
-            const file = fileInput.files[0];
-            let fileContent = await file.text();
-            const isNotEncryptedData = fileContent.match('{')
-    
-            // Check if data is encrypted and decrypt if necessary
-            if (!isNotEncryptedData) {
-                if (!passwordInput.value.trim()) {
-                    showToast('Password required for encrypted data', 3000, 'error');
-                    return
-                }
-                fileContent = await decryptData(fileContent, passwordInput.value.trim());
-                if (fileContent == null){ throw "" }
-            }
-    
-            // We first parse to jsonData so that if the parse does not work we don't destroy myData
-            myData = parse(fileContent)
-            // also need to set myAccount
-            const acc = myData.account  // this could have other things which are not needed
-            myAccount = {
-                netid: acc.netid,
-                username: acc.username,
-                keys: {
-                    address: acc.keys.address,
-                    public: acc.keys.public,
-                    secret: acc.keys.secret,
-                    type: acc.keys.type
-                }
-            }
-            // Get existing accounts or create new structure
-            const existingAccounts = parse(localStorage.getItem('accounts') || '{"netids":{}}');
-            // Ensure netid exists
-            if (!existingAccounts.netids[myAccount.netid]) {
-                existingAccounts.netids[myAccount.netid] = { usernames: {} };
-            }
-            // Store updated accounts back in localStorage
-            existingAccounts.netids[myAccount.netid].usernames[myAccount.username] = {address: myAccount.keys.address};
-            localStorage.setItem('accounts', stringify(existingAccounts));
-    
-            // Store the localStore entry for username_netid
-            localStorage.setItem(`${myAccount.username}_${myAccount.netid}`, stringify(myData));
-    
-            // Show success message using toast
-            showToast('Account restored successfully!', 2000, 'success');
-    
-            // Reset form and close modal after delay
-            setTimeout(() => {
-                this.close();
-                window.location.reload();  // need to go through Sign In to make sure imported account exists on network
-                fileInput.value = '';
-                passwordInput.value = '';
-            }, 2000);
-    
-        } catch (error) {
-            showToast(error.message || 'Import failed. Please check file and password.', 3000, 'error');
+    updateButton() {
+        const verified = isContactVerified(myData.contacts[this.address]);
+        document.getElementById('toggleContactVerified').textContent = verified ? 'Clear Verification' : 'Mark as Verified';
+    }
+
+    // Scan the QR code shown on the phone of the contact
+    scan() {
+        openQRScanModal.fill = (data) => this.handleScan(data);
+        openQRScanModal();
+    }
+
+    handleScan(data) {
+        const scanned = data?.startsWith('liberdus-verify:') ? data.slice('liberdus-verify:'.length) : null;
+        if (!scanned) {
+            showToast('Not a safety number QR code', 3000, 'error');
+            return;
+        }
+        if (scanned !== this.safetyNumber) {
+            showToast('Safety numbers do not match. Do not trust this contact until you find out why.', 0, 'error');
+            return;
         }
+        this.setVerified(true);
+        showToast('Safety numbers match; contact verified', 3000, 'success');
     }
-}
-const restoreAccountModal = new RestoreAccountModal()
 
-class GatewayModal {
-    constructor() {
+    toggleVerified() {
+        const contact = myData.contacts[this.address];
+        if (isContactVerified(contact)) {
+            this.setVerified(false);
+        } else if (confirm('Only mark this contact as verified if you compared the safety numbers with them. Continue?')) {
+            this.setVerified(true);
+        }
     }
 
-    load() {
-        this.modal = document.getElementById('gatewayModal');
-        this.addEditModal = document.getElementById('addEditGatewayModal');
-        this.gatewayList = document.getElementById('gatewayList');
-        this.gatewayForm = document.getElementById('gatewayForm');
+    setVerified(verified) {
+        const contact = myData.contacts[this.address];
+        if (!contact) return;
+        if (verified) {
+            contact.verified = { timestamp: getCorrectedTimestamp(), safetyNumber: this.safetyNumber };
+        } else {
+            delete contact.verified;
+        }
+        saveState();
+        this.updateButton();
+        if (contactInfoModal.currentContactAddress === this.address) {
+            contactInfoModal.updateVerifiedStatus();
+        }
+        if (appendChatModal.address === this.address) {
+            updateKeyChangeWarning();
+        }
+    }
+}
+const verifyContactModal = new VerifyContactModal()
 
-        // Setup event listeners when DOM is loaded
-        document.getElementById('openNetwork').addEventListener('click', () => this.open());
-        document.getElementById('closeGatewayForm').addEventListener('click', () => this.close());
-        document.getElementById('addGatewayButton').addEventListener('click', () => this.openAddForm());
-        document.getElementById('closeAddEditGatewayForm').addEventListener('click', () => this.closeAddEditForm());
-        this.gatewayForm.addEventListener('submit', (e) => this.handleFormSubmit(e));
+class GroupModal {
+    constructor() {
+        this.group = null;      // null when creating a new group
+        this.members = [];      // addresses picked for a new group
     }
 
-    open() {
-        // Initialize gateway configuration if needed
-        initializeGatewayConfig();
+    load() {  // called when the DOM is loaded; can setup event handlers here
+        this.modal = document.getElementById('groupModal');
+        this.memberInput = document.getElementById('groupMemberInput');
+        document.getElementById('closeGroupModal').addEventListener('click', () => this.close());
+        document.getElementById('openNewGroup').addEventListener('click', () => {
+            closeNewChatModal();
+            this.open();
+        });
+        document.getElementById('addGroupMember').addEventListener('click', () => this.addMember());
+        this.memberInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.addMember();
+            }
+        });
+        document.getElementById('groupMemberList').addEventListener('click', (event) => this.handleMemberClick(event));
+        document.getElementById('groupForm').addEventListener('submit', (event) => this.handleSubmit(event));
+        document.getElementById('leaveGroup').addEventListener('click', () => this.leave());
+    }
+
+    open(group = null) {  // called when the modal needs to be opened; without a group it creates one
+        this.group = group;
+        this.members = [];
+        const isAdmin = !group || group.admin === myAccount.keys.address;
+        document.getElementById('groupModalTitle').textContent = group ? 'Group Info' : 'New Group';
+        document.getElementById('groupName').value = group ? group.name : '';
+        document.getElementById('groupName').disabled = !!group;
+        document.getElementById('groupMemberAdd').style.display = isAdmin && !group?.removed ? '' : 'none';
+        document.getElementById('groupSubmit').style.display = group ? 'none' : '';
+        const leaveButton = document.getElementById('leaveGroup');
+        leaveButton.style.display = group ? '' : 'none';
+        leaveButton.textContent = group && group.admin === myAccount.keys.address ? 'Delete Group' : 'Leave Group';
+        this.memberInput.value = '';
+        this.showError('');
+        this.renderMembers();
         this.modal.classList.add('active');
-        this.updateList();
     }
 
-    close() {
+    close() {  // called when the modal needs to be closed
         this.modal.classList.remove('active');
+        this.group = null;
+        this.members = [];
     }
 
-    openAddForm() {
-        this.modal.classList.remove('active');
-        this.gatewayForm.reset();
-        document.getElementById('gatewayEditIndex').value = -1;
-        document.getElementById('addEditGatewayTitle').textContent = 'Add Gateway';
-        this.addEditModal.classList.add('active');
+    showError(message) {
+        const error = document.getElementById('groupMemberError');
+        error.textContent = message;
+        error.style.display = message ? 'inline' : 'none';
     }
 
-    closeAddEditForm() {
-        this.addEditModal.classList.remove('active');
-        this.modal.classList.add('active');
-        this.updateList();
+    renderMembers() {
+        const members = this.group ? this.group.members : [myAccount.keys.address, ...this.members];
+        const admin = this.group ? this.group.admin : myAccount.keys.address;
+        const canRemove = admin === myAccount.keys.address && !this.group?.removed;
+        document.getElementById('groupMemberList').innerHTML = members.map(address => `
+            <li class="group-member" data-address="${address}">
+                <span class="group-member-name">${escapeHtml(groupMemberName(address))}</span>
+                ${address === admin ? '<span class="group-member-admin">Admin</span>' : ''}
+                ${canRemove && address !== admin ? '<button type="button" class="group-member-remove">Remove</button>' : ''}
+            </li>`).join('');
     }
 
-    updateList() {
-        // Clear existing list
-        this.gatewayList.innerHTML = '';
-
-        // If no gateways, show empty state
-        if (myData.network.gateways.length === 0) {
-            this.gatewayList.innerHTML = `
-                <div class="empty-state">
-                    <div style="font-weight: bold; margin-bottom: 0.5rem">No Gateways</div>
-                    <div>Add a gateway to get started</div>
-                </div>`;
+    async addMember() {
+        const username = normalizeUsername(this.memberInput.value.trim());
+        if (username.length < 3) {
+            this.showError('username too short');
             return;
         }
-
-        // Add "Use Random Selection" option
-        const randomOption = document.createElement('div');
-        randomOption.className = 'gateway-item random-option';
-        randomOption.innerHTML = `
-            <div class="gateway-info">
-                <div class="gateway-name">Random Selection</div>
-                <div class="gateway-url">Selects random gateway from list</div>
-            </div>
-            <div class="gateway-actions">
-                <label class="default-toggle">
-                    <input type="radio" name="defaultGateway" ${myData.network.defaultGatewayIndex === -1 ? 'checked' : ''}>
-                    <span>Default</span>
-                </label>
-            </div>
-        `;
-
-        const randomToggle = randomOption.querySelector('input[type="radio"]');
-        randomToggle.addEventListener('change', () => {
-            if (randomToggle.checked) {
-                this.setDefaultGateway(-1);
+        this.showError('');
+        const address = await getUsernameAddress(username);
+        if (!address) {
+            this.showError('not found');
+            return;
+        }
+        const members = this.group ? this.group.members : [myAccount.keys.address, ...this.members];
+        if (members.includes(address)) {
+            this.showError('already a member');
+            return;
+        }
+        createNewContact(address, username);
+        this.memberInput.value = '';
+        if (this.group) {
+            await addGroupMember(this.group, address);
+            if (appendChatModal.address === this.group.id) {
+                appendChatModal();
+                updateGroupChatInfo(this.group);
             }
-        });
-
-        this.gatewayList.appendChild(randomOption);
-
-        // Add each gateway to the list
-        myData.network.gateways.forEach((gateway, index) => {
-            const isDefault = index === myData.network.defaultGatewayIndex;
-            const canRemove = !gateway.isSystem;
-
-            const gatewayItem = document.createElement('div');
-            gatewayItem.className = 'gateway-item';
-            gatewayItem.innerHTML = `
-                <div class="gateway-info">
-                    <div class="gateway-name">${escapeHtml(gateway.name)}</div>
-                    <div class="gateway-url">${gateway.protocol}://${escapeHtml(gateway.host)}:${gateway.port}</div>
-                    ${gateway.isSystem ? '<span class="system-badge">System</span>' : ''}
-                </div>
-                <div class="gateway-actions">
-                    <label class="default-toggle">
-                        <input type="radio" name="defaultGateway" ${isDefault ? 'checked' : ''}>
-                        <span>Default</span>
-                    </label>
-                    <button class="icon-button edit-button" title="Edit">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                            <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
-                            <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
-                        </svg>
-                    </button>
-                    ${canRemove ? `
-                        <button class="icon-button remove-button" title="Remove">
-                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                                <path d="M3 6h18"></path>
-                                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6"></path>
-                                <path d="M8 6V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                            </svg>
-                        </button>
-                    ` : ''}
-                </div>
-            `;
-
-            // Add event listeners
-            const defaultToggle = gatewayItem.querySelector('input[type="radio"]');
-            defaultToggle.addEventListener('change', () => {
-                if (defaultToggle.checked) {
-                    this.setDefaultGateway(index);
-                }
-            });
-
-            const editButton = gatewayItem.querySelector('.edit-button');
-            editButton.addEventListener('click', () => {
-                this.openEditForm(index);
-            });
-
-            if (canRemove) {
-                const removeButton = gatewayItem.querySelector('.remove-button');
-                removeButton.addEventListener('click', () => {
-                    this.confirmRemove(index);
-                });
+        } else {
+            this.members.push(address);
+        }
+        this.renderMembers();
+    }
+
+    async handleMemberClick(event) {
+        const button = event.target.closest('.group-member-remove');
+        if (!button) return;
+        const address = button.closest('.group-member').dataset.address;
+        if (!this.group) {
+            this.members = this.members.filter(member => member !== address);
+        } else if (confirm(`Remove ${groupMemberName(address)} from the group?`)) {
+            await removeGroupMember(this.group, address);
+            if (appendChatModal.address === this.group.id) {
+                appendChatModal();
+                updateGroupChatInfo(this.group);
             }
+        }
+        this.renderMembers();
+    }
 
-            this.gatewayList.appendChild(gatewayItem);
-        });
+    async handleSubmit(event) {
+        event.preventDefault();
+        const name = document.getElementById('groupName').value.trim();
+        if (!name || this.members.length === 0) {
+            this.showError('add at least one member');
+            return;
+        }
+        const submitButton = document.getElementById('groupSubmit');
+        submitButton.disabled = true;
+        try {
+            const group = await createGroup(name, this.members);
+            this.close();
+            openChatModal(group.id);
+        } finally {
+            submitButton.disabled = false;
+        }
     }
 
-    openEditForm(index) {
-        this.modal.classList.remove('active');
-        const gateway = myData.network.gateways[index];
-        document.getElementById('gatewayName').value = gateway.name;
-        document.getElementById('gatewayProtocol').value = gateway.protocol;
-        document.getElementById('gatewayHost').value = gateway.host;
-        document.getElementById('gatewayPort').value = gateway.port;
-        document.getElementById('gatewayEditIndex').value = index;
-        document.getElementById('addEditGatewayTitle').textContent = 'Edit Gateway';
-        this.addEditModal.classList.add('active');
+    async leave() {
+        const group = this.group;
+        const isAdmin = group.admin === myAccount.keys.address;
+        if (!confirm(isAdmin ? 'Delete this group for all members?' : 'Leave this group?')) return;
+        await leaveGroup(group);
+        this.close();
+        if (appendChatModal.address === group.id) {
+            closeChatModal();
+        } else {
+            updateChatList();
+        }
     }
+}
+const groupModal = new GroupModal()
 
-    async handleFormSubmit(event) {
-        event.preventDefault();
+class PasscodeModal {
+    constructor() {
+        this.mode = null;       // 'unlock', 'set' or 'change'
+        this.stored = null;     // the encrypted entry being unlocked
+        this.resolve = null;    // resolves the promise returned by unlock
+    }
 
-        const formData = {
-            protocol: document.getElementById('gatewayProtocol').value,
-            host: document.getElementById('gatewayHost').value,
-            port: parseInt(document.getElementById('gatewayPort').value),
-            name: document.getElementById('gatewayName').value
+    load() {  // called when the DOM is loaded; can setup event handlers here
+        this.modal = document.getElementById('passcodeModal');
+        this.submitButton = document.getElementById('passcodeSubmit');
+        document.getElementById('closePasscodeModal').addEventListener('click', () => this.close());
+        document.getElementById('openPasscode').addEventListener('click', () => this.open(saveState.key ? 'change' : 'set'));
+        document.getElementById('passcodeForm').addEventListener('submit', (event) => this.handleSubmit(event));
+    }
+
+    open(mode, username = '') {  // called when the modal needs to be opened
+        this.mode = mode;
+        const titles = { unlock: 'Unlock', set: 'Set Passcode', change: 'Passcode' };
+        const notes = {
+            unlock: `Enter the passcode of ${username}.`,
+            set: 'Choose a passcode to encrypt your keys and messages on this device. It is needed every time you sign in and cannot be recovered; keep a backup of your account.',
+            change: 'Your keys and messages on this device are encrypted with this passcode.',
         };
+        document.getElementById('passcodeModalTitle').textContent = titles[mode];
+        document.getElementById('passcodeNote').textContent = notes[mode];
+        document.getElementById('currentPasscodeGroup').style.display = mode === 'change' ? '' : 'none';
+        document.getElementById('confirmPasscodeGroup').style.display = mode === 'unlock' ? 'none' : '';
+        document.getElementById('autoLockGroup').style.display = mode === 'unlock' ? 'none' : '';
+        document.getElementById('passcodeLabel').textContent = mode === 'change' ? 'New Passcode' : 'Passcode';
+        // the passcode has to be set before the app can be used
+        document.getElementById('closePasscodeModal').style.display = mode === 'set' ? 'none' : '';
+        document.getElementById('passcodeForm').reset();
+        document.getElementById('autoLock').value = String(myData?.settings?.autoLock ?? defaultAutoLock);
+        this.submitButton.textContent = mode === 'unlock' ? 'Unlock' : 'Save';
+        this.showError('');
+        this.modal.classList.add('active');
+        setTimeout(() => document.getElementById(mode === 'change' ? 'currentPasscode' : 'passcode').focus(), 300);
+    }
 
-        const editIndex = parseInt(document.getElementById('gatewayEditIndex').value);
-
-        if (editIndex >= 0) {
-            this.updateGateway(editIndex, formData.protocol, formData.host, formData.port, formData.name);
-        } else {
-            this.addGateway(formData.protocol, formData.host, formData.port, formData.name);
+    close() {  // called when the modal needs to be closed
+        this.modal.classList.remove('active');
+        this.stored = null;
+        if (this.resolve) {
+            this.resolve(null);
+            this.resolve = null;
         }
+    }
 
-        this.closeAddEditForm();
+    // Ask for the passcode of the account; resolves to the decrypted entry or null if the user gave up
+    unlock(username, stored) {
+        return new Promise(resolve => {
+            this.resolve = resolve;
+            this.open('unlock', username);
+            this.stored = stored;
+        });
     }
 
-    confirmRemove(index) {
-        if (confirm('Are you sure you want to remove this gateway?')) {
-            this.removeGateway(index);
+    showError(message) {
+        const error = document.getElementById('passcodeError');
+        error.textContent = message;
+        error.style.display = message ? 'inline' : 'none';
+    }
+
+    async handleSubmit(event) {
+        event.preventDefault();
+        const passcode = document.getElementById('passcode').value;
+        this.submitButton.disabled = true;
+        try {
+            if (this.mode === 'unlock') {
+                const data = await decryptState(this.stored, passcode);
+                if (data === null) {
+                    this.showError('wrong passcode');
+                    return;
+                }
+                const resolve = this.resolve;
+                this.resolve = null;
+                this.close();
+                resolve(data);
+                return;
+            }
+
+            if (this.mode === 'change') {
+                const current = await passcodeKey(document.getElementById('currentPasscode').value, saveState.salt);
+                if (bin2hex(current) !== bin2hex(saveState.key)) {
+                    this.showError('current passcode is wrong');
+                    return;
+                }
+            }
+            if (passcode.length < minPasscodeLength) {
+                this.showError(`at least ${minPasscodeLength} characters`);
+                return;
+            }
+            if (passcode !== document.getElementById('confirmPasscode').value) {
+                this.showError('passcodes do not match');
+                return;
+            }
+            // Every saved message is encrypted again with the new key, so load them with the old one first
+            await loadAllMessages();
+            await setPasscode(passcode);
+            for (const saved of Object.values(saveMessages.saved)) {
+                for (const key of saved.keys()) { saved.set(key, null) }
+            }
+            myData.settings.autoLock = Number(document.getElementById('autoLock').value);
+            saveState();
+            showToast(this.mode === 'set' ? 'Passcode set; your data is encrypted' : 'Passcode updated', 2000, 'success');
+            this.close();
+        } finally {
+            this.submitButton.disabled = false;
         }
     }
+}
+const passcodeModal = new PasscodeModal()
 
-    addGateway(protocol, host, port, name) {
-        // Initialize if needed
-        initializeGatewayConfig();
+class PrivacyModal {
+    constructor() {
+    }
 
-        // Add the new gateway
-        myData.network.gateways.push({
-            protocol,
-            host,
-            port,
-            name,
-            isSystem: false,
-            isDefault: false
+    load() {  // called when the DOM is loaded; can setup event handlers here
+        this.modal = document.getElementById('privacyModal');
+        document.getElementById('openPrivacy').addEventListener('click', () => this.open());
+        document.getElementById('closePrivacyModal').addEventListener('click', () => this.close());
+        document.getElementById('forwardSecrecy').addEventListener('change', (e) => {
+            myData.settings.forwardSecrecy = e.target.value === 'on';
+            saveState();
         });
+        document.getElementById('syncDevices').addEventListener('change', (e) => {
+            myData.settings.sync = e.target.value === 'on';
+            saveState();    // sends the changes collected while sync was off
+        });
+    }
 
-        // Update the UI
-        this.updateList();
+    open() {  // called when the modal needs to be opened
+        document.getElementById('forwardSecrecy').value = myData.settings.forwardSecrecy === true ? 'on' : 'off';
+        document.getElementById('syncDevices').value = myData.settings.sync === true ? 'on' : 'off';
+        const fee = BigInt(parameters.current.transactionFee || 1) * wei;
+        document.getElementById('syncFee').textContent = big2str(fee, weiDigits).replace(/\.?0+$/, '');
+        this.modal.classList.add('active');
+    }
 
-        // Show success message
-        showToast('Gateway added successfully');
+    close() {  // called when the modal needs to be closed
+        this.modal.classList.remove('active');
     }
+}
+const privacyModal = new PrivacyModal()
 
-    updateGateway(index, protocol, host, port, name) {
-        // Check if index is valid
-        if (index >= 0 && index < myData.network.gateways.length) {
-            const gateway = myData.network.gateways[index];
+class RecoveryPhraseModal {
+    constructor() {
+        this.words = [];
+        this.quiz = [];         // indexes of the words the user has to enter
+        this.resolve = null;    // resolves the promise returned by confirm
+    }
 
-            // Update gateway properties
-            gateway.protocol = protocol;
-            gateway.host = host;
-            gateway.port = port;
-            gateway.name = name;
+    load() {  // called when the DOM is loaded; can setup event handlers here
+        this.modal = document.getElementById('recoveryPhraseModal');
+        document.getElementById('closeRecoveryPhraseModal').addEventListener('click', () => this.close());
+        document.getElementById('recoveryPhraseWritten').addEventListener('click', () => this.showQuiz());
+        document.getElementById('recoveryPhraseShowAgain').addEventListener('click', () => this.showPhrase());
+        document.getElementById('recoveryPhraseQuiz').addEventListener('submit', (event) => this.handleSubmit(event));
+    }
 
-            // Update the UI
-            this.updateList();
+    open(mnemonic) {  // called when the modal needs to be opened
+        this.words = mnemonic.split(' ');
+        document.getElementById('recoveryPhraseWords').innerHTML = this.words.map(word => `<li>${word}</li>`).join('');
+        this.showPhrase();
+        this.modal.classList.add('active');
+    }
 
-            // Show success message
-            showToast('Gateway updated successfully');
-        }
+    close() {  // called when the modal needs to be closed
+        if (this.resolve && !confirm('The account will not be created without a recovery phrase. Cancel?')) return;
+        this.modal.classList.remove('active');
+        this.finish(false);
     }
 
-    removeGateway(index) {
-        // Check if index is valid
-        if (index >= 0 && index < myData.network.gateways.length) {
-            const gateway = myData.network.gateways[index];
+    // Show the phrase and wait for the user to write it down and pass the quiz; resolves to false if they cancel
+    confirm(mnemonic) {
+        return new Promise(resolve => {
+            this.resolve = resolve;
+            this.open(mnemonic);
+        });
+    }
 
-            // Only allow removing non-system gateways
-            if (!gateway.isSystem) {
-                // If this was the default gateway, reset to random selection
-                if (myData.network.defaultGatewayIndex === index) {
-                    myData.network.defaultGatewayIndex = -1;
-                } else if (myData.network.defaultGatewayIndex > index) {
-                    // Adjust default gateway index if needed
-                    myData.network.defaultGatewayIndex--;
-                }
+    finish(confirmed) {
+        this.words = [];
+        document.getElementById('recoveryPhraseWords').innerHTML = '';
+        if (this.resolve) {
+            this.resolve(confirmed);
+            this.resolve = null;
+        }
+    }
 
-                // Remove the gateway
-                myData.network.gateways.splice(index, 1);
+    showPhrase() {
+        document.getElementById('recoveryPhraseShow').style.display = '';
+        document.getElementById('recoveryPhraseQuiz').style.display = 'none';
+    }
 
-                // Update the UI
-                this.updateList();
+    // Ask for three random words of the phrase
+    showQuiz() {
+        const indexes = [...this.words.keys()];
+        this.quiz = [];
+        while (this.quiz.length < 3) {
+            this.quiz.push(indexes.splice(randomBytes(1)[0] % indexes.length, 1)[0]);
+        }
+        this.quiz.sort((a, b) => a - b);
+        document.getElementById('recoveryPhraseQuizFields').innerHTML = this.quiz.map(index => `
+            <div class="form-group">
+                <label for="recoveryWord${index}">Word #${index + 1}</label>
+                <input type="text" id="recoveryWord${index}" class="form-control" autocomplete="off" autocapitalize="none" required />
+            </div>`).join('');
+        document.getElementById('recoveryPhraseError').style.display = 'none';
+        document.getElementById('recoveryPhraseShow').style.display = 'none';
+        document.getElementById('recoveryPhraseQuiz').style.display = '';
+        document.getElementById(`recoveryWord${this.quiz[0]}`).focus();
+    }
 
-                // Show success message
-                showToast('Gateway removed successfully');
-            }
+    handleSubmit(event) {
+        event.preventDefault();
+        const correct = this.quiz.every(index =>
+            document.getElementById(`recoveryWord${index}`).value.trim().toLowerCase() === this.words[index]
+        );
+        if (!correct) {
+            document.getElementById('recoveryPhraseError').style.display = 'inline';
+            return;
         }
+        this.modal.classList.remove('active');
+        this.finish(true);
     }
+}
+const recoveryPhraseModal = new RecoveryPhraseModal()
 
-    setDefaultGateway(index) {
-        // Reset all gateways to non-default
-        myData.network.gateways.forEach(gateway => {
-            gateway.isDefault = false;
+class SwitchAccountModal {
+    constructor() {
+    }
+
+    load() {  // called when the DOM is loaded; can setup event handlers here
+        this.modal = document.getElementById('switchAccountModal');
+        this.list = document.getElementById('switchAccountList');
+        document.getElementById('openSwitchAccount').addEventListener('click', () => this.open());
+        document.getElementById('closeSwitchAccountModal').addEventListener('click', () => this.close());
+        this.list.addEventListener('click', (event) => {
+            const item = event.target.closest('.account-item');
+            if (item) this.handleSelect(item.dataset.username);
         });
+    }
 
-        // Set the new default gateway index
-        myData.network.defaultGatewayIndex = index;
+    open() {  // called when the modal needs to be opened
+        saveAccountSummary();   // the count of the signed in account may have changed since it was saved
+        const accounts = getAccountSummaries();
+        this.list.innerHTML = accounts.map(account => `
+            <li class="account-item ${account.username === myAccount.username ? 'current' : ''}" data-username="${account.username}">
+                <span class="account-item-name">${account.username}</span>
+                <span class="account-item-new">new</span>
+                ${account.unread ? `<span class="chat-unread">${account.unread}</span>` : ''}
+            </li>
+        `).join('');
+        this.modal.classList.add('active');
+        this.checkNewChats(accounts);
+    }
 
-        // If setting a specific gateway as default, mark it
-        if (index >= 0 && index < myData.network.gateways.length) {
-            myData.network.gateways[index].isDefault = true;
-        }
+    close() {  // called when the modal needs to be closed
+        this.modal.classList.remove('active');
+    }
 
-        // Update the UI
-        this.updateList();
+    // Mark the other accounts that got chats since they were last signed in
+    async checkNewChats(accounts) {
+        if (!isOnline) return;
+        for (const account of accounts) {
+            if (account.username === myAccount.username || !account.address) continue;
+            const res = await queryNetwork(`/account/${longAddress(account.address)}/chats/${account.chatTimestamp || 0}`);
+            if (res?.chats && Object.keys(res.chats).length > 0) {
+                this.list.querySelector(`[data-username="${account.username}"] .account-item-new`)?.classList.add('visible');
+            }
+        }
+    }
 
-        // Show success message
-        const message = index === -1 
-            ? 'Using random gateway selection for better reliability' 
-            : 'Default gateway set';
-        showToast(message);
+    async handleSelect(username) {
+        if (username === myAccount.username) {
+            this.close();
+            return;
+        }
+        await switchAccount(username);
     }
 }
-const gatewayModal = new GatewayModal()
+const switchAccountModal = new SwitchAccountModal()
 
-class AboutModal {
+class ResyncModal {
     constructor() {
-        this.modal = document.getElementById('aboutModal');
+        this.running = false;
     }
 
-    load() {
-        // Set up event listeners
-        document.getElementById('openAbout').addEventListener('click', () => this.open());
-        document.getElementById('closeAboutModal').addEventListener('click', () => this.close());
-        
-        // Set version and network information once during initialization
-        document.getElementById('versionDisplayAbout').textContent = myVersion + ' ' + version;
-        document.getElementById('networkNameAbout').textContent = network.name;
-        document.getElementById('netIdAbout').textContent = network.netid;
+    load() {  // called when the DOM is loaded; can setup event handlers here
+        this.modal = document.getElementById('resyncModal');
+        this.progress = document.getElementById('resyncProgress');
+        this.status = document.getElementById('resyncStatus');
+        this.startButton = document.getElementById('resyncStart');
+        document.getElementById('openResync').addEventListener('click', () => this.open());
+        document.getElementById('closeResyncModal').addEventListener('click', () => this.close());
+        this.startButton.addEventListener('click', () => this.handleStart());
     }
 
-    open() {
-        // Show the modal
+    open() {  // called when the modal needs to be opened
+        if (!this.running) {
+            this.progress.value = 0;
+            this.status.textContent = '';
+        }
         this.modal.classList.add('active');
     }
 
-    close() {
+    close() {  // called when the modal needs to be closed; the resync keeps going
         this.modal.classList.remove('active');
     }
+
+    async handleStart() {
+        if (!isOnline) {
+            showToast('Resync needs a network connection', 2000, 'warning');
+            return;
+        }
+        this.running = true;
+        this.startButton.disabled = true;
+        this.status.textContent = 'Getting the list of chats...';
+        try {
+            const stats = await resyncHistory((done, total) => {
+                this.progress.max = Math.max(total, 1);
+                this.progress.value = done;
+                this.status.textContent = done < total ? `Getting chat ${done + 1} of ${total}...` : 'Adding the messages...';
+            });
+            this.progress.value = this.progress.max;
+            this.status.textContent = `Added ${stats.messages} messages and ${stats.transfers} transfers.` +
+                (stats.sent ? ` ${stats.sent} messages you sent could not be recovered on this device.` : '') +
+                (stats.unreadable ? ` ${stats.unreadable} messages sent with forward secrecy could not be decrypted.` : '');
+            if (document.getElementById('chatsScreen').classList.contains('active')) { await updateChatList() }
+            if (document.getElementById('walletScreen').classList.contains('active')) { await updateWalletView() }
+        } catch (error) {
+            console.error('History resync failed:', error);
+            this.status.textContent = 'Resync failed; check the connection and try again.';
+        } finally {
+            this.running = false;
+            this.startButton.disabled = false;
+        }
+    }
 }
-const aboutModal = new AboutModal()
+const resyncModal = new ResyncModal()
 
-class MyProfileModal {
+class PaymentRequestModal {
     constructor() {
+        this.address = null;
     }
 
     load() {  // called when the DOM is loaded; can setup event handlers here
-        this.modal = document.getElementById('accountModal');
-        this.closeButton = document.getElementById('closeAccountForm');
-        document.getElementById('openAccountForm').addEventListener('click', () => this.open());
-        this.closeButton.addEventListener('click', () => this.close());
-        document.getElementById('accountForm').addEventListener('submit', (event) => this.handleSubmit(event));
-        this.submitButton = document.querySelector('#accountForm .update-button');
-    }
-
-    open() {  // called when the modal needs to be opened
+        this.modal = document.getElementById('paymentRequestModal');
+        this.form = document.getElementById('paymentRequestForm');
+        this.submitButton = this.form.querySelector('button[type="submit"]');
+        document.getElementById('chatRequestMoneyButton').addEventListener('click', () => this.open(appendChatModal.address));
+        document.getElementById('closePaymentRequestModal').addEventListener('click', () => this.close());
+        this.form.addEventListener('submit', (event) => this.handleSubmit(event));
+        document.getElementById('paymentRequestsList').addEventListener('click', handlePaymentRequestsListClick);
+    }
+
+    open(address) {  // called when the modal needs to be opened
+        if (!myData.contacts[address]) { return }
+        this.address = address;
+        this.form.reset();
+        document.getElementById('paymentRequestExpiry').value = paymentRequestExpiry;
+        document.getElementById('paymentRequestTo').textContent = groupMemberName(address);
         this.modal.classList.add('active');
-        if (myData && myData.account) {
-            document.getElementById('name').value = myData.account.name || '';
-            document.getElementById('email').value = myData.account.email || '';
-            document.getElementById('phone').value = myData.account.phone || '';
-            document.getElementById('linkedin').value = myData.account.linkedin || '';
-            document.getElementById('x').value = myData.account.x || '';
-        }
     }
 
     close() {  // called when the modal needs to be closed
         this.modal.classList.remove('active');
+        this.address = null;
     }
 
     async handleSubmit(event) {
         event.preventDefault();
-        const formData = {
-            name: document.getElementById('name').value,
-            email: document.getElementById('email').value,
-            phone: document.getElementById('phone').value,
-            linkedin: document.getElementById('linkedin').value,
-            x: document.getElementById('x').value
-        };
-
-        // TODO massage the inputs and check for correct formats; for now assume it is all good
-
-        // Save to myData.account
-        myData.account = { ...myData.account, ...formData };
-
-        showToast('Profile updated successfully', 2000, 'success');
-        // disable the close button and submit button
-        this.closeButton.disabled = true;
+        let amount = 0n;
+        try {
+            amount = bigxnum2big(wei, document.getElementById('paymentRequestAmount').value);
+        } catch (error) {
+            console.warn('invalid amount', error);
+        }
+        if (amount <= 0n) {
+            showToast('Enter the amount to request', 2000, 'error');
+            return;
+        }
+        const memo = document.getElementById('paymentRequestMemo').value.trim();
+        const days = Number(document.getElementById('paymentRequestExpiry').value);
+        const expires = days ? getCorrectedTimestamp() + days * 24 * 60 * 60 * 1000 : 0;
         this.submitButton.disabled = true;
-
-        // Hide success message after 2 seconds
-        setTimeout(() => {
-            this.close();
-            // enable the close button and submit button
-            this.closeButton.disabled = false;
+        try {
+            if (await sendPaymentRequest(this.address, amount, memo, expires)) {
+                this.close();
+            }
+        } catch (error) {
+            console.error('Payment request error:', error);
+            showToast('Failed to send the payment request', 3000, 'error');
+        } finally {
             this.submitButton.disabled = false;
-        }, 2000);
+        }
     }
 }
-const myProfileModal = new MyProfileModal()
+const paymentRequestModal = new PaymentRequestModal()
 
 function validateStakeInputs() {
     const nodeAddressInput = document.getElementById('stakeNodeAddress');
@@ -1,6 +1,6 @@
 // Database configuration
 const DB_NAME = 'liberdus';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 
 // Connection management configuration
 const CONNECTION_CONFIG = {
@@ -14,7 +14,9 @@ const CONNECTION_CONFIG = {
 const STORES = {
     CHATS: 'chats',
     CONTACTS: 'contacts',
-    WALLET: 'wallet'
+    WALLET: 'wallet',
+    ACCOUNTS: 'accounts',
+    MESSAGES: 'messages'
 };
 
 // Data validation schemas
@@ -46,6 +48,25 @@ const SCHEMAS = {
             version: 'number',
             lastUpdated: 'number'
         }
+    },
+    // data is the saved myData without the messages; it can be encrypted by app.js
+    [STORES.ACCOUNTS]: {
+        required: ['id', 'data'],
+        types: {
+            id: 'string',
+            data: 'string'
+        }
+    },
+    // one record per message; account is username_netid and address is the contact or group id
+    [STORES.MESSAGES]: {
+        required: ['account', 'address', 'timestamp', 'seq', 'data'],
+        types: {
+            account: 'string',
+            address: 'string',
+            timestamp: 'number',
+            seq: 'number',
+            data: 'string'
+        }
     }
 };
 
@@ -177,6 +198,13 @@ async function initDB() {
                     if (!db.objectStoreNames.contains(STORES.WALLET)) {
                         db.createObjectStore(STORES.WALLET, { keyPath: 'assetId' });
                     }
+                    if (!db.objectStoreNames.contains(STORES.ACCOUNTS)) {
+                        db.createObjectStore(STORES.ACCOUNTS, { keyPath: 'id' });
+                    }
+                    // seq tells apart messages of a conversation with the same timestamp
+                    if (!db.objectStoreNames.contains(STORES.MESSAGES)) {
+                        db.createObjectStore(STORES.MESSAGES, { keyPath: ['account', 'address', 'timestamp', 'seq'] });
+                    }
                 } catch (error) {
                     logError(error, { event: 'onupgradeneeded' });
                     throw error;
@@ -387,6 +415,123 @@ async function getData(storeName, key) {
     });
 }
 
+async function deleteData(storeName, key) {
+    return retryOperation(async () => {
+        try {
+            return await withConnection(async (db) => {
+                return new Promise((resolve, reject) => {
+                    const transaction = db.transaction(storeName, 'readwrite');
+                    const store = transaction.objectStore(storeName);
+
+                    transaction.onerror = () => {
+                        const error = new TransactionError(
+                            'Transaction failed',
+                            storeName,
+                            'delete'
+                        );
+                        logError(error, { key });
+                        reject(error);
+                    };
+
+                    // key can also be an IDBKeyRange
+                    store.delete(key);
+
+                    transaction.oncomplete = () => {
+                        resolve();
+                    };
+                });
+            });
+        } catch (error) {
+            logError(error, { storeName, key });
+            throw error;
+        }
+    });
+}
+
+// Get up to limit messages of the conversation older than before, newest first; messages with the same
+//   timestamp as the oldest one returned are all included so that a later call can continue from it
+async function getMessages(account, address, before = Infinity, limit = 50) {
+    const range = IDBKeyRange.bound([account, address, -Infinity], [account, address, before], false, true);
+    return retryOperation(async () => {
+        try {
+            return await withConnection(async (db) => {
+                return new Promise((resolve, reject) => {
+                    const transaction = db.transaction(STORES.MESSAGES, 'readonly');
+                    const store = transaction.objectStore(STORES.MESSAGES);
+                    const records = [];
+
+                    transaction.onerror = () => {
+                        const error = new TransactionError(
+                            'Transaction failed',
+                            STORES.MESSAGES,
+                            'getMessages'
+                        );
+                        logError(error, { account, address, before });
+                        reject(error);
+                    };
+
+                    const request = store.openCursor(range, 'prev');
+
+                    request.onsuccess = () => {
+                        const cursor = request.result;
+                        if (cursor && (records.length < limit || cursor.value.timestamp === records.at(-1).timestamp)) {
+                            records.push(cursor.value);
+                            cursor.continue();
+                        } else {
+                            resolve(records);
+                        }
+                    };
+                });
+            });
+        } catch (error) {
+            logError(error, { account, address, before });
+            throw error;
+        }
+    });
+}
+
+// Write the given records of the conversation and delete the records with the given [timestamp, seq] keys
+async function updateMessages(account, address, records, deletes) {
+    return retryOperation(async () => {
+        try {
+            records.forEach(record => validateData(STORES.MESSAGES, record));
+
+            return await withConnection(async (db) => {
+                return new Promise((resolve, reject) => {
+                    const transaction = db.transaction(STORES.MESSAGES, 'readwrite');
+                    const store = transaction.objectStore(STORES.MESSAGES);
+
+                    transaction.onerror = () => {
+                        const error = new TransactionError(
+                            'Transaction failed',
+                            STORES.MESSAGES,
+                            'updateMessages'
+                        );
+                        logError(error, { account, address, deletes });
+                        reject(error);
+                    };
+
+                    deletes.forEach(([timestamp, seq]) => store.delete([account, address, timestamp, seq]));
+                    records.forEach(record => store.put(record));
+
+                    transaction.oncomplete = () => {
+                        resolve(records.length);
+                    };
+                });
+            });
+        } catch (error) {
+            logError(error, { account, address, deletes });
+            throw error;
+        }
+    });
+}
+
+// Delete the saved account and all of its messages
+async function deleteAccount(account) {
+    await deleteData(STORES.MESSAGES, IDBKeyRange.bound([account], [account, []]));
+    await deleteData(STORES.ACCOUNTS, account);
+}
+
 /* async function getAllData(storeName) {
     return retryOperation(async () => {
         try {
@@ -486,5 +631,9 @@ export {
     addVersionToData,
     saveData,
     getData,
+    deleteData,
+    getMessages,
+    updateMessages,
+    deleteAccount,
     closeAllConnections
 }; 
\ No newline at end of file
@@ -1,3 +1,5 @@
+import keccak256 from './external/keccak256.js';
+
 export function normalizeUsername(u){
     return u.replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
 }
@@ -94,6 +96,15 @@ export function formatTime(timestamp) {
     }
 }
 
+// Format a byte count like 1.2 MB
+export function formatFileSize(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    const size = bytes / Math.pow(1024, i);
+    return `${i === 0 ? size : size.toFixed(1)} ${units[i]}`;
+}
+
 // Function to detect URLs, convert them to clickable links, prevent XSS, prevent html tags from being displayed
 export function linkifyUrls(text) {
     if (!text) return '';
@@ -214,7 +225,8 @@ export function base642ab(base64) {
     return bytes.buffer;
 }
 
-export async function deriveKey(password, salt, iterations = 100000) {
+// extractable is needed to get the raw key bytes with crypto.subtle.exportKey
+export async function deriveKey(password, salt, iterations = 100000, extractable = false) {
     const passwordBuffer = str2ab(password);
     const importedKey = await window.crypto.subtle.importKey(
         'raw',
@@ -233,7 +245,7 @@ export async function deriveKey(password, salt, iterations = 100000) {
         },
         importedKey,
         { name: 'AES-GCM', length: 256 },
-        false,
+        extractable,
         ['encrypt', 'decrypt']
     );
 }
@@ -460,9 +472,13 @@ export function big2str(amount, decimals) {
     return r
 }
 
-// Convert Uint8Array to base64
+// Convert Uint8Array to base64; in chunks since spreading a large file into fromCharCode overflows the stack
 export function bin2base64(bytes) {
-    return btoa(String.fromCharCode(...bytes));
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
 }
 
 // Convert base64 to Uint8Array
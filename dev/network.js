@@ -11,6 +11,10 @@ const network = {
   "monitor": {
     "url": "https://dev.liberdus.com/monitor"
   },
+  "discovery": {
+    "url": "",          // signed list of active gateways; empty uses <monitor url>/api/gateways
+    "signers": []       // addresses allowed to sign the list; discovery is off while this is empty
+  },
   "explorer": {
     "url": "https://dev.liberdus.com/explorer"
   },
@@ -0,0 +1,54 @@
+// Networks that can be picked on the welcome screen. The network in network.js is the default and is
+// added to the list if it is not in it. The netid of the picked network is saved in localStorage.
+// Mainnet is added here once it has a netid and gateways. To test against a local network use network.js_loc
+// as network.js.
+const networks = [
+  {
+    "netid": "fd1b56b08fd1e5035aa19eb631f7f1ad0395175c5d3dfc49411dfa528e6af7c3",
+    "name": "Devnet",
+    "gateways": [
+      {
+        "protocol": "https",
+        "host": "dev.liberdus.com",
+        "port": 3030
+      },
+    ],
+    "monitor": {
+      "url": "https://dev.liberdus.com/monitor"
+    },
+    "discovery": {
+      "url": "",
+      "signers": []
+    },
+    "explorer": {
+      "url": "https://dev.liberdus.com/explorer"
+    },
+    websocket: {
+      url: "wss://dev.liberdus.com:3031",
+    }
+  },
+  {
+    "netid": "2f4b9f72089bbfce9f89d3d8e76086daab6ae6f416887c809aab26abb6e5703b",
+    "name": "Testnet",
+    "gateways": [
+      {
+        "protocol": "https",
+        "host": "test.liberdus.com",
+        "port": 3030
+      },
+    ],
+    "monitor": {
+      "url": "https://test.liberdus.com/monitor"
+    },
+    "discovery": {
+      "url": "",
+      "signers": []
+    },
+    "explorer": {
+      "url": "https://test.liberdus.com/explorer"
+    },
+    websocket: {
+      url: "wss://test.liberdus.com:3031",
+    }
+  },
+]
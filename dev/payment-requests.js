@@ -0,0 +1,15 @@
+// Payment requests (see Payment requests in app.js)
+//
+//   This module only decides which request a transfer pays; sending, receiving and showing requests is up
+//   to the app.
+
+// The pending request in messages that a transfer of amount (in wei of LIB) pays, or undefined
+//   payer is 'me' or the address of the contact, ref is the txid of the request the transfer says it pays or
+//   null, and timestamp is when the transfer was sent. messages are sorted newest first, as in contact.messages.
+export function findPaidRequest(messages, payer, amount, ref, timestamp) {
+    const open = messages.filter(m => m.paymentRequest?.status === 'pending' && m.paymentRequest.symbol === 'LIB' &&
+        m.my === (payer !== 'me') && m.timestamp <= timestamp)
+    return ref
+        ? open.find(m => m.txid === ref && amount >= m.paymentRequest.amount)
+        : open.filter(m => m.paymentRequest.amount === amount).at(-1)
+}
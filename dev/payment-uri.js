@@ -0,0 +1,187 @@
+// Payment links and QR codes
+//
+//   web+liberdus:pay?v=1&to=<username>&asset=LIB&amount=<decimal>&memo=<text>&exp=<timestamp>&signer=<address>&sig=<signature>
+//
+//   v       version of the format; links with a newer version than paymentUriVersion are rejected
+//   to      username of the recipient
+//   asset   symbol of the asset; LIB if it is missing
+//   amount  amount in whole units of the asset, like 12.5 (optional)
+//   memo    memo for the transfer, up to paymentUriMaxMemo characters (optional)
+//   exp     timestamp in milliseconds after which the link should not be paid (optional)
+//   signer, sig
+//           signature of the recipient over signedPaymentFields(), made like a tx is signed (see signObj in
+//           app.js); the app checks that signer is the address of the username in to (optional)
+//
+//   Values are percent encoded and other parameters are ignored. liberdus: works the same as web+liberdus:,
+//   which is the scheme browsers let a web app handle. QR codes made before there was a version,
+//   liberdus://<base64 of JSON { u: username, i: asset id, s: symbol, a: amount, m: memo }>, are read as
+//   version 0 without a signature; their JSON is Latin-1 and the amount is what was typed in a number field.
+//
+//   This module only reads and writes the format; checking the signature and the expiry is up to the app.
+
+export const paymentUriVersion = 1;
+export const paymentUriScheme = 'web+liberdus:';
+export const paymentUriMaxMemo = 2000;
+
+const schemes = ['web+liberdus:', 'liberdus:'];
+const legacyPrefix = 'liberdus://';
+
+// Read a payment link or the text of a payment QR code; throws an Error saying what is wrong with it
+//   returns { version, to, asset, amount, memo, expires, signer, sig }; amount and memo are '' and
+//   expires is 0 if they are not given, signer and sig are '' if the link is not signed
+export function parsePaymentUri(text) {
+    if (typeof text !== 'string') {
+        throw new Error('Not a payment link');
+    }
+    text = text.trim();
+    if (text.startsWith(legacyPrefix)) {
+        return parseLegacyPaymentUri(text.slice(legacyPrefix.length));
+    }
+    const scheme = schemes.find(prefix => text.toLowerCase().startsWith(prefix));
+    if (!scheme) {
+        throw new Error('Not a payment link');
+    }
+    const rest = text.slice(scheme.length).replace(/^\/\//, '');
+    const queryStart = rest.indexOf('?');
+    const action = queryStart === -1 ? rest : rest.slice(0, queryStart);
+    if (action !== 'pay') {
+        throw new Error('Not a payment link');
+    }
+    const params = new URLSearchParams(queryStart === -1 ? '' : rest.slice(queryStart + 1));
+
+    const version = Number(params.get('v'));
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error('The payment link has no version');
+    }
+    if (version > paymentUriVersion) {
+        throw new Error('The payment link needs a newer version of the app');
+    }
+    const payment = {
+        version,
+        to: checkUsername(params.get('to')),
+        asset: checkAsset(params.get('asset') || 'LIB'),
+        amount: checkAmount(params.get('amount') || ''),
+        memo: checkMemo(params.get('memo') || ''),
+        expires: 0,
+        signer: params.get('signer') || '',
+        sig: params.get('sig') || '',
+    };
+    if (params.has('exp')) {
+        payment.expires = Number(params.get('exp'));
+        if (!Number.isSafeInteger(payment.expires) || payment.expires <= 0) {
+            throw new Error('The expiry of the payment link is not valid');
+        }
+    }
+    if (!payment.signer !== !payment.sig) {
+        throw new Error('The signature of the payment link is incomplete');
+    }
+    if (payment.signer && !/^(0x)?[0-9a-fA-F]{40}([0-9a-fA-F]{24})?$/.test(payment.signer)) {
+        throw new Error('The signer of the payment link is not valid');
+    }
+    if (payment.sig && !/^(0x)?[0-9a-fA-F]{130}$/.test(payment.sig)) {
+        throw new Error('The signature of the payment link is not valid');
+    }
+    return payment;
+}
+
+// Write a payment link; payment has the fields returned by parsePaymentUri, only to is required
+export function serializePaymentUri(payment, scheme = paymentUriScheme) {
+    const params = new URLSearchParams();
+    params.set('v', String(paymentUriVersion));
+    params.set('to', checkUsername(payment.to));
+    params.set('asset', checkAsset(payment.asset || 'LIB'));
+    if (payment.amount) { params.set('amount', checkAmount(String(payment.amount))) }
+    if (payment.memo) { params.set('memo', checkMemo(payment.memo)) }
+    if (payment.expires) { params.set('exp', String(payment.expires)) }
+    if (payment.signer && payment.sig) {
+        params.set('signer', payment.signer);
+        params.set('sig', payment.sig);
+    }
+    // URLSearchParams writes spaces as +; %20 is read the same way by everything that reads links
+    return `${scheme}pay?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+// The fields the recipient signs; the same for a link and for the link parsed back
+export function signedPaymentFields(payment) {
+    const fields = {
+        v: payment.version || paymentUriVersion,
+        to: checkUsername(payment.to),
+        asset: payment.asset || 'LIB',
+    };
+    if (payment.amount) { fields.amount = String(payment.amount) }
+    if (payment.memo) { fields.memo = payment.memo }
+    if (payment.expires) { fields.exp = payment.expires }
+    return fields;
+}
+
+// The old QR codes were written with btoa(JSON.stringify(data)), so the decoded text is Latin-1
+function parseLegacyPaymentUri(base64) {
+    let data;
+    try {
+        data = JSON.parse(atob(base64));
+    } catch (error) {
+        throw new Error('The payment QR code could not be read');
+    }
+    if (!data || typeof data !== 'object') {
+        throw new Error('The payment QR code could not be read');
+    }
+    return {
+        version: 0,
+        to: checkUsername(data.u),
+        asset: checkAsset(data.s || 'LIB'),
+        amount: legacyAmount(data.a),
+        memo: checkMemo(data.m === undefined ? '' : String(data.m)),
+        expires: 0,
+        signer: '',
+        sig: '',
+    };
+}
+
+function checkUsername(username) {
+    if (typeof username !== 'string' || !/^[a-zA-Z0-9]{3,}$/.test(username)) {
+        throw new Error('The recipient of the payment link is not valid');
+    }
+    return username.toLowerCase();
+}
+
+function checkAsset(asset) {
+    if (!/^[A-Z0-9]{1,10}$/.test(asset)) {
+        throw new Error('The asset of the payment link is not valid');
+    }
+    return asset;
+}
+
+// amount is a decimal number with at most 18 decimals, as the assets have
+function checkAmount(amount) {
+    if (amount && !/^\d+(\.\d{1,18})?$/.test(amount)) {
+        throw new Error('The amount of the payment link is not valid');
+    }
+    return amount;
+}
+
+// The old QR codes have the amount as it was typed in a number field, like .5 or 1e3; it is returned as a
+//   decimal that checkAmount accepts, cut to 18 decimals. Like the old send form did, an amount that is not
+//   a number is left out, so it has to be typed in.
+function legacyAmount(value) {
+    const match = String(value ?? '').trim().match(/^(\d*)(?:\.(\d*))?(?:e([+-]?\d{1,3}))?$/i);
+    if (!match || !(match[1] || match[2])) {
+        return '';
+    }
+    let digits = match[1] + (match[2] || '');
+    let point = match[1].length + Number(match[3] || 0);
+    if (point < 0) {
+        digits = '0'.repeat(-point) + digits;
+        point = 0;
+    }
+    digits = digits.padEnd(point, '0');
+    const whole = digits.slice(0, point).replace(/^0+/, '') || '0';
+    const decimals = digits.slice(point, point + 18).replace(/0+$/, '');
+    return decimals ? `${whole}.${decimals}` : whole;
+}
+
+function checkMemo(memo) {
+    if (memo.length > paymentUriMaxMemo) {
+        throw new Error('The memo of the payment link is too long');
+    }
+    return memo;
+}
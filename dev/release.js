@@ -0,0 +1,74 @@
+// Release manifest
+//
+//   release.json is published next to app.js for every release:
+//       { version, files: { 'app.js': 'sha384-<base64>', 'external/blake2b.js': ..., ... }, sign: { owner, sig } }
+//
+//   files   the integrity hash of every file in releaseFiles; the hash of a file is sha384- followed by what
+//           openssl dgst -sha384 -binary <file> | openssl base64 -A  prints, so the values can also be used in
+//           integrity attributes
+//   sign    signature of one of the releaseSigners keys, made like a tx is signed (see signObj in app.js)
+//
+//   tools/sign-release.js makes and signs release.json. This module is shared by the app (the About page),
+//   the service worker (which only caches a release that checks out) and that tool, so all three hash and
+//   check the same way.
+
+import * as secp from './external/noble-secp256k1.js';
+import keccak256 from './external/keccak256.js';
+import blake from './external/blake2b.js';
+import { stringify } from './external/stringify-shardus.js';
+import { utf82bin, hex2bin, bin2hex, ethHashMessage, normalizeAddress } from './lib.js';
+
+// addresses of the keys that sign release.json; the maintainers who hold the keys add them (see Releases in
+// README.md). While this is empty releases are not checked and the About page says the app is unverified.
+export const releaseSigners = [];
+// every file the service worker precaches, and the worker itself
+export const releaseFiles = [
+    'index.html', 'offline.html', 'manifest.json', 'styles.css', 'app.js', 'lib.js', 'db.js', 'payment-uri.js',
+    'payment-requests.js', 'release.js', 'network.js', 'networks.js', 'service-worker.js',
+    'external/bip39-english.js', 'external/blake2b.js', 'external/jsQR.js', 'external/keccak256.js',
+    'external/noble-ciphers.js', 'external/noble-post-quantum.js', 'external/noble-secp256k1.js', 'external/qr.js',
+    'external/qrcode.js', 'external/stringify-shardus.js',
+    'media/liberdus_logo_50.png', 'media/liberdus_logo_192.png', 'media/liberdus_logo_250.png',
+    'media/liberdus_logo_512.png', 'media/chatSound.mp3', 'media/paymentSound.mp3',
+];
+
+// the same key as myHashKey in app.js; it is part of how the network hashes what is signed
+const hashKey = hex2bin('69fa4195670576c0160d660c3be36556ff8d504725be8a59b5a96509e0c994bc');
+
+export async function integrityHash(buffer) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-384', buffer));
+    return 'sha384-' + btoa(String.fromCharCode(...digest));
+}
+
+// The hex hash that is signed for obj, without its sign field
+export function signedHash(obj) {
+    const unsigned = { ...obj };
+    delete unsigned.sign;
+    return ethHashMessage(blake.blake2bHex(utf82bin(stringify(unsigned)), hashKey, 32));
+}
+
+// Address (40 hex digits, lower case) of the key that signed obj, or null if the signature can't be read
+export function recoverSigner(obj) {
+    if (typeof obj?.sign?.sig !== 'string') { return null; }
+    try {
+        const sig = obj.sign.sig.replace(/^0x/, '');
+        const recovery = parseInt(sig.slice(128, 130), 16) - 27;
+        const publicKey = secp.Signature.fromCompact(sig.slice(0, 128)).addRecoveryBit(recovery)
+            .recoverPublicKey(hex2bin(signedHash(obj))).toRawBytes(false);
+        return bin2hex(keccak256(publicKey.slice(1)).slice(-20));
+    } catch (error) {
+        console.warn('could not check the signature', error);
+        return null;
+    }
+}
+
+// True if release was signed by one of the releaseSigners and its owner is that key
+export function isSignedRelease(release) {
+    const signer = recoverSigner(release);
+    if (!signer || !releaseSigners.includes(signer)) { return false; }
+    try {
+        return normalizeAddress(String(release.sign.owner)).toLowerCase() === signer;
+    } catch (error) {
+        return false;
+    }
+}
@@ -1,34 +1,310 @@
-const SW_VERSION = '2025.04.24.10.41';
+// The page registers the worker as a module with the version from version.html (see checkVersion in app.js)
+import { releaseFiles, releaseSigners, isSignedRelease, integrityHash } from './release.js';
 
-// Install event 
+const SW_VERSION = new URL(self.location.href).searchParams.get('v') || '0';
+
+// Background notifications
+//   While the app is hidden the page sends start_polling with the address of the signed in account and its
+//   gateways; they are kept in STATE_CACHE so a check still works after the browser restarted the worker.
+//   The worker checks /account/<address>/chats/<timestamp> every POLL_INTERVAL while it is alive, and on
+//   periodicsync where the browser supports Periodic Background Sync for an installed app. Web Push would
+//   need a push server, which the network does not have. Notifications only say that something came in,
+//   never who sent it or what it says; clicking one opens the app at the chat if it was from one sender.
+const STATE_CACHE = 'liberdus-state';
+const STATE_URL = './sw-state.json';
+const POLL_INTERVAL = 60 * 1000;
+const PERIODIC_SYNC_TAG = 'check-chats';
+let pollTimer = null;
+
+// Offline app shell
+//   Everything the app needs to start is precached in APP_CACHE when a new version installs, as one unit, so
+//   the cached files always belong to the same release. Shell files are served from APP_CACHE; other files
+//   of the app are served stale-while-revalidate from RUNTIME_CACHE. Navigations get the cached index.html,
+//   or offline.html if there is no shell yet. A new version waits until the user accepts the update from
+//   the page (SKIP_WAITING); old app caches are deleted when it activates. version.html and requests to the
+//   gateways are never cached, so the version check and the network data are always fresh.
+const APP_CACHE = `liberdus-app-${SW_VERSION}`;
+const RUNTIME_CACHE = `liberdus-runtime-${SW_VERSION}`;
+// the files of the release, except the worker itself
+const PRECACHE_URLS = ['./', ...releaseFiles.filter(file => file !== 'service-worker.js').map(file => `./${file}`)];
+const NO_CACHE_URLS = ['./version.html', './service-worker.js'];
+
+// Install event - precache the app shell; if any file fails the install fails and the old version stays
 self.addEventListener('install', (event) => {
-  self.skipWaiting();
+  console.log('[Service Worker] Installing version', SW_VERSION);
+  event.waitUntil(precache());
 });
 
+// Once there is a release key and a release.json, release.json must be signed by a release key and every file
+// must match its hash, or the install fails and the old version stays (see Release verification in app.js).
+// Without a release key or a release.json the files are cached without a check.
+async function precache() {
+  // bypass the HTTP cache so an update never precaches files of the previous release
+  const fetchFile = async (url) => {
+    const response = await fetch(new Request(url, { cache: 'reload' }));
+    if (!response.ok) {
+      throw new Error(`Could not get ${url}: ${response.status}`);
+    }
+    return response;
+  };
+  let release = null;
+  if (releaseSigners.length > 0) {
+    try {
+      release = await fetchFile('./release.json');
+    } catch (error) {
+      console.warn('[Service Worker] No release manifest, the files are not checked:', error);
+    }
+  }
+  const manifest = release ? await release.clone().json() : null;
+  if (manifest && !isSignedRelease(manifest)) {
+    throw new Error('release.json is not signed by a release key');
+  }
+  const files = manifest?.files || {};
+
+  const responses = await Promise.all(PRECACHE_URLS.map(async (url) => {
+    const response = await fetchFile(url);
+    const file = url === './' ? 'index.html' : url.replace(/^\.\//, '');
+    if (release && files[file] !== await integrityHash(await response.clone().arrayBuffer())) {
+      throw new Error(`${file} does not match the release manifest`);
+    }
+    return [url, response];
+  }));
+  if (release) {
+    responses.push(['./release.json', release]);
+  }
+
+  // only put the files in the cache once all of them are checked
+  const cache = await caches.open(APP_CACHE);
+  await Promise.all(responses.map(([url, response]) => cache.put(url, response)));
+}
+
 // Activate event - clean up old caches
 self.addEventListener('activate', (event) => {
   console.log('[Service Worker] Activating new service worker');
-  // Take control of all clients immediately
   event.waitUntil(
     (async () => {
+      const cacheNames = await caches.keys();
+      await Promise.all(
+        cacheNames
+          .filter(name => (name.startsWith('liberdus-app-') || name.startsWith('liberdus-runtime-')) &&
+            name !== APP_CACHE && name !== RUNTIME_CACHE)
+          .map(name => caches.delete(name))
+      );
+      // Take control of all clients immediately
       await self.clients.claim();
     })()
   );
 });
 
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // only GET requests for the app itself; gateway requests go straight to the network
+  if (request.method !== 'GET' || !url.href.startsWith(self.registration.scope)) {
+    return;
+  }
+  if (NO_CACHE_URLS.some(path => url.pathname === new URL(path, self.registration.scope).pathname)) {
+    return;
+  }
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+  event.respondWith(handleAsset(event));
+});
+
+// The app is a single page, so every navigation in scope gets the cached shell
+async function handleNavigation(request) {
+  const cache = await caches.open(APP_CACHE);
+  const url = new URL(request.url);
+  const isApp = url.href.split(/[?#]/)[0] === self.registration.scope || url.pathname.endsWith('/index.html');
+  if (isApp) {
+    const cached = await cache.match('./index.html');
+    if (cached) {
+      return cached;
+    }
+  }
+  try {
+    return await fetch(request);
+  } catch (error) {
+    console.warn('[Service Worker] Navigation failed, showing the offline page:', url.href);
+    return (await cache.match('./offline.html')) || Response.error();
+  }
+}
+
+// Shell files are served from the precache; the query string is only there to get around the HTTP cache
+async function handleAsset(event) {
+  const { request } = event;
+  const cached = await caches.match(request, { cacheName: APP_CACHE, ignoreSearch: true });
+  if (cached) {
+    return cached;
+  }
+  return staleWhileRevalidate(event);
+}
 
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(request);
+  const update = fetch(request)
+    .then(async response => {
+      if (response.ok) {
+        await cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(error => {
+      console.warn('[Service Worker] Fetch failed:', request.url, error);
+      return cached || Response.error();
+    });
+  if (cached) {
+    event.waitUntil(update);
+    return cached;
+  }
+  return update;
+}
 
 // Handle messages from the client
 self.addEventListener('message', (event) => {
-  const { type } = event.data;
+  const { type, timestamp, account } = event.data;
   
   switch (type) {
     case 'SKIP_WAITING':
       self.skipWaiting();
       break;
+    case 'GET_VERSION':
+      event.ports[0]?.postMessage({ version: SW_VERSION });
+      break;
+    case 'start_polling':
+      event.waitUntil(startPolling(timestamp, account));
+      break;
+    case 'stop_polling':
+      event.waitUntil(stopPolling());
+      break;
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === PERIODIC_SYNC_TAG) {
+    event.waitUntil(checkForNewChats());
   }
 });
 
+// Focus the app, or open it, and let it open the chat of the sender
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { address } = event.notification.data || {};
+  event.waitUntil((async () => {
+    const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = clientList.find(client => client.url.startsWith(self.registration.scope) && 'focus' in client);
+    if (client) {
+      await client.focus();
+      if (address) {
+        client.postMessage({ type: 'OPEN_CHAT', address });
+      }
+      return;
+    }
+    if (self.clients.openWindow) {
+      const url = new URL(self.registration.scope);
+      if (address) {
+        url.searchParams.set('chat', address);
+      }
+      await self.clients.openWindow(url.href);
+    }
+  })());
+});
+
+async function loadPollState() {
+  const cache = await caches.open(STATE_CACHE);
+  const response = await cache.match(STATE_URL);
+  return response ? response.json() : null;
+}
+
+async function savePollState(state) {
+  const cache = await caches.open(STATE_CACHE);
+  await cache.put(STATE_URL, new Response(JSON.stringify(state), { headers: { 'Content-Type': 'application/json' } }));
+}
+
+async function startPolling(timestamp, account) {
+  if (!account?.address || !account.network?.gateways?.length) {
+    return;
+  }
+  await savePollState({ timestamp, account, notified: [] });
+  if (!pollTimer) {
+    pollTimer = setInterval(checkForNewChats, POLL_INTERVAL);
+  }
+  console.log('[Service Worker] Started checking for new chats');
+}
+
+// The app is open or signed out; it gets the chats itself
+async function stopPolling() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+  await caches.delete(STATE_CACHE);
+  console.log('[Service Worker] Stopped checking for new chats');
+}
+
+// The default gateway first, then the others in random order
+function getGateways(network) {
+  const gateways = [...network.gateways].sort(() => Math.random() - 0.5);
+  const preferred = network.gateways[network.defaultGatewayIndex];
+  return preferred ? [preferred, ...gateways.filter(gateway => gateway !== preferred)] : gateways;
+}
+
+async function checkForNewChats() {
+  try {
+    const state = await loadPollState();
+    if (!state?.account) {
+      return;
+    }
+    const paddedAddress = state.account.address.padEnd(64, '0');
+    let chats = null;
+    for (const gateway of getGateways(state.account.network).slice(0, 3)) {
+      try {
+        const response = await fetch(`${gateway.protocol}://${gateway.host}:${gateway.port}/account/${paddedAddress}/chats/${state.timestamp}`);
+        if (!response.ok) throw new Error(`Network response failed: ${response.status}`);
+        chats = (await response.json()).chats || {};
+        break;
+      } catch (error) {
+        console.warn('[Service Worker] Gateway failed:', gateway.host, error);
+      }
+    }
+    if (!chats) {
+      return;
+    }
+
+    // senders of chats we have not told the user about yet; our own address is the sync channel
+    const senders = Object.keys(chats)
+      .map(sender => sender.slice(0, 40))
+      .filter(sender => sender !== state.account.address && !state.notified.includes(sender));
+    if (senders.length === 0) {
+      return;
+    }
+    state.notified.push(...senders);
+    await savePollState(state);
+    await showNotification(state.notified);
+  } catch (error) {
+    console.error('[Service Worker] Error checking for new chats:', error);
+  }
+}
+
+async function showNotification(senders) {
+  if (self.Notification?.permission !== 'granted') {
+    return;
+  }
+  const body = senders.length === 1
+    ? 'You have new messages or payments'
+    : `You have new messages or payments in ${senders.length} conversations`;
+  await self.registration.showNotification('Liberdus', {
+    body,
+    icon: './media/liberdus_logo_250.png',
+    badge: './media/liberdus_logo_250.png',
+    tag: 'new-messages',
+    renotify: true,
+    data: { address: senders.length === 1 ? senders[0] : null },
+  });
+}
+
 // Error handling and logging
 self.addEventListener('error', (event) => {
   console.error('[Service Worker] Error:', event.error);
@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createBlobStore } from '../tools/blob-store.js';
+
+test('blob store', async (t) => {
+    const server = createBlobStore();
+    await new Promise(resolve => server.listen(0, resolve));
+    t.after(() => server.close());
+    const base = `http://localhost:${server.address().port}`;
+
+    await t.test('returns what was uploaded', async () => {
+        const data = 'x'.repeat(3 * 1024 * 1024);
+        const response = await fetch(`${base}/blob`, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: data });
+        assert.equal(response.status, 200);
+        const { url } = await response.json();
+        assert.ok(url.startsWith(`${base}/blob/`));
+        assert.equal(await (await fetch(url)).text(), data);
+    });
+
+    await t.test('allows uploads from the app', async () => {
+        const response = await fetch(`${base}/blob`, { method: 'OPTIONS' });
+        assert.equal(response.headers.get('access-control-allow-origin'), '*');
+    });
+
+    await t.test('does not have other blobs', async () => {
+        const response = await fetch(`${base}/blob/${'0'.repeat(64)}`);
+        assert.equal(response.status, 404);
+    });
+});
@@ -0,0 +1,14 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { bin2base64, base642bin } from '../lib.js';
+
+test('bin2base64 encodes files larger than the call stack', () => {
+    const bytes = new Uint8Array(5 * 1024 * 1024).map((_, i) => i * 7);
+    const base64 = bin2base64(bytes);
+    assert.equal(base64, Buffer.from(bytes).toString('base64'));
+    assert.deepEqual(base642bin(base64), bytes);
+});
+
+test('bin2base64 encodes an empty array', () => {
+    assert.equal(bin2base64(new Uint8Array(0)), '');
+});
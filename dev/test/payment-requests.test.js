@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { findPaidRequest } from '../payment-requests.js';
+
+const wei = 10n ** 18n;
+
+// A request from the contact, as receivePaymentRequest in app.js keeps it
+function request(txid, amount, timestamp, status = 'pending') {
+    return { txid, timestamp, my: false, message: '', paymentRequest: { amount, symbol: 'LIB', expires: 0, status } };
+}
+
+// newest first, like contact.messages
+const messages = [request('c', 5n * wei, 300), request('b', 10n * wei, 200), request('a', 10n * wei, 100)];
+
+test('a transfer with a ref pays that request', () => {
+    assert.equal(findPaidRequest(messages, 'me', 10n * wei, 'b', 400)?.txid, 'b');
+    assert.equal(findPaidRequest(messages, 'me', 12n * wei, 'c', 400)?.txid, 'c');
+});
+
+test('a transfer with a ref that pays less than asked pays nothing', () => {
+    assert.equal(findPaidRequest(messages, 'me', 10n * wei - 1n, 'b', 400), undefined);
+    assert.equal(findPaidRequest(messages, 'me', 1n, 'c', 400), undefined);
+});
+
+test('a transfer without a ref pays the oldest request for the same amount', () => {
+    assert.equal(findPaidRequest(messages, 'me', 10n * wei, null, 400)?.txid, 'a');
+    assert.equal(findPaidRequest(messages, 'me', 11n * wei, null, 400), undefined);
+});
+
+test('only pending LIB requests made before the transfer by the other side are paid', () => {
+    assert.equal(findPaidRequest(messages, 'me', 5n * wei, 'c', 250), undefined);
+    assert.equal(findPaidRequest(messages, '0x' + 'ab'.repeat(20), 5n * wei, 'c', 400), undefined);
+    assert.equal(findPaidRequest([request('d', wei, 100, 'paid')], 'me', wei, 'd', 400), undefined);
+    const other = request('e', wei, 100);
+    other.paymentRequest.symbol = 'ETH';
+    assert.equal(findPaidRequest([other], 'me', wei, 'e', 400), undefined);
+});
@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePaymentUri, serializePaymentUri, signedPaymentFields, paymentUriVersion, paymentUriMaxMemo }
+    from '../payment-uri.js';
+
+const sig = '0x' + 'ab'.repeat(64) + '1b';
+const signer = '0x' + 'cd'.repeat(20);
+
+// QR codes as the app wrote them before payment links had a version
+function legacyQr(data) {
+    return 'liberdus://' + btoa(JSON.stringify(data));
+}
+
+test('a payment link reads back the same', () => {
+    const payment = {
+        version: paymentUriVersion, to: 'alice', asset: 'LIB', amount: '12.5', memo: 'rent & more: 100%',
+        expires: 1767225600000, signer, sig,
+    };
+    const uri = serializePaymentUri(payment);
+    assert.ok(uri.startsWith('web+liberdus:pay?v=1&'));
+    assert.ok(!uri.includes('+more'));
+    assert.deepEqual(parsePaymentUri(uri), payment);
+    assert.deepEqual(signedPaymentFields(parsePaymentUri(uri)), signedPaymentFields(payment));
+});
+
+test('optional fields are left out of a payment link', () => {
+    const uri = serializePaymentUri({ to: 'Bob' });
+    assert.equal(uri, 'web+liberdus:pay?v=1&to=bob&asset=LIB');
+    assert.deepEqual(parsePaymentUri(uri), {
+        version: 1, to: 'bob', asset: 'LIB', amount: '', memo: '', expires: 0, signer: '', sig: '',
+    });
+});
+
+test('liberdus: links and links with // are read', () => {
+    assert.equal(parsePaymentUri('liberdus:pay?v=1&to=alice').to, 'alice');
+    assert.equal(parsePaymentUri('web+liberdus://pay?v=1&to=alice&amount=3').amount, '3');
+    assert.equal(parsePaymentUri('  WEB+LIBERDUS:pay?v=1&to=alice&extra=1  ').to, 'alice');
+});
+
+test('old payment QR codes are read as version 0', () => {
+    assert.deepEqual(parsePaymentUri(legacyQr({ u: 'alice', i: 0, s: 'LIB', a: '12.5', m: 'lunch' })), {
+        version: 0, to: 'alice', asset: 'LIB', amount: '12.5', memo: 'lunch', expires: 0, signer: '', sig: '',
+    });
+    assert.deepEqual(parsePaymentUri(legacyQr({ u: 'alice' })), {
+        version: 0, to: 'alice', asset: 'LIB', amount: '', memo: '', expires: 0, signer: '', sig: '',
+    });
+});
+
+test('old payment QR codes are decoded as Latin-1', () => {
+    assert.equal(parsePaymentUri(legacyQr({ u: 'alice', s: 'LIB', m: 'café for Zoë' })).memo, 'café for Zoë');
+});
+
+test('old payment QR codes keep any amount the old send form took', () => {
+    const amount = (a) => parsePaymentUri(legacyQr({ u: 'alice', s: 'LIB', a })).amount;
+    assert.equal(amount('.5'), '0.5');
+    assert.equal(amount('1e3'), '1000');
+    assert.equal(amount('1.5e-2'), '0.015');
+    assert.equal(amount('007.50'), '7.5');
+    assert.equal(amount(2.25), '2.25');
+    assert.equal(amount('0.1234567890123456789'), '0.123456789012345678');
+    // the old form left out what was not a number
+    assert.equal(amount('ten'), '');
+    assert.equal(amount('-1'), '');
+});
+
+test('payment links that are not valid are rejected', () => {
+    const rejects = (text, message) => assert.throws(() => parsePaymentUri(text), { message });
+    rejects('https://liberdus.com/pay?v=1&to=alice', 'Not a payment link');
+    rejects('web+liberdus:send?v=1&to=alice', 'Not a payment link');
+    rejects(undefined, 'Not a payment link');
+    rejects('web+liberdus:pay?to=alice', 'The payment link has no version');
+    rejects('web+liberdus:pay?v=1.5&to=alice', 'The payment link has no version');
+    rejects(`web+liberdus:pay?v=${paymentUriVersion + 1}&to=alice`, 'The payment link needs a newer version of the app');
+    rejects('web+liberdus:pay?v=1', 'The recipient of the payment link is not valid');
+    rejects('web+liberdus:pay?v=1&to=a!', 'The recipient of the payment link is not valid');
+    rejects('web+liberdus:pay?v=1&to=alice&asset=lib', 'The asset of the payment link is not valid');
+    rejects('web+liberdus:pay?v=1&to=alice&amount=.5', 'The amount of the payment link is not valid');
+    rejects('web+liberdus:pay?v=1&to=alice&amount=1e3', 'The amount of the payment link is not valid');
+    rejects(`web+liberdus:pay?v=1&to=alice&amount=1.${'1'.repeat(19)}`, 'The amount of the payment link is not valid');
+    rejects(`web+liberdus:pay?v=1&to=alice&memo=${'x'.repeat(paymentUriMaxMemo + 1)}`, 'The memo of the payment link is too long');
+    rejects('web+liberdus:pay?v=1&to=alice&exp=soon', 'The expiry of the payment link is not valid');
+    rejects(`web+liberdus:pay?v=1&to=alice&sig=${sig}`, 'The signature of the payment link is incomplete');
+    rejects(`web+liberdus:pay?v=1&to=alice&signer=0x12&sig=${sig}`, 'The signer of the payment link is not valid');
+    rejects(`web+liberdus:pay?v=1&to=alice&signer=${signer}&sig=0x12`, 'The signature of the payment link is not valid');
+});
+
+test('old payment QR codes that are not valid are rejected', () => {
+    assert.throws(() => parsePaymentUri('liberdus://not base64!'), { message: 'The payment QR code could not be read' });
+    assert.throws(() => parsePaymentUri('liberdus://' + btoa('"alice"')), { message: 'The payment QR code could not be read' });
+    assert.throws(() => parsePaymentUri(legacyQr({ s: 'LIB' })), { message: 'The recipient of the payment link is not valid' });
+});
+
+test('a payment link is only written for a valid payment', () => {
+    assert.throws(() => serializePaymentUri({ to: 'x' }), { message: 'The recipient of the payment link is not valid' });
+    assert.throws(() => serializePaymentUri({ to: 'alice', amount: 'ten' }), { message: 'The amount of the payment link is not valid' });
+});
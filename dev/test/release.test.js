@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { releaseFiles, releaseSigners, integrityHash, recoverSigner, isSignedRelease } from '../release.js';
+import { appFolder, makeRelease, signRelease, newReleaseKey } from '../tools/sign-release.js';
+
+test('integrityHash is the sha384 subresource integrity value', async () => {
+    const data = await fs.readFile(path.join(appFolder, 'app.js'));
+    const expected = 'sha384-' + crypto.createHash('sha384').update(data).digest('base64');
+    assert.equal(await integrityHash(data), expected);
+});
+
+test('a release lists every release file', async () => {
+    const release = await makeRelease(appFolder);
+    assert.deepEqual(Object.keys(release.files), releaseFiles);
+    assert.match(release.version, /^\d{4}(\.\d{2}){4}$/);
+});
+
+test('the signer of a signed release is recovered', async () => {
+    const key = newReleaseKey();
+    const release = await signRelease({ version: '2025.01.01.00.00', files: { 'app.js': 'sha384-x' } }, key.secret);
+    assert.equal(recoverSigner(release), key.address);
+    assert.equal(release.sign.owner, key.address + '0'.repeat(24));
+    // it still checks out after a round trip through release.json
+    assert.equal(recoverSigner(JSON.parse(JSON.stringify(release))), key.address);
+});
+
+test('a release is only accepted if a release key signed it', async () => {
+    const key = newReleaseKey();
+    assert.ok(!releaseSigners.includes(key.address));
+    const release = await signRelease({ version: '2025.01.01.00.00', files: { 'app.js': 'sha384-x' } }, key.secret);
+    assert.equal(isSignedRelease(release), false);
+    assert.equal(isSignedRelease({ version: '2025.01.01.00.00', files: {} }), false);
+});
+
+test('changing a signed release changes its signer', async () => {
+    const key = newReleaseKey();
+    const release = await signRelease({ version: '2025.01.01.00.00', files: { 'app.js': 'sha384-x' } }, key.secret);
+    release.files['app.js'] = 'sha384-y';
+    assert.notEqual(recoverSigner(release), key.address);
+});
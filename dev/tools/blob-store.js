@@ -0,0 +1,65 @@
+// Stand-in for the blob store that chat attachments are uploaded to, for local testing
+//
+//   node tools/blob-store.js [port]
+//
+// POST /blob with the encrypted file as the body returns { url }, and a GET of that url returns the body.
+// Blobs are kept in memory until the process exits. Set blobStore.url of the network to
+// http://localhost:<port> to use it; network.js_loc does.
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+
+export const defaultPort = 3050;
+export const maxBlobSize = 32 * 1024 * 1024;    // an encrypted 10 MB attachment is about 18 MB of text
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+// Returns an http.Server that is not listening yet
+export function createBlobStore() {
+    const blobs = new Map();
+    return http.createServer((req, res) => {
+        const reply = (status, body, type = 'application/json') => {
+            res.writeHead(status, { ...corsHeaders, 'Content-Type': type });
+            res.end(body);
+        };
+        if (req.method === 'OPTIONS') {
+            return reply(204, '');
+        }
+        if (req.method === 'POST' && req.url === '/blob') {
+            const chunks = [];
+            let size = 0;
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > maxBlobSize) {
+                    reply(413, JSON.stringify({ error: 'too large' }));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => {
+                if (res.writableEnded) return;
+                const data = Buffer.concat(chunks);
+                const id = crypto.createHash('sha256').update(data).digest('hex');
+                blobs.set(id, data);
+                reply(200, JSON.stringify({ url: `http://${req.headers.host}/blob/${id}` }));
+            });
+            return;
+        }
+        const match = req.method === 'GET' && req.url.match(/^\/blob\/([0-9a-f]{64})$/);
+        if (match && blobs.has(match[1])) {
+            return reply(200, blobs.get(match[1]), 'text/plain');
+        }
+        reply(404, JSON.stringify({ error: 'not found' }));
+    });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(process.argv[2]) || defaultPort;
+    createBlobStore().listen(port, () => console.log(`blob store listening on http://localhost:${port}`));
+}
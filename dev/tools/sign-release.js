@@ -0,0 +1,82 @@
+// Make and sign release.json (see release.js)
+//
+//   node tools/sign-release.js --new-key
+//       prints a new release key; add its address to releaseSigners and keep the secret out of the repository
+//   RELEASE_KEY=<secret key in hex> node tools/sign-release.js [folder]
+//       hashes the releaseFiles in folder (the folder with app.js by default) and writes folder/release.json,
+//       with the version from version.html, signed with the key
+//
+// The key has to be one of the releaseSigners of the release being signed, or the service worker will not
+// install it.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import * as secp from '../external/noble-secp256k1.js';
+import keccak256 from '../external/keccak256.js';
+import { hex2bin, bin2hex, longAddress } from '../lib.js';
+import { releaseFiles, releaseSigners, integrityHash, signedHash } from '../release.js';
+
+export const appFolder = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+export function releaseKeyAddress(secret) {
+    return bin2hex(keccak256(secp.getPublicKey(hex2bin(secret), false).slice(1)).slice(-20));
+}
+
+export function newReleaseKey() {
+    const secret = bin2hex(secp.utils.randomPrivateKey());
+    return { secret, address: releaseKeyAddress(secret) };
+}
+
+// The unsigned release of the files in folder
+export async function makeRelease(folder) {
+    const version = (await fs.readFile(path.join(folder, 'version.html'), 'utf8')).trim();
+    const files = {};
+    for (const file of releaseFiles) {
+        files[file] = await integrityHash(await fs.readFile(path.join(folder, file)));
+    }
+    return { version, files };
+}
+
+// Signs release the way signObj in app.js signs a tx
+export async function signRelease(release, secret) {
+    const sig = await secp.signAsync(hex2bin(signedHash(release)), hex2bin(secret));
+    const r = sig.r.toString(16).padStart(64, '0');
+    const s = sig.s.toString(16).padStart(64, '0');
+    const v = (27 + sig.recovery).toString(16).padStart(2, '0');
+    release.sign = {
+        owner: longAddress(releaseKeyAddress(secret)),
+        sig: `0x${r}${s}${v}`
+    };
+    return release;
+}
+
+async function main(args) {
+    if (args[0] === '--new-key') {
+        const { secret, address } = newReleaseKey();
+        console.log(`address ${address}\nsecret  ${secret}`);
+        return;
+    }
+    const secret = (process.env.RELEASE_KEY || '').replace(/^0x/, '');
+    if (!/^[0-9a-fA-F]{64}$/.test(secret)) {
+        throw new Error('Set RELEASE_KEY to the secret key of a release signer (64 hex digits)');
+    }
+    const address = releaseKeyAddress(secret);
+    if (releaseSigners.length === 0) {
+        throw new Error('releaseSigners in release.js is empty; add the address of the release key first');
+    }
+    if (!releaseSigners.includes(address)) {
+        throw new Error(`${address} is not in releaseSigners in release.js`);
+    }
+    const folder = path.resolve(args[0] || appFolder);
+    const release = await signRelease(await makeRelease(folder), secret);
+    await fs.writeFile(path.join(folder, 'release.json'), JSON.stringify(release, null, 2) + '\n');
+    console.log(`signed release ${release.version} with ${address}`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}